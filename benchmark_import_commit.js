@@ -0,0 +1,104 @@
+// Compares the old per-document import writes with the bulk write path.
+// Needs a disposable MongoDB database; the collection it uses is dropped
+// before every run.
+//
+//   BENCHMARK_MONGODB_URI=mongodb://localhost:27017/finance-tracker-benchmark node benchmark_import_commit.js 5000
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { insertImportRecords, runWithConcurrency } = require('./src/utils/importBulkWriter');
+
+const MONGODB_URI = process.env.BENCHMARK_MONGODB_URI || 'mongodb://localhost:27017/finance-tracker-benchmark';
+const ROW_COUNT = Math.max(1, Number(process.argv[2] || 5000));
+const CONCURRENCY = Math.max(1, Number(process.env.IMPORT_CONCURRENCY || 8));
+const BATCH_SIZE = Math.max(1, Number(process.env.IMPORT_BATCH_SIZE || 500));
+// Share of rows that already exist, so both paths also pay for duplicate handling.
+const DUPLICATE_RATIO = 0.05;
+
+const benchmarkSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  date: { type: Date, required: true },
+  amount: { type: Number, required: true },
+  type: { type: String, enum: ['income', 'expense'], required: true },
+  category: { type: String, required: true },
+  description: { type: String, required: true },
+  fingerprint: { type: String, required: true },
+  isDeleted: { type: Boolean, default: false },
+  importSessionId: { type: String }
+}, { timestamps: true, collection: 'benchmark_import_transactions' });
+benchmarkSchema.index({ userId: 1, fingerprint: 1 }, { unique: true });
+
+const BenchmarkTransaction = mongoose.model('BenchmarkImportTransaction', benchmarkSchema);
+
+const buildRecords = (userId) => Array.from({ length: ROW_COUNT }, (_, index) => ({
+  userId,
+  rowNumber: index + 1,
+  date: new Date(Date.UTC(2024, 0, 1 + (index % 365))),
+  amount: Number(((index % 500) + 1.25).toFixed(2)),
+  type: index % 7 === 0 ? 'income' : 'expense',
+  category: ['Food', 'Transport', 'Shopping', 'Bills'][index % 4],
+  description: `Benchmark row ${index + 1}`,
+  fingerprint: `benchmark-${index + 1}`,
+  importSessionId: 'benchmark'
+}));
+
+const resetCollection = async (records) => {
+  await BenchmarkTransaction.deleteMany({});
+  const seeded = records.filter((_, index) => index % Math.round(1 / DUPLICATE_RATIO) === 0);
+  await BenchmarkTransaction.insertMany(seeded, { ordered: false });
+  return seeded.length;
+};
+
+const legacyCommit = async (records) => {
+  const counts = { inserted: 0, duplicates: 0, errors: 0 };
+  await runWithConcurrency(records, CONCURRENCY, async (record) => {
+    try {
+      await new BenchmarkTransaction(record).save();
+      counts.inserted++;
+    } catch (error) {
+      if (error.code === 11000) counts.duplicates++;
+      else counts.errors++;
+    }
+  });
+  return counts;
+};
+
+const bulkCommit = async (records) => {
+  const outcome = await insertImportRecords(BenchmarkTransaction, records, {
+    batchSize: BATCH_SIZE,
+    concurrency: CONCURRENCY
+  });
+  return {
+    inserted: outcome.inserted.length,
+    duplicates: outcome.duplicates.length,
+    errors: outcome.errors.length
+  };
+};
+
+const timeRun = async (label, records, commit) => {
+  const seeded = await resetCollection(records);
+  const startedAt = process.hrtime.bigint();
+  const counts = await commit(records);
+  const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+  console.log(`${label.padEnd(8)} ${elapsedMs.toFixed(0).padStart(8)} ms  inserted=${counts.inserted} duplicates=${counts.duplicates} (seeded ${seeded}) errors=${counts.errors}`);
+  return elapsedMs;
+};
+
+async function run() {
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  await BenchmarkTransaction.syncIndexes();
+  const records = buildRecords(new mongoose.Types.ObjectId());
+
+  console.log(`Committing ${ROW_COUNT} rows (concurrency ${CONCURRENCY}, batch size ${BATCH_SIZE})`);
+  const legacyMs = await timeRun('legacy', records, legacyCommit);
+  const bulkMs = await timeRun('bulk', records, bulkCommit);
+  console.log(`Speedup: ${(legacyMs / bulkMs).toFixed(1)}x`);
+
+  await BenchmarkTransaction.collection.drop().catch(() => {});
+}
+
+run()
+  .catch((error) => {
+    console.error('Benchmark failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -5,9 +5,10 @@ const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer');
-const csv = require('csv-parser');
-const { Readable } = require('stream');
 const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { createObjectCsvStringifier } = require('csv-writer');
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 require('dotenv').config();
@@ -17,8 +18,28 @@ const PORT = process.env.PORT ? Number(process.env.PORT) : 10000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/finance-tracker';
 const IMPORT_CONCURRENCY = Math.max(1, Number(process.env.IMPORT_CONCURRENCY || 8));
 const MAX_IMPORT_CONCURRENCY = Math.max(1, Number(process.env.MAX_IMPORT_CONCURRENCY || 16));
+const IMPORT_BATCH_SIZE = Math.max(1, Number(process.env.IMPORT_BATCH_SIZE || 500));
+const IMPORT_ISSUE_BATCH_SIZE = 1000;
+const CATEGORY_SUGGESTION_HISTORY_LIMIT = 5000;
+const IMPORT_COMMIT_LEASE_MS = Math.max(1000, Number(process.env.IMPORT_COMMIT_LEASE_MS || 30000));
+const IMPORT_JOB_MAX_FILE_MB = Math.max(1, Number(process.env.IMPORT_JOB_MAX_FILE_MB || 50));
+const IMPORT_JOB_PROGRESS_INTERVAL_MS = Math.max(100, Number(process.env.IMPORT_JOB_PROGRESS_INTERVAL_MS || 1000));
+// Running import jobs refresh heartbeatAt; a job silent for this long has lost its instance
+const IMPORT_JOB_STALE_MS = Math.max(10000, Number(process.env.IMPORT_JOB_STALE_MS || 5 * 60 * 1000));
+// Names this process on import jobs and commit leases. hostname:pid survives a
+// container restart, so the restarted process recognises its own dead jobs.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
 const SUMMARY_CACHE_TTL_MS = Math.max(1000, Number(process.env.SUMMARY_CACHE_TTL_MS || 30000));
 const ANALYTICS_CACHE_TTL_MS = Math.max(1000, Number(process.env.ANALYTICS_CACHE_TTL_MS || 30000));
+// 0 turns the background recurring-schedule runner off
+const RECURRING_SCHEDULER_INTERVAL_MS = Math.max(0, Number(process.env.RECURRING_SCHEDULER_INTERVAL_MS ?? 60000));
+// Deleted transactions are purged from the trash after this many days; 0 keeps them
+const TRASH_RETENTION_DAYS = Math.max(0, Number(process.env.TRASH_RETENTION_DAYS ?? 30));
+const TRASH_PURGE_INTERVAL_MS = Math.max(0, Number(process.env.TRASH_PURGE_INTERVAL_MS ?? 24 * 60 * 60 * 1000));
+// Receipts and other files attached to transactions (see src/utils/attachmentStorage)
+const ATTACHMENT_STORAGE = process.env.ATTACHMENT_STORAGE || 'local';
+const ATTACHMENT_STORAGE_DIR = process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, 'uploads', 'attachments');
+const ATTACHMENT_MAX_FILE_MB = Math.max(1, Number(process.env.ATTACHMENT_MAX_FILE_MB || 10));
 const summaryCache = new Map();
 const analyticsCache = new Map();
 
@@ -62,10 +83,30 @@ const connectWithRetry = async (retries = 5, delayMs = 5000) => {
       // Ignore if index doesn't exist
     }
 
+    try {
+      const modifiedCount = await recoverInterruptedJobs({
+        jobModel: mongoose.model('ImportJob'),
+        instanceId: INSTANCE_ID,
+        staleMs: IMPORT_JOB_STALE_MS
+      });
+      if (modifiedCount) console.log(`Marked ${modifiedCount} interrupted import jobs as failed`);
+    } catch (e) {
+      console.error('Failed to recover interrupted import jobs:', e.message);
+    }
+
     // Start server after DB connection
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT} (env: ${process.env.PORT || 'default'})`);
     });
+    recurringScheduler.start();
+    try {
+      const backfilled = await backfillDeletedAt(Transaction);
+      if (backfilled) console.log(`Set deletedAt on ${backfilled} transactions already in the trash`);
+      trashPurger.start();
+    } catch (e) {
+      // Never purge while legacy trash may still lack a deletion time
+      console.error('Failed to backfill trash deletion times; retention job not started:', e.message);
+    }
   } catch (err) {
     console.error('MongoDB connection error:', err?.message || err);
     if (retries > 0) {
@@ -82,6 +123,17 @@ const connectWithRetry = async (retries = 5, delayMs = 5000) => {
 connectWithRetry();
 
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+// Background import jobs don't run inside the request timeout, so they accept larger statements
+const jobUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_JOB_MAX_FILE_MB * 1024 * 1024 } });
+const attachmentUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: ATTACHMENT_MAX_FILE_MB * 1024 * 1024, files: 1 } });
+// Turns multer's size and field errors into 4xx responses instead of the generic 500
+const receiveAttachment = (req, res, next) => attachmentUpload.single('file')(req, res, (error) => {
+  if (!error) return next();
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: `Attachments can be at most ${ATTACHMENT_MAX_FILE_MB} MB` });
+  }
+  return res.status(400).json({ error: error.message });
+});
 
 const buildCacheKey = (userId, suffix = 'all') => `${String(userId)}::${suffix}`;
 
@@ -112,6 +164,11 @@ const invalidateUserCaches = (userId) => {
 const normalizeField = (value) => String(value || '').trim().toLowerCase();
 
 const buildTransactionFingerprint = (transaction) => {
+  // A bank-issued transaction id (OFX FITID) identifies the row on its own and
+  // keeps same-day, same-amount purchases apart.
+  if (transaction.externalId) {
+    return crypto.createHash('sha256').update(`fitid|${String(transaction.externalId).trim()}`).digest('hex');
+  }
   const dateIso = transaction.date instanceof Date ? transaction.date.toISOString() : new Date(transaction.date).toISOString();
   const rawKey = [
     dateIso,
@@ -123,20 +180,6 @@ const buildTransactionFingerprint = (transaction) => {
   return crypto.createHash('sha256').update(rawKey).digest('hex');
 };
 
-const runWithConcurrency = async (items, concurrency, handler) => {
-  let index = 0;
-  const worker = async () => {
-    while (true) {
-      const current = index;
-      index += 1;
-      if (current >= items.length) break;
-      await handler(items[current]);
-    }
-  };
-  const workers = Array.from({ length: Math.min(concurrency, items.length) }, () => worker());
-  await Promise.all(workers);
-};
-
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -160,23 +203,67 @@ const authenticateToken = (req, res, next) => {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// One line of a split transaction; the lines add up to the parent amount
+const transactionSplitSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  category: { type: String, required: true, trim: true },
+  note: { type: String, trim: true }
+}, { _id: false });
+
 const transactionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   date: { type: Date, required: true },
   amount: { type: Number, required: true },
-  type: { type: String, enum: ['income', 'expense'], required: true },
+  type: { type: String, enum: ['income', 'expense', 'transfer'], required: true },
   category: { type: String, required: true },
   description: { type: String, required: true },
+  splits: { type: [transactionSplitSchema], default: undefined },
   tags: [String],
   fingerprint: { type: String, required: true },
   isDeleted: { type: Boolean, default: false },
+  // When the row was moved to the trash (see src/utils/trashRetention)
+  deletedAt: { type: Date },
   debtId: { type: mongoose.Schema.Types.ObjectId, ref: 'Debt' },
-  debtPaymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'DebtPayment' }
+  debtPaymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'DebtPayment' },
+  externalId: { type: String },
+  // Normalized payee extracted from the description (see src/utils/merchants)
+  merchant: { type: String, trim: true },
+  // 'manual' merchants were set by the user and survive a merchant refresh
+  merchantSource: { type: String, enum: ['detected', 'manual'] },
+  // Both legs of a transfer share a group id (see src/utils/transfers)
+  transferGroupId: { type: String },
+  transferDirection: { type: String, enum: ['out', 'in'] },
+  transferCounterpartId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' },
+  // Statement reconciliation state (see src/utils/reconciliation)
+  clearedStatus: { type: String, enum: ['uncleared', 'cleared', 'reconciled'], default: 'uncleared' },
+  reconciliationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reconciliation' },
+  // Posted by a recurring schedule (see src/utils/recurringScheduler)
+  recurringScheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringSchedule' },
+  recurringOccurrence: { type: String },
+  importSessionId: { type: String },
+  revivedByImportSessionId: { type: String }
 }, { timestamps: true });
 
 transactionSchema.index({ userId: 1, fingerprint: 1 }, { unique: true });
 transactionSchema.index({ userId: 1, isDeleted: 1 });
+transactionSchema.index({ userId: 1, isDeleted: 1, deletedAt: -1 });
+transactionSchema.index({ userId: 1, importSessionId: 1 }, { sparse: true });
+transactionSchema.index({ userId: 1, revivedByImportSessionId: 1 }, { sparse: true });
+transactionSchema.index({ userId: 1, merchant: 1 });
+transactionSchema.index({ userId: 1, 'splits.category': 1 }, { sparse: true });
+transactionSchema.index({ userId: 1, transferGroupId: 1 }, { sparse: true });
+transactionSchema.index({ userId: 1, accountId: 1, date: -1 });
+transactionSchema.index({ userId: 1, recurringScheduleId: 1 }, { sparse: true });
 transactionSchema.index({ date: -1 });
+// Keyset pagination of the transaction list (see src/utils/transactionFilters)
+transactionSchema.index({ userId: 1, isDeleted: 1, date: -1, _id: -1 });
+transactionSchema.index({ userId: 1, isDeleted: 1, amount: -1, _id: -1 });
+// Word search; 'none' keeps payee names and short words unstemmed
+transactionSchema.index(
+  { description: 'text', merchant: 'text', category: 'text' },
+  { name: 'transaction_search', default_language: 'none', weights: { description: 5, merchant: 3, category: 1 } }
+);
 
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
@@ -188,8 +275,72 @@ const DebtPayment = require('./src/models/DebtPayment');
 const Budget = require('./src/models/Budget');
 const ImportHistory = require('./src/models/ImportHistory');
 const Portfolio = require('./src/models/Portfolio');
-const { ImportCommitQueue } = require('./src/utils/importCommitQueue');
-const importCommitQueue = new ImportCommitQueue();
+const ImportMappingProfile = require('./src/models/ImportMappingProfile');
+const ImportJob = require('./src/models/ImportJob');
+const ImportRowIssue = require('./src/models/ImportRowIssue');
+const CategoryRule = require('./src/models/CategoryRule');
+const Merchant = require('./src/models/Merchant');
+const Account = require('./src/models/Account');
+const Reconciliation = require('./src/models/Reconciliation');
+const ChangeLog = require('./src/models/ChangeLog');
+const RecurringSchedule = require('./src/models/RecurringSchedule');
+const Tag = require('./src/models/Tag');
+const Attachment = require('./src/models/Attachment');
+const { detectBestProfile, profileToColumnMapping } = require('./src/utils/importMappingProfiles');
+const { mapImportRow, validateColumnMapping } = require('./src/utils/importRowMapper');
+const { readStatement } = require('./src/utils/statementReader');
+const { compileCategoryRules, applyCategoryRules, isUncategorized } = require('./src/utils/categoryRules');
+const { trainCategoryModel, suggestCategory } = require('./src/utils/categorySuggester');
+const { compileMerchantAliases, extractMerchant, isDetectedMerchant } = require('./src/utils/merchants');
+const { findTransferPairs, loadTransferCounterparts } = require('./src/utils/transfers');
+const { resolveAccountId } = require('./src/utils/accountBalances');
+const {
+  isWithinLockedPeriod,
+  isReconciledOrLocked,
+  getReconciliationLockError,
+  loadAccountsById: loadAccountsByIdFrom
+} = require('./src/utils/reconciliation');
+const { rollbackImportSession: rollbackImportSessionRows } = require('./src/utils/importRollback');
+const { createRecurringScheduler } = require('./src/utils/recurringScheduler');
+const {
+  buildTransactionFilter,
+  parseTransactionListOptions,
+  buildTransactionSort,
+  applyKeyset,
+  encodeCursor
+} = require('./src/utils/transactionFilters');
+const { createAuditTrail } = require('./src/utils/auditTrail');
+const { createTrashPurger, backfillDeletedAt } = require('./src/utils/trashRetention');
+const { normalizeTags, validateTags, registerTags } = require('./src/utils/tags');
+const { createAttachmentStorage, deleteAttachments } = require('./src/utils/attachmentStorage');
+const {
+  normalizeSplits,
+  validateSplits,
+  getPrimarySplitCategory,
+  getTransactionCategories,
+  SPLIT_LINE_STAGES
+} = require('./src/utils/transactionSplits');
+const ImportCommitCounter = require('./src/models/ImportCommitCounter');
+const ImportCommitLease = require('./src/models/ImportCommitLease');
+const { MongoImportCommitQueue } = require('./src/utils/importCommitQueue');
+const { insertImportRecords, restoreImportRecords } = require('./src/utils/importBulkWriter');
+const { recoverInterruptedJobs, createImportJobTracker } = require('./src/utils/importJobs');
+const { saveImportRowIssues } = require('./src/utils/importRowIssues');
+// Import commits are serialized per user across every server instance, and
+// commitOrder keeps counting up from the user's latest ImportHistory entry.
+const importCommitQueue = new MongoImportCommitQueue({
+  leaseModel: ImportCommitLease,
+  counterModel: ImportCommitCounter,
+  getInitialCommitOrder: async (userId) => {
+    const latest = await ImportHistory.findOne({ userId })
+      .sort({ commitOrder: -1 })
+      .select('commitOrder')
+      .lean();
+    return latest?.commitOrder || 0;
+  },
+  instanceId: INSTANCE_ID,
+  leaseMs: IMPORT_COMMIT_LEASE_MS
+});
 
 // Import controllers
 const { register, login, getProfile, updateProfile, updatePassword } = require('./src/controllers/authController');
@@ -197,6 +348,19 @@ const salaryPlannerController = require('./src/controllers/salaryPlannerControll
 const debtController = require('./src/controllers/debtController');
 const analyticsController = require('./src/controllers/analyticsController');
 const portfolioController = require('./src/controllers/portfolioController');
+const importProfileController = require('./src/controllers/importProfileController');
+const categoryRuleController = require('./src/controllers/categoryRuleController');
+const merchantController = require('./src/controllers/merchantController');
+const transferController = require('./src/controllers/transferController');
+const accountController = require('./src/controllers/accountController');
+const reconciliationController = require('./src/controllers/reconciliationController');
+const recurringScheduleController = require('./src/controllers/recurringScheduleController');
+const recurringDetectionController = require('./src/controllers/recurringDetectionController');
+const transactionBulkController = require('./src/controllers/transactionBulkController');
+const historyController = require('./src/controllers/historyController');
+const trashController = require('./src/controllers/trashController');
+const tagController = require('./src/controllers/tagController');
+const attachmentController = require('./src/controllers/attachmentController');
 
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -263,6 +427,12 @@ app.use((req, res, next) => {
   req.app.locals.Transaction = Transaction;
   req.app.locals.analyticsCache = analyticsCache;
   req.app.locals.analyticsCacheTTLms = ANALYTICS_CACHE_TTL_MS;
+  req.app.locals.updateBudgetSpentAmount = updateBudgetSpentAmount;
+  req.app.locals.recurringScheduler = recurringScheduler;
+  req.app.locals.auditTrail = auditTrail;
+  req.app.locals.trashPurger = trashPurger;
+  req.app.locals.attachmentStorage = attachmentStorage;
+  req.app.locals.attachmentMaxBytes = ATTACHMENT_MAX_FILE_MB * 1024 * 1024;
   next();
 });
 
@@ -272,36 +442,83 @@ app.on('transaction-updated', (payload) => {
   }
 });
 
-// Helper for Robust Date Parsing
-const parseDate = (dateStr) => {
-  if (!dateStr) return null;
-  const cleanStr = dateStr.toString().trim();
-
-  // Try ISO format first (YYYY-MM-DD)
-  let date = new Date(cleanStr);
-  if (!isNaN(date.getTime())) return date;
-
-  // Try DD/MM/YYYY or DD-MM-YYYY
-  const dmyMatch = cleanStr.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})/);
-  if (dmyMatch) {
-    const day = parseInt(dmyMatch[1], 10);
-    const month = parseInt(dmyMatch[2], 10) - 1; // Months are 0-indexed
-    const year = parseInt(dmyMatch[3], 10);
-    date = new Date(year, month, day);
-    if (!isNaN(date.getTime())) return date;
+// Loads the user's enabled categorization rules in evaluation order.
+const loadCategoryRules = async (userId) => {
+  const rules = await CategoryRule.find({ userId, enabled: true }).lean();
+  return compileCategoryRules(rules);
+};
+
+// Loads the user's merchant aliases merged with the built-in table.
+const loadMerchantAliases = async (userId) => {
+  const merchants = await Merchant.find({ userId }).select('name aliases').lean();
+  return compileMerchantAliases(merchants);
+};
+
+// Loads the given accounts keyed by id, for reconciliation lock checks
+const loadAccountsById = (userId, accountIds) => loadAccountsByIdFrom(Account, userId, accountIds);
+
+// Trains the category suggester on the user's most recent categorized
+// transactions.
+const loadCategorySuggestionModel = async (userId) => {
+  const history = await Transaction.find({
+    userId,
+    isDeleted: false,
+    category: { $nin: ['', 'Uncategorized'] }
+  })
+    .select('description category type')
+    .sort({ date: -1 })
+    .limit(CATEGORY_SUGGESTION_HISTORY_LIMIT)
+    .lean();
+  return trainCategoryModel(history);
+};
+
+// Resolves the column mapping for import/dry-run from either a saved profile
+// (`profileId`) or a raw `columnMapping` JSON string.
+const resolveColumnMapping = async (req) => {
+  const { columnMapping, profileId } = req.body;
+
+  if (profileId) {
+    if (!mongoose.Types.ObjectId.isValid(profileId)) {
+      return { error: 'Invalid profileId' };
+    }
+    const profile = await ImportMappingProfile.findOne({ _id: profileId, userId: req.userId });
+    if (!profile) {
+      return { error: 'Import profile not found', status: 404 };
+    }
+    await ImportMappingProfile.updateOne({ _id: profile._id }, { lastUsedAt: new Date() });
+    return { mapping: profileToColumnMapping(profile), profile };
   }
 
-  // Try MM/DD/YYYY or MM-DD-YYYY
-  const mdyMatch = cleanStr.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})/);
-  if (mdyMatch) {
-    const month = parseInt(mdyMatch[1], 10) - 1;
-    const day = parseInt(mdyMatch[2], 10);
-    const year = parseInt(mdyMatch[3], 10);
-    date = new Date(year, month, day);
-    if (!isNaN(date.getTime())) return date;
+  if (!columnMapping) {
+    return { error: 'Column mapping or profileId is required' };
   }
 
-  return null;
+  let mapping;
+  try {
+    mapping = typeof columnMapping === 'string' ? JSON.parse(columnMapping) : columnMapping;
+  } catch (parseError) {
+    return { error: 'Column mapping must be valid JSON' };
+  }
+
+  const mappingError = validateColumnMapping(mapping);
+  if (mappingError) {
+    return { error: mappingError };
+  }
+  return { mapping };
+};
+
+const getStatementOptions = (req) => ({
+  dateFormat: req.body.dateFormat,
+  sheet: req.body.sheet,
+  headerRowOffset: req.body.headerRowOffset
+});
+
+// OFX/QFX and QIF files carry a fixed layout; only CSV needs a column mapping.
+const resolveStatementMapping = async (req, statement) => {
+  if (statement.mapping) {
+    return { mapping: statement.mapping };
+  }
+  return resolveColumnMapping(req);
 };
 
 // CSV Preview Endpoint
@@ -315,37 +532,40 @@ app.post('/api/csv/preview', authenticateToken, upload.single('file'), async (re
     const limit = parseInt(req.body.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const results = [];
-    const headers = [];
-    let headerCaptured = false;
-    let rowCount = 0;
-    let totalRows = 0;
-
-    const stream = Readable.from(req.file.buffer.toString());
-
-    await new Promise((resolve, reject) => {
-      stream
-        .pipe(csv())
-        .on('data', (data) => {
-          if (!headerCaptured) {
-            headers.push(...Object.keys(data));
-            headerCaptured = true;
-          }
-
-          totalRows++;
+    const statement = await readStatement(req.file, getStatementOptions(req));
+    if (statement.error) {
+      return res.status(400).json({ error: statement.error, sheets: statement.sheets });
+    }
+    const { headers } = statement;
+    const totalRows = statement.rows.length;
+    const results = statement.rows.slice(skip, skip + limit);
 
-          // Only store rows for the current page
-          if (totalRows > skip && results.length < limit) {
-            results.push(data);
-          }
-        })
-        .on('end', resolve)
-        .on('error', reject);
-    });
+    let suggestedProfile = null;
+    if (!statement.mapping) {
+      try {
+        const profiles = await ImportMappingProfile.find({ userId: req.userId }).lean();
+        const match = detectBestProfile(profiles, headers);
+        if (match) {
+          suggestedProfile = {
+            profileId: match.profile._id,
+            name: match.profile.name,
+            score: match.score,
+            columnMapping: profileToColumnMapping(match.profile)
+          };
+        }
+      } catch (profileError) {
+        console.error('Failed to detect import profile:', profileError.message);
+      }
+    }
 
     res.json({
+      format: statement.format,
+      sheets: statement.sheets,
+      sheet: statement.sheet,
       headers,
       data: results,
+      columnMapping: statement.mapping,
+      suggestedProfile,
       pagination: {
         page: page,
         limit: limit,
@@ -361,246 +581,437 @@ app.post('/api/csv/preview', authenticateToken, upload.single('file'), async (re
   }
 });
 
-// CSV Import with Column Mapping & History
-app.post('/api/csv/import', authenticateToken, upload.single('file'), async (req, res) => {
-  try {
-    console.log('CSV import request received');
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+// Rolls back an import session; see src/utils/importRollback
+const rollbackImportSession = (userId, importSessionId) => rollbackImportSessionRows({
+  transactionModel: Transaction,
+  userId,
+  importSessionId,
+  loadAccounts: (accountIds) => loadAccountsById(userId, accountIds),
+  auditTrail,
+  updateBudgetSpentAmount
+});
+
+// Records the rows an import session inserted or revived in the change log.
+// `restored` holds the revived rows as they were read before the import.
+const recordImportHistory = async (userId, importSessionId, restored) => {
+  const rows = await Transaction.find({
+    userId,
+    isDeleted: false,
+    $or: [{ importSessionId }, { revivedByImportSessionId: importSessionId }]
+  }).lean();
+  const previousById = new Map(restored.map(({ existing }) => [
+    String(existing._id),
+    { ...existing.toObject(), isDeleted: true }
+  ]));
+  await auditTrail.record({
+    userId,
+    entityType: 'transaction',
+    source: 'import',
+    changes: rows.map((row) => ({ before: previousById.get(String(row._id)) || null, after: row }))
+  });
+};
 
-    const { columnMapping } = req.body;
-    console.log('Column mapping received:', columnMapping);
+const createImportSessionId = () => (crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex'));
 
-    if (!columnMapping) {
-      return res.status(400).json({ error: 'Column mapping is required' });
+const getImportConcurrency = (requested) => {
+  const requestedConcurrency = Number(requested);
+  return Number.isFinite(requestedConcurrency)
+    ? Math.max(1, Math.min(MAX_IMPORT_CONCURRENCY, Math.trunc(requestedConcurrency)))
+    : IMPORT_CONCURRENCY;
+};
+
+// Maps every statement row to a transaction record with its fingerprint.
+// Category rules and merchant detection run after fingerprinting so editing
+// rules or aliases later does not change how re-imported rows are deduplicated.
+const buildImportRecords = (statement, mapping, userId, { rules = [], merchantAliases, accountId } = {}) => {
+  const results = [];
+  const errors = [];
+  let processedRows = 0;
+  let skippedRows = 0;
+
+  for (const data of statement.rows) {
+    try {
+      processedRows++;
+
+      // Map statement columns to transaction fields
+      const mapped = mapImportRow(data, mapping, { userId, rowNumber: processedRows });
+      if (mapped.error) {
+        errors.push({ row: processedRows, error: mapped.error });
+        skippedRows++;
+        continue;
+      }
+      const { transaction } = mapped;
+
+      // Generate deterministic fingerprint for deduplication
+      transaction.fingerprint = buildTransactionFingerprint(transaction);
+      applyCategoryRules(rules, transaction);
+      transaction.merchant = extractMerchant(transaction.description, merchantAliases) || undefined;
+      if (transaction.merchant) transaction.merchantSource = 'detected';
+      if (accountId) transaction.accountId = accountId;
+
+      results.push(transaction);
+    } catch (error) {
+      console.error('Error processing row:', error);
+      errors.push({ row: processedRows, error: error.message });
+      skippedRows++;
     }
+  }
 
-    const mapping = JSON.parse(columnMapping);
-    const results = [];
-    const errors = [];
-    let processedRows = 0;
-    let skippedRows = 0;
-    let duplicateRows = 0;
-
-    const stream = Readable.from(req.file.buffer.toString());
-
-    await new Promise((resolve, reject) => {
-      stream
-        .pipe(csv())
-        .on('data', (data) => {
-          try {
-            processedRows++;
-
-            const parsedDate = parseDate(data[mapping.date]);
-            const amountStr = (data[mapping.amount] || '0').toString().replace(/[^0-9.-]+/g, '');
-            const parsedAmount = parseFloat(amountStr);
-
-            // Map CSV columns to transaction fields
-            const transaction = {
-              userId: req.userId,
-              date: parsedDate,
-              amount: isNaN(parsedAmount) ? 0 : parsedAmount,
-              type: (data[mapping.type] || 'expense').toLowerCase(),
-              category: data[mapping.category] || 'Uncategorized',
-              description: data[mapping.description] || '',
-              tags: [],
-              rowNumber: processedRows
-            };
-
-            // Validate required fields
-            if (!transaction.date || isNaN(transaction.date.getTime())) {
-              errors.push({ row: processedRows, error: 'Invalid date format' });
-              skippedRows++;
-              return;
-            }
-
-            if (transaction.amount <= 0) {
-              errors.push({ row: processedRows, error: 'Invalid amount' });
-              skippedRows++;
-              return;
-            }
-
-            if (!['income', 'expense'].includes(transaction.type)) {
-              transaction.type = 'expense';
-            }
-
-            // Generate deterministic fingerprint for deduplication
-            transaction.fingerprint = buildTransactionFingerprint(transaction);
-
-            results.push(transaction);
-          } catch (error) {
-            console.error('Error processing row:', error);
-            errors.push({ row: processedRows, error: error.message });
-            skippedRows++;
-          }
-        })
-        .on('end', resolve)
-        .on('error', (error) => {
-          console.error('CSV parsing error:', error);
-          reject(error);
-        });
-    });
+  return { results, errors, processedRows, skippedRows, rows: statement.rows };
+};
 
-    console.log(`Processed ${processedRows} rows, ${results.length} valid transactions, ${errors.length} errors`);
+// Why an imported row cannot be written, or null. New rows must not land in a
+// reconciled period, and revived ones (`existing`) must not bring a reconciled
+// row back into the balance either.
+const getImportLockError = (record, existing, accounts) => {
+  if (existing && isReconciledOrLocked(existing, accounts)) {
+    return 'Transaction is in a reconciled period';
+  }
+  const accountId = record.accountId || existing?.accountId;
+  if (isWithinLockedPeriod(accountId ? accounts.get(String(accountId)) : null, record.date)) {
+    return 'Transaction would fall inside a reconciled period';
+  }
+  return null;
+};
 
-    const importSessionId = crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex');
+// Pairs rows an import just added with opposite-sign transactions from
+// other sources so the user can confirm them as transfers
+const MAX_IMPORT_TRANSFER_CANDIDATES = 50;
+const findImportTransferCandidates = async (userId, importSessionId) => {
+  const sessionRows = await Transaction.find({
+    userId,
+    importSessionId,
+    isDeleted: false,
+    type: { $in: ['income', 'expense'] }
+  })
+    .select('date amount type description category importSessionId accountId')
+    .lean();
+  const rows = sessionRows.map((transaction) => ({
+    id: transaction._id,
+    type: transaction.type,
+    amount: transaction.amount,
+    date: transaction.date,
+    source: importSessionId,
+    accountId: transaction.accountId || null,
+    transaction
+  }));
+  const counterparts = await loadTransferCounterparts(Transaction, userId, rows);
+  return findTransferPairs(rows, counterparts)
+    .slice(0, MAX_IMPORT_TRANSFER_CANDIDATES)
+    .map((pair) => ({
+      transaction: pair.row.transaction,
+      counterpart: pair.counterpart.transaction,
+      dayGap: pair.dayGap
+    }));
+};
 
-    const responseData = await importCommitQueue.enqueue(req.userId, async ({ commitOrder }) => {
-      let insertedCount = 0;
-      if (results.length > 0) {
-        const requestedConcurrency = Number(req.body?.concurrency);
-        const effectiveConcurrency = Number.isFinite(requestedConcurrency)
-          ? Math.max(1, Math.min(MAX_IMPORT_CONCURRENCY, Math.trunc(requestedConcurrency)))
-          : IMPORT_CONCURRENCY;
-        const sortedResults = [...results].sort((a, b) => a.rowNumber - b.rowNumber);
-        let individualSuccess = 0;
-        const uniqueFingerprints = Array.from(new Set(sortedResults.map((record) => record.fingerprint)));
-        let existingTransactions = [];
-        try {
-          existingTransactions = await Transaction.find({
-            userId: req.userId,
-            fingerprint: { $in: uniqueFingerprints }
-          }).maxTimeMS(15000);
-        } catch (findExistingErr) {
-          console.error('Failed to prefetch existing transactions for dedupe:', findExistingErr.message);
-        }
+// Commits mapped import records for one user through the per-user commit
+// queue and records the ImportHistory entry. Shared by the synchronous import
+// endpoint and background import jobs.
+//  - onProgress(counters) is called as rows are committed
+//  - isCancelled() is checked between write batches; a cancelled import is
+//    rolled back
+const commitImport = ({
+  app: expressApp,
+  userId,
+  importSessionId,
+  records,
+  fileName,
+  sourceFormat,
+  profileId,
+  accountId,
+  concurrency,
+  onProgress = () => {},
+  isCancelled = () => false
+}) => importCommitQueue.enqueue(userId, async ({ commitOrder }) => {
+  const { results, processedRows, skippedRows } = records;
+  const errors = [...records.errors];
+  const duplicates = [];
+  let insertedCount = 0;
+  let transferCandidates = [];
+  let duplicateRows = 0;
+  let cancelled = false;
+
+  // Counts from the bulk write in progress; folded into the totals above once
+  // that write finishes.
+  let pending = { inserted: 0, duplicates: 0, errors: 0 };
+
+  const reportProgress = (phase) => {
+    const insertedRows = insertedCount + pending.inserted;
+    const duplicateTotal = duplicateRows + pending.duplicates;
+    const errorRows = errors.length + pending.errors;
+    return onProgress({
+      phase,
+      totalRows: processedRows,
+      processedRows: insertedRows + duplicateTotal + errorRows,
+      insertedRows,
+      duplicateRows: duplicateTotal,
+      errorRows
+    });
+  };
 
-        const existingByFingerprint = new Map(
-          existingTransactions.map((existingTx) => [existingTx.fingerprint, existingTx])
-        );
-        const seenNewFingerprints = new Set();
-        const rowsToInsert = [];
-        const rowsToRestore = [];
-
-        for (const record of sortedResults) {
-          const existing = existingByFingerprint.get(record.fingerprint);
-          if (existing) {
-            if (existing.isDeleted) {
-              rowsToRestore.push({ existing, record });
-              existing.isDeleted = false;
-            } else {
-              duplicateRows++;
-            }
-            continue;
-          }
+  if (results.length > 0) {
+    const effectiveConcurrency = getImportConcurrency(concurrency);
+    const sortedResults = [...results].sort((a, b) => a.rowNumber - b.rowNumber);
+    const uniqueFingerprints = Array.from(new Set(sortedResults.map((record) => record.fingerprint)));
+    let existingTransactions = [];
+    await reportProgress('deduplicating');
+    try {
+      existingTransactions = await Transaction.find({
+        userId,
+        fingerprint: { $in: uniqueFingerprints }
+      }).maxTimeMS(15000);
+    } catch (findExistingErr) {
+      console.error('Failed to prefetch existing transactions for dedupe:', findExistingErr.message);
+    }
 
-          if (seenNewFingerprints.has(record.fingerprint)) {
-            duplicateRows++;
+    const existingByFingerprint = new Map(
+      existingTransactions.map((existingTx) => [existingTx.fingerprint, existingTx])
+    );
+    const lockAccounts = await loadAccountsById(userId, [
+      ...sortedResults.map((record) => record.accountId),
+      ...existingTransactions.map((existingTx) => existingTx.accountId)
+    ]);
+    const seenNewFingerprints = new Set();
+    const rowsToInsert = [];
+    const rowsToRestore = [];
+
+    for (const record of sortedResults) {
+      const existing = existingByFingerprint.get(record.fingerprint);
+      if (existing) {
+        if (existing.isDeleted) {
+          const lockError = getImportLockError(record, existing, lockAccounts);
+          if (lockError) {
+            errors.push({ row: record.rowNumber, error: lockError });
             continue;
           }
-
-          seenNewFingerprints.add(record.fingerprint);
-          rowsToInsert.push(record);
+          rowsToRestore.push({ existing, record });
+          existing.isDeleted = false;
+        } else {
+          duplicateRows++;
+          duplicates.push({ row: record.rowNumber, reason: 'Duplicate transaction (already exists)' });
         }
+        continue;
+      }
 
-        for (const restoreItem of rowsToRestore) {
-          try {
-            const { existing, record } = restoreItem;
-            existing.isDeleted = false;
-            existing.amount = record.amount;
-            existing.date = record.date;
-            existing.type = record.type;
-            existing.category = record.category;
-            existing.description = record.description;
-            await existing.save();
-            individualSuccess++;
-            insertedCount++;
-          } catch (restoreErr) {
-            console.error(`Failed to restore deleted duplicate for row ${restoreItem.record.rowNumber}:`, restoreErr.message);
-            errors.push({ row: restoreItem.record.rowNumber, error: restoreErr.message });
-          }
-        }
+      if (seenNewFingerprints.has(record.fingerprint)) {
+        duplicateRows++;
+        duplicates.push({ row: record.rowNumber, reason: 'Duplicate row within the file' });
+        continue;
+      }
 
-        await runWithConcurrency(rowsToInsert, effectiveConcurrency, async (record) => {
-          try {
-            await new Transaction(record).save();
-            individualSuccess++;
-            insertedCount++;
-          } catch (indErr) {
-            if (indErr.code === 11000) {
-              duplicateRows++;
-            } else {
-              console.error(`Individual save error for row ${record.rowNumber}:`, indErr.message);
-              errors.push({ row: record.rowNumber, error: indErr.message });
-            }
-          }
-        });
-        console.log(`Bounded-concurrency import finished. CommitOrder: ${commitOrder}, Concurrency: ${effectiveConcurrency}, Success: ${individualSuccess}, Duplicates: ${duplicateRows}, Errors: ${errors.length}`);
-
-        if (insertedCount > 0) {
-          const categoriesToUpdate = new Set();
-          results.forEach((transaction) => {
-            if (transaction.type === 'expense') {
-              categoriesToUpdate.add(transaction.category);
-            }
-          });
+      const lockError = getImportLockError(record, null, lockAccounts);
+      if (lockError) {
+        errors.push({ row: record.rowNumber, error: lockError });
+        continue;
+      }
+      seenNewFingerprints.add(record.fingerprint);
+      rowsToInsert.push({ ...record, importSessionId });
+    }
 
-          for (const category of categoriesToUpdate) {
-            await updateBudgetSpentAmount(req.userId, category);
-          }
+    await reportProgress('inserting');
 
-          req.app.emit('transaction-updated', {
-            userId: req.userId,
-            action: 'import',
-            count: insertedCount,
-            categories: Array.from(categoriesToUpdate)
-          });
-        }
+    const restoreOutcome = await restoreImportRecords(Transaction, rowsToRestore, {
+      importSessionId,
+      batchSize: IMPORT_BATCH_SIZE,
+      isCancelled,
+      onBatch: ({ restored, errors: restoreErrors }) => {
+        pending = { inserted: restored, duplicates: 0, errors: restoreErrors };
+        return reportProgress('inserting');
       }
+    });
+    pending = { inserted: 0, duplicates: 0, errors: 0 };
+    insertedCount += restoreOutcome.restored.length;
+    errors.push(...restoreOutcome.errors);
+    cancelled = restoreOutcome.cancelled;
+
+    let insertOutcome = { inserted: [], duplicates: [], errors: [], cancelled: false };
+    if (!cancelled) {
+      insertOutcome = await insertImportRecords(Transaction, rowsToInsert, {
+        batchSize: IMPORT_BATCH_SIZE,
+        concurrency: effectiveConcurrency,
+        isCancelled,
+        onBatch: ({ inserted, duplicates: insertDuplicates, errors: insertErrors }) => {
+          pending = { inserted, duplicates: insertDuplicates, errors: insertErrors };
+          return reportProgress('inserting');
+        }
+      });
+      pending = { inserted: 0, duplicates: 0, errors: 0 };
+      insertedCount += insertOutcome.inserted.length;
+      duplicateRows += insertOutcome.duplicates.length;
+      duplicates.push(...insertOutcome.duplicates);
+      errors.push(...insertOutcome.errors);
+      cancelled = insertOutcome.cancelled;
+    }
+    console.log(`Bulk import finished. CommitOrder: ${commitOrder}, Batch size: ${IMPORT_BATCH_SIZE}, Concurrency: ${effectiveConcurrency}, Inserted: ${insertOutcome.inserted.length}, Restored: ${restoreOutcome.restored.length}, Duplicates: ${duplicateRows}, Errors: ${errors.length}`);
+
+    if (cancelled) {
+      const { categories, ...rollback } = await rollbackImportSession(userId, importSessionId);
+      expressApp.emit('transaction-updated', {
+        userId,
+        action: 'import-cancelled',
+        importSessionId,
+        count: rollback.removedRows + rollback.reDeletedRows,
+        categories
+      });
+      return {
+        success: false,
+        cancelled: true,
+        commit: { importSessionId, commitOrder, policy: 'per-user-serialized' },
+        rollback
+      };
+    }
 
-      let status = 'failed';
-      if (errors.length === 0) {
-        if (insertedCount > 0 || duplicateRows > 0) {
-          status = 'success';
+    if (insertedCount > 0) {
+      await reportProgress('updating-budgets');
+      // Only categories that actually gained an active expense need their
+      // budget spend recomputed.
+      const categoriesToUpdate = new Set();
+      [...restoreOutcome.restored.map(({ record }) => record), ...insertOutcome.inserted].forEach((transaction) => {
+        if (transaction.type === 'expense') {
+          categoriesToUpdate.add(transaction.category);
         }
-      } else if (insertedCount > 0 || duplicateRows > 0) {
-        status = 'partial';
+      });
+
+      for (const category of categoriesToUpdate) {
+        await updateBudgetSpentAmount(userId, category);
       }
+      await recordImportHistory(userId, importSessionId, restoreOutcome.restored);
+      await registerTags(
+        Tag,
+        userId,
+        [...restoreOutcome.restored.map(({ record }) => record), ...insertOutcome.inserted].flatMap((transaction) => transaction.tags || [])
+      );
+
+      expressApp.emit('transaction-updated', {
+        userId,
+        action: 'import',
+        count: insertedCount,
+        categories: Array.from(categoriesToUpdate)
+      });
 
       try {
-        await ImportHistory.create({
-          userId: req.userId,
-          fileName: req.file.originalname,
-          importSessionId,
-          commitOrder,
-          commitPolicy: 'per-user-serialized',
-          status,
-          summary: {
-            totalRows: processedRows,
-            insertedRows: insertedCount,
-            skippedRows,
-            duplicateRows,
-            errors: errors.length
-          }
-        });
-      } catch (histError) {
-        console.error('Failed to save import history:', histError);
+        transferCandidates = await findImportTransferCandidates(userId, importSessionId);
+      } catch (transferError) {
+        console.error('Transfer candidate lookup failed:', transferError.message);
       }
+    }
+  }
 
-      return {
-        success: status === 'success' || status === 'partial',
-        commit: {
-          importSessionId,
-          commitOrder,
-          policy: 'per-user-serialized'
-        },
-        summary: {
-          totalRows: processedRows,
-          insertedRows: insertedCount,
-          skippedRows,
-          duplicateRows,
-          errors: errors.length
-        },
-        errors: errors.slice(0, 50),
-        debug: {
-          userId: req.userId,
-          resultsLength: results.length,
-          processedRows,
-          duplicateRows,
-          insertedCount
-        }
-      };
+  let status = 'failed';
+  if (errors.length === 0) {
+    if (insertedCount > 0 || duplicateRows > 0) {
+      status = 'success';
+    }
+  } else if (insertedCount > 0 || duplicateRows > 0) {
+    status = 'partial';
+  }
+
+  await reportProgress('recording-history');
+  try {
+    await ImportHistory.create({
+      userId,
+      fileName,
+      importSessionId,
+      sourceFormat,
+      profileId,
+      accountId,
+      commitOrder,
+      commitPolicy: 'per-user-serialized',
+      status,
+      summary: {
+        totalRows: processedRows,
+        insertedRows: insertedCount,
+        skippedRows,
+        duplicateRows,
+        errors: errors.length
+      }
+    });
+  } catch (histError) {
+    console.error('Failed to save import history:', histError);
+  }
+
+  try {
+    await saveImportRowIssues({
+      issueModel: ImportRowIssue,
+      batchSize: IMPORT_ISSUE_BATCH_SIZE,
+      userId,
+      importSessionId,
+      rows: records.rows,
+      errors,
+      duplicates
+    });
+  } catch (issueError) {
+    console.error('Failed to save import row issues:', issueError);
+  }
+
+  return {
+    success: status === 'success' || status === 'partial',
+    commit: {
+      importSessionId,
+      commitOrder,
+      policy: 'per-user-serialized'
+    },
+    summary: {
+      totalRows: processedRows,
+      insertedRows: insertedCount,
+      skippedRows,
+      duplicateRows,
+      errors: errors.length
+    },
+    errors: errors.slice(0, 50),
+    transferCandidates,
+    debug: {
+      userId,
+      resultsLength: results.length,
+      processedRows,
+      duplicateRows,
+      insertedCount
+    }
+  };
+});
+
+// CSV Import with Column Mapping & History
+app.post('/api/csv/import', authenticateToken, upload.single('file'), async (req, res) => {
+  try {
+    console.log('CSV import request received');
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const statement = await readStatement(req.file, getStatementOptions(req));
+    if (statement.error) {
+      return res.status(400).json({ error: statement.error, sheets: statement.sheets });
+    }
+    const { mapping, profile, error: mappingError, status: mappingStatus } = await resolveStatementMapping(req, statement);
+    console.log(`Column mapping resolved (${statement.format}):`, mapping, profile ? `(profile ${profile.name})` : '');
+
+    if (mappingError) {
+      return res.status(mappingStatus || 400).json({ error: mappingError });
+    }
+
+    const account = await resolveAccountId(Account, req.userId, req.body?.accountId);
+    if (account.error) {
+      return res.status(400).json({ error: account.error });
+    }
+
+    const records = buildImportRecords(statement, mapping, req.userId, {
+      rules: await loadCategoryRules(req.userId),
+      merchantAliases: await loadMerchantAliases(req.userId),
+      accountId: account.accountId
+    });
+    console.log(`Processed ${records.processedRows} rows, ${records.results.length} valid transactions, ${records.errors.length} errors`);
+
+    const responseData = await commitImport({
+      app: req.app,
+      userId: req.userId,
+      importSessionId: createImportSessionId(),
+      records,
+      fileName: req.file.originalname,
+      sourceFormat: statement.format,
+      profileId: profile?._id,
+      accountId: account.accountId,
+      concurrency: req.body?.concurrency
     });
 
     console.log('Sending response:', responseData);
@@ -617,6 +1028,169 @@ app.post('/api/csv/import', authenticateToken, upload.single('file'), async (req
   }
 });
 
+// Runs an import job in the background; see src/utils/importJobs for how
+// progress, cancellation and heartbeats are kept on the ImportJob document
+const runImportJob = async ({ jobId, userId, file, body, mapping, profileId, accountId, sourceFormat, statement }) => {
+  const tracker = createImportJobTracker({
+    jobModel: ImportJob,
+    jobId,
+    instanceId: INSTANCE_ID,
+    staleMs: IMPORT_JOB_STALE_MS,
+    progressIntervalMs: IMPORT_JOB_PROGRESS_INTERVAL_MS
+  });
+
+  try {
+    const job = await tracker.claim();
+    if (!job) return;
+    const records = buildImportRecords(statement, mapping, userId, {
+      rules: await loadCategoryRules(userId),
+      merchantAliases: await loadMerchantAliases(userId),
+      accountId
+    });
+    await tracker.report({
+      phase: 'queued-for-commit',
+      totalRows: records.processedRows,
+      processedRows: records.errors.length,
+      insertedRows: 0,
+      duplicateRows: 0,
+      errorRows: records.errors.length
+    }, { force: true });
+    if (await tracker.isCancelled()) {
+      await tracker.cancel();
+      return;
+    }
+
+    const result = await commitImport({
+      app,
+      userId,
+      importSessionId: job.importSessionId,
+      records,
+      fileName: file.originalname,
+      sourceFormat,
+      profileId,
+      accountId,
+      concurrency: body?.concurrency,
+      onProgress: tracker.report,
+      isCancelled: tracker.isCancelled
+    });
+    await tracker.complete(result);
+  } catch (error) {
+    console.error(`Import job ${jobId} failed:`, error);
+    await tracker.fail(error);
+  } finally {
+    tracker.stop();
+  }
+};
+
+// Asynchronous Import Job Endpoints
+app.post('/api/csv/jobs', authenticateToken, jobUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const statement = await readStatement(req.file, getStatementOptions(req));
+    if (statement.error) {
+      return res.status(400).json({ error: statement.error, sheets: statement.sheets });
+    }
+    const { mapping, profile, error: mappingError, status: mappingStatus } = await resolveStatementMapping(req, statement);
+    if (mappingError) {
+      return res.status(mappingStatus || 400).json({ error: mappingError });
+    }
+    const account = await resolveAccountId(Account, req.userId, req.body?.accountId);
+    if (account.error) {
+      return res.status(400).json({ error: account.error });
+    }
+
+    const job = await ImportJob.create({
+      userId: req.userId,
+      importSessionId: createImportSessionId(),
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      sourceFormat: statement.format,
+      progress: { totalRows: statement.rows.length },
+      ownerId: INSTANCE_ID,
+      heartbeatAt: new Date()
+    });
+
+    setImmediate(() => {
+      runImportJob({
+        jobId: job._id,
+        userId: req.userId,
+        file: req.file,
+        body: req.body,
+        mapping,
+        profileId: profile?._id,
+        accountId: account.accountId,
+        sourceFormat: statement.format,
+        statement
+      });
+    });
+
+    res.status(202).json({
+      jobId: job._id,
+      importSessionId: job.importSessionId,
+      status: job.status,
+      statusUrl: `/api/csv/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('Create import job error:', error);
+    res.status(500).json({ error: 'Failed to start import job' });
+  }
+});
+
+app.get('/api/csv/jobs', authenticateToken, async (req, res) => {
+  try {
+    const jobs = await ImportJob.find({ userId: req.userId })
+      .select('-result')
+      .sort({ createdAt: -1 })
+      .limit(20);
+    res.json(jobs);
+  } catch (error) {
+    console.error('Fetch import jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch import jobs' });
+  }
+});
+
+app.get('/api/csv/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+    const job = await ImportJob.findOne({ _id: req.params.id, userId: req.userId });
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Fetch import job error:', error);
+    res.status(500).json({ error: 'Failed to fetch import job' });
+  }
+});
+
+app.post('/api/csv/jobs/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+    const job = await ImportJob.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId, status: { $in: ['queued', 'running'] } },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+    if (!job) {
+      const existing = await ImportJob.exists({ _id: req.params.id, userId: req.userId });
+      return existing
+        ? res.status(409).json({ error: 'Import job has already finished' })
+        : res.status(404).json({ error: 'Import job not found' });
+    }
+    res.status(202).json({ success: true, jobId: job._id, status: job.status, cancelRequested: true });
+  } catch (error) {
+    console.error('Cancel import job error:', error);
+    res.status(500).json({ error: 'Failed to cancel import job' });
+  }
+});
+
 // CSV Dry Run Validation
 app.post('/api/csv/dry-run', authenticateToken, upload.single('file'), async (req, res) => {
   try {
@@ -626,68 +1200,86 @@ app.post('/api/csv/dry-run', authenticateToken, upload.single('file'), async (re
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const { columnMapping } = req.body;
-    if (!columnMapping) {
-      return res.status(400).json({ error: 'Column mapping is required' });
+    const statement = await readStatement(req.file, getStatementOptions(req));
+    if (statement.error) {
+      return res.status(400).json({ error: statement.error, sheets: statement.sheets });
+    }
+    const { mapping, error: mappingError, status: mappingStatus } = await resolveStatementMapping(req, statement);
+    if (mappingError) {
+      return res.status(mappingStatus || 400).json({ error: mappingError });
+    }
+    const account = await resolveAccountId(Account, req.userId, req.body?.accountId);
+    if (account.error) {
+      return res.status(400).json({ error: account.error });
     }
 
-    const mapping = JSON.parse(columnMapping);
+    const rules = await loadCategoryRules(req.userId);
+    const merchantAliases = await loadMerchantAliases(req.userId);
+    let suggestionModel = null;
+    try {
+      suggestionModel = await loadCategorySuggestionModel(req.userId);
+    } catch (modelError) {
+      console.error('Failed to load category suggestion history:', modelError.message);
+    }
     const validTransactions = [];
     const errors = [];
+    const warnings = [];
+    const ruleMatches = [];
+    const suggestions = [];
     let processedRows = 0;
     let duplicateCount = 0;
+    let ambiguousDateRows = 0;
     const allTransactions = [];
 
-    const stream = Readable.from(req.file.buffer.toString());
-
-    await new Promise((resolve, reject) => {
-      stream
-        .pipe(csv())
-        .on('data', (data) => {
-          try {
-            processedRows++;
-
-            const parsedDate = parseDate(data[mapping.date]);
-            const amountStr = (data[mapping.amount] || '0').toString().replace(/[^0-9.-]+/g, '');
-            const parsedAmount = parseFloat(amountStr);
-
-            // Map CSV columns to transaction fields
-            const transaction = {
-              userId: req.userId,
-              date: parsedDate,
-              amount: isNaN(parsedAmount) ? 0 : parsedAmount,
-              type: (data[mapping.type] || 'expense').toLowerCase(),
-              category: data[mapping.category] || 'Uncategorized',
-              description: data[mapping.description] || '',
-              tags: [],
-              rowNumber: processedRows
-            };
-
-            // Validate required fields
-            if (!transaction.date || isNaN(transaction.date.getTime())) {
-              errors.push({ row: processedRows, error: 'Invalid date format', data: data });
-              return;
-            }
-
-            if (transaction.amount <= 0) {
-              errors.push({ row: processedRows, error: 'Invalid amount', data: data });
-              return;
-            }
-
-            if (!['income', 'expense'].includes(transaction.type)) {
-              transaction.type = 'expense';
-            }
-
-            transaction.fingerprint = buildTransactionFingerprint(transaction);
-
-            allTransactions.push(transaction);
-          } catch (error) {
-            errors.push({ row: processedRows, error: error.message, data: data });
+    for (const data of statement.rows) {
+      try {
+        processedRows++;
+
+        // Map statement columns to transaction fields
+        const mapped = mapImportRow(data, mapping, { userId: req.userId, rowNumber: processedRows });
+        if (mapped.error) {
+          errors.push({ row: processedRows, error: mapped.error, data: data });
+          continue;
+        }
+        const { transaction } = mapped;
+        if (mapped.dateAmbiguous) {
+          ambiguousDateRows++;
+        }
+        if (mapped.warnings.length > 0) {
+          warnings.push({ row: processedRows, warnings: mapped.warnings, dateAmbiguous: mapped.dateAmbiguous });
+        }
+
+        transaction.fingerprint = buildTransactionFingerprint(transaction);
+        const ruleMatch = applyCategoryRules(rules, transaction);
+        transaction.merchant = extractMerchant(transaction.description, merchantAliases) || undefined;
+        if (account.accountId) transaction.accountId = account.accountId;
+        if (ruleMatch && ruleMatch.changed) {
+          ruleMatches.push({
+            row: processedRows,
+            rule: { id: ruleMatch.rule._id, name: ruleMatch.rule.name },
+            category: transaction.category,
+            tags: transaction.tags
+          });
+        }
+        if (isUncategorized(transaction.category)) {
+          const suggestion = suggestCategory(suggestionModel, transaction);
+          if (suggestion) {
+            transaction.suggestedCategory = suggestion.category;
+            transaction.suggestionConfidence = suggestion.confidence;
+            suggestions.push({
+              row: processedRows,
+              description: transaction.description,
+              suggestedCategory: suggestion.category,
+              confidence: suggestion.confidence
+            });
           }
-        })
-        .on('end', resolve)
-        .on('error', reject);
-    });
+        }
+
+        allTransactions.push(transaction);
+      } catch (error) {
+        errors.push({ row: processedRows, error: error.message, data: data });
+      }
+    }
 
     console.log(`Processed ${processedRows} rows, ${allTransactions.length} valid transactions`);
 
@@ -722,19 +1314,57 @@ app.post('/api/csv/dry-run', authenticateToken, upload.single('file'), async (re
       });
     }
 
+    // Rows matching an opposite-sign transaction already on file (e.g. the
+    // other account's side of a transfer) are proposed as transfers
+    let transferCandidates = [];
+    try {
+      const fileRows = validTransactions.map((transaction) => ({
+        type: transaction.type,
+        amount: transaction.amount,
+        date: transaction.date,
+        source: 'file',
+        accountId: transaction.accountId,
+        transaction
+      }));
+      const counterparts = await loadTransferCounterparts(Transaction, req.userId, fileRows);
+      transferCandidates = findTransferPairs(fileRows, counterparts).map((pair) => ({
+        row: pair.row.transaction.rowNumber,
+        description: pair.row.transaction.description,
+        amount: pair.row.transaction.amount,
+        type: pair.row.transaction.type,
+        counterpart: pair.counterpart.transaction,
+        dayGap: pair.dayGap
+      }));
+    } catch (transferError) {
+      console.error('Transfer candidate lookup failed:', transferError.message);
+    }
+
     const result = {
       success: true,
       dryRun: true,
+      format: statement.format,
+      accountId: account.accountId || null,
       summary: {
         totalRows: processedRows,
         validRows: validTransactions.length,
         errorRows: errors.filter(e => !e.isDuplicate).length,
         duplicateRows: duplicateCount,
-        totalErrors: errors.length
+        totalErrors: errors.length,
+        warningRows: warnings.length,
+        ambiguousDateRows,
+        categorizedRows: ruleMatches.length,
+        suggestedRows: suggestions.length,
+        transferCandidateRows: transferCandidates.length
       },
+      dateFormat: mapping.dateFormat || null,
+      numberLocale: mapping.numberLocale || null,
       validation: {
         validTransactions: validTransactions.slice(0, 5),
         errors: errors.slice(0, 10),
+        warnings: warnings.slice(0, 10),
+        ruleMatches: ruleMatches.slice(0, 10),
+        suggestions,
+        transferCandidates,
         duplicates: errors.filter(e => e.isDuplicate)
       }
     };
@@ -760,80 +1390,407 @@ app.get('/api/csv/history', authenticateToken, async (req, res) => {
   }
 });
 
-// Routes for Salary Planner, Transactions, Budgets, Auth, etc.
-app.get('/api/transactions', authenticateToken, async (req, res) => {
+// Import Error Report Endpoint
+app.get('/api/csv/history/:importSessionId/errors', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 50, type, category, search, startDate, endDate } = req.query;
-    const filter = { isDeleted: false, userId: req.userId };
+    const { importSessionId } = req.params;
+    const { kind, format } = req.query;
+    const history = await ImportHistory.findOne({ userId: req.userId, importSessionId }).lean();
+    if (!history) {
+      return res.status(404).json({ error: 'Import session not found' });
+    }
+    if (kind && !['error', 'duplicate'].includes(kind)) {
+      return res.status(400).json({ error: 'kind must be error or duplicate' });
+    }
+
+    const filter = { userId: req.userId, importSessionId };
+    if (kind) filter.kind = kind;
+
+    if (format === 'csv') {
+      const issues = await ImportRowIssue.find(filter).sort({ row: 1 }).lean();
+      // Original columns first so the file can be fixed and re-imported with the same mapping
+      const dataColumns = [];
+      const seenColumns = new Set();
+      issues.forEach((issue) => {
+        (issue.data || []).forEach(({ column }) => {
+          if (!seenColumns.has(column)) {
+            seenColumns.add(column);
+            dataColumns.push(column);
+          }
+        });
+      });
 
-    if (type) filter.type = type;
-    if (category) filter.category = category;
+      const stringifier = createObjectCsvStringifier({
+        header: [
+          ...dataColumns.map((column) => ({ id: `data:${column}`, title: column })),
+          { id: 'row', title: 'Import Row' },
+          { id: 'kind', title: 'Import Issue' },
+          { id: 'reason', title: 'Import Reason' }
+        ]
+      });
+      const records = issues.map((issue) => {
+        const record = { row: issue.row, kind: issue.kind, reason: issue.reason };
+        (issue.data || []).forEach(({ column, value }) => {
+          record[`data:${column}`] = value instanceof Date ? value.toISOString() : value;
+        });
+        return record;
+      });
 
-    // Add date range filtering
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) {
-        filter.date.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        filter.date.$lte = new Date(endDate);
+      const safeName = String(history.fileName || 'import').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeName}-issues.csv"`);
+      return res.send(stringifier.getHeaderString() + stringifier.stringifyRecords(records));
+    }
+
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+    const [issues, total] = await Promise.all([
+      ImportRowIssue.find(filter)
+        .select('-userId -__v')
+        .sort({ row: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ImportRowIssue.countDocuments(filter)
+    ]);
+
+    res.json({
+      importSessionId,
+      fileName: history.fileName,
+      issues: issues.map((issue) => ({
+        ...issue,
+        data: Object.fromEntries((issue.data || []).map(({ column, value }) => [column, value]))
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
       }
+    });
+  } catch (error) {
+    console.error('Fetch import errors error:', error);
+    res.status(500).json({ error: 'Failed to fetch import errors' });
+  }
+});
+
+// Import Rollback Endpoint
+app.delete('/api/csv/history/:importSessionId', authenticateToken, async (req, res) => {
+  try {
+    const { importSessionId } = req.params;
+    const history = await ImportHistory.findOne({ userId: req.userId, importSessionId });
+    if (!history) {
+      return res.status(404).json({ error: 'Import session not found' });
+    }
+    if (history.rolledBack) {
+      return res.status(409).json({ error: 'Import session has already been rolled back' });
     }
 
-    // Add search functionality
-    if (search) {
-      filter.$or = [
-        { description: { $regex: search, $options: 'i' } },
-        { category: { $regex: search, $options: 'i' } }
-      ];
+    // Serialized with imports so a rollback never interleaves with a commit for
+    // the same user; a rollback that queued behind another one finds it done
+    const responseData = await importCommitQueue.enqueue(req.userId, async ({ commitOrder }) => {
+      if (await ImportHistory.exists({ _id: history._id, rolledBack: true })) {
+        return null;
+      }
+      const { categories, ...counts } = await rollbackImportSession(req.userId, importSessionId);
+      const rollback = { ...counts, commitOrder };
+      await ImportHistory.updateOne(
+        { _id: history._id, rolledBack: { $ne: true } },
+        { $set: { rolledBack: true, rolledBackAt: new Date(), rollback } }
+      );
+
+      req.app.emit('transaction-updated', {
+        userId: req.userId,
+        action: 'import-rollback',
+        importSessionId,
+        count: rollback.removedRows + rollback.reDeletedRows,
+        categories
+      });
+
+      return { success: true, importSessionId, rollback };
+    });
+
+    if (!responseData) {
+      return res.status(409).json({ error: 'Import session has already been rolled back' });
     }
+    res.json(responseData);
+  } catch (error) {
+    console.error('Import rollback error:', error);
+    res.status(500).json({ error: 'Failed to roll back import' });
+  }
+});
 
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
+// Import Mapping Profile Routes
+app.get('/api/csv/profiles', authenticateToken, importProfileController.getProfiles);
+app.post('/api/csv/profiles', authenticateToken, importProfileController.createProfile);
+app.put('/api/csv/profiles/:id', authenticateToken, importProfileController.updateProfile);
+app.delete('/api/csv/profiles/:id', authenticateToken, importProfileController.deleteProfile);
+
+// Category Rule Routes
+app.get('/api/category-rules', authenticateToken, categoryRuleController.getRules);
+app.post('/api/category-rules', authenticateToken, categoryRuleController.createRule);
+app.post('/api/category-rules/preview', authenticateToken, categoryRuleController.previewRules);
+app.post('/api/category-rules/apply', authenticateToken, categoryRuleController.applyRules);
+app.put('/api/category-rules/:id', authenticateToken, categoryRuleController.updateRule);
+app.delete('/api/category-rules/:id', authenticateToken, categoryRuleController.deleteRule);
+
+// Merchant Routes
+app.get('/api/merchants', authenticateToken, merchantController.getMerchants);
+app.post('/api/merchants', authenticateToken, merchantController.createMerchant);
+app.post('/api/merchants/merge', authenticateToken, merchantController.mergeMerchants);
+app.post('/api/merchants/rename', authenticateToken, merchantController.renameMerchant);
+app.post('/api/merchants/refresh', authenticateToken, merchantController.refreshMerchants);
+app.put('/api/merchants/:id', authenticateToken, merchantController.updateMerchant);
+app.delete('/api/merchants/:id', authenticateToken, merchantController.deleteMerchant);
+
+// Tag Routes
+app.get('/api/tags', authenticateToken, tagController.getTags);
+app.post('/api/tags', authenticateToken, tagController.createTag);
+app.put('/api/tags/:id', authenticateToken, tagController.updateTag);
+app.delete('/api/tags/:id', authenticateToken, tagController.deleteTag);
+
+// Account Routes
+app.get('/api/accounts', authenticateToken, accountController.getAccounts);
+app.post('/api/accounts', authenticateToken, accountController.createAccount);
+app.put('/api/accounts/:id', authenticateToken, accountController.updateAccount);
+app.delete('/api/accounts/:id', authenticateToken, accountController.deleteAccount);
+app.get('/api/accounts/:id/balance', authenticateToken, accountController.getAccountBalance);
+app.get('/api/accounts/:id/reconciliation', authenticateToken, reconciliationController.getReconciliationStatus);
+app.get('/api/accounts/:id/reconciliations', authenticateToken, reconciliationController.getReconciliations);
+app.post('/api/accounts/:id/reconciliations', authenticateToken, reconciliationController.completeReconciliation);
+app.delete('/api/accounts/:id/reconciliations/:reconciliationId', authenticateToken, reconciliationController.undoReconciliation);
+app.post('/api/transactions/cleared', authenticateToken, reconciliationController.setClearedStatus);
+
+// Recurring Schedule Routes
+app.get('/api/recurring-schedules', authenticateToken, recurringScheduleController.getSchedules);
+app.post('/api/recurring-schedules', authenticateToken, recurringScheduleController.createSchedule);
+app.post('/api/recurring-schedules/run', authenticateToken, recurringScheduleController.runSchedules);
+app.post('/api/recurring-schedules/from-salary-planner', authenticateToken, recurringScheduleController.createFromSalaryPlanner);
+app.put('/api/recurring-schedules/:id', authenticateToken, recurringScheduleController.updateSchedule);
+app.delete('/api/recurring-schedules/:id', authenticateToken, recurringScheduleController.deleteSchedule);
+app.get('/api/recurring-schedules/:id/occurrences', authenticateToken, recurringScheduleController.getOccurrences);
+app.put('/api/recurring-schedules/:id/occurrences/:occurrence', authenticateToken, recurringScheduleController.setOccurrenceException);
+app.delete('/api/recurring-schedules/:id/occurrences/:occurrence', authenticateToken, recurringScheduleController.clearOccurrenceException);
+
+// Recurring Detection Routes
+app.get('/api/recurring-detections', authenticateToken, recurringDetectionController.getRecurringDetections);
+app.post('/api/recurring-detections/apply', authenticateToken, recurringDetectionController.applyRecurringDetection);
+
+// Transfer Routes
+app.get('/api/transfers', authenticateToken, transferController.getTransfers);
+app.post('/api/transfers', authenticateToken, transferController.createTransfer);
+app.get('/api/transfers/candidates', authenticateToken, transferController.getTransferCandidates);
+app.post('/api/transfers/link', authenticateToken, transferController.linkTransfer);
+app.post('/api/transfers/:groupId/unlink', authenticateToken, transferController.unlinkTransfer);
+app.delete('/api/transfers/:groupId', authenticateToken, transferController.deleteTransfer);
 
-    const transactions = await Transaction.find(filter)
-      .sort({ date: -1, createdAt: -1, _id: -1 })
-      .skip(skip)
-      .limit(limitNum);
+// Routes for Salary Planner, Transactions, Budgets, Auth, etc.
+// Returns numbered pages with a total count by default. Clients that send
+// `paginate=cursor` (or a `cursor`) page with the previous page's nextCursor
+// instead, which stays fast however deep they go.
+app.get('/api/transactions', authenticateToken, async (req, res) => {
+  try {
+    const { filter, error } = buildTransactionFilter(req.userId, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const list = parseTransactionListOptions(req.query);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+    const { options } = list;
+    const sort = buildTransactionSort(options);
+
+    if (options.paginate === 'page') {
+      const [transactions, total] = await Promise.all([
+        Transaction.find(filter).sort(sort).skip((options.page - 1) * options.limit).limit(options.limit),
+        Transaction.countDocuments(filter)
+      ]);
+      return res.json({
+        transactions,
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          total,
+          totalPages: Math.ceil(total / options.limit)
+        }
+      });
+    }
 
-    const total = await Transaction.countDocuments(filter);
+    // One extra row tells whether there is a next page
+    const rows = await Transaction.find(applyKeyset(filter, options)).sort(sort).limit(options.limit + 1);
+    const hasMore = rows.length > options.limit;
+    const transactions = rows.slice(0, options.limit);
 
     res.json({
       transactions,
       pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        totalPages: Math.ceil(total / limitNum)
+        limit: options.limit,
+        sort: options.sortField,
+        order: options.order,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1], options) : null
       }
     });
   } catch (error) {
+    console.error('Error fetching transactions:', error);
     res.status(500).json({ error: 'Failed to fetch transactions' });
   }
 });
 
+// Versioned history of transactions, budgets and debts
+const auditTrail = createAuditTrail({ changeLogModel: ChangeLog });
+
+// Creates one income/expense transaction the way POST /api/transactions does:
+// account and reconciliation checks, split validation, category rules,
+// merchant detection, budget recalculation and the update event. Shared with
+// the recurring schedule runner, which passes `recurring` to tag the row and
+// derive an idempotent fingerprint. Returns { transaction } or { error, status }.
+const createTransaction = async ({ app: expressApp, userId, input, recurring }) => {
+  const transactionData = { ...input, userId };
+  if (transactionData.type === 'transfer') {
+    return { status: 400, error: 'Use /api/transfers to record a transfer' };
+  }
+  delete transactionData.transferGroupId;
+  delete transactionData.transferDirection;
+  delete transactionData.transferCounterpartId;
+  delete transactionData.recurringScheduleId;
+  delete transactionData.recurringOccurrence;
+  if (recurring) {
+    transactionData.recurringScheduleId = recurring.scheduleId;
+    transactionData.recurringOccurrence = recurring.occurrence;
+    transactionData.fingerprint = `recurring-${recurring.scheduleId}-${recurring.occurrence}`;
+  }
+  const account = await resolveAccountId(Account, userId, input.accountId);
+  if (account.error) {
+    return { status: 400, error: account.error };
+  }
+  transactionData.accountId = account.accountId;
+  if (account.accountId) {
+    const accounts = await loadAccountsById(userId, [account.accountId]);
+    if (isWithinLockedPeriod(accounts.get(String(account.accountId)), transactionData.date)) {
+      return { status: 409, error: 'Transaction would fall inside a reconciled period' };
+    }
+  }
+  delete transactionData.clearedStatus;
+  delete transactionData.reconciliationId;
+  const splits = normalizeSplits(input.splits);
+  const splitError = validateSplits(splits, transactionData.amount);
+  if (splitError) {
+    return { status: 400, error: splitError };
+  }
+  if (splits.length > 0) {
+    transactionData.splits = splits;
+    transactionData.category = transactionData.category || getPrimarySplitCategory(splits);
+  } else {
+    delete transactionData.splits;
+  }
+  if (input.tags !== undefined) {
+    const tags = normalizeTags(input.tags);
+    const tagError = validateTags(tags);
+    if (tagError) {
+      return { status: 400, error: tagError };
+    }
+    transactionData.tags = tags;
+  }
+  // Split rows are categorised by their lines; rules leave them alone
+  const ruleMatch = splits.length > 0 ? null : applyCategoryRules(await loadCategoryRules(userId), transactionData);
+  if (ruleMatch && ruleMatch.changed) {
+    console.log(`🏷️ Category rule "${ruleMatch.rule.name}" applied: ${transactionData.category}`);
+  }
+  const explicitMerchant = String(input.merchant || '').trim();
+  transactionData.merchant = explicitMerchant ||
+    extractMerchant(transactionData.description, await loadMerchantAliases(userId)) ||
+    undefined;
+  if (transactionData.merchant) {
+    transactionData.merchantSource = explicitMerchant ? 'manual' : 'detected';
+  } else {
+    delete transactionData.merchantSource;
+  }
+  const transaction = new Transaction(transactionData);
+  await transaction.save();
+  await auditTrail.record({
+    userId,
+    entityType: 'transaction',
+    source: recurring ? 'recurring' : 'manual',
+    changes: [{ after: transaction }]
+  });
+  await registerTags(Tag, userId, transaction.tags);
+
+  console.log(`✅ Transaction created: ${transaction.description} (${transaction.type}: ${transaction.amount}, category: ${transaction.category})`);
+
+  // Update budget spent amount for this transaction's category
+  if (transaction.type === 'expense') {
+    console.log('💸 This is an expense transaction, updating budget...');
+    for (const category of getTransactionCategories(transaction)) {
+      await updateBudgetSpentAmount(userId, category);
+    }
+  } else {
+    console.log('💰 This is an income transaction, skipping budget update');
+  }
+
+  // Emit real-time event
+  expressApp.emit('transaction-updated', { userId, action: 'create', transaction });
+  return { transaction };
+};
+
+// Recurring schedules post through createTransaction; the occurrence's
+// fingerprint makes a repeated post a duplicate instead of a second row.
+const recurringScheduler = createRecurringScheduler({
+  scheduleModel: RecurringSchedule,
+  intervalMs: RECURRING_SCHEDULER_INTERVAL_MS,
+  postOccurrence: async (schedule, input, occurrence) => {
+    try {
+      const result = await createTransaction({
+        app,
+        userId: schedule.userId,
+        input,
+        recurring: { scheduleId: schedule._id, occurrence }
+      });
+      return result.error ? { rejected: result.error } : 'posted';
+    } catch (error) {
+      if (error.code === 11000) return 'duplicate';
+      throw error;
+    }
+  }
+});
+
+const attachmentStorage = createAttachmentStorage(ATTACHMENT_STORAGE, { rootDir: ATTACHMENT_STORAGE_DIR });
+
+// Expired trash is purged per user so each purge lands in that user's history
+const trashPurger = createTrashPurger({
+  transactionModel: Transaction,
+  retentionDays: TRASH_RETENTION_DAYS,
+  intervalMs: TRASH_PURGE_INTERVAL_MS,
+  onPurged: async (rows) => {
+    const byUser = new Map();
+    rows.forEach((row) => byUser.set(String(row.userId), [...(byUser.get(String(row.userId)) || []), row]));
+    for (const userRows of byUser.values()) {
+      await trashController.recordPurge(auditTrail, userRows[0].userId, 'retention', userRows);
+    }
+    await trashController.removePurgedAttachments(attachmentStorage, rows);
+  }
+});
+
+app.post('/api/transactions/bulk', authenticateToken, transactionBulkController.bulkUpdateTransactions);
+app.get('/api/transactions/trash', authenticateToken, trashController.getTrash);
+app.post('/api/transactions/trash/restore', authenticateToken, trashController.restoreFromTrash);
+app.delete('/api/transactions/trash', authenticateToken, trashController.purgeTrash);
+app.get('/api/transactions/:id/history', authenticateToken, historyController.getTransactionHistory);
+app.post('/api/transactions/:id/history/:version/revert', authenticateToken, historyController.revertTransaction);
+app.get('/api/transactions/:id/attachments', authenticateToken, attachmentController.getAttachments);
+app.post('/api/transactions/:id/attachments', authenticateToken, receiveAttachment, attachmentController.uploadAttachment);
+app.get('/api/transactions/:id/attachments/:attachmentId', authenticateToken, attachmentController.downloadAttachment);
+app.delete('/api/transactions/:id/attachments/:attachmentId', authenticateToken, attachmentController.deleteAttachment);
+
 app.post('/api/transactions', authenticateToken, async (req, res) => {
   try {
     console.log('📝 Creating new transaction:', req.body);
-    const transactionData = { ...req.body, userId: req.userId };
-    const transaction = new Transaction(transactionData);
-    await transaction.save();
-    
-    console.log(`✅ Transaction created: ${transaction.description} (${transaction.type}: ${transaction.amount}, category: ${transaction.category})`);
-    
-    // Update budget spent amount for this transaction's category
-    if (transaction.type === 'expense') {
-      console.log('💸 This is an expense transaction, updating budget...');
-      await updateBudgetSpentAmount(req.userId, transaction.category);
-    } else {
-      console.log('💰 This is an income transaction, skipping budget update');
+    const result = await createTransaction({ app: req.app, userId: req.userId, input: req.body });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-    
-    // Emit real-time event
-    req.app.emit('transaction-updated', { userId: req.userId, action: 'create', transaction });
-    
-    res.status(201).json(transaction);
+    res.status(201).json(result.transaction);
   } catch (error) {
     console.error('❌ Failed to create transaction:', error);
     res.status(500).json({ error: 'Failed to create transaction' });
@@ -848,16 +1805,34 @@ app.delete('/api/transactions/:id', authenticateToken, async (req, res) => {
     if (!transaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
+    const lockAccounts = await loadAccountsById(req.userId, [transaction.accountId]);
+    if (
+      transaction.clearedStatus === 'reconciled' ||
+      isWithinLockedPeriod(lockAccounts.get(String(transaction.accountId)), transaction.date)
+    ) {
+      return res.status(409).json({ error: 'Transaction is in a reconciled period and cannot be deleted' });
+    }
 
-    const result = await Transaction.findOneAndUpdate(
-      { _id: req.params.id, userId: req.userId },
-      { isDeleted: true },
-      { new: true }
+    // A transfer leg never stands alone; delete the other side with it
+    const removed = transaction.type === 'transfer' && transaction.transferGroupId
+      ? await Transaction.find({ userId: req.userId, transferGroupId: transaction.transferGroupId, isDeleted: false }).lean()
+      : [transaction.toObject()];
+    await Transaction.updateMany(
+      { userId: req.userId, _id: { $in: removed.map((row) => row._id) } },
+      { $set: { isDeleted: true, deletedAt: new Date() } }
     );
+    await auditTrail.record({
+      userId: req.userId,
+      entityType: 'transaction',
+      source: 'manual',
+      changes: removed.map((row) => ({ before: row, after: { ...row, isDeleted: true } }))
+    });
 
     // Update budget spent amount if this was an expense transaction
     if (transaction.type === 'expense') {
-      await updateBudgetSpentAmount(req.userId, transaction.category);
+      for (const category of getTransactionCategories(transaction)) {
+        await updateBudgetSpentAmount(req.userId, category);
+      }
     }
 
     // Emit real-time event
@@ -879,25 +1854,112 @@ app.put('/api/transactions/:id', authenticateToken, async (req, res) => {
     if (!originalTransaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
+    if ((type === 'transfer') !== (originalTransaction.type === 'transfer')) {
+      return res.status(400).json({ error: 'Use /api/transfers to link or unlink a transfer' });
+    }
+    if (originalTransaction.type === 'transfer' && Math.abs(parseFloat(amount) - originalTransaction.amount) > 0.005) {
+      return res.status(400).json({ error: 'Both sides of a transfer must have the same amount' });
+    }
+
+    const update = {
+      date: new Date(date),
+      amount: parseFloat(amount),
+      type,
+      category,
+      description
+    };
+    // Replace the split lines when given; otherwise existing lines must still
+    // add up to the (possibly new) amount
+    const splits = req.body.splits !== undefined
+      ? normalizeSplits(req.body.splits)
+      : normalizeSplits(originalTransaction.splits);
+    const splitError = validateSplits(splits, update.amount);
+    if (splitError) {
+      return res.status(400).json({ error: splitError });
+    }
+    if (splits.length > 0) {
+      update.splits = splits;
+      update.category = update.category || getPrimarySplitCategory(splits);
+    } else if (req.body.splits !== undefined) {
+      update.$unset = { splits: 1 };
+    }
+    if (req.body.tags !== undefined) {
+      const tags = normalizeTags(req.body.tags);
+      const tagError = validateTags(tags);
+      if (tagError) {
+        return res.status(400).json({ error: tagError });
+      }
+      update.tags = tags;
+    }
+
+    let targetAccountId;
+    if (req.body.accountId !== undefined) {
+      const account = await resolveAccountId(Account, req.userId, req.body.accountId);
+      if (account.error) {
+        return res.status(400).json({ error: account.error });
+      }
+      targetAccountId = account.accountId || null;
+      if (account.accountId) {
+        update.accountId = account.accountId;
+      } else {
+        update.$unset = { ...update.$unset, accountId: 1 };
+      }
+    }
+
+    // Reconciled periods are locked: nothing that changes the account's
+    // balance can be edited there
+    const lockAccounts = await loadAccountsById(req.userId, [originalTransaction.accountId, targetAccountId]);
+    const lockError = getReconciliationLockError(
+      originalTransaction,
+      { amount: update.amount, type, date: update.date, accountId: targetAccountId },
+      lockAccounts
+    );
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    if (req.body.clearedStatus !== undefined) {
+      if (!['cleared', 'uncleared'].includes(req.body.clearedStatus)) {
+        return res.status(400).json({ error: 'clearedStatus must be cleared or uncleared' });
+      }
+      if (originalTransaction.clearedStatus === 'reconciled') {
+        return res.status(409).json({ error: 'Transaction is reconciled; undo the reconciliation to change it' });
+      }
+      update.clearedStatus = req.body.clearedStatus;
+    }
+
+    // Keep an explicit merchant, otherwise re-detect a detected one when the
+    // description changes
+    if (req.body.merchant !== undefined) {
+      update.merchant = String(req.body.merchant || '').trim() || undefined;
+      update.merchantSource = update.merchant ? 'manual' : undefined;
+    } else if (description !== originalTransaction.description && isDetectedMerchant(originalTransaction)) {
+      update.merchant = extractMerchant(description, await loadMerchantAliases(req.userId)) || undefined;
+      update.merchantSource = update.merchant ? 'detected' : undefined;
+    }
 
     const updatedTransaction = await Transaction.findOneAndUpdate(
       { _id: req.params.id, userId: req.userId },
-      {
-        date: new Date(date),
-        amount: parseFloat(amount),
-        type,
-        category,
-        description
-      },
+      update,
       { new: true, runValidators: true }
     );
+    await auditTrail.record({
+      userId: req.userId,
+      entityType: 'transaction',
+      source: 'manual',
+      changes: [{ before: originalTransaction, after: updatedTransaction }]
+    });
+    if (req.body.tags !== undefined) {
+      await registerTags(Tag, req.userId, updatedTransaction.tags);
+    }
 
     // Update budget spent amounts for both old and new categories if they're expense transactions
-    if (originalTransaction.type === 'expense') {
-      await updateBudgetSpentAmount(req.userId, originalTransaction.category);
-    }
-    if (updatedTransaction.type === 'expense') {
-      await updateBudgetSpentAmount(req.userId, updatedTransaction.category);
+    const categoriesToUpdate = new Set([
+      ...(originalTransaction.type === 'expense' ? getTransactionCategories(originalTransaction) : []),
+      ...(updatedTransaction.type === 'expense' ? getTransactionCategories(updatedTransaction) : [])
+    ]);
+    for (const category of categoriesToUpdate) {
+      await updateBudgetSpentAmount(req.userId, category);
     }
 
     // Emit real-time event
@@ -911,7 +1973,11 @@ app.put('/api/transactions/:id', authenticateToken, async (req, res) => {
 
 app.get('/api/transactions/summary', authenticateToken, async (req, res) => {
   try {
-    const cacheKey = buildCacheKey(req.userId, 'transactions-summary');
+    const { accountId } = req.query;
+    if (accountId && !mongoose.Types.ObjectId.isValid(accountId)) {
+      return res.status(400).json({ error: 'Invalid accountId' });
+    }
+    const cacheKey = buildCacheKey(req.userId, accountId ? `transactions-summary::${accountId}` : 'transactions-summary');
     const cachedSummary = getCachedValue(summaryCache, cacheKey);
     if (cachedSummary) {
       return res.json(cachedSummary);
@@ -922,8 +1988,11 @@ app.get('/api/transactions/summary', authenticateToken, async (req, res) => {
       userId = new mongoose.Types.ObjectId(userId);
     }
 
+    const match = { isDeleted: false, userId };
+    if (accountId) match.accountId = new mongoose.Types.ObjectId(accountId);
+
     const summary = await Transaction.aggregate([
-      { $match: { isDeleted: false, userId } },
+      { $match: match },
       {
         $group: {
           _id: '$type',
@@ -984,6 +2053,7 @@ app.get('/api/salary-planner/cumulative-savings', authenticateToken, salaryPlann
 app.post('/api/debts', authenticateToken, debtController.createDebt);
 app.get('/api/debts', authenticateToken, debtController.getAllDebts);
 app.get('/api/debts/:id', authenticateToken, debtController.getDebtById);
+app.get('/api/debts/:id/history', authenticateToken, historyController.getDebtHistory);
 app.patch('/api/debts/:id', authenticateToken, debtController.updateDebt);
 app.patch('/api/debts/:id/close', authenticateToken, debtController.closeDebt);
 app.delete('/api/debts/:id', authenticateToken, debtController.deleteDebt);
@@ -1026,16 +2096,19 @@ const updateBudgetSpentAmount = async (userId, category) => {
       return;
     }
     
-    // Calculate total spent for this category from non-deleted expense transactions
+    // Calculate total spent for this category from non-deleted expense
+    // transactions, counting only the matching lines of split transactions
     const totalSpent = await Transaction.aggregate([
       {
         $match: {
           userId: new mongoose.Types.ObjectId(userId),
-          category: category,
+          $or: [{ category: category }, { 'splits.category': category }],
           type: 'expense',
           isDeleted: false
         }
       },
+      ...SPLIT_LINE_STAGES,
+      { $match: { category: category } },
       {
         $group: {
           _id: null,
@@ -1107,6 +2180,12 @@ app.post('/api/budgets', authenticateToken, async (req, res) => {
       category: String(category).trim(),
       period: String(period || 'Monthly').trim()
     });
+    await auditTrail.record({
+      userId: req.userId,
+      entityType: 'budget',
+      source: 'manual',
+      changes: [{ after: createdBudget }]
+    });
     
     // Emit real-time event
     req.app.emit('budget-updated', { userId: req.userId, action: 'create', budget: createdBudget });
@@ -1153,6 +2232,12 @@ app.put('/api/budgets/:id', authenticateToken, async (req, res) => {
       updates,
       { new: true, runValidators: true }
     );
+    await auditTrail.record({
+      userId: req.userId,
+      entityType: 'budget',
+      source: 'manual',
+      changes: [{ before: existing, after: updatedBudget }]
+    });
     
     // Emit real-time event
     req.app.emit('budget-updated', { userId: req.userId, action: 'update', budget: updatedBudget });
@@ -1166,12 +2251,20 @@ app.put('/api/budgets/:id', authenticateToken, async (req, res) => {
   }
 });
 
+app.get('/api/budgets/:id/history', authenticateToken, historyController.getBudgetHistory);
+
 app.delete('/api/budgets/:id', authenticateToken, async (req, res) => {
   try {
     const deletedBudget = await Budget.findOneAndDelete({ _id: req.params.id, userId: req.userId });
     if (!deletedBudget) {
       return res.status(404).json({ error: 'Budget not found' });
     }
+    await auditTrail.record({
+      userId: req.userId,
+      entityType: 'budget',
+      source: 'manual',
+      changes: [{ before: deletedBudget, after: null }]
+    });
     
     // Emit real-time event
     req.app.emit('budget-updated', { userId: req.userId, action: 'delete', budget: deletedBudget });
@@ -1194,6 +2287,9 @@ app.delete('/api/clear-all-data', authenticateToken, async (req, res) => {
   try {
     const userId = req.userId;
 
+    // Attachment files go first, while their records still say where they are
+    await deleteAttachments({ attachmentModel: Attachment, storage: attachmentStorage, filter: { userId } });
+
     // Delete all user data from all collections
     await Promise.all([
       Transaction.deleteMany({ userId }),
@@ -1201,7 +2297,17 @@ app.delete('/api/clear-all-data', authenticateToken, async (req, res) => {
       Debt.deleteMany({ userId }),
       DebtPayment.deleteMany({ userId }),
       SalaryPlanner.deleteMany({ userId }),
-      ImportHistory.deleteMany({ userId })
+      ImportHistory.deleteMany({ userId }),
+      ImportMappingProfile.deleteMany({ userId }),
+      ImportJob.deleteMany({ userId }),
+      ImportRowIssue.deleteMany({ userId }),
+      CategoryRule.deleteMany({ userId }),
+      Merchant.deleteMany({ userId }),
+      Account.deleteMany({ userId }),
+      Reconciliation.deleteMany({ userId }),
+      RecurringSchedule.deleteMany({ userId }),
+      ChangeLog.deleteMany({ userId }),
+      Tag.deleteMany({ userId })
     ]);
     invalidateUserCaches(userId);
 
@@ -1209,7 +2315,11 @@ app.delete('/api/clear-all-data', authenticateToken, async (req, res) => {
 
     res.json({
       message: 'All data cleared successfully',
-      clearedCollections: ['transactions', 'budgets', 'debts', 'debtPayments', 'salaryPlanner', 'importHistory']
+      clearedCollections: [
+        'transactions', 'budgets', 'debts', 'debtPayments', 'salaryPlanner', 'importHistory', 'importMappingProfiles',
+        'importJobs', 'importRowIssues', 'categoryRules', 'merchants', 'accounts', 'reconciliations',
+        'recurringSchedules', 'changeLogs', 'tags', 'attachments'
+      ]
     });
   } catch (error) {
     console.error('Error clearing all data:', error);
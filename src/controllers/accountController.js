@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const {
+  BALANCE_INTERVALS,
+  SIGNED_AMOUNT_EXPR,
+  buildRunningBalance,
+  validateAccountFields
+} = require('../utils/accountBalances');
+
+const getTransactionModel = (req) => {
+  return req.app?.locals?.Transaction || mongoose.model('Transaction');
+};
+
+const toUserObjectId = (userId) => (
+  mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId
+);
+
+const pickAccountFields = (body = {}) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name || '').trim();
+  if (body.type !== undefined) fields.type = body.type;
+  if (body.currency !== undefined) fields.currency = String(body.currency || '').trim().toUpperCase();
+  if (body.openingBalance !== undefined) fields.openingBalance = Number(body.openingBalance);
+  if (body.institution !== undefined) fields.institution = String(body.institution || '').trim();
+  if (body.isArchived !== undefined) fields.isArchived = Boolean(body.isArchived);
+  return fields;
+};
+
+const findAccount = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Account.findOne({ _id: req.params.id, userId: req.userId });
+};
+
+// List accounts with their current balance
+const getAccounts = async (req, res) => {
+  try {
+    const filter = { userId: req.userId };
+    if (req.query.includeArchived !== 'true') filter.isArchived = false;
+
+    const [accounts, totals] = await Promise.all([
+      Account.find(filter).sort({ isArchived: 1, name: 1 }).lean(),
+      getTransactionModel(req).aggregate([
+        { $match: { userId: toUserObjectId(req.userId), isDeleted: false, accountId: { $ne: null } } },
+        {
+          $group: {
+            _id: '$accountId',
+            net: { $sum: SIGNED_AMOUNT_EXPR },
+            transactionCount: { $sum: 1 },
+            lastTransactionDate: { $max: '$date' }
+          }
+        }
+      ])
+    ]);
+
+    const totalsByAccount = new Map(totals.map((total) => [String(total._id), total]));
+    res.json(accounts.map((account) => {
+      const total = totalsByAccount.get(String(account._id));
+      return {
+        ...account,
+        balance: Math.round(((account.openingBalance || 0) + (total?.net || 0)) * 100) / 100,
+        transactionCount: total?.transactionCount || 0,
+        lastTransactionDate: total?.lastTransactionDate || null
+      };
+    }));
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({ error: 'Failed to fetch accounts' });
+  }
+};
+
+// Create an account
+const createAccount = async (req, res) => {
+  try {
+    const fields = pickAccountFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({ error: 'Account name is required' });
+    }
+    const validationError = validateAccountFields(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const account = await Account.create({ ...fields, userId: req.userId });
+    res.status(201).json(account);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with this name already exists' });
+    }
+    console.error('Error creating account:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+};
+
+// Update an account's details
+const updateAccount = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const fields = pickAccountFields(req.body);
+    const validationError = validateAccountFields(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (
+      account.reconciledThrough &&
+      fields.openingBalance !== undefined &&
+      fields.openingBalance !== account.openingBalance
+    ) {
+      return res.status(409).json({ error: 'Opening balance cannot change once the account has been reconciled' });
+    }
+
+    Object.assign(account, fields);
+    await account.save();
+    if (fields.openingBalance !== undefined) {
+      req.app.emit('transaction-updated', { userId: req.userId, action: 'account-update', accountId: account._id });
+    }
+    res.json(account);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with this name already exists' });
+    }
+    console.error('Error updating account:', error);
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+};
+
+// Delete an account. Accounts that still have transactions can only be
+// archived so their history keeps its balances.
+const deleteAccount = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const inUse = await getTransactionModel(req).exists({ userId: req.userId, accountId: account._id, isDeleted: false });
+    if (inUse) {
+      return res.status(409).json({ error: 'Account has transactions; archive it instead' });
+    }
+
+    await Account.deleteOne({ _id: account._id, userId: req.userId });
+    // Only trashed rows can still point at the account; they lose the link
+    const Transaction = getTransactionModel(req);
+    const filter = { userId: req.userId, accountId: account._id };
+    const auditTrail = req.app.locals.auditTrail;
+    const before = auditTrail ? await Transaction.find(filter).lean() : [];
+    await Transaction.updateMany(filter, { $unset: { accountId: 1 } });
+    if (auditTrail) {
+      await auditTrail.recordWrite({ userId: req.userId, entityType: 'transaction', source: 'bulk', model: Transaction, before });
+    }
+    res.json({ success: true, message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+};
+
+// Running balance of one account per day, week or month
+const getAccountBalance = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const interval = req.query.interval || 'month';
+    if (!BALANCE_INTERVALS[interval]) {
+      return res.status(400).json({ error: `interval must be one of ${Object.keys(BALANCE_INTERVALS).join(', ')}` });
+    }
+    const start = req.query.startDate ? new Date(req.query.startDate) : null;
+    const end = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    if ((start && Number.isNaN(start.getTime())) || Number.isNaN(end.getTime())) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const TransactionModel = getTransactionModel(req);
+    const baseMatch = { userId: toUserObjectId(req.userId), accountId: account._id, isDeleted: false };
+
+    // Everything before the range rolls into the starting balance
+    let startingBalance = account.openingBalance || 0;
+    if (start) {
+      const [before] = await TransactionModel.aggregate([
+        { $match: { ...baseMatch, date: { $lt: start } } },
+        { $group: { _id: null, net: { $sum: SIGNED_AMOUNT_EXPR } } }
+      ]);
+      startingBalance += before?.net || 0;
+    }
+
+    const periods = await TransactionModel.aggregate([
+      { $match: { ...baseMatch, date: start ? { $gte: start, $lte: end } : { $lte: end } } },
+      { $addFields: { signedAmount: SIGNED_AMOUNT_EXPR } },
+      {
+        $group: {
+          _id: { $dateToString: { format: BALANCE_INTERVALS[interval], date: '$date' } },
+          inflow: { $sum: { $cond: [{ $gt: ['$signedAmount', 0] }, '$signedAmount', 0] } },
+          outflow: { $sum: { $cond: [{ $lt: ['$signedAmount', 0] }, { $multiply: ['$signedAmount', -1] }, 0] } }
+        }
+      }
+    ]);
+
+    const series = buildRunningBalance(
+      startingBalance,
+      periods.map((period) => ({ period: period._id, inflow: period.inflow, outflow: period.outflow }))
+    );
+    res.json({
+      account,
+      interval,
+      startingBalance: Math.round(startingBalance * 100) / 100,
+      endingBalance: series.length > 0 ? series[series.length - 1].balance : Math.round(startingBalance * 100) / 100,
+      series
+    });
+  } catch (error) {
+    console.error('Error fetching account balance:', error);
+    res.status(500).json({ error: 'Failed to fetch account balance' });
+  }
+};
+
+module.exports = {
+  getAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  getAccountBalance
+};
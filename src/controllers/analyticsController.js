@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
+const { SPLIT_LINE_STAGES } = require('../utils/transactionSplits');
 
-const buildAnalyticsCacheKey = (userId, startIso, endIso) => `${String(userId)}::analytics::${startIso}::${endIso}`;
+const buildAnalyticsCacheKey = (userId, startIso, endIso, accountId) => `${String(userId)}::analytics::${startIso}::${endIso}::${accountId || 'all'}`;
 
 const detectExpenseSpikes = (trend) => {
     if (!Array.isArray(trend) || trend.length < 3) {
@@ -126,6 +127,7 @@ const buildUnexpectedSpikes = async ({ trend, filter, userId, TransactionModel }
 
     const periodCategoryAgg = await TransactionModel.aggregate([
         { $match: { ...filter, type: 'expense' } },
+        ...SPLIT_LINE_STAGES,
         {
             $group: {
                 _id: {
@@ -388,9 +390,13 @@ const buildUnexpectedSpikes = async ({ trend, filter, userId, TransactionModel }
 
 const getAnalytics = async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const { startDate, endDate, accountId } = req.query;
         let userId = req.userId;
 
+        if (accountId && !mongoose.Types.ObjectId.isValid(accountId)) {
+            return res.status(400).json({ error: 'Invalid accountId' });
+        }
+
         // Ensure userId is in ObjectId format
         if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
             // Try to convert string userId to ObjectId
@@ -411,7 +417,7 @@ const getAnalytics = async (req, res) => {
         const endIso = end.toISOString();
         const cache = req.app.locals.analyticsCache;
         const cacheTtlMs = req.app.locals.analyticsCacheTTLms || 30000;
-        const cacheKey = buildAnalyticsCacheKey(userId, startIso, endIso);
+        const cacheKey = buildAnalyticsCacheKey(userId, startIso, endIso, accountId);
 
         if (cache) {
             const cached = cache.get(cacheKey);
@@ -430,6 +436,9 @@ const getAnalytics = async (req, res) => {
             isDeleted: false,
             date: { $gte: start, $lte: end }
         };
+        if (accountId) {
+            filter.accountId = new mongoose.Types.ObjectId(accountId);
+        }
 
         // Use Transaction model directly or from locals
         const TransactionModel = req.app.locals.Transaction || mongoose.model('Transaction');
@@ -465,9 +474,10 @@ const getAnalytics = async (req, res) => {
         const netFlow = totalIncome - totalExpenses;
         const savingsRate = totalIncome > 0 ? (netFlow / totalIncome) * 100 : 0;
 
-        // 2. Spending/Income by Category
+        // 2. Spending/Income by Category (split transactions count per line)
         const categoryAgg = await TransactionModel.aggregate([
             { $match: filter },
+            ...SPLIT_LINE_STAGES,
             {
                 $group: {
                     _id: {
@@ -502,6 +512,74 @@ const getAnalytics = async (req, res) => {
             }))
             .sort((a, b) => b.amount - a.amount);
 
+        // 2b. Spending by Merchant
+        const merchantAgg = await TransactionModel.aggregate([
+            { $match: { ...filter, type: 'expense' } },
+            {
+                $group: {
+                    _id: { $ifNull: ['$merchant', 'Unknown'] },
+                    amount: { $sum: '$amount' },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { amount: -1 } },
+            { $limit: 20 }
+        ]);
+
+        const spendByMerchant = merchantAgg.map(entry => ({
+            merchant: entry._id || 'Unknown',
+            amount: entry.amount,
+            count: entry.count,
+            percentage: totalExpenses > 0 ? Math.round((entry.amount / totalExpenses) * 100) : 0
+        }));
+
+        // 2c. Spending by Tag, each tag broken down by category. Tags overlap,
+        // so their percentages can add up to more than 100.
+        const [tagAgg] = await TransactionModel.aggregate([
+            { $match: { ...filter, type: 'expense', 'tags.0': { $exists: true } } },
+            {
+                $facet: {
+                    totals: [
+                        { $unwind: '$tags' },
+                        { $group: { _id: '$tags', amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+                        { $sort: { amount: -1 } },
+                        { $limit: 50 }
+                    ],
+                    byCategory: [
+                        ...SPLIT_LINE_STAGES,
+                        { $unwind: '$tags' },
+                        {
+                            $group: {
+                                _id: {
+                                    tag: '$tags',
+                                    category: { $trim: { input: { $toLower: '$category' } } }
+                                },
+                                amount: { $sum: '$amount' }
+                            }
+                        },
+                        { $sort: { amount: -1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const TagModel = getModelIfAvailable('Tag');
+        const tagNames = (tagAgg?.totals || []).map(entry => entry._id);
+        const tagDocs = TagModel && tagNames.length > 0
+            ? await TagModel.find({ userId, name: { $in: tagNames } }).select('name color').lean()
+            : [];
+        const colorByTag = new Map(tagDocs.map(tag => [tag.name, tag.color]));
+        const spendByTag = (tagAgg?.totals || []).map(entry => ({
+            tag: entry._id,
+            color: colorByTag.get(entry._id) || null,
+            amount: entry.amount,
+            count: entry.count,
+            percentage: totalExpenses > 0 ? Math.round((entry.amount / totalExpenses) * 100) : 0,
+            categories: (tagAgg?.byCategory || [])
+                .filter(line => line._id.tag === entry._id)
+                .map(line => ({ category: line._id.category, amount: line.amount }))
+        }));
+
         // 3. Trend Analysis
         const daysDiff = (end - start) / (1000 * 60 * 60 * 24);
 
@@ -564,6 +642,8 @@ const getAnalytics = async (req, res) => {
             },
             incomeCategories,
             expenseCategories,
+            spendByMerchant,
+            spendByTag,
             trend,
             unusualSpikes,
             unexpectedSpikes,
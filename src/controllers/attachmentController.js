@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const {
+  MAX_ATTACHMENTS_PER_TRANSACTION,
+  validateAttachmentFile,
+  sanitizeFileName,
+  buildAttachmentKey
+} = require('../utils/attachmentStorage');
+
+const getTransactionModel = (req) => req.app?.locals?.Transaction || mongoose.model('Transaction');
+
+const getStorage = (req) => req.app.locals.attachmentStorage;
+
+// The transaction in the URL, if it belongs to the user. Trashed rows keep
+// their attachments readable but cannot get new ones.
+const findTransaction = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return getTransactionModel(req).findOne({ _id: req.params.id, userId: req.userId }).select('_id isDeleted').lean();
+};
+
+const findAttachment = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.attachmentId)) return null;
+  return Attachment.findOne({ _id: req.params.attachmentId, transactionId: req.params.id, userId: req.userId });
+};
+
+const toAttachmentResponse = (attachment) => ({
+  _id: attachment._id,
+  transactionId: attachment.transactionId,
+  fileName: attachment.fileName,
+  contentType: attachment.contentType,
+  size: attachment.size,
+  createdAt: attachment.createdAt
+});
+
+// List a transaction's attachments, oldest first
+const getAttachments = async (req, res) => {
+  try {
+    const transaction = await findTransaction(req);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const attachments = await Attachment.find({ userId: req.userId, transactionId: transaction._id })
+      .sort({ createdAt: 1 })
+      .lean();
+    res.json(attachments.map(toAttachmentResponse));
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+};
+
+// Upload one file (multipart field `file`) to a transaction
+const uploadAttachment = async (req, res) => {
+  try {
+    const storage = getStorage(req);
+    if (!storage) {
+      return res.status(503).json({ error: 'Attachment storage is not available' });
+    }
+    const transaction = await findTransaction(req);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (transaction.isDeleted) {
+      return res.status(409).json({ error: 'Restore the transaction before attaching files' });
+    }
+    const { contentType, error } = validateAttachmentFile(req.file, { maxBytes: req.app.locals.attachmentMaxBytes });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const existing = await Attachment.countDocuments({ userId: req.userId, transactionId: transaction._id });
+    if (existing >= MAX_ATTACHMENTS_PER_TRANSACTION) {
+      return res.status(409).json({ error: `A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments` });
+    }
+
+    const attachmentId = new mongoose.Types.ObjectId();
+    const storageKey = buildAttachmentKey(req.userId, transaction._id, attachmentId);
+    await storage.save(storageKey, req.file.buffer, { contentType });
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        _id: attachmentId,
+        userId: req.userId,
+        transactionId: transaction._id,
+        fileName: sanitizeFileName(req.file.originalname, contentType),
+        contentType,
+        size: req.file.size,
+        sha256: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+        storage: storage.name,
+        storageKey
+      });
+    } catch (createError) {
+      // Don't leave an orphaned file behind
+      await storage.remove(storageKey).catch(() => {});
+      throw createError;
+    }
+
+    res.status(201).json(toAttachmentResponse(attachment));
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+};
+
+// Stream an attachment back with its stored type and name
+const downloadAttachment = async (req, res) => {
+  try {
+    const storage = getStorage(req);
+    if (!storage) {
+      return res.status(503).json({ error: 'Attachment storage is not available' });
+    }
+    const attachment = await findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const stream = storage.createReadStream(attachment.storageKey);
+    stream.once('error', (error) => {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      if (error.code === 'ENOENT') {
+        res.status(404).json({ error: 'Attachment file is missing' });
+        return;
+      }
+      console.error('Error reading attachment:', error);
+      res.status(500).json({ error: 'Failed to download attachment' });
+    });
+    // attachment() guesses a type from the name; the detected one wins
+    res.attachment(attachment.fileName);
+    res.type(attachment.contentType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Cache-Control', 'private, no-store');
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+};
+
+// Delete one attachment and its file
+const deleteAttachment = async (req, res) => {
+  try {
+    const storage = getStorage(req);
+    if (!storage) {
+      return res.status(503).json({ error: 'Attachment storage is not available' });
+    }
+    const attachment = await findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    await Attachment.deleteOne({ _id: attachment._id, userId: req.userId });
+    try {
+      await storage.remove(attachment.storageKey);
+    } catch (removeError) {
+      console.error(`Failed to remove attachment file ${attachment.storageKey}:`, removeError.message);
+    }
+    res.json({ success: true, message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const CategoryRule = require('../models/CategoryRule');
+const Tag = require('../models/Tag');
+const { registerTags } = require('../utils/tags');
+const { validateCategoryRule, compileCategoryRules, evaluateCategoryRules } = require('../utils/categoryRules');
+const { getTransactionCategories } = require('../utils/transactionSplits');
+const { isWithinLockedPeriod } = require('../utils/reconciliation');
+
+const PREVIEW_LIMIT = 100;
+const APPLY_BATCH_SIZE = 500;
+
+const getTransactionModel = (req) => {
+  return req.app?.locals?.Transaction || mongoose.model('Transaction');
+};
+
+const cleanTags = (tags) => (Array.isArray(tags) ? tags : [])
+  .map((tag) => String(tag || '').trim())
+  .filter(Boolean);
+
+const toOptionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+const pickRuleFields = (body = {}) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name || '').trim();
+  if (body.priority !== undefined) fields.priority = Number(body.priority);
+  if (body.enabled !== undefined) fields.enabled = Boolean(body.enabled);
+  if (body.overrideCategory !== undefined) fields.overrideCategory = Boolean(body.overrideCategory);
+  if (body.conditions && typeof body.conditions === 'object') {
+    const conditions = body.conditions;
+    fields.conditions = {
+      descriptionContains: String(conditions.descriptionContains || '').trim() || undefined,
+      descriptionRegex: String(conditions.descriptionRegex || '').trim() || undefined,
+      amountMin: toOptionalNumber(conditions.amountMin),
+      amountMax: toOptionalNumber(conditions.amountMax),
+      type: conditions.type || null,
+      tags: cleanTags(conditions.tags)
+    };
+  }
+  if (body.actions && typeof body.actions === 'object') {
+    fields.actions = {
+      category: String(body.actions.category || '').trim() || undefined,
+      addTags: cleanTags(body.actions.addTags)
+    };
+  }
+  return fields;
+};
+
+// Walks the user's active transactions and collects what the rules would
+// change. onChange receives each change; return false to stop early.
+// Transfer legs have no spending category and split rows are categorised by
+// their lines, so rules leave both alone, as they do reconciled rows and rows
+// inside a reconciled period.
+const scanRuleChanges = async (Transaction, userId, compiledRules, onChange) => {
+  const lockedAccounts = await Account.find({ userId, reconciledThrough: { $ne: null } })
+    .select('reconciledThrough')
+    .lean();
+  const accountsById = new Map(lockedAccounts.map((account) => [String(account._id), account]));
+  const cursor = Transaction.find({
+    userId,
+    isDeleted: false,
+    type: { $ne: 'transfer' },
+    'splits.0': { $exists: false },
+    clearedStatus: { $ne: 'reconciled' }
+  })
+    .sort({ date: -1, _id: -1 })
+    .lean()
+    .cursor();
+
+  for await (const transaction of cursor) {
+    const account = transaction.accountId ? accountsById.get(String(transaction.accountId)) : null;
+    if (isWithinLockedPeriod(account, transaction.date)) continue;
+    const result = evaluateCategoryRules(compiledRules, transaction);
+    if (result && result.changed) {
+      const keepGoing = await onChange(transaction, result);
+      if (keepGoing === false) break;
+    }
+  }
+  await cursor.close();
+};
+
+const describeChange = (transaction, result) => ({
+  transactionId: transaction._id,
+  date: transaction.date,
+  description: transaction.description,
+  amount: transaction.amount,
+  type: transaction.type,
+  rule: { id: result.rule._id, name: result.rule.name },
+  before: { category: transaction.category, tags: transaction.tags || [] },
+  after: { category: result.category, tags: result.tags }
+});
+
+// List the user's rules in evaluation order
+const getRules = async (req, res) => {
+  try {
+    const rules = await CategoryRule.find({ userId: req.userId }).sort({ priority: -1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching category rules:', error);
+    res.status(500).json({ error: 'Failed to fetch category rules' });
+  }
+};
+
+// Create a rule
+const createRule = async (req, res) => {
+  try {
+    const fields = pickRuleFields(req.body);
+    const validationError = validateCategoryRule(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rule = await CategoryRule.create({ ...fields, userId: req.userId });
+    await registerTags(Tag, req.userId, rule.actions?.addTags);
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating category rule:', error);
+    res.status(500).json({ error: 'Failed to create category rule' });
+  }
+};
+
+// Update a rule
+const updateRule = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Category rule not found' });
+    }
+    const existing = await CategoryRule.findOne({ _id: req.params.id, userId: req.userId });
+    if (!existing) {
+      return res.status(404).json({ error: 'Category rule not found' });
+    }
+
+    const fields = pickRuleFields(req.body);
+    const validationError = validateCategoryRule({ ...existing.toObject(), ...fields });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rule = await CategoryRule.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      fields,
+      { new: true, runValidators: true }
+    );
+    if (!rule) {
+      return res.status(404).json({ error: 'Category rule not found' });
+    }
+    await registerTags(Tag, req.userId, rule.actions?.addTags);
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating category rule:', error);
+    res.status(500).json({ error: 'Failed to update category rule' });
+  }
+};
+
+// Delete a rule
+const deleteRule = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Category rule not found' });
+    }
+    const rule = await CategoryRule.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    if (!rule) {
+      return res.status(404).json({ error: 'Category rule not found' });
+    }
+    res.json({ success: true, message: 'Category rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category rule:', error);
+    res.status(500).json({ error: 'Failed to delete category rule' });
+  }
+};
+
+// List existing transactions the rules would change. Pass `rule` in the body
+// to preview an unsaved rule on its own instead of the saved rule set.
+const previewRules = async (req, res) => {
+  try {
+    let rules;
+    if (req.body?.rule) {
+      const draft = pickRuleFields(req.body.rule);
+      const validationError = validateCategoryRule(draft);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      rules = [{ ...draft, enabled: true, _id: null }];
+    } else {
+      rules = await CategoryRule.find({ userId: req.userId, enabled: true }).lean();
+    }
+
+    const limit = Math.min(500, Math.max(1, parseInt(req.body?.limit, 10) || PREVIEW_LIMIT));
+    const changes = [];
+    let total = 0;
+    await scanRuleChanges(getTransactionModel(req), req.userId, compileCategoryRules(rules), (transaction, result) => {
+      total += 1;
+      if (changes.length < limit) changes.push(describeChange(transaction, result));
+    });
+
+    res.json({ total, changes });
+  } catch (error) {
+    console.error('Error previewing category rules:', error);
+    res.status(500).json({ error: 'Failed to preview category rules' });
+  }
+};
+
+// Re-apply the saved rules to the user's existing transactions
+const applyRules = async (req, res) => {
+  try {
+    const Transaction = getTransactionModel(req);
+    const rules = await CategoryRule.find({ userId: req.userId, enabled: true }).lean();
+    if (rules.length === 0) {
+      return res.json({ success: true, updated: 0, categories: [] });
+    }
+
+    // Changes are written and recorded a batch at a time as the scan goes
+    const auditTrail = req.app.locals.auditTrail;
+    let pending = [];
+    let updated = 0;
+    const categoriesToUpdate = new Set();
+    const flush = async () => {
+      if (pending.length === 0) return;
+      const batch = pending;
+      pending = [];
+      const result = await Transaction.bulkWrite(batch.map(({ transaction, result: change }) => ({
+        updateOne: {
+          filter: { _id: transaction._id, userId: req.userId, clearedStatus: { $ne: 'reconciled' } },
+          update: { $set: { category: change.category, tags: change.tags } }
+        }
+      })), { ordered: false });
+      updated += result.modifiedCount || 0;
+      if (auditTrail) {
+        await auditTrail.recordWrite({
+          userId: req.userId,
+          entityType: 'transaction',
+          source: 'bulk',
+          model: Transaction,
+          before: batch.map(({ transaction }) => transaction)
+        });
+      }
+    };
+
+    await scanRuleChanges(Transaction, req.userId, compileCategoryRules(rules), async (transaction, result) => {
+      pending.push({ transaction, result });
+      if (transaction.type === 'expense' && result.category !== transaction.category) {
+        getTransactionCategories(transaction).forEach((category) => categoriesToUpdate.add(category));
+        getTransactionCategories({ ...transaction, category: result.category })
+          .forEach((category) => categoriesToUpdate.add(category));
+      }
+      if (pending.length >= APPLY_BATCH_SIZE) await flush();
+    });
+    await flush();
+
+    const updateBudgetSpentAmount = req.app.locals.updateBudgetSpentAmount;
+    if (updateBudgetSpentAmount) {
+      for (const category of categoriesToUpdate) {
+        await updateBudgetSpentAmount(req.userId, category);
+      }
+    }
+
+    if (updated > 0) {
+      req.app.emit('transaction-updated', {
+        userId: req.userId,
+        action: 'rules-applied',
+        count: updated,
+        categories: Array.from(categoriesToUpdate)
+      });
+    }
+
+    res.json({ success: true, updated, categories: Array.from(categoriesToUpdate) });
+  } catch (error) {
+    console.error('Error applying category rules:', error);
+    res.status(500).json({ error: 'Failed to apply category rules' });
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewRules,
+  applyRules
+};
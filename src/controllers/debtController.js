@@ -6,6 +6,26 @@ const getTransactionModel = (req) => {
   return req.app?.locals?.Transaction || mongoose.model('Transaction');
 };
 
+// Adds before/after pairs to the change log when the audit trail is available
+const recordHistory = async (req, entityType, source, changes) => {
+  const auditTrail = req.app?.locals?.auditTrail;
+  if (!auditTrail) return;
+  await auditTrail.record({ userId: req.userId, entityType, source, changes });
+};
+
+// Opens or closes a debt after its payments changed
+const setDebtStatus = async (req, debt, update) => {
+  const updated = await Debt.findByIdAndUpdate(debt._id, update, { new: true });
+  await recordHistory(req, 'debt', 'debt-sync', [{ before: debt, after: updated }]);
+};
+
+// Upserts the transaction mirroring a debt or payment and records the change
+const syncTransaction = async ({ req, Transaction, filter, update }) => {
+  const before = await Transaction.findOne(filter).lean();
+  const after = await Transaction.findOneAndUpdate(filter, update, { upsert: true, new: true }).lean();
+  await recordHistory(req, 'transaction', 'debt-sync', [{ before, after }]);
+};
+
 const normalizeDateInput = (value) => {
   if (!value) return value;
   if (value instanceof Date) return value;
@@ -24,10 +44,12 @@ const normalizeDateInput = (value) => {
   return value;
 };
 
-const syncDebtAsIncomeTransaction = async ({ Transaction, userId, debt }) => {
+const syncDebtAsIncomeTransaction = async ({ req, Transaction, userId, debt }) => {
   const loanFingerprint = `loan-debt-${debt._id}`;
-  await Transaction.findOneAndUpdate(
-    {
+  await syncTransaction({
+    req,
+    Transaction,
+    filter: {
       userId,
       $or: [
         {
@@ -37,7 +59,7 @@ const syncDebtAsIncomeTransaction = async ({ Transaction, userId, debt }) => {
         { fingerprint: loanFingerprint }
       ]
     },
-    {
+    update: {
       $set: {
         debtId: debt._id,
         debtPaymentId: null,
@@ -49,22 +71,24 @@ const syncDebtAsIncomeTransaction = async ({ Transaction, userId, debt }) => {
         notes: `Loan received from ${debt.lenderName} - ${debt.notes || 'No notes'}`,
         isDeleted: false
       },
+      $unset: { deletedAt: 1 },
       $setOnInsert: {
         fingerprint: loanFingerprint
       }
-    },
-    { upsert: true }
-  );
+    }
+  });
 };
 
-const syncDebtPaymentAsExpenseTransaction = async ({ Transaction, userId, debt, payment }) => {
-  await Transaction.findOneAndUpdate(
-    {
+const syncDebtPaymentAsExpenseTransaction = async ({ req, Transaction, userId, debt, payment }) => {
+  await syncTransaction({
+    req,
+    Transaction,
+    filter: {
       userId,
       debtId: debt._id,
       debtPaymentId: payment._id
     },
-    {
+    update: {
       $set: {
         debtId: debt._id,
         debtPaymentId: payment._id,
@@ -76,12 +100,12 @@ const syncDebtPaymentAsExpenseTransaction = async ({ Transaction, userId, debt,
         notes: `Debt payment for ${debt.lenderName} - ${payment.notes || 'No notes'}`,
         isDeleted: false
       },
+      $unset: { deletedAt: 1 },
       $setOnInsert: {
         fingerprint: `payment-debt-${debt._id}-payment-${payment._id}`
       }
-    },
-    { upsert: true }
-  );
+    }
+  });
 };
 
 // Create a new debt
@@ -121,8 +145,9 @@ const createDebt = async (req, res) => {
 
     const debt = new Debt(debtData);
     await debt.save();
+    await recordHistory(req, 'debt', 'manual', [{ after: debt }]);
 
-    await syncDebtAsIncomeTransaction({ Transaction, userId: req.userId, debt });
+    await syncDebtAsIncomeTransaction({ req, Transaction, userId: req.userId, debt });
     
     console.log('✅ Debt transaction created:', {
       debtId: debt._id,
@@ -164,10 +189,11 @@ const getAllDebts = async (req, res) => {
           isDeleted: false
         });
 
-        await syncDebtAsIncomeTransaction({ Transaction, userId: req.userId, debt });
+        await syncDebtAsIncomeTransaction({ req, Transaction, userId: req.userId, debt });
         await Promise.all(
           payments.map((payment) =>
             syncDebtPaymentAsExpenseTransaction({
+              req,
               Transaction,
               userId: req.userId,
               debt,
@@ -288,6 +314,7 @@ const updateDebt = async (req, res) => {
       }
     }
 
+    const before = await Debt.findOne({ _id: req.params.id, userId: req.userId, isDeleted: false }).lean();
     const debt = await Debt.findOneAndUpdate(
       { _id: req.params.id, userId: req.userId, isDeleted: false },
       updateData,
@@ -297,8 +324,9 @@ const updateDebt = async (req, res) => {
     if (!debt) {
       return res.status(404).json({ error: 'Debt not found' });
     }
+    await recordHistory(req, 'debt', 'manual', [{ before, after: debt }]);
 
-    await syncDebtAsIncomeTransaction({ Transaction, userId: req.userId, debt });
+    await syncDebtAsIncomeTransaction({ req, Transaction, userId: req.userId, debt });
     req.app.emit('transaction-updated', { userId: req.userId, action: 'debt-update', debtId: debt._id });
 
     res.json(debt);
@@ -310,6 +338,7 @@ const updateDebt = async (req, res) => {
 // Close a debt
 const closeDebt = async (req, res) => {
   try {
+    const before = await Debt.findOne({ _id: req.params.id, userId: req.userId, isDeleted: false }).lean();
     const debt = await Debt.findOneAndUpdate(
       { _id: req.params.id, userId: req.userId, isDeleted: false },
       { status: 'closed', closedDate: new Date() },
@@ -319,6 +348,7 @@ const closeDebt = async (req, res) => {
     if (!debt) {
       return res.status(404).json({ error: 'Debt not found' });
     }
+    await recordHistory(req, 'debt', 'manual', [{ before, after: debt }]);
 
     res.json(debt);
   } catch (error) {
@@ -330,6 +360,7 @@ const closeDebt = async (req, res) => {
 const deleteDebt = async (req, res) => {
   try {
     const Transaction = getTransactionModel(req);
+    const before = await Debt.findOne({ _id: req.params.id, userId: req.userId }).lean();
     const debt = await Debt.findOneAndUpdate(
       { _id: req.params.id, userId: req.userId },
       { isDeleted: true },
@@ -339,6 +370,7 @@ const deleteDebt = async (req, res) => {
     if (!debt) {
       return res.status(404).json({ error: 'Debt not found' });
     }
+    await recordHistory(req, 'debt', 'manual', [{ before, after: debt }]);
 
     // Also soft delete all payments for this debt
     await DebtPayment.updateMany(
@@ -347,10 +379,15 @@ const deleteDebt = async (req, res) => {
     );
 
     // Also soft delete all related transactions
+    const linked = await Transaction.find({ debtId: req.params.id, userId: req.userId, isDeleted: false }).lean();
     await Transaction.updateMany(
-      { debtId: req.params.id, userId: req.userId },
-      { isDeleted: true }
+      { debtId: req.params.id, userId: req.userId, isDeleted: false },
+      { isDeleted: true, deletedAt: new Date() }
     );
+    await recordHistory(req, 'transaction', 'debt-sync', linked.map((transaction) => ({
+      before: transaction,
+      after: { ...transaction, isDeleted: true }
+    })));
 
     res.json({ message: 'Debt deleted successfully' });
   } catch (error) {
@@ -384,6 +421,7 @@ const addPayment = async (req, res) => {
     await payment.save();
 
     await syncDebtPaymentAsExpenseTransaction({
+      req,
       Transaction,
       userId: req.userId,
       debt,
@@ -402,7 +440,7 @@ const addPayment = async (req, res) => {
     // Check if debt should be automatically closed
     const outstandingBalance = await debt.calculateOutstandingBalance();
     if (outstandingBalance <= 0 && debt.status === 'active') {
-      await Debt.findByIdAndUpdate(debt._id, {
+      await setDebtStatus(req, debt, {
         status: 'closed',
         closedDate: new Date()
       });
@@ -461,6 +499,7 @@ const updatePayment = async (req, res) => {
     const debt = await Debt.findById(payment.debtId);
     if (debt) {
       await syncDebtPaymentAsExpenseTransaction({
+        req,
         Transaction,
         userId: req.userId,
         debt,
@@ -470,12 +509,12 @@ const updatePayment = async (req, res) => {
       // Recompute debt status after payment update.
       const outstandingBalance = await debt.calculateOutstandingBalance();
       if (outstandingBalance <= 0 && debt.status === 'active') {
-        await Debt.findByIdAndUpdate(debt._id, {
+        await setDebtStatus(req, debt, {
           status: 'closed',
           closedDate: new Date()
         });
       } else if (outstandingBalance > 0 && debt.status === 'closed') {
-        await Debt.findByIdAndUpdate(debt._id, {
+        await setDebtStatus(req, debt, {
           status: 'active',
           closedDate: null
         });
@@ -503,17 +542,20 @@ const deletePayment = async (req, res) => {
     }
 
     // Also soft delete the corresponding transaction
-    await Transaction.findOneAndUpdate(
-      { debtPaymentId: req.params.paymentId, userId: req.userId },
-      { isDeleted: true }
-    );
+    const linked = await Transaction.findOneAndUpdate(
+      { debtPaymentId: req.params.paymentId, userId: req.userId, isDeleted: false },
+      { isDeleted: true, deletedAt: new Date() }
+    ).lean();
+    if (linked) {
+      await recordHistory(req, 'transaction', 'debt-sync', [{ before: linked, after: { ...linked, isDeleted: true } }]);
+    }
 
     // Check if debt should be re-opened
     const debt = await Debt.findById(payment.debtId);
     if (debt && debt.status === 'closed') {
       const outstandingBalance = await debt.calculateOutstandingBalance();
       if (outstandingBalance > 0) {
-        await Debt.findByIdAndUpdate(debt._id, {
+        await setDebtStatus(req, debt, {
           status: 'active',
           closedDate: null
         });
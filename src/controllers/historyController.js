@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Budget = require('../models/Budget');
+const Debt = require('../models/Debt');
+const { buildTransactionRevertUpdate } = require('../utils/auditTrail');
+const { getReconciliationLockError, isWithinLockedPeriod } = require('../utils/reconciliation');
+const { getTransactionCategories } = require('../utils/transactionSplits');
+
+const getTransactionModel = (req) => req.app?.locals?.Transaction || mongoose.model('Transaction');
+
+// Lists every recorded version of one entity, newest first
+const sendHistory = async (req, res, entityType, Model) => {
+  const auditTrail = req.app.locals.auditTrail;
+  if (!auditTrail) {
+    return res.status(503).json({ error: 'Change history is not available' });
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  const versions = await auditTrail.getHistory(req.userId, entityType, req.params.id);
+  // Hard-deleted budgets keep their history; otherwise the entity must exist
+  if (versions.length === 0 && !(await Model.exists({ _id: req.params.id, userId: req.userId }))) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  res.json({ entityType, entityId: req.params.id, versions });
+};
+
+const getTransactionHistory = async (req, res) => {
+  try {
+    await sendHistory(req, res, 'transaction', getTransactionModel(req));
+  } catch (error) {
+    console.error('Error fetching transaction history:', error);
+    res.status(500).json({ error: 'Failed to fetch transaction history' });
+  }
+};
+
+const getBudgetHistory = async (req, res) => {
+  try {
+    await sendHistory(req, res, 'budget', Budget);
+  } catch (error) {
+    console.error('Error fetching budget history:', error);
+    res.status(500).json({ error: 'Failed to fetch budget history' });
+  }
+};
+
+const getDebtHistory = async (req, res) => {
+  try {
+    await sendHistory(req, res, 'debt', Debt);
+  } catch (error) {
+    console.error('Error fetching debt history:', error);
+    res.status(500).json({ error: 'Failed to fetch debt history' });
+  }
+};
+
+// Puts a transaction back to how it was at an earlier version. The revert is
+// itself recorded as a new version, so it can be undone the same way.
+const revertTransaction = async (req, res) => {
+  try {
+    const Transaction = getTransactionModel(req);
+    const auditTrail = req.app.locals.auditTrail;
+    if (!auditTrail) {
+      return res.status(503).json({ error: 'Change history is not available' });
+    }
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'version must be a positive whole number' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const transaction = await Transaction.findOne({ _id: req.params.id, userId: req.userId }).lean();
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const entry = await auditTrail.getVersion(req.userId, 'transaction', transaction._id, version);
+    if (!entry || !entry.snapshot) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    const { snapshot } = entry;
+    if (transaction.type === 'transfer' || snapshot.type === 'transfer') {
+      return res.status(400).json({ error: 'Use /api/transfers to change a transfer' });
+    }
+
+    // The version's account may have been deleted since
+    const accountIds = [transaction.accountId, snapshot.accountId].filter(Boolean).map(String);
+    const accounts = accountIds.length > 0
+      ? await Account.find({ userId: req.userId, _id: { $in: accountIds } }).select('reconciledThrough').lean()
+      : [];
+    const accountsById = new Map(accounts.map((account) => [String(account._id), account]));
+    if (snapshot.accountId && !accountsById.has(String(snapshot.accountId))) {
+      return res.status(409).json({ error: 'The account this version used no longer exists' });
+    }
+
+    const lockError = getReconciliationLockError(
+      transaction,
+      { amount: snapshot.amount, type: snapshot.type, date: snapshot.date, accountId: snapshot.accountId || null },
+      accountsById
+    );
+    const currentAccount = transaction.accountId ? accountsById.get(String(transaction.accountId)) : null;
+    const deletionChanges = Boolean(transaction.isDeleted) !== Boolean(snapshot.isDeleted);
+    if (lockError || (deletionChanges && (
+      transaction.clearedStatus === 'reconciled' || isWithinLockedPeriod(currentAccount, transaction.date)
+    ))) {
+      return res.status(409).json({ error: lockError || 'Transaction is in a reconciled period' });
+    }
+
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, userId: req.userId },
+      buildTransactionRevertUpdate(snapshot),
+      { new: true, runValidators: true }
+    );
+    await auditTrail.record({
+      userId: req.userId,
+      entityType: 'transaction',
+      source: 'manual',
+      changes: [{ before: transaction, after: updated, action: 'revert', revertedToVersion: version }]
+    });
+
+    const categories = new Set([
+      ...(transaction.type === 'expense' ? getTransactionCategories(transaction) : []),
+      ...(updated.type === 'expense' ? getTransactionCategories(updated) : [])
+    ]);
+    const updateBudgetSpentAmount = req.app.locals.updateBudgetSpentAmount;
+    if (updateBudgetSpentAmount) {
+      for (const category of categories) {
+        await updateBudgetSpentAmount(req.userId, category);
+      }
+    }
+
+    req.app.emit('transaction-updated', { userId: req.userId, action: 'revert', transaction: updated });
+
+    res.json({ revertedToVersion: version, transaction: updated });
+  } catch (error) {
+    console.error('Error reverting transaction:', error);
+    res.status(500).json({ error: 'Failed to revert transaction' });
+  }
+};
+
+module.exports = {
+  getTransactionHistory,
+  getBudgetHistory,
+  getDebtHistory,
+  revertTransaction
+};
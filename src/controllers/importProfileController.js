@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const ImportMappingProfile = require('../models/ImportMappingProfile');
+const { MAPPING_FIELDS, profileToColumnMapping } = require('../utils/importMappingProfiles');
+const { validateColumnMapping } = require('../utils/importRowMapper');
+
+const pickProfileFields = (body = {}) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.bankName !== undefined) fields.bankName = String(body.bankName || '').trim();
+  if (body.dateFormat !== undefined) fields.dateFormat = String(body.dateFormat || '').trim();
+  if (body.numberLocale !== undefined) fields.numberLocale = String(body.numberLocale || '').trim();
+  if (body.amountMode !== undefined) fields.amountMode = body.amountMode;
+  if (body.invertSign !== undefined) fields.invertSign = Boolean(body.invertSign);
+  if (body.defaultType !== undefined) fields.defaultType = body.defaultType || null;
+  if (Array.isArray(body.headers)) {
+    fields.headers = body.headers.map((header) => String(header || '').trim()).filter(Boolean);
+  }
+  if (body.columns && typeof body.columns === 'object') {
+    fields.columns = {};
+    MAPPING_FIELDS.forEach((field) => {
+      const column = body.columns[field];
+      if (typeof column === 'string' && column.trim() !== '') {
+        fields.columns[field] = column.trim();
+      }
+    });
+  }
+  return fields;
+};
+
+const validateProfileFields = (fields, existing = null) => {
+  if (fields.name !== undefined && !fields.name) {
+    return 'Profile name is required';
+  }
+  if (fields.defaultType && !['income', 'expense'].includes(fields.defaultType)) {
+    return 'defaultType must be income or expense';
+  }
+  if (
+    fields.columns !== undefined ||
+    fields.amountMode !== undefined ||
+    fields.dateFormat !== undefined ||
+    fields.numberLocale !== undefined
+  ) {
+    const merged = {
+      ...(existing ? existing.toObject() : {}),
+      ...fields,
+      columns: fields.columns || existing?.columns
+    };
+    return validateColumnMapping(profileToColumnMapping(merged));
+  }
+  return null;
+};
+
+// List saved mapping profiles for the user
+const getProfiles = async (req, res) => {
+  try {
+    const profiles = await ImportMappingProfile.find({ userId: req.userId })
+      .sort({ lastUsedAt: -1, createdAt: -1 });
+    res.json(profiles);
+  } catch (error) {
+    console.error('Error fetching import profiles:', error);
+    res.status(500).json({ error: 'Failed to fetch import profiles' });
+  }
+};
+
+// Save a new mapping profile
+const createProfile = async (req, res) => {
+  try {
+    const fields = pickProfileFields(req.body);
+    if (!fields.name || !fields.columns) {
+      return res.status(400).json({ error: 'name and columns are required' });
+    }
+    const validationError = validateProfileFields(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const profile = await ImportMappingProfile.create({ ...fields, userId: req.userId });
+    res.status(201).json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A profile with this name already exists' });
+    }
+    console.error('Error creating import profile:', error);
+    res.status(500).json({ error: 'Failed to create import profile' });
+  }
+};
+
+// Update an existing mapping profile
+const updateProfile = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+    const fields = pickProfileFields(req.body);
+    const existing = await ImportMappingProfile.findOne({ _id: req.params.id, userId: req.userId });
+    if (!existing) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+    const validationError = validateProfileFields(fields, existing);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const profile = await ImportMappingProfile.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      fields,
+      { new: true, runValidators: true }
+    );
+    if (!profile) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A profile with this name already exists' });
+    }
+    console.error('Error updating import profile:', error);
+    res.status(500).json({ error: 'Failed to update import profile' });
+  }
+};
+
+// Delete a mapping profile
+const deleteProfile = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+    const profile = await ImportMappingProfile.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    if (!profile) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+    res.json({ success: true, message: 'Import profile deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting import profile:', error);
+    res.status(500).json({ error: 'Failed to delete import profile' });
+  }
+};
+
+module.exports = {
+  getProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Merchant = require('../models/Merchant');
+const { normalizeMerchantKey, compileMerchantAliases, extractMerchant, isDetectedMerchant } = require('../utils/merchants');
+
+const REFRESH_BATCH_SIZE = 500;
+
+const getTransactionModel = (req) => {
+  return req.app?.locals?.Transaction || mongoose.model('Transaction');
+};
+
+const toUserObjectId = (userId) => (
+  mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId
+);
+
+const cleanAliases = (aliases) => Array.from(new Set(
+  (Array.isArray(aliases) ? aliases : []).map(normalizeMerchantKey).filter(Boolean)
+));
+
+// Folds the source merchants into the target: their names and aliases become
+// aliases of the target, and their transactions are relabelled.
+const mergeMerchants = async (req, sources, targetName) => {
+  const userId = req.userId;
+  const target = String(targetName || '').trim();
+  const sourceNames = Array.from(new Set(
+    (Array.isArray(sources) ? sources : []).map((name) => String(name || '').trim()).filter(Boolean)
+  )).filter((name) => name !== target);
+
+  const sourceDocs = await Merchant.find({ userId, name: { $in: sourceNames } }).lean();
+  const aliases = cleanAliases([
+    ...sourceNames,
+    ...sourceDocs.flatMap((doc) => doc.aliases || [])
+  ]);
+
+  const merchant = await Merchant.findOneAndUpdate(
+    { userId, name: target },
+    { $addToSet: { aliases: { $each: aliases } } },
+    { upsert: true, new: true, runValidators: true }
+  );
+  if (sourceNames.length > 0) {
+    await Merchant.deleteMany({ userId, name: { $in: sourceNames } });
+  }
+
+  let updatedTransactions = 0;
+  if (sourceNames.length > 0) {
+    const Transaction = getTransactionModel(req);
+    const filter = { userId, merchant: { $in: sourceNames } };
+    const before = await Transaction.find(filter).lean();
+    // A renamed or merged merchant is the user's choice; refreshes keep it
+    const result = await Transaction.updateMany(filter, { $set: { merchant: target, merchantSource: 'manual' } });
+    updatedTransactions = result.modifiedCount || 0;
+    const auditTrail = req.app.locals.auditTrail;
+    if (auditTrail) {
+      await auditTrail.recordWrite({ userId, entityType: 'transaction', source: 'bulk', model: Transaction, before });
+    }
+  }
+
+  if (updatedTransactions > 0) {
+    req.app.emit('transaction-updated', { userId, action: 'merchant-merge', count: updatedTransactions });
+  }
+  return { merchant, updatedTransactions };
+};
+
+// List merchants seen on the user's transactions with their spend, plus any
+// saved merchants that have no transactions yet
+const getMerchants = async (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const [usage, saved] = await Promise.all([
+      getTransactionModel(req).aggregate([
+        { $match: { userId: toUserObjectId(req.userId), isDeleted: false, merchant: { $nin: [null, ''] } } },
+        {
+          $group: {
+            _id: '$merchant',
+            transactionCount: { $sum: 1 },
+            spent: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] } },
+            received: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] } },
+            lastTransactionDate: { $max: '$date' }
+          }
+        },
+        { $sort: { spent: -1, transactionCount: -1 } },
+        { $limit: limit }
+      ]),
+      Merchant.find({ userId: req.userId }).lean()
+    ]);
+
+    const savedByName = new Map(saved.map((merchant) => [merchant.name, merchant]));
+    const merchants = usage.map((entry) => ({
+      id: savedByName.get(entry._id)?._id || null,
+      name: entry._id,
+      aliases: savedByName.get(entry._id)?.aliases || [],
+      transactionCount: entry.transactionCount,
+      spent: entry.spent,
+      received: entry.received,
+      lastTransactionDate: entry.lastTransactionDate
+    }));
+    const listed = new Set(merchants.map((merchant) => merchant.name));
+    saved
+      .filter((merchant) => !listed.has(merchant.name))
+      .forEach((merchant) => merchants.push({
+        id: merchant._id,
+        name: merchant.name,
+        aliases: merchant.aliases || [],
+        transactionCount: 0,
+        spent: 0,
+        received: 0,
+        lastTransactionDate: null
+      }));
+
+    res.json(merchants);
+  } catch (error) {
+    console.error('Error fetching merchants:', error);
+    res.status(500).json({ error: 'Failed to fetch merchants' });
+  }
+};
+
+// Save a merchant with its aliases
+const createMerchant = async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Merchant name is required' });
+    }
+    const merchant = await Merchant.create({ userId: req.userId, name, aliases: cleanAliases(req.body.aliases) });
+    res.status(201).json(merchant);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A merchant with this name already exists' });
+    }
+    console.error('Error creating merchant:', error);
+    res.status(500).json({ error: 'Failed to create merchant' });
+  }
+};
+
+// Update a merchant's aliases and/or rename it
+const updateMerchant = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+    const existing = await Merchant.findOne({ _id: req.params.id, userId: req.userId });
+    if (!existing) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    if (req.body?.aliases !== undefined) {
+      existing.aliases = cleanAliases(req.body.aliases);
+      await existing.save();
+    }
+
+    const name = req.body?.name !== undefined ? String(req.body.name || '').trim() : existing.name;
+    if (!name) {
+      return res.status(400).json({ error: 'Merchant name is required' });
+    }
+    if (name === existing.name) {
+      return res.json({ merchant: existing, updatedTransactions: 0 });
+    }
+
+    res.json(await mergeMerchants(req, [existing.name], name));
+  } catch (error) {
+    console.error('Error updating merchant:', error);
+    res.status(500).json({ error: 'Failed to update merchant' });
+  }
+};
+
+// Delete a saved merchant. Transactions keep their merchant name.
+const deleteMerchant = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+    const merchant = await Merchant.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+    res.json({ success: true, message: 'Merchant deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting merchant:', error);
+    res.status(500).json({ error: 'Failed to delete merchant' });
+  }
+};
+
+// Merge several merchants into one
+const mergeMerchantsHandler = async (req, res) => {
+  try {
+    const { sources, target } = req.body || {};
+    if (!Array.isArray(sources) || sources.length === 0 || !String(target || '').trim()) {
+      return res.status(400).json({ error: 'sources (array) and target are required' });
+    }
+    res.json(await mergeMerchants(req, sources, target));
+  } catch (error) {
+    console.error('Error merging merchants:', error);
+    res.status(500).json({ error: 'Failed to merge merchants' });
+  }
+};
+
+// Rename a merchant, including auto-detected ones that were never saved
+const renameMerchant = async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+    if (!String(from || '').trim() || !String(to || '').trim()) {
+      return res.status(400).json({ error: 'from and to are required' });
+    }
+    res.json(await mergeMerchants(req, [from], to));
+  } catch (error) {
+    console.error('Error renaming merchant:', error);
+    res.status(500).json({ error: 'Failed to rename merchant' });
+  }
+};
+
+// Re-detect the merchant of every transaction with the current alias tables.
+// Merchants the user set by hand (on the transaction, or by rename/merge) are kept.
+const refreshMerchants = async (req, res) => {
+  try {
+    const Transaction = getTransactionModel(req);
+    const aliases = compileMerchantAliases(await Merchant.find({ userId: req.userId }).lean());
+    const cursor = Transaction.find({ userId: req.userId, isDeleted: false })
+      .lean()
+      .cursor();
+
+    const auditTrail = req.app.locals.auditTrail;
+    let operations = [];
+    let before = [];
+    let updated = 0;
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await Transaction.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount || 0;
+      if (auditTrail) {
+        await auditTrail.recordWrite({ userId: req.userId, entityType: 'transaction', source: 'bulk', model: Transaction, before });
+      }
+      operations = [];
+      before = [];
+    };
+
+    for await (const transaction of cursor) {
+      if (!isDetectedMerchant(transaction)) continue;
+      const merchant = extractMerchant(transaction.description, aliases);
+      if ((merchant || null) !== (transaction.merchant || null)) {
+        operations.push({
+          updateOne: {
+            filter: { _id: transaction._id, userId: req.userId },
+            update: merchant
+              ? { $set: { merchant, merchantSource: 'detected' } }
+              : { $unset: { merchant: 1, merchantSource: 1 } }
+          }
+        });
+        before.push(transaction);
+      }
+      if (operations.length >= REFRESH_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    if (updated > 0) {
+      req.app.emit('transaction-updated', { userId: req.userId, action: 'merchant-refresh', count: updated });
+    }
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('Error refreshing merchants:', error);
+    res.status(500).json({ error: 'Failed to refresh merchants' });
+  }
+};
+
+module.exports = {
+  getMerchants,
+  createMerchant,
+  updateMerchant,
+  deleteMerchant,
+  mergeMerchants: mergeMerchantsHandler,
+  renameMerchant,
+  refreshMerchants
+};
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Reconciliation = require('../models/Reconciliation');
+const { isCleared, summarizeReconciliation } = require('../utils/reconciliation');
+
+const MAX_UNCLEARED_LISTED = 500;
+
+const getTransactionModel = (req) => {
+  return req.app?.locals?.Transaction || mongoose.model('Transaction');
+};
+
+// Updates the transactions matching `filter` and records the change in the
+// change log. Returns the update result.
+const updateTransactions = async (req, filter, update, source) => {
+  const Transaction = getTransactionModel(req);
+  const auditTrail = req.app.locals.auditTrail;
+  const before = auditTrail ? await Transaction.find(filter).lean() : [];
+  const result = await Transaction.updateMany(filter, update);
+  if (auditTrail) {
+    await auditTrail.recordWrite({ userId: req.userId, entityType: 'transaction', source, model: Transaction, before });
+  }
+  return result;
+};
+
+const findAccount = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Account.findOne({ _id: req.params.id, userId: req.userId });
+};
+
+const parseStatement = (source = {}) => {
+  const statementDate = new Date(source.statementDate);
+  const statementBalance = Number(source.statementBalance);
+  if (!source.statementDate || Number.isNaN(statementDate.getTime())) {
+    return { error: 'statementDate is required' };
+  }
+  if (source.statementBalance === undefined || source.statementBalance === '' || !Number.isFinite(statementBalance)) {
+    return { error: 'statementBalance must be a number' };
+  }
+  return { statementDate, statementBalance };
+};
+
+// Every active transaction of the account up to the statement date
+const loadStatementTransactions = (req, account, statementDate) => getTransactionModel(req).find({
+  userId: req.userId,
+  accountId: account._id,
+  isDeleted: false,
+  date: { $lte: statementDate }
+})
+  .sort({ date: 1, _id: 1 })
+  .lean();
+
+// Cleared balance and difference against a statement, plus the transactions
+// not yet cleared that could explain the difference
+const getReconciliationStatus = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const statement = parseStatement(req.query);
+    if (statement.error) {
+      return res.status(400).json({ error: statement.error });
+    }
+
+    const transactions = await loadStatementTransactions(req, account, statement.statementDate);
+    const summary = summarizeReconciliation({
+      openingBalance: account.openingBalance,
+      statementBalance: statement.statementBalance,
+      transactions
+    });
+    const uncleared = transactions.filter((transaction) => !isCleared(transaction));
+
+    res.json({
+      accountId: account._id,
+      statementDate: statement.statementDate,
+      reconciledThrough: account.reconciledThrough || null,
+      ...summary,
+      unclearedTransactions: uncleared.slice(0, MAX_UNCLEARED_LISTED)
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation status:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation status' });
+  }
+};
+
+// Mark transactions as cleared or uncleared. Reconciled rows are left alone.
+const setClearedStatus = async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.transactionIds) ? req.body.transactionIds : [];
+    const status = req.body?.status || 'cleared';
+    if (ids.length === 0 || !ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: 'transactionIds must be a list of transaction ids' });
+    }
+    if (!['cleared', 'uncleared'].includes(status)) {
+      return res.status(400).json({ error: 'status must be cleared or uncleared' });
+    }
+
+    const result = await updateTransactions(
+      req,
+      { _id: { $in: ids }, userId: req.userId, isDeleted: false, clearedStatus: { $ne: 'reconciled' } },
+      { $set: { clearedStatus: status } },
+      ids.length > 1 ? 'bulk' : 'manual'
+    );
+    res.json({ success: true, status, updated: result.modifiedCount || 0 });
+  } catch (error) {
+    console.error('Error updating cleared status:', error);
+    res.status(500).json({ error: 'Failed to update cleared status' });
+  }
+};
+
+// List completed reconciliations for an account, newest first
+const getReconciliations = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const reconciliations = await Reconciliation.find({ userId: req.userId, accountId: account._id })
+      .sort({ statementDate: -1, createdAt: -1 })
+      .lean();
+    res.json(reconciliations);
+  } catch (error) {
+    console.error('Error fetching reconciliations:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliations' });
+  }
+};
+
+// Complete a reconciliation: requires the cleared balance to match the
+// statement, then marks the cleared rows reconciled and locks the period
+const completeReconciliation = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const statement = parseStatement(req.body);
+    if (statement.error) {
+      return res.status(400).json({ error: statement.error });
+    }
+    if (account.reconciledThrough && statement.statementDate < account.reconciledThrough) {
+      return res.status(409).json({ error: 'Account is already reconciled past this statement date' });
+    }
+
+    const transactions = await loadStatementTransactions(req, account, statement.statementDate);
+    const summary = summarizeReconciliation({
+      openingBalance: account.openingBalance,
+      statementBalance: statement.statementBalance,
+      transactions
+    });
+    if (!summary.balanced) {
+      return res.status(409).json({ error: 'Cleared balance does not match the statement', ...summary });
+    }
+
+    const reconciliation = await Reconciliation.create({
+      userId: req.userId,
+      accountId: account._id,
+      statementDate: statement.statementDate,
+      statementBalance: summary.statementBalance,
+      clearedBalance: summary.clearedBalance
+    });
+    const result = await updateTransactions(
+      req,
+      {
+        userId: req.userId,
+        accountId: account._id,
+        isDeleted: false,
+        clearedStatus: 'cleared',
+        date: { $lte: statement.statementDate }
+      },
+      { $set: { clearedStatus: 'reconciled', reconciliationId: reconciliation._id } },
+      'bulk'
+    );
+    reconciliation.transactionCount = result.modifiedCount || 0;
+    await reconciliation.save();
+
+    account.reconciledThrough = statement.statementDate;
+    account.reconciledBalance = summary.statementBalance;
+    await account.save();
+
+    req.app.emit('transaction-updated', { userId: req.userId, action: 'reconcile', accountId: account._id });
+    res.status(201).json({ reconciliation, ...summary });
+  } catch (error) {
+    console.error('Error completing reconciliation:', error);
+    res.status(500).json({ error: 'Failed to complete reconciliation' });
+  }
+};
+
+// Undo the latest reconciliation of an account, unlocking its period
+const undoReconciliation = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const [latest, previous] = await Reconciliation.find({ userId: req.userId, accountId: account._id })
+      .sort({ statementDate: -1, createdAt: -1 })
+      .limit(2);
+    if (!latest || String(latest._id) !== String(req.params.reconciliationId)) {
+      return res.status(409).json({ error: 'Only the latest reconciliation can be undone' });
+    }
+
+    await updateTransactions(
+      req,
+      { userId: req.userId, reconciliationId: latest._id },
+      { $set: { clearedStatus: 'cleared' }, $unset: { reconciliationId: 1 } },
+      'bulk'
+    );
+    await Reconciliation.deleteOne({ _id: latest._id });
+
+    account.reconciledThrough = previous ? previous.statementDate : undefined;
+    account.reconciledBalance = previous ? previous.statementBalance : undefined;
+    await account.save();
+
+    res.json({ success: true, reconciledThrough: account.reconciledThrough || null });
+  } catch (error) {
+    console.error('Error undoing reconciliation:', error);
+    res.status(500).json({ error: 'Failed to undo reconciliation' });
+  }
+};
+
+module.exports = {
+  getReconciliationStatus,
+  setClearedStatus,
+  getReconciliations,
+  completeReconciliation,
+  undoReconciliation
+};
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const RecurringSchedule = require('../models/RecurringSchedule');
+const SalaryPlanner = require('../models/SalaryPlanner');
+const { createEmptyPlannerDoc } = require('./salaryPlannerController');
+const { nextOccurrence } = require('../utils/recurrence');
+const {
+  detectRecurringPayments,
+  findSubscriptionPriceIncreases,
+  scheduleRecurrenceFor,
+  payeeKey
+} = require('../utils/recurringDetector');
+
+const DEFAULT_LOOKBACK_MONTHS = 12;
+const MAX_LOOKBACK_MONTHS = 36;
+const MAX_HISTORY_ROWS = 20000;
+const APPLY_TARGETS = ['subscription', 'fixed-bill', 'schedule'];
+
+const getTransactionModel = (req) => req.app?.locals?.Transaction || mongoose.model('Transaction');
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Runs detection over the user's income and expenses in the lookback window.
+// Past the row cap the newest rows win; the detector orders each payee's
+// charges itself.
+const detectForUser = async (req, lookbackMonths) => {
+  const Transaction = getTransactionModel(req);
+  const since = new Date();
+  since.setUTCMonth(since.getUTCMonth() - lookbackMonths);
+  const transactions = await Transaction.find({
+    userId: req.userId,
+    isDeleted: false,
+    type: { $in: ['income', 'expense'] },
+    date: { $gte: since }
+  })
+    .select('date amount type description merchant category')
+    .sort({ date: -1 })
+    .limit(MAX_HISTORY_ROWS)
+    .lean();
+  return detectRecurringPayments(transactions);
+};
+
+// What the user already tracks, keyed by normalized payee
+const loadTrackedPayees = async (userId) => {
+  const [schedules, planner] = await Promise.all([
+    RecurringSchedule.find({ userId }).select('name template.description').lean(),
+    SalaryPlanner.findOne({ userId }).sort({ month: -1 }).select('month subscriptions fixedBills').lean()
+  ]);
+  const tracked = new Map();
+  schedules.forEach((schedule) => {
+    [schedule.name, schedule.template?.description].forEach((value) => {
+      const key = payeeKey(value);
+      if (key && !tracked.has(key)) tracked.set(key, 'schedule');
+    });
+  });
+  (planner?.fixedBills || []).forEach((bill) => {
+    const key = payeeKey(bill.name);
+    if (key && !tracked.has(key)) tracked.set(key, 'fixed-bill');
+  });
+  (planner?.subscriptions || []).forEach((subscription) => {
+    [subscription.provider, subscription.name].forEach((value) => {
+      const key = payeeKey(value);
+      if (key) tracked.set(key, 'subscription');
+    });
+  });
+  return { tracked, planner };
+};
+
+const parseLookback = (value) => Math.min(
+  MAX_LOOKBACK_MONTHS,
+  Math.max(1, parseInt(value, 10) || DEFAULT_LOOKBACK_MONTHS)
+);
+
+// Recurring payments found in the transaction history, with what each could
+// become, and price increases in the subscriptions the user already tracks
+const getRecurringDetections = async (req, res) => {
+  try {
+    const lookbackMonths = parseLookback(req.query.lookbackMonths);
+    const [detections, { tracked, planner }] = await Promise.all([
+      detectForUser(req, lookbackMonths),
+      loadTrackedPayees(req.userId)
+    ]);
+    const includeTracked = req.query.includeTracked === 'true';
+    const candidates = detections
+      .map((detection) => ({ ...detection, trackedAs: tracked.get(detection.payeeKey) || null }))
+      .filter((detection) => includeTracked || (!detection.trackedAs && detection.active));
+
+    res.json({
+      lookbackMonths,
+      candidates,
+      priceIncreases: findSubscriptionPriceIncreases(planner?.subscriptions, detections),
+      plannerMonth: planner?.month || null
+    });
+  } catch (error) {
+    console.error('Error detecting recurring payments:', error);
+    res.status(500).json({ error: 'Failed to detect recurring payments' });
+  }
+};
+
+// Turns a detected pattern into a salary-planner subscription or fixed bill
+// (for `month`, default the current month) or into a recurring schedule
+const applyRecurringDetection = async (req, res) => {
+  try {
+    const { key, as, month = currentMonth() } = req.body || {};
+    if (!key) {
+      return res.status(400).json({ error: 'key is required' });
+    }
+    const detections = await detectForUser(req, parseLookback(req.body?.lookbackMonths));
+    const detection = detections.find((entry) => entry.key === key);
+    if (!detection) {
+      return res.status(404).json({ error: 'No recurring payment found for this key' });
+    }
+    const target = as || detection.kind;
+    if (!APPLY_TARGETS.includes(target)) {
+      return res.status(400).json({ error: `as must be one of ${APPLY_TARGETS.join(', ')}` });
+    }
+    if (target !== 'schedule' && detection.type !== 'expense') {
+      return res.status(400).json({ error: 'Only expenses can be added as subscriptions or fixed bills' });
+    }
+    // Applying twice must not add the same payment twice
+    const { tracked } = await loadTrackedPayees(req.userId);
+    const trackedAs = tracked.get(detection.payeeKey);
+    if (trackedAs) {
+      return res.status(409).json({ error: `This payment is already tracked as a ${trackedAs}`, trackedAs });
+    }
+    const dueDay = String(detection.dayOfMonth).padStart(2, '0');
+
+    if (target === 'schedule') {
+      const schedule = new RecurringSchedule({
+        userId: req.userId,
+        name: detection.payee,
+        template: {
+          amount: detection.lastAmount,
+          type: detection.type,
+          category: detection.category || (detection.type === 'income' ? 'Income' : 'Other'),
+          description: detection.payee
+        },
+        ...scheduleRecurrenceFor(detection),
+        // Start after the last charge already in the history
+        startDate: new Date(new Date(detection.lastDate).getTime() + 1),
+        // Detected schedules remind until the user opts into auto-posting
+        autoPost: Boolean(req.body?.autoPost),
+        source: { kind: 'manual' }
+      });
+      schedule.nextRunAt = nextOccurrence(schedule);
+      await schedule.save();
+      return res.status(201).json({ as: target, schedule });
+    }
+
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+    let planner = await SalaryPlanner.findOne({ userId: req.userId, month });
+    if (!planner) {
+      planner = new SalaryPlanner(createEmptyPlannerDoc(req.userId, month));
+    }
+    // loadTrackedPayees only sees the latest month; `month` may be another one
+    const alreadyInMonth = target === 'subscription'
+      ? planner.subscriptions.some((entry) => [entry.provider, entry.name].some((value) => payeeKey(value) === detection.payeeKey))
+      : planner.fixedBills.some((entry) => payeeKey(entry.name) === detection.payeeKey);
+    if (alreadyInMonth) {
+      return res.status(409).json({ error: `This payment is already tracked as a ${target} in ${month}`, trackedAs: target });
+    }
+    if (target === 'subscription') {
+      planner.subscriptions.push({
+        name: detection.payee,
+        provider: detection.payee,
+        monthlyCost: detection.monthlyCost,
+        renewalDate: dueDay,
+        category: detection.category || 'Entertainment',
+        notes: `Detected from ${detection.occurrences} ${detection.frequency} payments`,
+        startDate: detection.lastDate
+      });
+    } else {
+      planner.fixedBills.push({
+        name: detection.payee,
+        amount: detection.monthlyCost,
+        dueDate: dueDay,
+        notes: `Detected from ${detection.occurrences} ${detection.frequency} payments`
+      });
+    }
+    await planner.save();
+    res.status(201).json({ as: target, month, planner });
+  } catch (error) {
+    console.error('Error applying recurring detection:', error);
+    res.status(500).json({ error: 'Failed to apply recurring detection' });
+  }
+};
+
+module.exports = {
+  getRecurringDetections,
+  applyRecurringDetection
+};
@@ -0,0 +1,364 @@
+const mongoose = require('mongoose');
+const RecurringSchedule = require('../models/RecurringSchedule');
+const SalaryPlanner = require('../models/SalaryPlanner');
+const Account = require('../models/Account');
+const { resolveAccountId } = require('../utils/accountBalances');
+const { validateRecurrence, listOccurrences, nextOccurrence, occurrenceKey } = require('../utils/recurrence');
+const { buildOccurrenceInput } = require('../utils/recurringScheduler');
+
+const MAX_PREVIEW_OCCURRENCES = 100;
+const RECURRENCE_FIELDS = ['frequency', 'interval', 'dayOfMonth', 'dayOfWeek', 'monthOfYear', 'cron', 'startDate', 'endDate'];
+
+const toInteger = (value) => (value === null || value === '' ? null : Number(value));
+
+const pickScheduleFields = (body = {}) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name || '').trim();
+  if (body.frequency !== undefined) fields.frequency = body.frequency;
+  if (body.interval !== undefined) fields.interval = Number(body.interval);
+  if (body.dayOfMonth !== undefined) fields.dayOfMonth = toInteger(body.dayOfMonth);
+  if (body.dayOfWeek !== undefined) fields.dayOfWeek = toInteger(body.dayOfWeek);
+  if (body.monthOfYear !== undefined) fields.monthOfYear = toInteger(body.monthOfYear);
+  if (body.cron !== undefined) fields.cron = String(body.cron || '').trim();
+  if (body.startDate !== undefined) fields.startDate = new Date(body.startDate);
+  if (body.endDate !== undefined) fields.endDate = body.endDate ? new Date(body.endDate) : null;
+  if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+  if (body.autoPost !== undefined) fields.autoPost = Boolean(body.autoPost);
+  if (body.template && typeof body.template === 'object') {
+    const template = {};
+    if (body.template.amount !== undefined) template.amount = Number(body.template.amount);
+    if (body.template.type !== undefined) template.type = body.template.type;
+    if (body.template.category !== undefined) template.category = String(body.template.category || '').trim();
+    if (body.template.description !== undefined) template.description = String(body.template.description || '').trim();
+    if (body.template.accountId !== undefined) template.accountId = body.template.accountId;
+    if (Array.isArray(body.template.tags)) {
+      template.tags = body.template.tags.map((tag) => String(tag || '').trim()).filter(Boolean);
+    }
+    fields.template = template;
+  }
+  return fields;
+};
+
+const validateTemplate = (template) => {
+  if (!Number.isFinite(template.amount) || template.amount <= 0) return 'template.amount must be a positive number';
+  if (!['income', 'expense'].includes(template.type)) return 'template.type must be income or expense';
+  if (!template.category) return 'template.category is required';
+  if (!template.description) return 'template.description is required';
+  return null;
+};
+
+const findSchedule = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return RecurringSchedule.findOne({ _id: req.params.id, userId: req.userId });
+};
+
+// The first occurrence the scheduler has not handled yet
+const computeNextRunAt = (schedule) => (
+  nextOccurrence(schedule, schedule.lastOccurrenceAt || undefined)
+);
+
+// Upcoming occurrences with any skip/override applied
+const previewOccurrences = (schedule, { after, count }) => listOccurrences(schedule, { after, count }).map((date) => {
+  const key = occurrenceKey(date);
+  const exception = (schedule.exceptions || []).find((entry) => entry.occurrence === key);
+  const input = buildOccurrenceInput(schedule, date, exception);
+  return {
+    occurrence: key,
+    scheduledDate: date,
+    status: exception ? (exception.action === 'skip' ? 'skipped' : 'overridden') : 'scheduled',
+    date: input.date,
+    amount: input.amount,
+    category: input.category,
+    description: input.description
+  };
+});
+
+// List recurring schedules with their next few occurrences
+const getSchedules = async (req, res) => {
+  try {
+    const schedules = await RecurringSchedule.find({ userId: req.userId }).sort({ isActive: -1, name: 1 }).lean();
+    res.json(schedules.map((schedule) => ({
+      ...schedule,
+      upcoming: schedule.isActive
+        ? previewOccurrences(schedule, { after: schedule.lastOccurrenceAt || undefined, count: 3 })
+        : []
+    })));
+  } catch (error) {
+    console.error('Error fetching recurring schedules:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring schedules' });
+  }
+};
+
+// Create a recurring schedule
+const createSchedule = async (req, res) => {
+  try {
+    const fields = pickScheduleFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({ error: 'Schedule name is required' });
+    }
+    const templateError = validateTemplate(fields.template || {});
+    const recurrenceError = validateRecurrence(fields);
+    if (templateError || recurrenceError) {
+      return res.status(400).json({ error: templateError || recurrenceError });
+    }
+    const account = await resolveAccountId(Account, req.userId, fields.template.accountId);
+    if (account.error) {
+      return res.status(400).json({ error: account.error });
+    }
+    fields.template.accountId = account.accountId;
+
+    const schedule = new RecurringSchedule({ ...fields, userId: req.userId, source: { kind: 'manual' } });
+    schedule.nextRunAt = computeNextRunAt(schedule);
+    await schedule.save();
+    res.status(201).json(schedule);
+  } catch (error) {
+    console.error('Error creating recurring schedule:', error);
+    res.status(500).json({ error: 'Failed to create recurring schedule' });
+  }
+};
+
+// Update a schedule; changing its recurrence recomputes the next run
+const updateSchedule = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
+    const fields = pickScheduleFields(req.body);
+    if (fields.name !== undefined && !fields.name) {
+      return res.status(400).json({ error: 'Schedule name is required' });
+    }
+    const current = schedule.toObject();
+    const template = { ...current.template, ...(fields.template || {}) };
+    const merged = { ...current, ...fields, template };
+    const templateError = validateTemplate(template);
+    const recurrenceError = validateRecurrence(merged);
+    if (templateError || recurrenceError) {
+      return res.status(400).json({ error: templateError || recurrenceError });
+    }
+    if (fields.template && fields.template.accountId !== undefined) {
+      const account = await resolveAccountId(Account, req.userId, fields.template.accountId);
+      if (account.error) {
+        return res.status(400).json({ error: account.error });
+      }
+      template.accountId = account.accountId;
+    }
+
+    Object.assign(schedule, fields, { template });
+    if (RECURRENCE_FIELDS.some((field) => fields[field] !== undefined) || fields.isActive) {
+      schedule.nextRunAt = computeNextRunAt(schedule);
+    }
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error updating recurring schedule:', error);
+    res.status(500).json({ error: 'Failed to update recurring schedule' });
+  }
+};
+
+// Delete a schedule. Transactions it already posted are kept.
+const deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
+    await RecurringSchedule.deleteOne({ _id: schedule._id, userId: req.userId });
+    res.json({ success: true, message: 'Recurring schedule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting recurring schedule:', error);
+    res.status(500).json({ error: 'Failed to delete recurring schedule' });
+  }
+};
+
+// Preview the next occurrences of a schedule
+const getOccurrences = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
+    const count = Math.min(MAX_PREVIEW_OCCURRENCES, Math.max(1, parseInt(req.query.count, 10) || 12));
+    const after = req.query.from
+      ? new Date(new Date(req.query.from).getTime() - 1)
+      : (schedule.lastOccurrenceAt || (schedule.autoPost ? undefined : new Date()));
+    if (after && Number.isNaN(after.getTime())) {
+      return res.status(400).json({ error: 'Invalid from date' });
+    }
+    res.json({
+      scheduleId: schedule._id,
+      nextRunAt: schedule.nextRunAt,
+      occurrences: previewOccurrences(schedule.toObject(), { after, count })
+    });
+  } catch (error) {
+    console.error('Error previewing occurrences:', error);
+    res.status(500).json({ error: 'Failed to preview occurrences' });
+  }
+};
+
+// Skip or override a single upcoming occurrence
+const setOccurrenceException = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
+    const key = req.params.occurrence;
+    const occurrenceDate = new Date(key.length === 10 ? `${key}T00:00:00Z` : `${key}:00Z`);
+    const [match] = Number.isNaN(occurrenceDate.getTime())
+      ? []
+      : listOccurrences(schedule, { after: new Date(occurrenceDate.getTime() - 1), count: 1 });
+    if (!match || occurrenceKey(match) !== key) {
+      return res.status(404).json({ error: 'No such occurrence for this schedule' });
+    }
+    if (schedule.lastOccurrenceAt && match <= schedule.lastOccurrenceAt) {
+      return res.status(409).json({ error: 'This occurrence has already been posted' });
+    }
+
+    const action = req.body?.action;
+    if (!['skip', 'override'].includes(action)) {
+      return res.status(400).json({ error: 'action must be skip or override' });
+    }
+    const exception = { occurrence: key, action };
+    if (action === 'override') {
+      if (req.body.amount !== undefined) exception.amount = Number(req.body.amount);
+      if (req.body.category !== undefined) exception.category = String(req.body.category || '').trim() || undefined;
+      if (req.body.description !== undefined) exception.description = String(req.body.description || '').trim() || undefined;
+      if (req.body.date !== undefined) exception.date = new Date(req.body.date);
+      if (exception.amount !== undefined && (!Number.isFinite(exception.amount) || exception.amount <= 0)) {
+        return res.status(400).json({ error: 'amount must be a positive number' });
+      }
+      if (exception.date && Number.isNaN(exception.date.getTime())) {
+        return res.status(400).json({ error: 'Invalid date' });
+      }
+    }
+
+    schedule.exceptions = [
+      ...schedule.exceptions.filter((entry) => entry.occurrence !== key),
+      exception
+    ];
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error saving occurrence exception:', error);
+    res.status(500).json({ error: 'Failed to save occurrence exception' });
+  }
+};
+
+// Remove a skip/override so the occurrence posts from the template again
+const clearOccurrenceException = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
+    schedule.exceptions = schedule.exceptions.filter((entry) => entry.occurrence !== req.params.occurrence);
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error clearing occurrence exception:', error);
+    res.status(500).json({ error: 'Failed to clear occurrence exception' });
+  }
+};
+
+// Post the user's due occurrences now instead of waiting for the scheduler
+const runSchedules = async (req, res) => {
+  try {
+    const scheduler = req.app.locals.recurringScheduler;
+    if (!scheduler) {
+      return res.status(503).json({ error: 'Recurring scheduler is not available' });
+    }
+    const results = await scheduler.runDue({ userId: req.userId });
+    res.json({
+      schedules: results.length,
+      posted: results.reduce((sum, result) => sum + (result.posted || 0), 0),
+      results
+    });
+  } catch (error) {
+    console.error('Error running recurring schedules:', error);
+    res.status(500).json({ error: 'Failed to run recurring schedules' });
+  }
+};
+
+// Creates or refreshes monthly schedules for the salary credit and fixed bills
+// of the user's latest salary plan. Only occurrences from `startDate`
+// (default today) onwards are posted, so past months are not duplicated.
+const createFromSalaryPlanner = async (req, res) => {
+  try {
+    const planner = await SalaryPlanner.findOne({ userId: req.userId }).sort({ month: -1 }).lean();
+    if (!planner) {
+      return res.status(404).json({ error: 'No salary plan found' });
+    }
+    const startDate = req.body?.startDate ? new Date(req.body.startDate) : new Date();
+    if (Number.isNaN(startDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid startDate' });
+    }
+    startDate.setUTCHours(0, 0, 0, 0);
+
+    const drafts = [];
+    if (planner.salary && planner.salary.amount > 0) {
+      drafts.push({
+        source: { kind: 'salary', key: 'salary' },
+        name: 'Salary',
+        dayOfMonth: Number(planner.salary.creditDate) || 1,
+        template: { amount: planner.salary.amount, type: 'income', category: 'Salary', description: 'Salary credit' }
+      });
+    }
+    (planner.fixedBills || []).forEach((bill) => {
+      if (!bill.name || !(bill.amount > 0)) return;
+      drafts.push({
+        source: { kind: 'fixed-bill', key: bill.name.trim().toLowerCase() },
+        name: bill.name.trim(),
+        dayOfMonth: Number(bill.dueDate) || 1,
+        template: { amount: bill.amount, type: 'expense', category: 'Bills', description: bill.name.trim() }
+      });
+    });
+
+    const schedules = [];
+    let created = 0;
+    for (const draft of drafts) {
+      draft.dayOfMonth = Math.min(31, Math.max(1, draft.dayOfMonth));
+      let schedule = await RecurringSchedule.findOne({
+        userId: req.userId,
+        'source.kind': draft.source.kind,
+        'source.key': draft.source.key
+      });
+      if (schedule) {
+        const dayChanged = schedule.dayOfMonth !== draft.dayOfMonth;
+        schedule.name = draft.name;
+        schedule.dayOfMonth = draft.dayOfMonth;
+        schedule.template.amount = draft.template.amount;
+        if (dayChanged) schedule.nextRunAt = computeNextRunAt(schedule);
+      } else {
+        schedule = new RecurringSchedule({
+          ...draft,
+          userId: req.userId,
+          frequency: 'monthly',
+          interval: 1,
+          startDate
+        });
+        schedule.nextRunAt = computeNextRunAt(schedule);
+        created++;
+      }
+      await schedule.save();
+      schedules.push(schedule);
+    }
+
+    res.json({ created, updated: schedules.length - created, schedules });
+  } catch (error) {
+    console.error('Error creating schedules from salary planner:', error);
+    res.status(500).json({ error: 'Failed to create schedules from salary planner' });
+  }
+};
+
+module.exports = {
+  getSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getOccurrences,
+  setOccurrenceException,
+  clearOccurrenceException,
+  runSchedules,
+  createFromSalaryPlanner
+};
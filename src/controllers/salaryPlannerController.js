@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const SalaryPlanner = require('../models/SalaryPlanner');
+const { SPLIT_LINE_STAGES } = require('../utils/transactionSplits');
 
 const buildMonthRange = (month) => {
   if (!month || !/^\d{4}-\d{2}$/.test(month)) {
@@ -16,20 +17,20 @@ const buildMonthRange = (month) => {
 const getMonthlyTransactionFlow = async (req, month) => {
   const range = buildMonthRange(month);
   if (!range) {
-    return { totalIncome: 0, totalExpenses: 0, netFlow: 0 };
+    return { totalIncome: 0, totalExpenses: 0, netFlow: 0, expensesByCategory: [] };
   }
 
   const Transaction =
     req.app?.locals?.Transaction || mongoose.model('Transaction');
 
+  const monthMatch = {
+    userId: new mongoose.Types.ObjectId(req.userId),
+    isDeleted: false,
+    date: { $gte: range.monthStart, $lt: range.nextMonthStart }
+  };
+
   const summary = await Transaction.aggregate([
-    {
-      $match: {
-        userId: new mongoose.Types.ObjectId(req.userId),
-        isDeleted: false,
-        date: { $gte: range.monthStart, $lt: range.nextMonthStart }
-      }
-    },
+    { $match: monthMatch },
     {
       $group: {
         _id: '$type',
@@ -38,6 +39,19 @@ const getMonthlyTransactionFlow = async (req, month) => {
     }
   ]);
 
+  // Spend per category, with split transactions counted per line
+  const categoryRows = await Transaction.aggregate([
+    { $match: { ...monthMatch, type: 'expense' } },
+    ...SPLIT_LINE_STAGES,
+    {
+      $group: {
+        _id: '$category',
+        total: { $sum: '$amount' }
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
   let totalIncome = 0;
   let totalExpenses = 0;
   for (const row of summary) {
@@ -48,7 +62,8 @@ const getMonthlyTransactionFlow = async (req, month) => {
   return {
     totalIncome,
     totalExpenses,
-    netFlow: totalIncome - totalExpenses
+    netFlow: totalIncome - totalExpenses,
+    expensesByCategory: categoryRows.map((row) => ({ category: row._id, amount: Number(row.total) || 0 }))
   };
 };
 
@@ -787,5 +802,6 @@ module.exports = {
   deleteSubscription,
   getSubscriptionSummary,
   updateCumulativeSavings,
-  getCumulativeSavings
+  getCumulativeSavings,
+  createEmptyPlannerDoc
 };
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const CategoryRule = require('../models/CategoryRule');
+const RecurringSchedule = require('../models/RecurringSchedule');
+const {
+  MAX_TAG_LENGTH,
+  normalizeTagName,
+  isValidTagColor,
+  defaultTagColor,
+  renameInTags,
+  registerTags
+} = require('../utils/tags');
+
+const getTransactionModel = (req) => req.app?.locals?.Transaction || mongoose.model('Transaction');
+
+const toUserObjectId = (userId) => (
+  mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId
+);
+
+const pickTagFields = (body = {}) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = normalizeTagName(body.name);
+  if (body.color !== undefined) fields.color = String(body.color || '').trim();
+  if (body.description !== undefined) fields.description = String(body.description || '').trim();
+  return fields;
+};
+
+const validateTagFields = (fields) => {
+  if (fields.name !== undefined && !fields.name) return 'Tag name is required';
+  if (fields.name && fields.name.length > MAX_TAG_LENGTH) return `Tag name can be at most ${MAX_TAG_LENGTH} characters`;
+  if (fields.color !== undefined && !isValidTagColor(fields.color)) return 'color must be a hex color like #2563eb';
+  return null;
+};
+
+const findTag = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Tag.findOne({ _id: req.params.id, userId: req.userId });
+};
+
+// Rewrites `from` to `to` (or removes it when `to` is null) on every
+// transaction that carries it, deleted ones included, and records the change
+const retagTransactions = async (req, from, to) => {
+  const Transaction = getTransactionModel(req);
+  const affected = await Transaction.find({ userId: req.userId, tags: from }).lean();
+  if (affected.length === 0) return 0;
+
+  if (to === null) {
+    await Transaction.updateMany({ userId: req.userId, tags: from }, { $pull: { tags: from } });
+  } else {
+    // Rows that already carry the new name just lose the old one
+    await Transaction.updateMany({ userId: req.userId, tags: { $all: [from, to] } }, { $pull: { tags: from } });
+    await Transaction.updateMany(
+      { userId: req.userId, tags: from },
+      { $set: { 'tags.$[tag]': to } },
+      { arrayFilters: [{ tag: from }] }
+    );
+  }
+
+  const auditTrail = req.app.locals.auditTrail;
+  if (auditTrail) {
+    await auditTrail.record({
+      userId: req.userId,
+      entityType: 'transaction',
+      source: 'manual',
+      changes: affected.map((transaction) => ({
+        before: transaction,
+        after: {
+          ...transaction,
+          tags: to === null ? transaction.tags.filter((tag) => tag !== from) : renameInTags(transaction.tags, from, to)
+        }
+      }))
+    });
+  }
+  req.app.emit('transaction-updated', { userId: req.userId, action: 'tags', tag: from, renamedTo: to });
+  return affected.length;
+};
+
+// List tags with how often and how much they were used. Names already on
+// transactions but never created get a Tag entry the first time.
+const getTags = async (req, res) => {
+  try {
+    const usage = await getTransactionModel(req).aggregate([
+      { $match: { userId: toUserObjectId(req.userId), isDeleted: false, 'tags.0': { $exists: true } } },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          transactionCount: { $sum: 1 },
+          expenseTotal: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] } },
+          incomeTotal: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] } },
+          lastUsedAt: { $max: '$date' }
+        }
+      }
+    ]);
+    await registerTags(Tag, req.userId, usage.map((entry) => entry._id));
+
+    const usageByName = new Map(usage.map((entry) => [entry._id, entry]));
+    const tags = await Tag.find({ userId: req.userId }).sort({ name: 1 }).lean();
+    res.json(tags.map((tag) => {
+      const entry = usageByName.get(tag.name);
+      return {
+        ...tag,
+        transactionCount: entry?.transactionCount || 0,
+        expenseTotal: Math.round((entry?.expenseTotal || 0) * 100) / 100,
+        incomeTotal: Math.round((entry?.incomeTotal || 0) * 100) / 100,
+        lastUsedAt: entry?.lastUsedAt || null
+      };
+    }));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+};
+
+// Create a tag; the color defaults to one picked from the name
+const createTag = async (req, res) => {
+  try {
+    const fields = pickTagFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({ error: 'Tag name is required' });
+    }
+    const validationError = validateTagFields(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const tag = await Tag.create({ color: defaultTagColor(fields.name), ...fields, userId: req.userId });
+    res.status(201).json(tag);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+};
+
+// Recolor or rename a tag. A rename is carried over to transactions,
+// category rules and recurring schedules.
+const updateTag = async (req, res) => {
+  try {
+    const tag = await findTag(req);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    const fields = pickTagFields(req.body);
+    const validationError = validateTagFields(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const previousName = tag.name;
+    Object.assign(tag, fields);
+    await tag.save();
+
+    let retagged = 0;
+    if (fields.name && fields.name !== previousName) {
+      retagged = await retagTransactions(req, previousName, fields.name);
+      // Each array is renamed on its own; arrayFilters fail on a missing path
+      const renames = [
+        [CategoryRule, 'conditions.tags'],
+        [CategoryRule, 'actions.addTags'],
+        [RecurringSchedule, 'template.tags']
+      ];
+      for (const [Model, path] of renames) {
+        await Model.updateMany(
+          { userId: req.userId, [path]: previousName },
+          { $set: { [`${path}.$[tag]`]: fields.name } },
+          { arrayFilters: [{ tag: previousName }] }
+        );
+      }
+    }
+
+    res.json({ ...tag.toObject(), retagged });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+    console.error('Error updating tag:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+};
+
+// Delete a tag and take it off every transaction and recurring schedule.
+// Category rules stop adding it; rules that require it are left as they are.
+const deleteTag = async (req, res) => {
+  try {
+    const tag = await findTag(req);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    await Tag.deleteOne({ _id: tag._id, userId: req.userId });
+    const untagged = await retagTransactions(req, tag.name, null);
+    await CategoryRule.updateMany({ userId: req.userId, 'actions.addTags': tag.name }, { $pull: { 'actions.addTags': tag.name } });
+    await RecurringSchedule.updateMany({ userId: req.userId, 'template.tags': tag.name }, { $pull: { 'template.tags': tag.name } });
+
+    res.json({ success: true, message: 'Tag deleted successfully', untagged });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+};
+
+module.exports = {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag
+};
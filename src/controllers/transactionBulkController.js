@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Tag = require('../models/Tag');
+const { registerTags } = require('../utils/tags');
+const { buildTransactionFilter, hasTransactionFilter } = require('../utils/transactionFilters');
+const {
+  MAX_BULK_TRANSACTIONS,
+  normalizeBulkOperation,
+  getBulkConflict,
+  buildBulkUpdate,
+  getBulkBudgetCategories
+} = require('../utils/transactionBulk');
+
+// Conflicts listed in a rejected request
+const MAX_REPORTED_CONFLICTS = 50;
+
+const getTransactionModel = (req) => req.app?.locals?.Transaction || mongoose.model('Transaction');
+
+// Loads the selected rows: explicit `ids`, or everything matching `filter`
+// (the GET /api/transactions query params, at least one of which must be
+// set). Restore selects deleted rows.
+const loadSelection = async (Transaction, userId, { ids, filter }, deleted) => {
+  if (Array.isArray(ids) === Boolean(filter)) {
+    return { status: 400, error: 'Provide either ids or filter' };
+  }
+  if (Array.isArray(ids)) {
+    const uniqueIds = Array.from(new Set(ids.map(String)));
+    if (uniqueIds.length === 0) return { status: 400, error: 'ids must not be empty' };
+    if (uniqueIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { status: 400, error: 'ids must be valid transaction ids' };
+    }
+    if (uniqueIds.length > MAX_BULK_TRANSACTIONS) {
+      return { status: 400, error: `At most ${MAX_BULK_TRANSACTIONS} transactions can be edited at once` };
+    }
+    const transactions = await Transaction.find({ _id: { $in: uniqueIds }, userId, isDeleted: deleted }).lean();
+    const found = new Set(transactions.map((transaction) => String(transaction._id)));
+    const missing = uniqueIds.filter((id) => !found.has(id));
+    if (missing.length > 0) {
+      return { status: 404, error: 'Some transactions were not found', missing };
+    }
+    return { transactions };
+  }
+
+  if (typeof filter !== 'object' || Array.isArray(filter)) return { status: 400, error: 'filter must be an object' };
+  if (!hasTransactionFilter(filter)) {
+    return { status: 400, error: 'filter must set at least one of type, category, tags, minAmount, maxAmount, startDate, endDate, accountId or search' };
+  }
+  const built = buildTransactionFilter(userId, filter, { deleted });
+  if (built.error) return { status: 400, error: built.error };
+  const transactions = await Transaction.find(built.filter).limit(MAX_BULK_TRANSACTIONS + 1).lean();
+  if (transactions.length > MAX_BULK_TRANSACTIONS) {
+    return { status: 400, error: `Filter matches more than ${MAX_BULK_TRANSACTIONS} transactions; narrow it down` };
+  }
+  return { transactions };
+};
+
+// Applies `operation` to the loaded `transactions`. Transfer legs are deleted
+// and restored together. Nothing is written unless every row can take the
+// operation; budgets are recalculated once per affected category and one
+// update event is emitted. Returns { status, body }.
+const applyBulkOperation = async (req, operation, selected, { source = 'bulk' } = {}) => {
+  const Transaction = getTransactionModel(req);
+  const deleted = operation.action === 'restore';
+  let transactions = selected;
+
+  if (['delete', 'restore'].includes(operation.action)) {
+    const selectedIds = new Set(transactions.map((transaction) => String(transaction._id)));
+    const groupIds = Array.from(new Set(transactions.map((transaction) => transaction.transferGroupId).filter(Boolean)));
+    if (groupIds.length > 0) {
+      const legs = await Transaction.find({ userId: req.userId, transferGroupId: { $in: groupIds }, isDeleted: deleted }).lean();
+      transactions = transactions.concat(legs.filter((leg) => !selectedIds.has(String(leg._id))));
+    }
+  }
+  if (transactions.length === 0) {
+    return { status: 200, body: { success: true, action: operation.action, matched: 0, modified: 0, categories: [] } };
+  }
+
+  const accountIds = Array.from(new Set(transactions.map((transaction) => transaction.accountId).filter(Boolean).map(String)));
+  const accounts = accountIds.length > 0
+    ? await Account.find({ userId: req.userId, _id: { $in: accountIds } }).select('reconciledThrough').lean()
+    : [];
+  const accountsById = new Map(accounts.map((account) => [String(account._id), account]));
+  const conflicts = [];
+  transactions.forEach((transaction) => {
+    const conflict = getBulkConflict(transaction, operation, accountsById);
+    if (conflict) conflicts.push({ id: transaction._id, error: conflict });
+  });
+  if (conflicts.length > 0) {
+    return {
+      status: 409,
+      body: {
+        error: `${conflicts.length} selected transactions cannot be changed; nothing was updated`,
+        conflicts: conflicts.slice(0, MAX_REPORTED_CONFLICTS)
+      }
+    };
+  }
+
+  const ids = transactions.map((transaction) => transaction._id);
+  const result = await Transaction.updateMany(
+    { _id: { $in: ids }, userId: req.userId, isDeleted: deleted },
+    buildBulkUpdate(operation),
+    { runValidators: true }
+  );
+
+  const auditTrail = req.app.locals.auditTrail;
+  if (auditTrail) {
+    const updated = await Transaction.find({ _id: { $in: ids }, userId: req.userId }).lean();
+    const beforeById = new Map(transactions.map((transaction) => [String(transaction._id), transaction]));
+    await auditTrail.record({
+      userId: req.userId,
+      entityType: 'transaction',
+      source,
+      changes: updated.map((transaction) => ({ before: beforeById.get(String(transaction._id)), after: transaction }))
+    });
+  }
+
+  if (operation.action === 'add-tags') {
+    await registerTags(Tag, req.userId, operation.tags);
+  }
+
+  const categories = getBulkBudgetCategories(transactions, operation);
+  const updateBudgetSpentAmount = req.app.locals.updateBudgetSpentAmount;
+  if (updateBudgetSpentAmount) {
+    for (const category of categories) {
+      await updateBudgetSpentAmount(req.userId, category);
+    }
+  }
+
+  req.app.emit('transaction-updated', {
+    userId: req.userId,
+    action: 'bulk',
+    operation: operation.action,
+    count: result.modifiedCount || 0,
+    transactionIds: ids
+  });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      action: operation.action,
+      matched: result.matchedCount,
+      modified: result.modifiedCount,
+      categories
+    }
+  };
+};
+
+// Apply one operation (set category, add/remove tags, delete, restore, change
+// type) to a selection of transactions, all or nothing.
+const bulkUpdateTransactions = async (req, res) => {
+  try {
+    const { operation, error } = normalizeBulkOperation(req.body?.operation);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const deleted = operation.action === 'restore';
+    const selection = await loadSelection(getTransactionModel(req), req.userId, req.body || {}, deleted);
+    if (selection.error) {
+      return res.status(selection.status).json({ error: selection.error, missing: selection.missing });
+    }
+    const { status, body } = await applyBulkOperation(req, operation, selection.transactions);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error applying bulk transaction update:', error);
+    res.status(500).json({ error: 'Failed to update transactions' });
+  }
+};
+
+module.exports = {
+  loadSelection,
+  applyBulkOperation,
+  bulkUpdateTransactions
+};
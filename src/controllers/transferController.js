@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const {
+  TRANSFER_CATEGORY,
+  DEFAULT_TRANSFER_WINDOW_DAYS,
+  directionForType,
+  typeForDirection,
+  findTransferPairs
+} = require('../utils/transfers');
+const { getTransactionCategories } = require('../utils/transactionSplits');
+const { resolveAccountId } = require('../utils/accountBalances');
+const {
+  isWithinLockedPeriod,
+  isReconciledOrLocked,
+  loadAccountsById,
+  getReconciliationLockError
+} = require('../utils/reconciliation');
+const Account = require('../models/Account');
+
+const CANDIDATE_LOOKBACK_DAYS = 90;
+const MAX_CANDIDATE_SCAN = 2000;
+
+const getTransactionModel = (req) => {
+  return req.app?.locals?.Transaction || mongoose.model('Transaction');
+};
+
+const createTransferGroupId = () => (crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex'));
+
+const parseWindowDays = (value) => {
+  const days = Number(value);
+  return Number.isFinite(days) && days >= 0 ? Math.min(days, 31) : DEFAULT_TRANSFER_WINDOW_DAYS;
+};
+
+// Expense legs used to count towards budgets; recompute the ones affected
+const updateBudgetsFor = async (req, legs) => {
+  const updateBudgetSpentAmount = req.app.locals.updateBudgetSpentAmount;
+  if (!updateBudgetSpentAmount) return;
+  const categories = new Set(legs.flatMap(getTransactionCategories));
+  for (const category of categories) {
+    await updateBudgetSpentAmount(req.userId, category);
+  }
+};
+
+// Why the legs cannot change type (a link or an unlink), or null. `typeFor`
+// gives each leg's new type.
+const getLegsLockError = async (req, legs, typeFor) => {
+  const accounts = await loadAccountsById(Account, req.userId, legs.map((leg) => leg.accountId));
+  for (const leg of legs) {
+    const lockError = getReconciliationLockError(leg, { type: typeFor(leg) }, accounts);
+    if (lockError) return lockError;
+  }
+  return null;
+};
+
+// Records a write to transfer legs; `before` holds the legs as read before it
+const recordLegWrite = async (req, before) => {
+  const auditTrail = req.app.locals.auditTrail;
+  if (!auditTrail) return;
+  await auditTrail.recordWrite({
+    userId: req.userId,
+    entityType: 'transaction',
+    source: 'manual',
+    model: getTransactionModel(req),
+    before
+  });
+};
+
+const toTransferGroup = (legs) => {
+  const outLeg = legs.find((leg) => leg.transferDirection === 'out') || null;
+  const inLeg = legs.find((leg) => leg.transferDirection === 'in') || null;
+  const anyLeg = outLeg || inLeg;
+  return {
+    transferGroupId: anyLeg.transferGroupId,
+    amount: anyLeg.amount,
+    date: outLeg ? outLeg.date : inLeg.date,
+    description: anyLeg.description,
+    out: outLeg,
+    in: inLeg
+  };
+};
+
+// List transfers, one entry per transfer with both legs
+const getTransfers = async (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const legs = await getTransactionModel(req).find({
+      userId: req.userId,
+      isDeleted: false,
+      type: 'transfer'
+    })
+      .sort({ date: -1, _id: -1 })
+      .limit(limit * 2)
+      .lean();
+
+    const groups = new Map();
+    legs.forEach((leg) => {
+      if (!groups.has(leg.transferGroupId)) groups.set(leg.transferGroupId, []);
+      groups.get(leg.transferGroupId).push(leg);
+    });
+    res.json(Array.from(groups.values()).slice(0, limit).map(toTransferGroup));
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch transfers' });
+  }
+};
+
+// Record a transfer as a linked out/in pair
+const createTransfer = async (req, res) => {
+  try {
+    const Transaction = getTransactionModel(req);
+    const amount = Number(req.body?.amount);
+    const date = new Date(req.body?.date || Date.now());
+    const description = String(req.body?.description || '').trim() || 'Transfer';
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'A positive amount is required' });
+    }
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    const fromAccount = await resolveAccountId(Account, req.userId, req.body?.fromAccountId);
+    const toAccount = await resolveAccountId(Account, req.userId, req.body?.toAccountId);
+    if (fromAccount.error || toAccount.error) {
+      return res.status(400).json({ error: fromAccount.error || toAccount.error });
+    }
+    if (fromAccount.accountId && toAccount.accountId && String(fromAccount.accountId) === String(toAccount.accountId)) {
+      return res.status(400).json({ error: 'A transfer needs two different accounts' });
+    }
+    const accounts = await loadAccountsById(Account, req.userId, [fromAccount.accountId, toAccount.accountId]);
+    if ([fromAccount, toAccount].some(({ accountId }) => isWithinLockedPeriod(accounts.get(String(accountId)), date))) {
+      return res.status(409).json({ error: 'Transfer would fall inside a reconciled period' });
+    }
+
+    const transferGroupId = createTransferGroupId();
+    const outLeg = new Transaction({
+      userId: req.userId,
+      date,
+      amount,
+      type: 'transfer',
+      category: TRANSFER_CATEGORY,
+      description,
+      fingerprint: `transfer-${transferGroupId}-out`,
+      transferGroupId,
+      transferDirection: 'out',
+      accountId: fromAccount.accountId
+    });
+    const inLeg = new Transaction({
+      userId: req.userId,
+      date,
+      amount,
+      type: 'transfer',
+      category: TRANSFER_CATEGORY,
+      description,
+      fingerprint: `transfer-${transferGroupId}-in`,
+      transferGroupId,
+      transferDirection: 'in',
+      transferCounterpartId: outLeg._id,
+      accountId: toAccount.accountId
+    });
+    outLeg.transferCounterpartId = inLeg._id;
+    await Transaction.insertMany([outLeg, inLeg]);
+    const auditTrail = req.app.locals.auditTrail;
+    if (auditTrail) {
+      await auditTrail.record({
+        userId: req.userId,
+        entityType: 'transaction',
+        source: 'manual',
+        changes: [outLeg, inLeg].map((leg) => ({ before: null, after: leg.toObject() }))
+      });
+    }
+
+    req.app.emit('transaction-updated', { userId: req.userId, action: 'transfer-create', transferGroupId });
+    res.status(201).json(toTransferGroup([outLeg.toObject(), inLeg.toObject()]));
+  } catch (error) {
+    console.error('Error creating transfer:', error);
+    res.status(500).json({ error: 'Failed to create transfer' });
+  }
+};
+
+// Turn an existing expense + income pair into the two legs of a transfer
+const linkTransfer = async (req, res) => {
+  try {
+    const Transaction = getTransactionModel(req);
+    const ids = Array.isArray(req.body?.transactionIds) ? req.body.transactionIds : [];
+    if (ids.length !== 2 || !ids.every((id) => mongoose.Types.ObjectId.isValid(id)) || String(ids[0]) === String(ids[1])) {
+      return res.status(400).json({ error: 'transactionIds must contain two different transaction ids' });
+    }
+
+    const legs = await Transaction.find({ _id: { $in: ids }, userId: req.userId, isDeleted: false }).lean();
+    if (legs.length !== 2) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    const outLeg = legs.find((leg) => leg.type === 'expense');
+    const inLeg = legs.find((leg) => leg.type === 'income');
+    if (!outLeg || !inLeg) {
+      return res.status(400).json({ error: 'A transfer links one expense and one income transaction' });
+    }
+    if (Math.abs(outLeg.amount - inLeg.amount) > 0.005) {
+      return res.status(400).json({ error: 'Both sides of a transfer must have the same amount' });
+    }
+    if (outLeg.accountId && inLeg.accountId && String(outLeg.accountId) === String(inLeg.accountId)) {
+      return res.status(400).json({ error: 'A transfer needs two different accounts' });
+    }
+    const lockError = await getLegsLockError(req, legs, () => 'transfer');
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    const transferGroupId = createTransferGroupId();
+    await Transaction.bulkWrite([outLeg, inLeg].map((leg) => ({
+      updateOne: {
+        filter: { _id: leg._id, userId: req.userId, type: leg.type },
+        update: {
+          $set: {
+            type: 'transfer',
+            transferGroupId,
+            transferDirection: directionForType(leg.type),
+            transferCounterpartId: leg === outLeg ? inLeg._id : outLeg._id
+          }
+        }
+      }
+    })));
+    await recordLegWrite(req, [outLeg, inLeg]);
+
+    await updateBudgetsFor(req, [outLeg]);
+    req.app.emit('transaction-updated', { userId: req.userId, action: 'transfer-link', transferGroupId });
+
+    const linked = await Transaction.find({ transferGroupId, userId: req.userId }).lean();
+    res.json(toTransferGroup(linked));
+  } catch (error) {
+    console.error('Error linking transfer:', error);
+    res.status(500).json({ error: 'Failed to link transfer' });
+  }
+};
+
+// Split a transfer back into a plain expense and income. Transfers in the
+// trash stay linked so they are restored together.
+const unlinkTransfer = async (req, res) => {
+  try {
+    const Transaction = getTransactionModel(req);
+    const legs = await Transaction.find({
+      userId: req.userId,
+      transferGroupId: req.params.groupId,
+      type: 'transfer',
+      isDeleted: false
+    }).lean();
+    if (legs.length === 0) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    const lockError = await getLegsLockError(req, legs, (leg) => typeForDirection(leg.transferDirection));
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    await Transaction.bulkWrite(legs.map((leg) => ({
+      updateOne: {
+        filter: { _id: leg._id, userId: req.userId, isDeleted: false },
+        update: {
+          $set: { type: typeForDirection(leg.transferDirection) },
+          $unset: { transferGroupId: 1, transferDirection: 1, transferCounterpartId: 1 }
+        }
+      }
+    })));
+    await recordLegWrite(req, legs);
+
+    await updateBudgetsFor(req, legs.filter((leg) => leg.transferDirection === 'out'));
+    req.app.emit('transaction-updated', { userId: req.userId, action: 'transfer-unlink', transferGroupId: req.params.groupId });
+    res.json({ success: true, unlinked: legs.length });
+  } catch (error) {
+    console.error('Error unlinking transfer:', error);
+    res.status(500).json({ error: 'Failed to unlink transfer' });
+  }
+};
+
+// Delete both legs of a transfer
+const deleteTransfer = async (req, res) => {
+  try {
+    const filter = { userId: req.userId, transferGroupId: req.params.groupId, type: 'transfer', isDeleted: false };
+    const legs = await getTransactionModel(req).find(filter).lean();
+    if (legs.length === 0) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    const accounts = await loadAccountsById(Account, req.userId, legs.map((leg) => leg.accountId));
+    if (legs.some((leg) => isReconciledOrLocked(leg, accounts))) {
+      return res.status(409).json({ error: 'Transfer is in a reconciled period and cannot be deleted' });
+    }
+    const result = await getTransactionModel(req).updateMany(filter, { $set: { isDeleted: true, deletedAt: new Date() } });
+    if (!result.modifiedCount) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    await recordLegWrite(req, legs);
+    req.app.emit('transaction-updated', { userId: req.userId, action: 'transfer-delete', transferGroupId: req.params.groupId });
+    res.json({ success: true, message: 'Transfer deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting transfer:', error);
+    res.status(500).json({ error: 'Failed to delete transfer' });
+  }
+};
+
+// Propose existing expense/income pairs that look like transfers: same
+// amount, dated within `windowDays`, and not from the same import
+const getTransferCandidates = async (req, res) => {
+  try {
+    const windowDays = parseWindowDays(req.query.windowDays);
+    const end = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const start = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(end.getTime() - CANDIDATE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    const transactions = await getTransactionModel(req).find({
+      userId: req.userId,
+      isDeleted: false,
+      type: { $in: ['income', 'expense'] },
+      date: { $gte: start, $lte: end }
+    })
+      .select('date amount type description category importSessionId accountId')
+      .sort({ date: -1 })
+      .limit(MAX_CANDIDATE_SCAN)
+      .lean();
+
+    const items = transactions.map((transaction) => ({
+      id: transaction._id,
+      type: transaction.type,
+      amount: transaction.amount,
+      date: transaction.date,
+      source: transaction.importSessionId || null,
+      accountId: transaction.accountId || null,
+      transaction
+    }));
+    const expenses = items.filter((item) => item.type === 'expense');
+    const incomes = items.filter((item) => item.type === 'income');
+
+    const candidates = findTransferPairs(expenses, incomes, { windowDays }).map((pair) => ({
+      out: pair.row.transaction,
+      in: pair.counterpart.transaction,
+      dayGap: pair.dayGap
+    }));
+    res.json({ windowDays, candidates });
+  } catch (error) {
+    console.error('Error finding transfer candidates:', error);
+    res.status(500).json({ error: 'Failed to find transfer candidates' });
+  }
+};
+
+module.exports = {
+  getTransfers,
+  createTransfer,
+  linkTransfer,
+  unlinkTransfer,
+  deleteTransfer,
+  getTransferCandidates
+};
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const { buildTransactionFilter } = require('../utils/transactionFilters');
+const { getTrashedAt, purgeTrashed } = require('../utils/trashRetention');
+const { deleteAttachments } = require('../utils/attachmentStorage');
+const { loadSelection, applyBulkOperation } = require('./transactionBulkController');
+
+const getTransactionModel = (req) => req.app?.locals?.Transaction || mongoose.model('Transaction');
+
+// Records purged rows; the change log outlives the transactions it describes
+const recordPurge = (auditTrail, userId, source, rows) => {
+  if (!auditTrail || rows.length === 0) return null;
+  return auditTrail.record({
+    userId,
+    entityType: 'transaction',
+    source,
+    changes: rows.map((row) => ({ before: row, after: null, action: 'purge' }))
+  });
+};
+
+// Purged rows take their attachment files with them
+const removePurgedAttachments = (storage, rows) => {
+  if (!storage || rows.length === 0) return null;
+  return deleteAttachments({
+    attachmentModel: Attachment,
+    storage,
+    filter: { transactionId: { $in: rows.map((row) => row._id) } }
+  });
+};
+
+// Soft-deleted transactions, most recently deleted first. Accepts the same
+// filters as GET /api/transactions.
+const getTrash = async (req, res) => {
+  try {
+    const Transaction = getTransactionModel(req);
+    const { filter, error } = buildTransactionFilter(req.userId, req.query, { deleted: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limitNum = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const [rows, total] = await Promise.all([
+      Transaction.find(filter)
+        .sort({ deletedAt: -1, updatedAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Transaction.countDocuments(filter)
+    ]);
+
+    const trashPurger = req.app.locals.trashPurger;
+    const transactions = rows.map((row) => {
+      const deletedAt = getTrashedAt(row);
+      return { ...row, deletedAt, purgeAt: trashPurger ? trashPurger.getPurgeAt(deletedAt) : null };
+    });
+
+    res.json({
+      transactions,
+      retentionDays: trashPurger ? trashPurger.retentionDays : 0,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch deleted transactions' });
+  }
+};
+
+// Restores { ids } or { filter } from the trash and recalculates budgets
+const restoreFromTrash = async (req, res) => {
+  try {
+    const selection = await loadSelection(getTransactionModel(req), req.userId, req.body || {}, true);
+    if (selection.error) {
+      return res.status(selection.status).json({ error: selection.error, missing: selection.missing });
+    }
+    const { status, body } = await applyBulkOperation(req, { action: 'restore' }, selection.transactions, { source: 'manual' });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error restoring transactions:', error);
+    res.status(500).json({ error: 'Failed to restore transactions' });
+  }
+};
+
+// Permanently removes { ids } from the trash, or the whole trash when no ids
+// are given. Transfer legs are purged together.
+const purgeTrash = async (req, res) => {
+  try {
+    const Transaction = getTransactionModel(req);
+    const ids = req.body?.ids;
+    const filter = { userId: req.userId };
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ error: 'ids must be a non-empty array' });
+      }
+      if (ids.some((id) => !mongoose.Types.ObjectId.isValid(String(id)))) {
+        return res.status(400).json({ error: 'ids must be valid transaction ids' });
+      }
+      const selected = await Transaction.find({ _id: { $in: ids }, userId: req.userId, isDeleted: true })
+        .select('_id transferGroupId')
+        .lean();
+      const groupIds = Array.from(new Set(selected.map((row) => row.transferGroupId).filter(Boolean)));
+      filter.$or = [{ _id: { $in: selected.map((row) => row._id) } }];
+      if (groupIds.length > 0) filter.$or.push({ transferGroupId: { $in: groupIds } });
+    }
+
+    const { auditTrail, attachmentStorage } = req.app.locals;
+    const purged = await purgeTrashed({
+      transactionModel: Transaction,
+      filter,
+      onPurged: async (rows) => {
+        await recordPurge(auditTrail, req.userId, 'manual', rows);
+        await removePurgedAttachments(attachmentStorage, rows);
+      }
+    });
+
+    res.json({ success: true, purged });
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    res.status(500).json({ error: 'Failed to purge deleted transactions' });
+  }
+};
+
+module.exports = {
+  recordPurge,
+  removePurgedAttachments,
+  getTrash,
+  restoreFromTrash,
+  purgeTrash
+};
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { ACCOUNT_TYPES } = require('../utils/accountBalances');
+
+// A bank account, card, cash pot or wallet that transactions belong to. The
+// balance is the opening balance plus inflows minus outflows; a card's
+// balance goes negative as it is spent on.
+const accountSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  type: { type: String, enum: ACCOUNT_TYPES, default: 'bank' },
+  currency: { type: String, trim: true, uppercase: true, default: 'INR' },
+  openingBalance: { type: Number, default: 0 },
+  institution: { type: String, trim: true },
+  isArchived: { type: Boolean, default: false },
+  // Set by the latest reconciliation; transactions up to this date are locked
+  reconciledThrough: { type: Date },
+  reconciledBalance: { type: Number }
+}, { timestamps: true });
+
+accountSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Account', accountSchema);
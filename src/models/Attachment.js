@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const { ATTACHMENT_TYPES } = require('../utils/attachmentStorage');
+
+// A receipt or document attached to a transaction. The file itself lives in
+// the configured storage backend under storageKey (see src/utils/attachmentStorage).
+const attachmentSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', required: true },
+  fileName: { type: String, required: true, trim: true, maxlength: 120 },
+  // Detected from the file's content, not the uploaded MIME type
+  contentType: { type: String, enum: Object.keys(ATTACHMENT_TYPES), required: true },
+  size: { type: Number, required: true, min: 1 },
+  sha256: { type: String },
+  storage: { type: String, required: true },
+  storageKey: { type: String, required: true }
+}, { timestamps: true });
+
+attachmentSchema.index({ userId: 1, transactionId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const categoryRuleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // Higher priority rules are tried first; the first matching rule wins
+  priority: { type: Number, default: 0 },
+  enabled: { type: Boolean, default: true },
+  conditions: {
+    descriptionContains: { type: String, trim: true },
+    descriptionRegex: { type: String, trim: true },
+    amountMin: { type: Number },
+    amountMax: { type: Number },
+    type: { type: String, enum: ['income', 'expense', null], default: null },
+    // Transaction must carry every one of these tags
+    tags: [{ type: String, trim: true }]
+  },
+  actions: {
+    category: { type: String, trim: true },
+    addTags: [{ type: String, trim: true }]
+  },
+  // By default a rule only fills in missing or 'Uncategorized' categories
+  overrideCategory: { type: Boolean, default: false }
+}, { timestamps: true });
+
+categoryRuleSchema.index({ userId: 1, priority: -1, createdAt: 1 });
+
+module.exports = mongoose.model('CategoryRule', categoryRuleSchema);
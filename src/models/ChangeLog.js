@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { AUDITED_ENTITIES, AUDIT_ACTIONS, AUDIT_SOURCES } = require('../utils/auditTrail');
+
+// One version of a transaction, budget or debt: who changed it, when, through
+// which path, the fields that changed and the audited fields afterwards.
+const changeLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  entityType: { type: String, enum: AUDITED_ENTITIES, required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  version: { type: Number, required: true, min: 1 },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  source: { type: String, enum: AUDIT_SOURCES, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed }
+  }],
+  // Audited fields after the change; null once the entity is hard-deleted
+  snapshot: { type: mongoose.Schema.Types.Mixed },
+  revertedToVersion: { type: Number }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+changeLogSchema.index({ entityType: 1, entityId: 1, version: 1 }, { unique: true });
+changeLogSchema.index({ userId: 1, entityType: 1, entityId: 1, version: -1 });
+
+module.exports = mongoose.model('ChangeLog', changeLogSchema);
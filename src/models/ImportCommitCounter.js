@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Last commitOrder handed out per user. Incremented atomically so the order
+// keeps growing across restarts and server instances.
+const importCommitCounterSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  lastCommitOrder: { type: Number, default: 0 }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ImportCommitCounter', importCommitCounterSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Per-user lock for committing imports. Only the instance whose token is in
+// `owner` may commit for the user until `expiresAt`; the holder keeps
+// extending it while it works, so a crashed instance's lease simply runs out.
+const importCommitLeaseSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  owner: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ImportCommitLease', importCommitLeaseSchema);
@@ -13,6 +13,19 @@ const importHistorySchema = new mongoose.Schema({
     importSessionId: {
         type: String
     },
+    sourceFormat: {
+        type: String,
+        enum: ['csv', 'ofx', 'qif', 'xlsx'],
+        default: 'csv'
+    },
+    profileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportMappingProfile'
+    },
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Account'
+    },
     commitOrder: {
         type: Number
     },
@@ -32,6 +45,20 @@ const importHistorySchema = new mongoose.Schema({
         skippedRows: { type: Number, default: 0 },
         duplicateRows: { type: Number, default: 0 },
         errors: { type: Number, default: 0 }
+    },
+    rolledBack: {
+        type: Boolean,
+        default: false
+    },
+    rolledBackAt: {
+        type: Date
+    },
+    rollback: {
+        removedRows: { type: Number },
+        reDeletedRows: { type: Number },
+        lockedRows: { type: Number },
+        unlinkedRows: { type: Number },
+        commitOrder: { type: Number }
     }
 }, {
     timestamps: { createdAt: 'importDate', updatedAt: false }
@@ -40,5 +67,6 @@ const importHistorySchema = new mongoose.Schema({
 // Index for fast retrieval by user and date
 importHistorySchema.index({ userId: 1, importDate: -1 });
 importHistorySchema.index({ userId: 1, commitOrder: -1 });
+importHistorySchema.index({ userId: 1, importSessionId: 1 });
 
 module.exports = mongoose.model('ImportHistory', importHistorySchema);
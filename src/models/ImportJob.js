@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const importJobSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  importSessionId: { type: String, required: true },
+  fileName: { type: String, required: true },
+  fileSize: { type: Number, default: 0 },
+  sourceFormat: { type: String, enum: ['csv', 'ofx', 'qif', 'xlsx'], default: 'csv' },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // parsing -> queued-for-commit -> deduplicating -> inserting -> updating-budgets -> recording-history -> done
+  phase: { type: String, default: 'queued' },
+  progress: {
+    totalRows: { type: Number, default: 0 },
+    processedRows: { type: Number, default: 0 },
+    insertedRows: { type: Number, default: 0 },
+    duplicateRows: { type: Number, default: 0 },
+    errorRows: { type: Number, default: 0 }
+  },
+  cancelRequested: { type: Boolean, default: false },
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  // The instance running the job and when it last reported in; a restarting
+  // instance fails its own leftover jobs and jobs whose heartbeat went stale
+  ownerId: { type: String },
+  heartbeatAt: { type: Date },
+  startedAt: { type: Date },
+  finishedAt: { type: Date }
+}, { timestamps: true });
+
+importJobSchema.index({ userId: 1, createdAt: -1 });
+importJobSchema.index({ status: 1 });
+// Finished jobs are only useful for polling; drop them after a week
+importJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
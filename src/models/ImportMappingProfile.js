@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const importMappingProfileSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  bankName: { type: String, trim: true, default: '' },
+  columns: {
+    date: { type: String, required: true, trim: true },
+    amount: { type: String, trim: true },
+    debit: { type: String, trim: true },
+    credit: { type: String, trim: true },
+    type: { type: String, trim: true },
+    category: { type: String, trim: true },
+    description: { type: String, trim: true },
+    externalId: { type: String, trim: true },
+    tags: { type: String, trim: true }
+  },
+  amountMode: { type: String, enum: ['single', 'debitCredit', 'signed'], default: 'single' },
+  invertSign: { type: Boolean, default: false },
+  defaultType: { type: String, enum: ['income', 'expense', null], default: null },
+  dateFormat: { type: String, trim: true, default: '' },
+  numberLocale: { type: String, trim: true, default: '' },
+  // Header row of the file the profile was created from, used for auto-detection
+  headers: [{ type: String, trim: true }],
+  lastUsedAt: { type: Date }
+}, { timestamps: true });
+
+importMappingProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+importMappingProfileSchema.index({ userId: 1, lastUsedAt: -1 });
+
+module.exports = mongoose.model('ImportMappingProfile', importMappingProfileSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const importRowIssueSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    importSessionId: {
+        type: String,
+        required: true
+    },
+    row: {
+        type: Number,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['error', 'duplicate'],
+        required: true
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    // Original statement row as parsed from the upload, kept as ordered
+    // column/value pairs because bank headers often contain dots ("Chq./Ref.No.")
+    data: [{
+        _id: false,
+        column: { type: String },
+        value: { type: mongoose.Schema.Types.Mixed }
+    }]
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+importRowIssueSchema.index({ userId: 1, importSessionId: 1, row: 1 });
+
+module.exports = mongoose.model('ImportRowIssue', importRowIssueSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A user's canonical merchant name and the description fragments that map
+// to it. Only merchants the user has renamed, merged or aliased are stored;
+// built-in and auto-detected names live on the transactions themselves.
+const merchantSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // Normalized (lowercase, alphanumeric) fragments matched as whole words
+  aliases: [{ type: String, trim: true }]
+}, { timestamps: true });
+
+merchantSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Merchant', merchantSchema);
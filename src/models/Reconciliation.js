@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A completed statement reconciliation for one account. The transactions it
+// reconciled carry its id so the latest one can be undone.
+const reconciliationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', required: true },
+  statementDate: { type: Date, required: true },
+  statementBalance: { type: Number, required: true },
+  clearedBalance: { type: Number, required: true },
+  transactionCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+reconciliationSchema.index({ userId: 1, accountId: 1, statementDate: -1 });
+
+module.exports = mongoose.model('Reconciliation', reconciliationSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES } = require('../utils/recurrence');
+
+// A one-off change to a single occurrence: skip it, or post it with
+// different values
+const occurrenceExceptionSchema = new mongoose.Schema({
+  occurrence: { type: String, required: true }, // occurrenceKey, e.g. 2024-05-01
+  action: { type: String, enum: ['skip', 'override'], required: true },
+  amount: { type: Number, min: 0 },
+  category: { type: String, trim: true },
+  description: { type: String, trim: true },
+  date: { type: Date }
+}, { _id: false });
+
+// A transaction that repeats (rent, salary, EMIs). The scheduler posts every
+// occurrence up to now through the normal transaction create path and moves
+// nextRunAt forward.
+const recurringScheduleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  template: {
+    amount: { type: Number, required: true, min: 0 },
+    type: { type: String, enum: ['income', 'expense'], required: true },
+    category: { type: String, required: true, trim: true },
+    description: { type: String, required: true, trim: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' },
+    tags: [{ type: String, trim: true }]
+  },
+  frequency: { type: String, enum: FREQUENCIES, required: true },
+  interval: { type: Number, default: 1, min: 1 },
+  dayOfMonth: { type: Number, min: 1, max: 31 },
+  dayOfWeek: { type: Number, min: 0, max: 6 },
+  monthOfYear: { type: Number, min: 1, max: 12 },
+  cron: { type: String, trim: true },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date },
+  isActive: { type: Boolean, default: true },
+  // Schedules can be kept for previews and reminders without posting
+  autoPost: { type: Boolean, default: true },
+  nextRunAt: { type: Date },
+  lastRunAt: { type: Date },
+  lastOccurrenceAt: { type: Date }, // latest occurrence already handled
+  lastError: { type: String },
+  exceptions: [occurrenceExceptionSchema],
+  // Where the schedule came from when it was generated from the salary planner
+  source: {
+    kind: { type: String, enum: ['manual', 'salary', 'fixed-bill'], default: 'manual' },
+    key: { type: String }
+  }
+}, { timestamps: true });
+
+recurringScheduleSchema.index({ userId: 1, name: 1 });
+recurringScheduleSchema.index({ isActive: 1, autoPost: 1, nextRunAt: 1 });
+recurringScheduleSchema.index({ userId: 1, 'source.kind': 1, 'source.key': 1 });
+
+module.exports = mongoose.model('RecurringSchedule', recurringScheduleSchema);
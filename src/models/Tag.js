@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const { MAX_TAG_LENGTH } = require('../utils/tags');
+
+// A tag's display color. Transactions, category rules and recurring schedules
+// refer to tags by name, so renaming or deleting one updates them too.
+const tagSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: MAX_TAG_LENGTH },
+  color: { type: String, trim: true, match: /^#[0-9a-fA-F]{6}$/, required: true },
+  description: { type: String, trim: true, maxlength: 200 }
+}, { timestamps: true });
+
+tagSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -0,0 +1,95 @@
+// Account balances: each transaction moves its account's balance up (income,
+// incoming transfer leg) or down (expense, outgoing transfer leg).
+
+const ACCOUNT_TYPES = ['bank', 'card', 'cash', 'wallet'];
+
+// $dateToString formats for the running balance buckets
+const BALANCE_INTERVALS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const isInflow = (transaction) => (
+  transaction.type === 'income' ||
+  (transaction.type === 'transfer' && transaction.transferDirection === 'in')
+);
+
+const signedAmount = (transaction) => {
+  const amount = Number(transaction.amount) || 0;
+  return isInflow(transaction) ? amount : -amount;
+};
+
+// Aggregation expression equivalent of signedAmount
+const SIGNED_AMOUNT_EXPR = {
+  $cond: [
+    {
+      $or: [
+        { $eq: ['$type', 'income'] },
+        { $and: [{ $eq: ['$type', 'transfer'] }, { $eq: ['$transferDirection', 'in'] }] }
+      ]
+    },
+    '$amount',
+    { $multiply: ['$amount', -1] }
+  ]
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Turns per-period { period, inflow, outflow } totals into a running balance
+// series starting from `startingBalance`.
+const buildRunningBalance = (startingBalance, periods) => {
+  let balance = Number(startingBalance) || 0;
+  return [...periods]
+    .sort((a, b) => String(a.period).localeCompare(String(b.period)))
+    .map((entry) => {
+      const inflow = Number(entry.inflow) || 0;
+      const outflow = Number(entry.outflow) || 0;
+      balance += inflow - outflow;
+      return {
+        period: entry.period,
+        inflow: roundMoney(inflow),
+        outflow: roundMoney(outflow),
+        net: roundMoney(inflow - outflow),
+        balance: roundMoney(balance)
+      };
+    });
+};
+
+// Returns an error message for account fields, or null when they are valid
+const validateAccountFields = (fields) => {
+  if (fields.name !== undefined && !fields.name) {
+    return 'Account name is required';
+  }
+  if (fields.type !== undefined && !ACCOUNT_TYPES.includes(fields.type)) {
+    return `type must be one of ${ACCOUNT_TYPES.join(', ')}`;
+  }
+  if (fields.currency !== undefined && !/^[A-Z]{3}$/.test(fields.currency)) {
+    return 'currency must be a 3-letter currency code';
+  }
+  if (fields.openingBalance !== undefined && !Number.isFinite(fields.openingBalance)) {
+    return 'openingBalance must be a number';
+  }
+  return null;
+};
+
+// Checks an accountId from a request belongs to the user. Blank means "no
+// account"; returns { accountId } or { error }.
+const resolveAccountId = async (Account, userId, value) => {
+  if (value === undefined || value === null || value === '') return { accountId: undefined };
+  if (!/^[a-f\d]{24}$/i.test(String(value))) return { error: 'Invalid accountId' };
+  const account = await Account.findOne({ _id: value, userId }).select('_id isArchived').lean();
+  if (!account) return { error: 'Account not found' };
+  if (account.isArchived) return { error: 'Account is archived' };
+  return { accountId: account._id };
+};
+
+module.exports = {
+  ACCOUNT_TYPES,
+  BALANCE_INTERVALS,
+  signedAmount,
+  SIGNED_AMOUNT_EXPR,
+  buildRunningBalance,
+  validateAccountFields,
+  resolveAccountId
+};
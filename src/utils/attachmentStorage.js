@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Receipt and document files attached to transactions. The Attachment model
+// holds the metadata; the bytes live in a storage backend:
+//   save(key, buffer, { contentType }) -> Promise
+//   createReadStream(key)              -> Readable (emits ENOENT when missing)
+//   remove(key)                        -> Promise (missing keys are ignored)
+// Keys are generated by the server (`userId/transactionId/attachmentId`),
+// never taken from the uploaded file name.
+const ATTACHMENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'application/pdf': 'pdf'
+};
+const MAX_ATTACHMENTS_PER_TRANSACTION = 10;
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+const ascii = (value) => Array.from(value, (char) => char.charCodeAt(0));
+
+// Works out the type from the file's first bytes; the browser-supplied MIME
+// type is only a claim. Returns null for anything not in ATTACHMENT_TYPES.
+const detectAttachmentType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+  if (startsWith(buffer, ascii('ftyp'), 4)) {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+  }
+  return null;
+};
+
+// Returns { contentType } or { error } for an uploaded multer file
+const validateAttachmentFile = (file, { maxBytes }) => {
+  if (!file || !file.buffer || file.size === 0) return { error: 'A file is required' };
+  if (file.size > maxBytes) return { error: `Attachments can be at most ${Math.floor(maxBytes / (1024 * 1024))} MB` };
+  const contentType = detectAttachmentType(file.buffer);
+  if (!contentType) {
+    return { error: 'Only JPEG, PNG, WebP, HEIC images and PDF files can be attached' };
+  }
+  // A declared type that disagrees with the content is refused rather than trusted
+  if (file.mimetype && ATTACHMENT_TYPES[file.mimetype] && file.mimetype !== contentType) {
+    return { error: `File content does not match its type ${file.mimetype}` };
+  }
+  return { contentType };
+};
+
+// Keeps a display name safe for Content-Disposition and the file system
+const sanitizeFileName = (name, contentType) => {
+  const base = path.basename(String(name || ''))
+    .replace(/[^\w.\- ()]+/g, '_')
+    .replace(/^\.+/, '')
+    .slice(0, 120)
+    .trim();
+  return base || `attachment.${ATTACHMENT_TYPES[contentType] || 'bin'}`;
+};
+
+const buildAttachmentKey = (userId, transactionId, attachmentId) => `${userId}/${transactionId}/${attachmentId}`;
+
+// Files under `rootDir`, one directory per user and transaction
+const createLocalDiskStorage = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, ...String(key).split('/'));
+    if (!filePath.startsWith(root + path.sep)) throw new Error('Invalid attachment key');
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+// Keeps files in process memory; for tests and throwaway instances
+const createMemoryStorage = () => {
+  const files = new Map();
+  return {
+    name: 'memory',
+    files,
+    async save(key, buffer) {
+      files.set(key, Buffer.from(buffer));
+    },
+    createReadStream(key) {
+      if (!files.has(key)) {
+        const stream = new Readable({ read() {} });
+        process.nextTick(() => stream.destroy(Object.assign(new Error('Attachment file not found'), { code: 'ENOENT' })));
+        return stream;
+      }
+      return Readable.from([files.get(key)]);
+    },
+    async remove(key) {
+      files.delete(key);
+    }
+  };
+};
+
+const STORAGE_BACKENDS = {
+  local: createLocalDiskStorage,
+  memory: createMemoryStorage
+};
+
+// Builds the backend named by ATTACHMENT_STORAGE. Other backends (S3, GCS)
+// plug in by adding a factory with the same three methods.
+const createAttachmentStorage = (name = 'local', options = {}) => {
+  const factory = STORAGE_BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown attachment storage "${name}"; expected one of ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+  return factory(options);
+};
+
+// Deletes the attachments matching `filter` and their files. A file that
+// cannot be removed is logged and left behind rather than keeping the record.
+const deleteAttachments = async ({ attachmentModel, storage, filter }) => {
+  const attachments = await attachmentModel.find(filter).select('storageKey').lean();
+  if (attachments.length === 0) return 0;
+  for (const attachment of attachments) {
+    try {
+      await storage.remove(attachment.storageKey);
+    } catch (error) {
+      console.error(`Failed to remove attachment file ${attachment.storageKey}:`, error.message);
+    }
+  }
+  await attachmentModel.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+  return attachments.length;
+};
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS_PER_TRANSACTION,
+  detectAttachmentType,
+  validateAttachmentFile,
+  sanitizeFileName,
+  buildAttachmentKey,
+  createLocalDiskStorage,
+  createMemoryStorage,
+  createAttachmentStorage,
+  deleteAttachments
+};
@@ -0,0 +1,203 @@
+// Versioned change log for transactions, budgets and debts. Every write path
+// records the entity before and after the change; each recorded change gets
+// the next version number of that entity and keeps a snapshot of the audited
+// fields, so any version can be inspected or reverted to.
+const mongoose = require('mongoose');
+
+const AUDITED_ENTITIES = ['transaction', 'budget', 'debt'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert', 'purge'];
+const AUDIT_SOURCES = ['manual', 'import', 'debt-sync', 'bulk', 'recurring', 'retention'];
+
+// Derived or bookkeeping fields (budget spend, import session ids) are left
+// out; they are recomputed rather than edited.
+const AUDITED_FIELDS = {
+  transaction: [
+    'date', 'amount', 'type', 'category', 'description', 'splits', 'tags',
+    'accountId', 'merchant', 'clearedStatus', 'isDeleted'
+  ],
+  budget: ['name', 'amount', 'category', 'period'],
+  debt: [
+    'lenderName', 'debtType', 'principalAmount', 'startDate', 'tenure', 'interestType',
+    'interestRate', 'compoundFrequency', 'notes', 'status', 'closedDate', 'isDeleted'
+  ]
+};
+
+const RECORD_BATCH_SIZE = 500;
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Plain JSON-safe copy of the audited fields; ids become strings, empty
+// arrays and unset values are left out so they compare equal
+const pickSnapshot = (entityType, doc) => {
+  const source = toPlain(doc);
+  if (!source) return null;
+  const snapshot = {};
+  AUDITED_FIELDS[entityType].forEach((field) => {
+    const value = source[field];
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value) && value.length === 0) return;
+    snapshot[field] = JSON.parse(JSON.stringify(value));
+  });
+  return snapshot;
+};
+
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  fields.forEach((field) => {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  });
+  return changes;
+};
+
+const inferAction = (before, after) => {
+  if (!before) return 'create';
+  if (!after) return 'delete';
+  if (!before.isDeleted && after.isDeleted) return 'delete';
+  if (before.isDeleted && !after.isDeleted) return 'restore';
+  return 'update';
+};
+
+// Turns before/after pairs into change-log entries without versions. Pairs
+// that changed no audited field are dropped.
+const buildChangeEntries = ({ userId, entityType, source, changedBy, changes }) => changes.flatMap((change) => {
+  const before = pickSnapshot(entityType, change.before);
+  const after = pickSnapshot(entityType, change.after);
+  const diff = diffSnapshots(before, after);
+  if (diff.length === 0) return [];
+  const entity = toPlain(change.after) || toPlain(change.before);
+  const entry = {
+    userId,
+    entityType,
+    entityId: entity._id,
+    action: change.action || inferAction(before, after),
+    source,
+    changedBy: changedBy || userId,
+    changes: diff,
+    snapshot: after
+  };
+  if (change.revertedToVersion) entry.revertedToVersion = change.revertedToVersion;
+  return [entry];
+});
+
+// Cleared/reconciled state belongs to reconciliation and is not reverted
+const REVERTIBLE_TRANSACTION_FIELDS = AUDITED_FIELDS.transaction.filter((field) => field !== 'clearedStatus');
+
+// Mongo update that puts a transaction back to a recorded snapshot; fields the
+// snapshot does not have are cleared. Reverting to a deleted version moves the
+// row to the trash now.
+const buildTransactionRevertUpdate = (snapshot) => {
+  const $set = {};
+  const $unset = {};
+  if (snapshot.isDeleted) {
+    $set.deletedAt = new Date();
+  } else {
+    $unset.deletedAt = 1;
+  }
+  REVERTIBLE_TRANSACTION_FIELDS.forEach((field) => {
+    const value = snapshot[field];
+    if (value !== undefined) {
+      $set[field] = field === 'date' ? new Date(value) : value;
+    } else if (field === 'isDeleted') {
+      $set.isDeleted = false;
+    } else if (field === 'tags') {
+      $set.tags = [];
+    } else {
+      $unset[field] = 1;
+    }
+  });
+  return Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+};
+
+// Records changes through `changeLogModel`. Auditing never fails the write it
+// describes: errors are logged and the entries dropped.
+const createAuditTrail = ({ changeLogModel }) => {
+  const nextVersions = async (entityType, entityIds) => {
+    const rows = await changeLogModel.aggregate([
+      { $match: { entityType, entityId: { $in: entityIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } },
+      { $group: { _id: '$entityId', version: { $max: '$version' } } }
+    ]);
+    return new Map(rows.map((row) => [String(row._id), row.version + 1]));
+  };
+
+  const insertWithVersions = async (entityType, entries) => {
+    const versions = await nextVersions(entityType, entries.map((entry) => entry.entityId));
+    const versioned = entries.map((entry) => {
+      const key = String(entry.entityId);
+      const version = versions.get(key) || 1;
+      versions.set(key, version + 1);
+      return { ...entry, version };
+    });
+    await changeLogModel.insertMany(versioned, { ordered: true });
+  };
+
+  // record({ userId, entityType, source, changedBy, changes: [{ before, after, action?, revertedToVersion? }] })
+  const record = async (options) => {
+    try {
+      // Ids are assigned up front so a retried batch can skip what went in
+      const entries = buildChangeEntries(options).map((entry) => ({ ...entry, _id: new mongoose.Types.ObjectId() }));
+      for (let index = 0; index < entries.length; index += RECORD_BATCH_SIZE) {
+        const batch = entries.slice(index, index + RECORD_BATCH_SIZE);
+        try {
+          await insertWithVersions(options.entityType, batch);
+        } catch (error) {
+          // A concurrent writer took a version number; recount once and retry
+          if (error.code !== 11000) throw error;
+          const written = await changeLogModel.find({ _id: { $in: batch.map((entry) => entry._id) } }).distinct('_id');
+          const writtenIds = new Set(written.map(String));
+          await insertWithVersions(options.entityType, batch.filter((entry) => !writtenIds.has(String(entry._id))));
+        }
+      }
+      return entries.length;
+    } catch (error) {
+      console.error(`Failed to record ${options.entityType} history:`, error.message);
+      return 0;
+    }
+  };
+
+  // Records a write to `before` (full rows read just before it) by reading the
+  // rows back from `model` afterwards. Never throws either.
+  const recordWrite = async ({ userId, entityType, source, model, before }) => {
+    if (!before || before.length === 0) return 0;
+    try {
+      const after = await model.find({ _id: { $in: before.map((row) => row._id) }, userId }).lean();
+      const beforeById = new Map(before.map((row) => [String(row._id), row]));
+      return await record({
+        userId,
+        entityType,
+        source,
+        changes: after.map((row) => ({ before: beforeById.get(String(row._id)), after: row }))
+      });
+    } catch (error) {
+      console.error(`Failed to record ${entityType} history:`, error.message);
+      return 0;
+    }
+  };
+
+  const getHistory = (userId, entityType, entityId) => changeLogModel
+    .find({ userId, entityType, entityId })
+    .sort({ version: -1 })
+    .lean();
+
+  const getVersion = (userId, entityType, entityId, version) => changeLogModel
+    .findOne({ userId, entityType, entityId, version })
+    .lean();
+
+  return { record, recordWrite, getHistory, getVersion };
+};
+
+module.exports = {
+  AUDITED_ENTITIES,
+  AUDIT_ACTIONS,
+  AUDIT_SOURCES,
+  AUDITED_FIELDS,
+  pickSnapshot,
+  diffSnapshots,
+  buildChangeEntries,
+  buildTransactionRevertUpdate,
+  createAuditTrail
+};
@@ -0,0 +1,210 @@
+const UNCATEGORIZED = 'Uncategorized';
+const MAX_REGEX_LENGTH = 200;
+const TRANSACTION_TYPES = ['income', 'expense'];
+
+const hasValue = (value) => value !== undefined && value !== null;
+const isBlank = (value) => !hasValue(value) || String(value).trim() === '';
+const normalizeTag = (tag) => String(tag || '').trim().toLowerCase();
+
+const isUncategorized = (category) => isBlank(category) || String(category).trim().toLowerCase() === UNCATEGORIZED.toLowerCase();
+
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+const REPEATING_QUANTIFIER = /^(?:[*+]|\{\d+(?:,\d*)?\})/;
+const GROUP_PREFIX = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/;
+
+// Rules run against every transaction description, so patterns that can
+// backtrack exponentially are refused: a repeated group that itself repeats
+// or alternates, like (a+)+ or (a|aa)*, and backreferences. Returns an error
+// message, or null when the pattern is safe.
+const findUnsafeRegex = (source) => {
+  // Each open group notes whether it contains a quantifier or an alternation
+  const groups = [{ varies: false }];
+  let inClass = false;
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    const rest = source.slice(index + 1);
+    if (char === '\\') {
+      if (!inClass && (/^[1-9]/.test(rest) || rest.startsWith('k<'))) {
+        return 'descriptionRegex cannot use backreferences';
+      }
+      index += 1;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ varies: false });
+      const prefix = GROUP_PREFIX.exec(rest);
+      if (prefix) index += prefix[0].length;
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (group.varies && REPEATING_QUANTIFIER.test(rest)) {
+        return 'descriptionRegex cannot repeat a group that itself repeats or alternates, like (a+)+ or (a|b)*; use a character class such as [ab]+ instead';
+      }
+      if (group.varies) groups[groups.length - 1].varies = true;
+    } else if (char === '|' || QUANTIFIER.test(source.slice(index))) {
+      groups[groups.length - 1].varies = true;
+    }
+  }
+  return null;
+};
+
+const validateCategoryRule = (rule) => {
+  const conditions = rule.conditions || {};
+  const actions = rule.actions || {};
+
+  if (isBlank(rule.name)) {
+    return 'Rule name is required';
+  }
+  if (rule.priority !== undefined && !Number.isFinite(Number(rule.priority))) {
+    return 'priority must be a number';
+  }
+
+  const hasCondition = !isBlank(conditions.descriptionContains) ||
+    !isBlank(conditions.descriptionRegex) ||
+    hasValue(conditions.amountMin) ||
+    hasValue(conditions.amountMax) ||
+    !isBlank(conditions.type) ||
+    (conditions.tags || []).length > 0;
+  if (!hasCondition) {
+    return 'A rule needs at least one condition';
+  }
+
+  if (!isBlank(conditions.descriptionRegex)) {
+    if (String(conditions.descriptionRegex).length > MAX_REGEX_LENGTH) {
+      return `descriptionRegex must be at most ${MAX_REGEX_LENGTH} characters`;
+    }
+    try {
+      new RegExp(conditions.descriptionRegex, 'i');
+    } catch (error) {
+      return `Invalid descriptionRegex: ${error.message}`;
+    }
+    const unsafe = findUnsafeRegex(String(conditions.descriptionRegex));
+    if (unsafe) return unsafe;
+  }
+  for (const field of ['amountMin', 'amountMax']) {
+    if (hasValue(conditions[field]) && !Number.isFinite(Number(conditions[field]))) {
+      return `${field} must be a number`;
+    }
+  }
+  if (
+    hasValue(conditions.amountMin) &&
+    hasValue(conditions.amountMax) &&
+    Number(conditions.amountMin) > Number(conditions.amountMax)
+  ) {
+    return 'amountMin cannot be greater than amountMax';
+  }
+  if (!isBlank(conditions.type) && !TRANSACTION_TYPES.includes(conditions.type)) {
+    return 'type must be income or expense';
+  }
+
+  if (isBlank(actions.category) && (actions.addTags || []).length === 0) {
+    return 'A rule must set a category or add tags';
+  }
+  return null;
+};
+
+// Sorts enabled rules into evaluation order (priority, then oldest first) and
+// compiles their regexes once.
+const compileCategoryRules = (rules = []) => rules
+  .filter((rule) => rule.enabled !== false)
+  .sort((a, b) => (
+    (Number(b.priority) || 0) - (Number(a.priority) || 0) ||
+    new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+  ))
+  .map((rule) => {
+    const conditions = rule.conditions || {};
+    let regex = null;
+    if (!isBlank(conditions.descriptionRegex)) {
+      // Stored rules are validated on save; skip anything that slipped through,
+      // including rules saved before unsafe patterns were refused
+      if (findUnsafeRegex(String(conditions.descriptionRegex))) return null;
+      try {
+        regex = new RegExp(conditions.descriptionRegex, 'i');
+      } catch (error) {
+        return null;
+      }
+    }
+    return {
+      rule,
+      regex,
+      contains: isBlank(conditions.descriptionContains) ? null : String(conditions.descriptionContains).toLowerCase(),
+      requiredTags: (conditions.tags || []).map(normalizeTag).filter(Boolean)
+    };
+  })
+  .filter(Boolean);
+
+const matchesCategoryRule = (compiled, transaction) => {
+  const conditions = compiled.rule.conditions || {};
+  const description = String(transaction.description || '');
+
+  if (compiled.contains && !description.toLowerCase().includes(compiled.contains)) return false;
+  if (compiled.regex && !compiled.regex.test(description)) return false;
+
+  // Amounts are stored as positive numbers with a separate type
+  const amount = Math.abs(Number(transaction.amount));
+  if (hasValue(conditions.amountMin) && !(amount >= Number(conditions.amountMin))) return false;
+  if (hasValue(conditions.amountMax) && !(amount <= Number(conditions.amountMax))) return false;
+
+  if (!isBlank(conditions.type) && transaction.type !== conditions.type) return false;
+
+  if (compiled.requiredTags.length > 0) {
+    const tags = new Set((transaction.tags || []).map(normalizeTag));
+    if (!compiled.requiredTags.every((tag) => tags.has(tag))) return false;
+  }
+  return true;
+};
+
+// Works out what the first matching rule would change on a transaction.
+// Returns null when no rule matches.
+const evaluateCategoryRules = (compiledRules, transaction) => {
+  const match = compiledRules.find((compiled) => matchesCategoryRule(compiled, transaction));
+  if (!match) return null;
+
+  const { rule } = match;
+  const actions = rule.actions || {};
+  const currentTags = transaction.tags || [];
+
+  let category = transaction.category;
+  if (!isBlank(actions.category) && (rule.overrideCategory || isUncategorized(category))) {
+    category = actions.category;
+  }
+
+  const tags = [...currentTags];
+  const seen = new Set(currentTags.map(normalizeTag));
+  for (const tag of actions.addTags || []) {
+    const key = normalizeTag(tag);
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      tags.push(String(tag).trim());
+    }
+  }
+
+  return {
+    rule,
+    category,
+    tags,
+    changed: category !== transaction.category || tags.length !== currentTags.length
+  };
+};
+
+// Applies the matching rule to the transaction in place and returns the match.
+const applyCategoryRules = (compiledRules, transaction) => {
+  const result = evaluateCategoryRules(compiledRules, transaction);
+  if (result && result.changed) {
+    transaction.category = result.category;
+    transaction.tags = result.tags;
+  }
+  return result;
+};
+
+module.exports = {
+  UNCATEGORIZED,
+  isUncategorized,
+  findUnsafeRegex,
+  validateCategoryRule,
+  compileCategoryRules,
+  matchesCategoryRule,
+  evaluateCategoryRules,
+  applyCategoryRules
+};
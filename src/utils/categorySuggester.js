@@ -0,0 +1,92 @@
+// Suggests a category for a transaction description from the user's own
+// categorized history, using multinomial naive Bayes over description tokens.
+// Everything runs in-process; the model is cheap enough to train per request.
+const { isUncategorized } = require('./categoryRules');
+
+const MIN_TRAINING_ROWS = 5;
+// Common statement noise that says nothing about the category
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'to', 'of', 'in', 'at', 'on', 'by',
+  'pos', 'upi', 'imps', 'neft', 'rtgs', 'ach', 'txn', 'ref', 'purchase'
+]);
+
+const tokenizeDescription = (description) => String(description || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  // Drop reference numbers and other mostly-numeric fragments
+  .filter((token) => token.length >= 2 && !STOP_WORDS.has(token) && (token.match(/\d/g) || []).length * 2 < token.length);
+
+const getTokens = (transaction) => {
+  const tokens = tokenizeDescription(transaction.description);
+  // The type is a strong hint (salary vs. groceries), so it votes like a token
+  if (transaction.type) tokens.push(`type:${transaction.type}`);
+  return tokens;
+};
+
+const trainCategoryModel = (transactions = []) => {
+  const categories = new Map();
+  const vocabulary = new Set();
+  let totalDocs = 0;
+
+  for (const transaction of transactions) {
+    if (isUncategorized(transaction.category)) continue;
+    const tokens = getTokens(transaction);
+    if (tokens.length === 0) continue;
+
+    const category = String(transaction.category).trim();
+    if (!categories.has(category)) {
+      categories.set(category, { docCount: 0, totalTokens: 0, tokenCounts: new Map() });
+    }
+    const stats = categories.get(category);
+    stats.docCount += 1;
+    for (const token of tokens) {
+      stats.tokenCounts.set(token, (stats.tokenCounts.get(token) || 0) + 1);
+      stats.totalTokens += 1;
+      vocabulary.add(token);
+    }
+    totalDocs += 1;
+  }
+
+  return { categories, vocabulary, totalDocs };
+};
+
+// Returns { category, confidence } where confidence is the posterior
+// probability of the winning category, or null when there is not enough
+// history or none of the description's words have been seen before.
+const suggestCategory = (model, transaction) => {
+  if (!model || model.totalDocs < MIN_TRAINING_ROWS || model.categories.size === 0) return null;
+
+  const tokens = getTokens(transaction);
+  const knownTokens = tokens.filter((token) => model.vocabulary.has(token) && !token.startsWith('type:'));
+  if (knownTokens.length === 0) return null;
+
+  const vocabularySize = model.vocabulary.size;
+  const scores = [];
+  for (const [category, stats] of model.categories) {
+    let score = Math.log(stats.docCount / model.totalDocs);
+    for (const token of tokens) {
+      if (!model.vocabulary.has(token)) continue;
+      const count = stats.tokenCounts.get(token) || 0;
+      score += Math.log((count + 1) / (stats.totalTokens + vocabularySize));
+    }
+    scores.push({ category, score });
+  }
+
+  // Softmax over log scores, shifted by the max to stay in floating point range
+  const maxScore = Math.max(...scores.map((entry) => entry.score));
+  const weights = scores.map((entry) => ({ ...entry, weight: Math.exp(entry.score - maxScore) }));
+  const totalWeight = weights.reduce((sum, entry) => sum + entry.weight, 0);
+  const best = weights.reduce((top, entry) => (entry.weight > top.weight ? entry : top));
+
+  return {
+    category: best.category,
+    confidence: Math.round((best.weight / totalWeight) * 100) / 100
+  };
+};
+
+module.exports = {
+  MIN_TRAINING_ROWS,
+  tokenizeDescription,
+  trainCategoryModel,
+  suggestCategory
+};
@@ -0,0 +1,176 @@
+// Bulk write path for committing import records. Rows are validated up front,
+// then written in batches with unordered insertMany/bulkWrite so one bad row
+// does not stop the rest of its batch. Per-row outcomes are reported with the
+// record's rowNumber so they line up with the rest of the import summary.
+
+const DUPLICATE_KEY_ERROR = 11000;
+const DUPLICATE_REASON = 'Duplicate transaction (already exists)';
+
+const runWithConcurrency = async (items, concurrency, handler) => {
+  let index = 0;
+  const worker = async () => {
+    while (true) {
+      const current = index;
+      index += 1;
+      if (current >= items.length) break;
+      await handler(items[current]);
+    }
+  };
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, () => worker());
+  await Promise.all(workers);
+};
+
+const toBatches = (items, batchSize) => {
+  const size = Math.max(1, Math.trunc(Number(batchSize)) || 1);
+  const batches = [];
+  for (let index = 0; index < items.length; index += size) {
+    batches.push(items.slice(index, index + size));
+  }
+  return batches;
+};
+
+// Driver write errors expose code/index through getters on the original
+// WriteError; mongoose copies them into plain objects with an `err` field.
+const getWriteErrorCode = (writeError) => (writeError.err ? writeError.err.code : writeError.code);
+const getWriteErrorMessage = (writeError) => (
+  (writeError.err ? writeError.err.errmsg : writeError.errmsg) || 'Write failed'
+);
+
+// Splits a failed unordered write into per-item write errors. Errors without
+// writeErrors (network, auth, ...) mean nothing in the batch was written.
+const getWriteErrorsByIndex = (error) => {
+  if (!Array.isArray(error.writeErrors)) return null;
+  return new Map(error.writeErrors.map((writeError) => [writeError.index, writeError]));
+};
+
+const insertImportRecords = async (Model, records, {
+  batchSize = 500,
+  concurrency = 1,
+  isCancelled = () => false,
+  onBatch = () => {}
+} = {}) => {
+  const inserted = [];
+  const duplicates = [];
+  const errors = [];
+  let cancelled = false;
+
+  const valid = [];
+  for (const record of records) {
+    const doc = new Model(record);
+    const validationError = doc.validateSync();
+    if (validationError) {
+      errors.push({ row: record.rowNumber, error: validationError.message });
+    } else {
+      valid.push({ record, doc });
+    }
+  }
+
+  await runWithConcurrency(toBatches(valid, batchSize), concurrency, async (batch) => {
+    if (cancelled || await isCancelled()) {
+      cancelled = true;
+      return;
+    }
+    try {
+      await Model.insertMany(batch.map(({ doc }) => doc), { ordered: false });
+      batch.forEach(({ record }) => inserted.push(record));
+    } catch (error) {
+      const writeErrors = getWriteErrorsByIndex(error);
+      if (!writeErrors) {
+        console.error('Bulk insert failed for import batch:', error.message);
+      }
+      batch.forEach(({ record }, index) => {
+        const writeError = writeErrors ? writeErrors.get(index) : error;
+        if (!writeError) {
+          inserted.push(record);
+        } else if (getWriteErrorCode(writeError) === DUPLICATE_KEY_ERROR) {
+          duplicates.push({ row: record.rowNumber, reason: DUPLICATE_REASON });
+        } else {
+          errors.push({ row: record.rowNumber, error: writeErrors ? getWriteErrorMessage(writeError) : error.message });
+        }
+      });
+    }
+    await onBatch({ inserted: inserted.length, duplicates: duplicates.length, errors: errors.length });
+  });
+
+  return { inserted, duplicates, errors, cancelled };
+};
+
+// Revives soft-deleted transactions that match an imported row, overwriting
+// them with the imported values and tagging them with the import session so a
+// rollback can delete them again. Imported rows are never split, so the old
+// split lines go.
+const restoreImportRecords = async (Model, items, {
+  importSessionId,
+  batchSize = 500,
+  isCancelled = () => false,
+  onBatch = () => {}
+} = {}) => {
+  const restored = [];
+  const errors = [];
+  let cancelled = false;
+
+  const valid = [];
+  for (const item of items) {
+    const validationError = new Model(item.record).validateSync();
+    if (validationError) {
+      errors.push({ row: item.record.rowNumber, error: validationError.message });
+    } else {
+      valid.push(item);
+    }
+  }
+
+  for (const batch of toBatches(valid, batchSize)) {
+    if (await isCancelled()) {
+      cancelled = true;
+      break;
+    }
+    const operations = batch.map(({ existing, record }) => {
+      const update = {
+        isDeleted: false,
+        amount: record.amount,
+        date: record.date,
+        type: record.type,
+        category: record.category,
+        description: record.description,
+        revivedByImportSessionId: importSessionId
+      };
+      if (record.externalId) update.externalId = record.externalId;
+      if (record.merchant) {
+        update.merchant = record.merchant;
+        update.merchantSource = record.merchantSource || 'detected';
+      }
+      if (record.tags) update.tags = record.tags;
+      if (record.accountId) update.accountId = record.accountId;
+      return { updateOne: { filter: { _id: existing._id }, update: { $set: update, $unset: { deletedAt: 1, splits: 1 } } } };
+    });
+
+    try {
+      await Model.bulkWrite(operations, { ordered: false });
+      batch.forEach((item) => restored.push(item));
+    } catch (error) {
+      const writeErrors = getWriteErrorsByIndex(error);
+      if (!writeErrors) {
+        console.error('Bulk restore failed for import batch:', error.message);
+      }
+      batch.forEach((item, index) => {
+        const writeError = writeErrors ? writeErrors.get(index) : error;
+        if (!writeError) {
+          restored.push(item);
+        } else {
+          errors.push({ row: item.record.rowNumber, error: writeErrors ? getWriteErrorMessage(writeError) : error.message });
+        }
+      });
+    }
+    await onBatch({ restored: restored.length, errors: errors.length });
+  }
+
+  return { restored, errors, cancelled };
+};
+
+module.exports = {
+  DUPLICATE_REASON,
+  runWithConcurrency,
+  toBatches,
+  insertImportRecords,
+  restoreImportRecords
+};
@@ -1,3 +1,6 @@
+const crypto = require('crypto');
+const os = require('os');
+
 class ImportCommitQueue {
   constructor() {
     this.queues = new Map();
@@ -26,4 +29,123 @@ class ImportCommitQueue {
   }
 }
 
-module.exports = { ImportCommitQueue };
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Same enqueue() contract as ImportCommitQueue, but the per-user ordering holds
+// across processes: a task only runs while this instance holds the user's
+// lease document, and commitOrder comes from an atomic per-user counter.
+// Tasks from the same process still queue locally first so an instance never
+// competes with itself for a lease.
+class MongoImportCommitQueue {
+  constructor({
+    leaseModel,
+    counterModel,
+    getInitialCommitOrder = async () => 0,
+    instanceId = `${os.hostname()}:${process.pid}`,
+    leaseMs = 30000,
+    retryMs = 250,
+    acquireTimeoutMs = 10 * 60 * 1000
+  }) {
+    this.leaseModel = leaseModel;
+    this.counterModel = counterModel;
+    this.getInitialCommitOrder = getInitialCommitOrder;
+    this.instanceId = instanceId;
+    this.leaseMs = leaseMs;
+    this.retryMs = retryMs;
+    this.acquireTimeoutMs = acquireTimeoutMs;
+    this.localQueue = new ImportCommitQueue();
+  }
+
+  enqueue(userId, task) {
+    const key = String(userId);
+    return this.localQueue.enqueue(key, () => this.runWithLease(key, task));
+  }
+
+  async runWithLease(userId, task) {
+    const token = `${this.instanceId}:${crypto.randomUUID()}`;
+    await this.acquireLease(userId, token);
+
+    const heartbeat = setInterval(() => {
+      this.renewLease(userId, token).catch((error) => {
+        console.error(`Failed to renew import commit lease for user ${userId}:`, error.message);
+      });
+    }, Math.max(1, Math.floor(this.leaseMs / 3)));
+    if (heartbeat.unref) heartbeat.unref();
+
+    try {
+      const commitOrder = await this.nextCommitOrder(userId);
+      return await task({ userId, commitOrder });
+    } finally {
+      clearInterval(heartbeat);
+      await this.releaseLease(userId, token).catch((error) => {
+        console.error(`Failed to release import commit lease for user ${userId}:`, error.message);
+      });
+    }
+  }
+
+  // Takes the lease when nobody holds it or the holder's lease has expired.
+  // While another instance holds it the upsert collides with the unique
+  // userId index, which just means "try again shortly".
+  async acquireLease(userId, token) {
+    const deadline = Date.now() + this.acquireTimeoutMs;
+    while (true) {
+      const now = new Date();
+      try {
+        await this.leaseModel.findOneAndUpdate(
+          { userId, expiresAt: { $lte: now } },
+          { $set: { owner: token, expiresAt: new Date(now.getTime() + this.leaseMs) } },
+          { upsert: true, new: true }
+        );
+        return;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error('Timed out waiting for another import to finish for this user');
+      }
+      await wait(this.retryMs);
+    }
+  }
+
+  async renewLease(userId, token) {
+    const result = await this.leaseModel.updateOne(
+      { userId, owner: token },
+      { $set: { expiresAt: new Date(Date.now() + this.leaseMs) } }
+    );
+    if (result.matchedCount === 0) {
+      console.error(`Import commit lease for user ${userId} was lost before the commit finished`);
+    }
+  }
+
+  async releaseLease(userId, token) {
+    await this.leaseModel.deleteOne({ userId, owner: token });
+  }
+
+  // Counters are seeded from getInitialCommitOrder (the highest commitOrder
+  // already recorded) the first time a user commits through this queue.
+  async nextCommitOrder(userId) {
+    const increment = () => this.counterModel.findOneAndUpdate(
+      { userId },
+      { $inc: { lastCommitOrder: 1 } },
+      { new: true }
+    );
+
+    let counter = await increment();
+    if (!counter) {
+      const initialCommitOrder = await this.getInitialCommitOrder(userId);
+      try {
+        await this.counterModel.updateOne(
+          { userId },
+          { $setOnInsert: { lastCommitOrder: initialCommitOrder } },
+          { upsert: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+      counter = await increment();
+    }
+    return counter.lastCommitOrder;
+  }
+}
+
+module.exports = { ImportCommitQueue, MongoImportCommitQueue };
@@ -0,0 +1,135 @@
+// Background import jobs. Progress and the cancel flag live on the ImportJob
+// document so any request (or instance) can poll or cancel a job; heartbeatAt
+// is refreshed while the job waits or works so a restarting instance can tell
+// it is still alive.
+const DEFAULT_STALE_MS = 5 * 60 * 1000;
+const DEFAULT_PROGRESS_INTERVAL_MS = 1000;
+
+// Unfinished jobs that can never finish: the ones `instanceId` was running
+// before it restarted, and the ones whose instance stopped sending heartbeats.
+// Other instances' live jobs are left alone.
+const buildInterruptedJobsFilter = (instanceId, staleBefore) => ({
+  status: { $in: ['queued', 'running'] },
+  $or: [
+    { ownerId: instanceId },
+    { heartbeatAt: { $lt: staleBefore } },
+    { heartbeatAt: null, updatedAt: { $lt: staleBefore } }
+  ]
+});
+
+// Marks interrupted jobs as failed on startup; resolves to how many there were
+const recoverInterruptedJobs = async ({ jobModel, instanceId, staleMs = DEFAULT_STALE_MS, now = new Date() }) => {
+  const staleBefore = new Date(now.getTime() - staleMs);
+  const { modifiedCount = 0 } = await jobModel.updateMany(
+    buildInterruptedJobsFilter(instanceId, staleBefore),
+    { $set: { status: 'failed', error: 'Server restarted before the import job finished', finishedAt: now } }
+  );
+  return modifiedCount;
+};
+
+// Tracks one job while this instance runs it.
+//  - claim() moves a queued job to running under `instanceId` and starts the
+//    heartbeat; it resolves to the job (with importSessionId), or null when
+//    the job is no longer queued
+//  - report(progress) buffers progress and writes it at most every
+//    progressIntervalMs (or right away with { force: true }); every write also
+//    refreshes heartbeatAt and reads back the cancel flag
+//  - isCancelled() reports progress and resolves to the cancel flag
+//  - complete(result), cancel() and fail(error) record how the job ended
+//  - stop() stops the heartbeat; call it however the job ends
+const createImportJobTracker = ({
+  jobModel,
+  jobId,
+  instanceId,
+  staleMs = DEFAULT_STALE_MS,
+  progressIntervalMs = DEFAULT_PROGRESS_INTERVAL_MS,
+  heartbeatIntervalMs = Math.max(1000, Math.floor(staleMs / 5)),
+  now = () => new Date()
+}) => {
+  let heartbeat = null;
+  let lastFlushAt = 0;
+  let pendingProgress = null;
+  let cancelRequested = false;
+
+  const beat = () => {
+    jobModel.updateOne({ _id: jobId }, { $set: { heartbeatAt: now() } })
+      .catch((error) => console.error(`Failed to refresh import job ${jobId} heartbeat:`, error.message));
+  };
+
+  const claim = async () => {
+    const job = await jobModel.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'running', phase: 'parsing', ownerId: instanceId, startedAt: now(), heartbeatAt: now() } },
+      { new: true }
+    ).lean();
+    if (!job) return null;
+    cancelRequested = Boolean(job.cancelRequested);
+    heartbeat = setInterval(beat, heartbeatIntervalMs);
+    if (heartbeat.unref) heartbeat.unref();
+    return job;
+  };
+
+  const flush = async (force = false) => {
+    const flushAt = now().getTime();
+    if (!force && flushAt - lastFlushAt < progressIntervalMs) return;
+    lastFlushAt = flushAt;
+    const update = pendingProgress ? {
+      phase: pendingProgress.phase,
+      progress: {
+        totalRows: pendingProgress.totalRows,
+        processedRows: pendingProgress.processedRows,
+        insertedRows: pendingProgress.insertedRows,
+        duplicateRows: pendingProgress.duplicateRows,
+        errorRows: pendingProgress.errorRows
+      }
+    } : {};
+    update.heartbeatAt = now();
+    const job = await jobModel.findOneAndUpdate({ _id: jobId }, { $set: update }, { new: true })
+      .select('cancelRequested')
+      .lean();
+    cancelRequested = Boolean(job?.cancelRequested);
+  };
+
+  const report = async (progress, { force = false } = {}) => {
+    pendingProgress = progress;
+    await flush(force);
+  };
+
+  const isCancelled = async () => {
+    await flush();
+    return cancelRequested;
+  };
+
+  const complete = async (result) => {
+    await flush(true);
+    await jobModel.updateOne({ _id: jobId }, {
+      $set: {
+        status: result.cancelled ? 'cancelled' : 'completed',
+        phase: result.cancelled ? 'rolled-back' : 'done',
+        result,
+        finishedAt: now()
+      }
+    });
+  };
+
+  const cancel = () => jobModel.updateOne({ _id: jobId }, { $set: { status: 'cancelled', finishedAt: now() } });
+
+  // Never throws: the job is already failing
+  const fail = (error) => jobModel.updateOne(
+    { _id: jobId },
+    { $set: { status: 'failed', error: error.message, finishedAt: now() } }
+  ).catch((updateError) => console.error('Failed to mark import job as failed:', updateError.message));
+
+  const stop = () => {
+    if (heartbeat) clearInterval(heartbeat);
+    heartbeat = null;
+  };
+
+  return { claim, report, isCancelled, complete, cancel, fail, stop };
+};
+
+module.exports = {
+  buildInterruptedJobsFilter,
+  recoverInterruptedJobs,
+  createImportJobTracker
+};
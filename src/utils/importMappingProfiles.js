@@ -0,0 +1,68 @@
+const MAPPING_FIELDS = ['date', 'amount', 'debit', 'credit', 'type', 'category', 'description', 'externalId', 'tags'];
+
+const normalizeHeader = (value) => String(value || '')
+  .replace(/^\uFEFF/, '')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .toLowerCase();
+
+const getMappedColumns = (profile) => MAPPING_FIELDS
+  .map((field) => profile?.columns?.[field])
+  .filter((column) => typeof column === 'string' && column.trim() !== '');
+
+// Scores how well a saved profile fits an uploaded header row (0..1).
+// A profile only qualifies when every column it maps is present in the file;
+// the remaining weight rewards files whose full header row matches the one
+// the profile was created from, so two profiles mapping the same columns can
+// still be told apart.
+const scoreProfile = (profile, headers) => {
+  const available = new Set((headers || []).map(normalizeHeader));
+  const mappedColumns = getMappedColumns(profile).map(normalizeHeader);
+  if (mappedColumns.length === 0 || available.size === 0) return 0;
+  if (!mappedColumns.every((column) => available.has(column))) return 0;
+
+  const savedHeaders = new Set((profile.headers || []).map(normalizeHeader).filter(Boolean));
+  if (savedHeaders.size === 0) return 0.7;
+
+  let shared = 0;
+  for (const header of savedHeaders) {
+    if (available.has(header)) shared++;
+  }
+  const union = new Set([...savedHeaders, ...available]).size;
+  return 0.7 + (0.3 * (shared / union));
+};
+
+const detectBestProfile = (profiles, headers) => {
+  let best = null;
+  for (const profile of profiles || []) {
+    const score = scoreProfile(profile, headers);
+    if (score <= 0) continue;
+    const lastUsed = profile.lastUsedAt ? new Date(profile.lastUsedAt).getTime() : 0;
+    const bestLastUsed = best?.profile.lastUsedAt ? new Date(best.profile.lastUsedAt).getTime() : 0;
+    if (!best || score > best.score || (score === best.score && lastUsed > bestLastUsed)) {
+      best = { profile, score };
+    }
+  }
+  return best ? { profile: best.profile, score: Number(best.score.toFixed(3)) } : null;
+};
+
+const profileToColumnMapping = (profile) => {
+  const mapping = {};
+  MAPPING_FIELDS.forEach((field) => {
+    if (profile?.columns?.[field]) mapping[field] = profile.columns[field];
+  });
+  if (profile?.amountMode) mapping.amountMode = profile.amountMode;
+  if (profile?.invertSign) mapping.invertSign = true;
+  if (profile?.defaultType) mapping.defaultType = profile.defaultType;
+  if (profile?.dateFormat) mapping.dateFormat = profile.dateFormat;
+  if (profile?.numberLocale) mapping.numberLocale = profile.numberLocale;
+  return mapping;
+};
+
+module.exports = {
+  MAPPING_FIELDS,
+  normalizeHeader,
+  scoreProfile,
+  detectBestProfile,
+  profileToColumnMapping
+};
@@ -0,0 +1,109 @@
+// Rolling back an import session: rows the session inserted go to the trash,
+// rows it revived go back to the trash, and the affected budgets are
+// recomputed. Rows that have since been reconciled, or fall inside a
+// reconciled period, are kept and counted in lockedRows.
+//
+// A transfer leg never stands alone: an imported row that was linked as a
+// transfer is unlinked first, and its counterpart goes back to a plain income
+// or expense (counted in unlinkedRows). When the counterpart cannot change
+// type because it is reconciled, the whole transfer is kept.
+const { isReconciledOrLocked, getReconciliationLockError } = require('./reconciliation');
+const { getTransactionCategories } = require('./transactionSplits');
+const { typeForDirection } = require('./transfers');
+
+const unlinkLeg = (userId, leg) => ({
+  updateOne: {
+    filter: { _id: leg._id, userId },
+    update: {
+      $set: { type: typeForDirection(leg.transferDirection) },
+      $unset: { transferGroupId: 1, transferDirection: 1, transferCounterpartId: 1 }
+    }
+  }
+});
+
+// Callers must already hold the user's slot in the import commit queue.
+//  - loadAccounts(accountIds) resolves to a Map of account id -> account
+//  - auditTrail and updateBudgetSpentAmount are optional
+const rollbackImportSession = async ({
+  transactionModel,
+  userId,
+  importSessionId,
+  loadAccounts,
+  auditTrail,
+  updateBudgetSpentAmount
+}) => {
+  const rows = await transactionModel.find({
+    userId,
+    isDeleted: false,
+    $or: [{ importSessionId }, { revivedByImportSessionId: importSessionId }]
+  }).lean();
+  const groupIds = Array.from(new Set(rows.map((transaction) => transaction.transferGroupId).filter(Boolean)));
+  const counterparts = groupIds.length > 0
+    ? await transactionModel.find({
+      userId,
+      isDeleted: false,
+      transferGroupId: { $in: groupIds },
+      _id: { $nin: rows.map((transaction) => transaction._id) }
+    }).lean()
+    : [];
+  const accounts = await loadAccounts([...rows, ...counterparts].map((transaction) => transaction.accountId));
+
+  // Transfers that must stay whole: a session leg is locked, or a counterpart
+  // cannot go back to income/expense
+  const lockedGroups = new Set([
+    ...rows.filter((transaction) => transaction.transferGroupId && isReconciledOrLocked(transaction, accounts)),
+    ...counterparts.filter((leg) => getReconciliationLockError(leg, { type: typeForDirection(leg.transferDirection) }, accounts))
+  ].map((transaction) => transaction.transferGroupId));
+  const isLocked = (transaction) => isReconciledOrLocked(transaction, accounts) ||
+    lockedGroups.has(transaction.transferGroupId);
+  const lockedIds = rows.filter(isLocked).map((transaction) => transaction._id);
+  const affected = rows.filter((transaction) => !isLocked(transaction));
+
+  const unlinked = counterparts.filter((leg) => !lockedGroups.has(leg.transferGroupId));
+  const legs = [...affected.filter((transaction) => transaction.transferGroupId), ...unlinked];
+  if (legs.length > 0) {
+    await transactionModel.bulkWrite(legs.map((leg) => unlinkLeg(userId, leg)), { ordered: false });
+  }
+
+  const insertedFilter = { userId, importSessionId, isDeleted: false, _id: { $nin: lockedIds } };
+  const revivedFilter = { userId, revivedByImportSessionId: importSessionId, isDeleted: false, _id: { $nin: lockedIds } };
+  const deletedAt = new Date();
+  const removed = await transactionModel.updateMany(insertedFilter, { $set: { isDeleted: true, deletedAt } });
+  const reDeleted = await transactionModel.updateMany(revivedFilter, {
+    $set: { isDeleted: true, deletedAt },
+    $unset: { revivedByImportSessionId: 1 }
+  });
+
+  if (auditTrail) {
+    await auditTrail.recordWrite({
+      userId,
+      entityType: 'transaction',
+      source: 'import',
+      model: transactionModel,
+      before: [...affected, ...unlinked]
+    });
+  }
+
+  // Trashed expenses leave their budgets; unlinked outgoing legs join them
+  const categoriesToUpdate = new Set([
+    ...affected.filter((transaction) => transaction.type === 'expense'),
+    ...unlinked.filter((leg) => leg.transferDirection === 'out')
+  ].flatMap(getTransactionCategories));
+  if (updateBudgetSpentAmount) {
+    for (const category of categoriesToUpdate) {
+      await updateBudgetSpentAmount(userId, category);
+    }
+  }
+
+  return {
+    removedRows: removed.modifiedCount || 0,
+    reDeletedRows: reDeleted.modifiedCount || 0,
+    lockedRows: lockedIds.length,
+    unlinkedRows: unlinked.length,
+    categories: Array.from(categoriesToUpdate)
+  };
+};
+
+module.exports = {
+  rollbackImportSession
+};
@@ -0,0 +1,31 @@
+// Failed and duplicate rows of an import, kept with the original row data so
+// the full list can be fetched after the import response is gone.
+const DEFAULT_BATCH_SIZE = 1000;
+
+// One issue per error and duplicate, in row order. `rows` are the parsed
+// statement rows; row numbers are 1-based.
+const buildImportRowIssues = ({ userId, importSessionId, rows, errors = [], duplicates = [] }) => [
+  ...errors.map((entry) => ({ row: entry.row, kind: 'error', reason: entry.error })),
+  ...duplicates.map((entry) => ({ row: entry.row, kind: 'duplicate', reason: entry.reason }))
+]
+  .sort((a, b) => a.row - b.row)
+  .map((issue) => ({
+    ...issue,
+    userId,
+    importSessionId,
+    data: Object.entries(rows?.[issue.row - 1] || {}).map(([column, value]) => ({ column, value }))
+  }));
+
+// Inserts the issues in batches; resolves to how many were saved
+const saveImportRowIssues = async ({ issueModel, batchSize = DEFAULT_BATCH_SIZE, ...options }) => {
+  const issues = buildImportRowIssues(options);
+  for (let index = 0; index < issues.length; index += batchSize) {
+    await issueModel.insertMany(issues.slice(index, index + batchSize), { ordered: false });
+  }
+  return issues.length;
+};
+
+module.exports = {
+  buildImportRowIssues,
+  saveImportRowIssues
+};
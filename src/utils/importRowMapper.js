@@ -0,0 +1,153 @@
+const { NUMBER_LOCALES, isValidDateFormat, parseDate, parseAmount } = require('./importValueParsers');
+const { MAX_TAGS_PER_TRANSACTION, MAX_TAG_LENGTH, parseTagColumn } = require('./tags');
+
+const AMOUNT_MODES = ['single', 'debitCredit', 'signed'];
+
+const TYPE_ALIASES = {
+  income: 'income',
+  credit: 'income',
+  cr: 'income',
+  deposit: 'income',
+  expense: 'expense',
+  debit: 'expense',
+  dr: 'expense',
+  withdrawal: 'expense'
+};
+
+const normalizeType = (value) => TYPE_ALIASES[String(value || '').trim().toLowerCase()] || null;
+
+const getAmountMode = (mapping) => (AMOUNT_MODES.includes(mapping?.amountMode) ? mapping.amountMode : 'single');
+
+// Works out amount and type for one row according to mapping.amountMode:
+//  - single:      one `amount` column, type from the `type` column or the sign
+//  - debitCredit: separate `debit` and `credit` columns
+//  - signed:      one `amount` column whose sign decides the type
+//                 (`invertSign` for card exports where purchases are positive)
+const resolveAmountAndType = (data, mapping) => {
+  const mode = getAmountMode(mapping);
+  const warnings = [];
+
+  if (mode === 'debitCredit') {
+    const debit = Math.abs(parseAmount(data[mapping.debit], mapping.numberLocale)) || 0;
+    const credit = Math.abs(parseAmount(data[mapping.credit], mapping.numberLocale)) || 0;
+    if (debit > 0 && credit > 0) {
+      return { error: 'Row has both debit and credit amounts' };
+    }
+    if (debit === 0 && credit === 0) {
+      return { error: 'Invalid amount' };
+    }
+    return debit > 0
+      ? { amount: debit, type: 'expense', warnings }
+      : { amount: credit, type: 'income', warnings };
+  }
+
+  const signedAmount = parseAmount(data[mapping.amount], mapping.numberLocale);
+  if (!Number.isFinite(signedAmount) || signedAmount === 0) {
+    return { error: 'Invalid amount' };
+  }
+  const amount = Math.abs(signedAmount);
+
+  if (mode === 'signed') {
+    const isOutflow = mapping.invertSign ? signedAmount > 0 : signedAmount < 0;
+    return { amount, type: isOutflow ? 'expense' : 'income', warnings };
+  }
+
+  if (mapping.type) {
+    const rawType = data[mapping.type];
+    const type = normalizeType(rawType);
+    if (!type) {
+      return { error: `Unrecognized transaction type "${rawType || ''}"` };
+    }
+    return { amount, type, warnings };
+  }
+
+  if (signedAmount < 0) {
+    return { amount, type: 'expense', warnings };
+  }
+
+  const defaultType = normalizeType(mapping.defaultType);
+  if (defaultType) {
+    return { amount, type: defaultType, warnings };
+  }
+  warnings.push('No type column mapped; treated as expense');
+  return { amount, type: 'expense', warnings };
+};
+
+// Maps one parsed statement row to a transaction record.
+// Returns { transaction, warnings } or { error }.
+const mapImportRow = (data, mapping, { userId, rowNumber }) => {
+  const rawDate = data[mapping.date];
+  const { date, ambiguous, format } = parseDate(rawDate, mapping.dateFormat);
+  if (!date || isNaN(date.getTime())) {
+    return {
+      error: mapping.dateFormat
+        ? `Invalid date "${rawDate || ''}" for format ${mapping.dateFormat}`
+        : 'Invalid date format'
+    };
+  }
+
+  const resolved = resolveAmountAndType(data, mapping);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+  if (ambiguous) {
+    resolved.warnings.push(`Ambiguous date "${rawDate}" read as ${format}`);
+  }
+
+  const transaction = {
+    userId,
+    date,
+    amount: resolved.amount,
+    type: resolved.type,
+    category: data[mapping.category] || 'Uncategorized',
+    description: data[mapping.description] || '',
+    tags: [],
+    rowNumber
+  };
+  // A tags column holds several names separated by commas, semicolons or pipes
+  if (mapping.tags) {
+    const tags = parseTagColumn(data[mapping.tags]).filter((tag) => tag.length <= MAX_TAG_LENGTH);
+    if (tags.length > MAX_TAGS_PER_TRANSACTION) {
+      resolved.warnings.push(`Only the first ${MAX_TAGS_PER_TRANSACTION} tags were kept`);
+    }
+    transaction.tags = tags.slice(0, MAX_TAGS_PER_TRANSACTION);
+  }
+  const externalId = mapping.externalId ? String(data[mapping.externalId] || '').trim() : '';
+  if (externalId) {
+    transaction.externalId = externalId;
+  }
+
+  return {
+    transaction,
+    dateAmbiguous: ambiguous,
+    warnings: resolved.warnings
+  };
+};
+
+// Returns an error message when the mapping cannot be used for its amount mode.
+const validateColumnMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object') return 'Column mapping is required';
+  if (!mapping.date) return 'A date column is required';
+  if (mapping.dateFormat && !isValidDateFormat(mapping.dateFormat)) {
+    return 'dateFormat must contain day, month and year tokens (e.g. DD/MM/YYYY)';
+  }
+  if (mapping.numberLocale && !NUMBER_LOCALES[mapping.numberLocale]) {
+    return `numberLocale must be one of: ${Object.keys(NUMBER_LOCALES).join(', ')}`;
+  }
+  if (mapping.amountMode !== undefined && !AMOUNT_MODES.includes(mapping.amountMode)) {
+    return `amountMode must be one of: ${AMOUNT_MODES.join(', ')}`;
+  }
+  if (getAmountMode(mapping) === 'debitCredit') {
+    if (!mapping.debit || !mapping.credit) return 'Debit and credit columns are required';
+  } else if (!mapping.amount) {
+    return 'An amount column is required';
+  }
+  return null;
+};
+
+module.exports = {
+  AMOUNT_MODES,
+  normalizeType,
+  mapImportRow,
+  validateColumnMapping
+};
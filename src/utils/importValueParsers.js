@@ -0,0 +1,219 @@
+const DATE_FORMAT_PRESETS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Separators per number locale. en-IN accepts both lakh grouping (1,23,456.78)
+// and western grouping because the separators are the same.
+const NUMBER_LOCALES = {
+  'en-US': { group: ',', decimal: '.', grouping: 'western' },
+  'en-IN': { group: ',', decimal: '.', grouping: 'indian' },
+  'de-DE': { group: '.', decimal: ',', grouping: 'western' },
+  'fr-FR': { group: ' ', decimal: ',', grouping: 'western' }
+};
+
+const DATE_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', part: 'year' },
+  YY: { pattern: '(\\d{2})', part: 'shortYear' },
+  MMMM: { pattern: '([A-Za-z]{3,9})', part: 'monthName' },
+  MMM: { pattern: '([A-Za-z]{3,9})', part: 'monthName' },
+  MM: { pattern: '(\\d{1,2})', part: 'month' },
+  M: { pattern: '(\\d{1,2})', part: 'month' },
+  DD: { pattern: '(\\d{1,2})', part: 'day' },
+  D: { pattern: '(\\d{1,2})', part: 'day' }
+};
+const TOKEN_ORDER = ['YYYY', 'MMMM', 'MMM', 'YY', 'MM', 'DD', 'M', 'D'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compiledFormats = new Map();
+
+// Turns a token format such as "DD-MMM-YY" into a regex plus the order in
+// which date parts are captured. Lenient on single vs double digit fields.
+const compileDateFormat = (format) => {
+  if (compiledFormats.has(format)) return compiledFormats.get(format);
+
+  let pattern = '';
+  const parts = [];
+  let index = 0;
+  while (index < format.length) {
+    const token = TOKEN_ORDER.find((candidate) => format.startsWith(candidate, index));
+    if (token) {
+      pattern += DATE_TOKENS[token].pattern;
+      parts.push(DATE_TOKENS[token].part);
+      index += token.length;
+    } else if (/\s/.test(format[index])) {
+      pattern += '\\s+';
+      index += 1;
+    } else {
+      pattern += escapeRegex(format[index]);
+      index += 1;
+    }
+  }
+
+  const compiled = {
+    regex: new RegExp(`^${pattern}(?:[\\sT].*)?$`),
+    parts
+  };
+  compiledFormats.set(format, compiled);
+  return compiled;
+};
+
+const isValidDateFormat = (format) => {
+  if (typeof format !== 'string' || !format.trim()) return false;
+  const { parts } = compileDateFormat(format.trim());
+  const hasYear = parts.includes('year') || parts.includes('shortYear');
+  const hasMonth = parts.includes('month') || parts.includes('monthName');
+  return hasYear && hasMonth && parts.includes('day');
+};
+
+const buildUtcDate = (year, month, day) => {
+  if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+// A numeric day/month pair is ambiguous when swapping them also gives a
+// valid, different date (03/04 vs 04/03). Year-first formats are treated as
+// ISO order and never flagged.
+const isAmbiguousDayMonth = (parts, day, month) =>
+  parts[0] !== 'year' && day !== month && day <= 12 && month <= 12;
+
+const parseDateWithFormat = (value, format) => {
+  const { regex, parts } = compileDateFormat(format);
+  const match = String(value).trim().match(regex);
+  if (!match) return { date: null, ambiguous: false };
+
+  const values = {};
+  parts.forEach((part, position) => {
+    values[part] = match[position + 1];
+  });
+
+  let year = Number(values.year);
+  if (values.shortYear !== undefined) {
+    const shortYear = Number(values.shortYear);
+    year = shortYear < 70 ? 2000 + shortYear : 1900 + shortYear;
+  }
+  let month = Number(values.month);
+  if (values.monthName !== undefined) {
+    month = MONTH_NAMES.indexOf(values.monthName.slice(0, 3).toLowerCase()) + 1;
+  }
+  const day = Number(values.day);
+
+  const date = buildUtcDate(year, month, day);
+  return {
+    date,
+    ambiguous: Boolean(date) && values.monthName === undefined && isAmbiguousDayMonth(parts, day, month)
+  };
+};
+
+// Parses a statement date. With an explicit format the value must match it;
+// without one, ISO dates are read as such and numeric a/b/yyyy dates are
+// read day-first unless only the month-first reading is valid.
+// Returns { date, ambiguous, format } where format is the reading used.
+const parseDate = (value, format) => {
+  if (value === undefined || value === null || value === '') {
+    return { date: null, ambiguous: false };
+  }
+  if (value instanceof Date) {
+    return { date: isNaN(value.getTime()) ? null : value, ambiguous: false };
+  }
+
+  const cleanStr = String(value).trim();
+  if (format) {
+    return { ...parseDateWithFormat(cleanStr, format), format };
+  }
+
+  if (/^\d{4}-\d{1,2}-\d{1,2}$/.test(cleanStr)) {
+    return { ...parseDateWithFormat(cleanStr, 'YYYY-MM-DD'), format: 'YYYY-MM-DD' };
+  }
+
+  const numericMatch = cleanStr.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2}|\d{4})(?:\s.*)?$/);
+  if (numericMatch) {
+    const first = Number(numericMatch[1]);
+    const second = Number(numericMatch[2]);
+    const yearToken = numericMatch[3].length === 2 ? 'YY' : 'YYYY';
+    const separator = cleanStr[numericMatch[1].length];
+    const dayFirst = `DD${separator}MM${separator}${yearToken}`;
+    const monthFirst = `MM${separator}DD${separator}${yearToken}`;
+    const chosen = first > 12 || second <= 12 ? dayFirst : monthFirst;
+    return { ...parseDateWithFormat(cleanStr, chosen), format: chosen };
+  }
+
+  const fallback = new Date(cleanStr);
+  return { date: isNaN(fallback.getTime()) ? null : fallback, ambiguous: false };
+};
+
+const matchesGrouping = (integerPart, group, grouping) => {
+  if (!integerPart.includes(group)) return /^\d+$/.test(integerPart);
+  const separator = escapeRegex(group);
+  const western = new RegExp(`^\\d{1,3}(${separator}\\d{3})+$`);
+  if (western.test(integerPart)) return true;
+  if (grouping === 'indian') {
+    return new RegExp(`^\\d{1,2}(${separator}\\d{2})*${separator}\\d{3}$`).test(integerPart);
+  }
+  return false;
+};
+
+// Strict locale-aware number parsing: separators must be used the way the
+// locale uses them, so "1.234,56" is rejected under en-US instead of being
+// silently read as 1.23456.
+const parseLocaleNumber = (text, locale) => {
+  const { group, decimal, grouping } = NUMBER_LOCALES[locale];
+  const compact = group === ' ' ? text.replace(/\s+/g, ' ') : text.replace(/\s+/g, '');
+  const cleaned = compact.replace(/[^0-9.,\s-]/g, '').trim();
+  const negative = cleaned.startsWith('-');
+  const unsigned = cleaned.replace(/^-/, '');
+  const [integerPart, fractionPart, ...rest] = unsigned.split(decimal);
+  if (rest.length > 0 || !integerPart) return NaN;
+  if (fractionPart !== undefined && !/^\d+$/.test(fractionPart)) return NaN;
+  if (!matchesGrouping(integerPart, group, grouping)) return NaN;
+
+  const normalized = `${integerPart.split(group).join('')}${fractionPart !== undefined ? `.${fractionPart}` : ''}`;
+  const parsed = parseFloat(normalized);
+  return Number.isFinite(parsed) ? (negative ? -parsed : parsed) : NaN;
+};
+
+// Parses a statement amount into a signed number. Understands accounting
+// negatives "(120.00)", trailing minus "120.00-" and DR/CR suffixes.
+// Without a locale, anything but digits, "." and "-" is ignored.
+// Returns NaN for blank or unparseable cells.
+const parseAmount = (value, locale) => {
+  if (value === undefined || value === null) return NaN;
+  if (typeof value === 'number') return value;
+  let text = String(value).trim();
+  if (!text) return NaN;
+
+  let sign = 1;
+  const suffix = text.match(/\s*(dr|cr)\.?$/i);
+  if (suffix) {
+    if (suffix[1].toLowerCase() === 'dr') sign = -1;
+    text = text.slice(0, suffix.index).trim();
+  }
+  if (/^\(.*\)$/.test(text)) {
+    sign = -sign;
+    text = text.slice(1, -1);
+  }
+  if (/-\s*$/.test(text)) {
+    sign = -sign;
+    text = text.replace(/-\s*$/, '');
+  }
+
+  if (locale && NUMBER_LOCALES[locale]) {
+    const parsed = parseLocaleNumber(text, locale);
+    return Number.isFinite(parsed) ? sign * parsed : NaN;
+  }
+
+  const parsed = parseFloat(text.replace(/[^0-9.-]+/g, ''));
+  return Number.isFinite(parsed) ? sign * parsed : NaN;
+};
+
+module.exports = {
+  DATE_FORMAT_PRESETS,
+  NUMBER_LOCALES,
+  isValidDateFormat,
+  parseDate,
+  parseAmount
+};
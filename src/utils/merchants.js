@@ -0,0 +1,101 @@
+// Extracts a normalized merchant (payee) name from a bank description, so
+// "UPI/PAYTM/ZOMATO 1234" and "ZOMATO ORDER #88" both become "Zomato".
+// User-defined aliases are checked first, then the built-in table, and
+// finally the first meaningful words of the description are used.
+
+const BUILT_IN_MERCHANTS = [
+  { name: 'Amazon', aliases: ['amazon', 'amzn', 'amazon pay'] },
+  { name: 'Flipkart', aliases: ['flipkart'] },
+  { name: 'Myntra', aliases: ['myntra'] },
+  { name: 'Zomato', aliases: ['zomato'] },
+  { name: 'Swiggy', aliases: ['swiggy', 'instamart'] },
+  { name: 'Blinkit', aliases: ['blinkit', 'grofers'] },
+  { name: 'Zepto', aliases: ['zepto'] },
+  { name: 'BigBasket', aliases: ['bigbasket', 'big basket'] },
+  { name: 'Uber', aliases: ['uber', 'uber trip', 'uber eats'] },
+  { name: 'Ola', aliases: ['ola', 'ola cabs', 'olacabs'] },
+  { name: 'Rapido', aliases: ['rapido'] },
+  { name: 'IRCTC', aliases: ['irctc'] },
+  { name: 'MakeMyTrip', aliases: ['makemytrip', 'make my trip', 'mmt'] },
+  { name: 'Netflix', aliases: ['netflix'] },
+  { name: 'Spotify', aliases: ['spotify'] },
+  { name: 'YouTube', aliases: ['youtube', 'youtube premium'] },
+  { name: 'Apple', aliases: ['apple com bill', 'itunes', 'apple services'] },
+  { name: 'Google', aliases: ['google play', 'google storage', 'google one'] },
+  { name: 'Airtel', aliases: ['airtel'] },
+  { name: 'Jio', aliases: ['jio', 'reliance jio'] },
+  { name: 'Starbucks', aliases: ['starbucks'] },
+  { name: "McDonald's", aliases: ['mcdonalds', 'mc donalds', 'mcdonald s'] },
+  { name: "Domino's", aliases: ['dominos', 'domino s'] },
+  { name: 'Walmart', aliases: ['walmart', 'wal mart'] },
+  { name: 'Target', aliases: ['target com', 'target store'] },
+  { name: 'Costco', aliases: ['costco'] }
+];
+
+// Payment rails and statement boilerplate that are never the payee
+const NOISE_TOKENS = new Set([
+  'upi', 'paytm', 'gpay', 'phonepe', 'bhim', 'pos', 'neft', 'imps', 'rtgs', 'ach', 'ecom', 'vps', 'vin',
+  'txn', 'ref', 'dr', 'cr', 'debit', 'credit', 'card', 'purchase', 'payment', 'pymt', 'pmt', 'online', 'order',
+  'to', 'from', 'by', 'at', 'for', 'via', 'the', 'www', 'com', 'in', 'ltd', 'pvt', 'inc', 'llc'
+]);
+const MAX_FALLBACK_WORDS = 3;
+
+const normalizeMerchantKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const titleCase = (words) => words
+  .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Turns alias tables into one lookup list, longest alias first so that
+// "uber eats" wins over "uber". User aliases always beat built-in ones.
+const compileMerchantAliases = (userMerchants = []) => {
+  const byLength = (a, b) => b.key.length - a.key.length;
+  const toEntries = (merchants) => merchants.flatMap((merchant) => (
+    [merchant.name, ...(merchant.aliases || [])]
+      .map((alias) => ({ key: normalizeMerchantKey(alias), name: merchant.name }))
+      .filter((entry) => entry.key)
+  ));
+  return [
+    ...toEntries(userMerchants).sort(byLength),
+    ...toEntries(BUILT_IN_MERCHANTS).sort(byLength)
+  ];
+};
+
+const DEFAULT_ALIASES = compileMerchantAliases();
+
+const extractMerchant = (description, aliases = DEFAULT_ALIASES) => {
+  const key = normalizeMerchantKey(description);
+  if (!key) return null;
+
+  // Whole-word match, so "ola" does not match "coca cola"
+  const padded = ` ${key} `;
+  const alias = aliases.find((entry) => padded.includes(` ${entry.key} `));
+  if (alias) return alias.name;
+
+  const words = key.split(' ')
+    .filter((word) => word.length >= 2 && !NOISE_TOKENS.has(word) && !/\d/.test(word));
+  if (words.length === 0) return null;
+  return titleCase(words.slice(0, MAX_FALLBACK_WORDS));
+};
+
+// Whether a transaction's merchant came from detection, so a refresh may
+// re-detect it. Names the user set are kept. Rows saved before the source was
+// stored count as detected only when they hold what detection would produce
+// without user aliases.
+const isDetectedMerchant = (transaction) => {
+  if (!transaction.merchant) return true;
+  if (transaction.merchantSource) return transaction.merchantSource === 'detected';
+  return transaction.merchant === extractMerchant(transaction.description);
+};
+
+module.exports = {
+  BUILT_IN_MERCHANTS,
+  normalizeMerchantKey,
+  compileMerchantAliases,
+  extractMerchant,
+  isDetectedMerchant
+};
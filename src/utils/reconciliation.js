@@ -0,0 +1,84 @@
+// Statement reconciliation. Transactions move from 'uncleared' to 'cleared'
+// (seen on a statement) to 'reconciled' (part of a completed reconciliation).
+// Completing a reconciliation locks the account up to the statement date:
+// reconciled rows and anything dated inside the locked period can no longer
+// change the account's balance.
+const { signedAmount } = require('./accountBalances');
+
+const CLEARED_STATUSES = ['uncleared', 'cleared', 'reconciled'];
+// Balances are in currency units; anything under half a cent is rounding noise
+const BALANCE_TOLERANCE = 0.005;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const isCleared = (transaction) => ['cleared', 'reconciled'].includes(transaction.clearedStatus);
+
+const isWithinLockedPeriod = (account, date) => Boolean(
+  account && account.reconciledThrough && date &&
+  new Date(date).getTime() <= new Date(account.reconciledThrough).getTime()
+);
+
+// Whether a row counts towards a reconciled balance and must stay as it is.
+// `accounts` maps account id -> account.
+const isReconciledOrLocked = (transaction, accounts) => transaction.clearedStatus === 'reconciled' ||
+  isWithinLockedPeriod(transaction.accountId ? accounts.get(String(transaction.accountId)) : null, transaction.date);
+
+// Loads the given accounts keyed by id, for reconciliation lock checks
+const loadAccountsById = async (accountModel, userId, accountIds) => {
+  const ids = Array.from(new Set(accountIds.filter(Boolean).map(String)));
+  if (ids.length === 0) return new Map();
+  const accounts = await accountModel.find({ userId, _id: { $in: ids } }).select('reconciledThrough').lean();
+  return new Map(accounts.map((account) => [String(account._id), account]));
+};
+
+// Compares the cleared balance with the statement's closing balance
+const summarizeReconciliation = ({ openingBalance = 0, statementBalance, transactions }) => {
+  const cleared = transactions.filter(isCleared);
+  const clearedBalance = roundMoney(
+    cleared.reduce((sum, transaction) => sum + signedAmount(transaction), Number(openingBalance) || 0)
+  );
+  const difference = roundMoney(Number(statementBalance) - clearedBalance);
+  return {
+    clearedBalance,
+    statementBalance: roundMoney(Number(statementBalance)),
+    difference,
+    balanced: Math.abs(difference) < BALANCE_TOLERANCE,
+    clearedCount: cleared.length,
+    unclearedCount: transactions.length - cleared.length
+  };
+};
+
+// Returns why an edit is not allowed, or null. `update` holds the new values
+// of the balance-affecting fields; `accounts` maps account id -> account for
+// both the current and the target account.
+const getReconciliationLockError = (original, update, accounts) => {
+  const changed = ['amount', 'type', 'date', 'accountId'].filter((field) => {
+    if (update[field] === undefined) return false;
+    if (field === 'date') return new Date(update.date).getTime() !== new Date(original.date).getTime();
+    if (field === 'amount') return Math.abs(Number(update.amount) - Number(original.amount)) >= BALANCE_TOLERANCE;
+    return String(update[field] || '') !== String(original[field] || '');
+  });
+  if (changed.length === 0) return null;
+
+  const currentAccount = original.accountId ? accounts.get(String(original.accountId)) : null;
+  if (original.clearedStatus === 'reconciled' || isWithinLockedPeriod(currentAccount, original.date)) {
+    return `Transaction is in a reconciled period; ${changed.join(', ')} cannot be changed`;
+  }
+  const targetAccountId = update.accountId !== undefined ? update.accountId : original.accountId;
+  const targetAccount = targetAccountId ? accounts.get(String(targetAccountId)) : null;
+  if (isWithinLockedPeriod(targetAccount, update.date || original.date)) {
+    return 'Transaction would fall inside a reconciled period';
+  }
+  return null;
+};
+
+module.exports = {
+  CLEARED_STATUSES,
+  BALANCE_TOLERANCE,
+  isCleared,
+  isWithinLockedPeriod,
+  isReconciledOrLocked,
+  loadAccountsById,
+  summarizeReconciliation,
+  getReconciliationLockError
+};
@@ -0,0 +1,223 @@
+// Recurrence rules for recurring schedules. All dates are handled in UTC; a
+// daily/weekly/monthly/yearly occurrence falls at midnight of its day, a cron
+// occurrence at its minute.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly', 'cron'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead a cron expression is searched before giving up
+const CRON_SEARCH_DAYS = 366 * 5;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const startOfUtcDay = (date) => {
+  const value = new Date(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Day `day` of the month, clamped so the 31st means the last day of shorter months
+const clampedDate = (year, month, day) => new Date(Date.UTC(year, month, Math.min(day, daysInMonth(year, month))));
+
+const parseCronField = (text, { name, min, max }) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in cron ${name} field`);
+
+    let from = min;
+    let to = max;
+    if (rangeText !== '*') {
+      const [startText, endText] = rangeText.split('-');
+      from = Number(startText);
+      to = endText === undefined ? (stepText === undefined ? from : max) : Number(endText);
+    }
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name} field: ${text}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+};
+
+// Parses a standard 5-field cron expression (minute hour day-of-month month
+// day-of-week) supporting *, lists, ranges and steps.
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  const fields = {};
+  CRON_FIELDS.forEach((field, index) => {
+    fields[field.name] = parseCronField(parts[index], field);
+  });
+  // Both 0 and 7 mean Sunday
+  if (fields.dayOfWeek.has(7)) fields.dayOfWeek.add(0);
+  return {
+    ...fields,
+    // Like cron, a restricted day-of-month and day-of-week match either one
+    anyDay: parts[2] === '*' || parts[4] === '*',
+    restrictedDayOfMonth: parts[2] !== '*',
+    restrictedDayOfWeek: parts[4] !== '*'
+  };
+};
+
+const cronDayMatches = (cron, day) => {
+  if (!cron.month.has(day.getUTCMonth() + 1)) return false;
+  const domMatch = cron.dayOfMonth.has(day.getUTCDate());
+  const dowMatch = cron.dayOfWeek.has(day.getUTCDay());
+  if (cron.restrictedDayOfMonth && cron.restrictedDayOfWeek) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+};
+
+// First cron time strictly after `after`
+const nextCronOccurrence = (cron, after) => {
+  const from = new Date(after.getTime() + 60 * 1000);
+  from.setUTCSeconds(0, 0);
+  const hours = Array.from(cron.hour).sort((a, b) => a - b);
+  const minutes = Array.from(cron.minute).sort((a, b) => a - b);
+
+  let day = startOfUtcDay(from);
+  for (let i = 0; i < CRON_SEARCH_DAYS; i++, day = new Date(day.getTime() + DAY_MS)) {
+    if (!cronDayMatches(cron, day)) continue;
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const candidate = new Date(day.getTime() + (hour * 60 + minute) * 60 * 1000);
+        if (candidate >= from) return candidate;
+      }
+    }
+  }
+  return null;
+};
+
+// Returns an error message for a schedule's recurrence fields, or null
+const validateRecurrence = (schedule) => {
+  if (!FREQUENCIES.includes(schedule.frequency)) {
+    return `frequency must be one of ${FREQUENCIES.join(', ')}`;
+  }
+  if (!schedule.startDate || Number.isNaN(new Date(schedule.startDate).getTime())) {
+    return 'startDate is required';
+  }
+  if (schedule.endDate && new Date(schedule.endDate) < new Date(schedule.startDate)) {
+    return 'endDate must be after startDate';
+  }
+  if (schedule.interval !== undefined && (!Number.isInteger(schedule.interval) || schedule.interval < 1)) {
+    return 'interval must be a positive whole number';
+  }
+  if (schedule.dayOfMonth !== undefined && schedule.dayOfMonth !== null &&
+    (!Number.isInteger(schedule.dayOfMonth) || schedule.dayOfMonth < 1 || schedule.dayOfMonth > 31)) {
+    return 'dayOfMonth must be between 1 and 31';
+  }
+  if (schedule.dayOfWeek !== undefined && schedule.dayOfWeek !== null &&
+    (!Number.isInteger(schedule.dayOfWeek) || schedule.dayOfWeek < 0 || schedule.dayOfWeek > 6)) {
+    return 'dayOfWeek must be between 0 (Sunday) and 6';
+  }
+  if (schedule.monthOfYear !== undefined && schedule.monthOfYear !== null &&
+    (!Number.isInteger(schedule.monthOfYear) || schedule.monthOfYear < 1 || schedule.monthOfYear > 12)) {
+    return 'monthOfYear must be between 1 and 12';
+  }
+  if (schedule.frequency === 'cron') {
+    try {
+      parseCron(schedule.cron);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return null;
+};
+
+// The n-th occurrence (n >= 0) of a calendar schedule, or null past the end
+const calendarOccurrence = (schedule, n) => {
+  const start = startOfUtcDay(schedule.startDate);
+  const interval = schedule.interval || 1;
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+
+  switch (schedule.frequency) {
+    case 'daily':
+      return new Date(start.getTime() + n * interval * DAY_MS);
+    case 'weekly': {
+      const weekday = schedule.dayOfWeek ?? start.getUTCDay();
+      const first = new Date(start.getTime() + ((weekday - start.getUTCDay() + 7) % 7) * DAY_MS);
+      return new Date(first.getTime() + n * interval * 7 * DAY_MS);
+    }
+    case 'monthly': {
+      const day = schedule.dayOfMonth || start.getUTCDate();
+      // The first occurrence is the first matching day on or after startDate
+      const offset = clampedDate(year, month, day) < start ? 1 : 0;
+      const target = month + offset + n * interval;
+      return clampedDate(year + Math.floor(target / 12), target % 12, day);
+    }
+    case 'yearly': {
+      const targetMonth = schedule.monthOfYear ? schedule.monthOfYear - 1 : month;
+      const day = schedule.dayOfMonth || start.getUTCDate();
+      const offset = clampedDate(year, targetMonth, day) < start ? 1 : 0;
+      return clampedDate(year + offset + n * interval, targetMonth, day);
+    }
+    default:
+      return null;
+  }
+};
+
+// Lists occurrences strictly after `after` (default: just before startDate),
+// up to `count` of them and not past `until` or the schedule's endDate.
+const listOccurrences = (schedule, { after, until, count = 12 } = {}) => {
+  const start = new Date(schedule.startDate);
+  const lowerBound = after ? new Date(after) : new Date(start.getTime() - 1);
+  const endDate = schedule.endDate ? new Date(schedule.endDate) : null;
+  const upperBound = until ? new Date(until) : null;
+  const withinEnd = (date) => (!endDate || date <= endDate) && (!upperBound || date <= upperBound);
+  const occurrences = [];
+
+  if (schedule.frequency === 'cron') {
+    const cron = parseCron(schedule.cron);
+    let cursor = lowerBound < start ? new Date(start.getTime() - 60 * 1000) : lowerBound;
+    while (occurrences.length < count) {
+      const next = nextCronOccurrence(cron, cursor);
+      if (!next || !withinEnd(next)) break;
+      occurrences.push(next);
+      cursor = next;
+    }
+    return occurrences;
+  }
+
+  // Jump close to the lower bound instead of walking from startDate
+  const interval = schedule.interval || 1;
+  const elapsedDays = Math.max(0, (lowerBound - start) / DAY_MS);
+  const approximateSteps = {
+    daily: elapsedDays / interval,
+    weekly: elapsedDays / (7 * interval),
+    monthly: elapsedDays / (31 * interval),
+    yearly: elapsedDays / (366 * interval)
+  }[schedule.frequency];
+  let n = Math.max(0, Math.floor(approximateSteps) - 1);
+
+  while (occurrences.length < count) {
+    const date = calendarOccurrence(schedule, n++);
+    if (!date || !withinEnd(date)) break;
+    if (date > lowerBound) occurrences.push(date);
+  }
+  return occurrences;
+};
+
+const nextOccurrence = (schedule, after) => listOccurrences(schedule, { after, count: 1 })[0] || null;
+
+// Stable key for one occurrence: the day, plus the time for intraday cron runs
+const occurrenceKey = (date) => {
+  const iso = new Date(date).toISOString();
+  return iso.slice(11, 16) === '00:00' ? iso.slice(0, 10) : iso.slice(0, 16);
+};
+
+module.exports = {
+  FREQUENCIES,
+  parseCron,
+  validateRecurrence,
+  listOccurrences,
+  nextOccurrence,
+  occurrenceKey
+};
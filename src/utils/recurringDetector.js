@@ -0,0 +1,219 @@
+// Finds recurring payments in transaction history: the same payee charging a
+// similar amount at a regular interval. Each pattern is proposed as a
+// subscription, fixed bill or recurring schedule, and subscriptions whose
+// latest charge went up are flagged.
+const { extractMerchant, normalizeMerchantKey } = require('./merchants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accepted gap (in days) between charges for each cadence
+const CADENCES = [
+  { frequency: 'weekly', days: 7, min: 6, max: 8, monthlyFactor: 52 / 12 },
+  { frequency: 'biweekly', days: 14, min: 13, max: 16, monthlyFactor: 26 / 12 },
+  { frequency: 'monthly', days: 30, min: 26, max: 35, monthlyFactor: 1 },
+  { frequency: 'quarterly', days: 91, min: 84, max: 98, monthlyFactor: 1 / 3 },
+  { frequency: 'yearly', days: 365, min: 350, max: 380, monthlyFactor: 1 / 12 }
+];
+
+const SUBSCRIPTION_MERCHANTS = new Set(['netflix', 'spotify', 'youtube', 'apple', 'google', 'airtel', 'jio']);
+const SUBSCRIPTION_CATEGORY = /subscription|entertainment|streaming|membership|software/i;
+
+// Amounts within this share of the typical charge count as "the same price"
+const DEFAULT_AMOUNT_TOLERANCE = 0.1;
+const DEFAULT_MIN_OCCURRENCES = 3;
+// A price change smaller than this is treated as rounding/FX noise
+const MIN_PRICE_CHANGE_RATIO = 0.01;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  let best;
+  counts.forEach((count, value) => {
+    if (best === undefined || count > counts.get(best)) best = value;
+  });
+  return best;
+};
+
+// Payee names without digits, so "ACME LOAN EMI 03/12" and "ACME LOAN EMI 04/12" match
+const normalizePayee = (value) => normalizeMerchantKey(value).replace(/\d+/g, '').replace(/\s+/g, ' ').trim();
+
+// Matching key for a free-text payee name (schedule names, planner entries)
+const payeeKey = (value) => normalizePayee(extractMerchant(value || '') || value);
+
+const payeeOf = (transaction) => {
+  const name = transaction.merchant || extractMerchant(transaction.description) || transaction.description;
+  return { key: normalizePayee(name), name };
+};
+
+const matchCadence = (gaps) => {
+  const typical = median(gaps);
+  const cadence = CADENCES.find((entry) => typical >= entry.min && typical <= entry.max);
+  if (!cadence) return null;
+  const regular = gaps.filter((gap) => gap >= cadence.min && gap <= cadence.max).length;
+  // Allow the odd late or missed charge
+  if (regular / gaps.length < 0.75) return null;
+  return { cadence, regularity: regular / gaps.length };
+};
+
+// The latest change from the price charged before to the price charged now
+const findPriceChange = (charges, tolerance) => {
+  if (charges.length < 2) return null;
+  const latest = charges[charges.length - 1];
+  let index = charges.length - 2;
+  while (index >= 0 && Math.abs(charges[index].amount - latest.amount) <= latest.amount * MIN_PRICE_CHANGE_RATIO) {
+    index--;
+  }
+  if (index < 0) return null;
+  const previous = charges[index];
+  const ratio = (latest.amount - previous.amount) / previous.amount;
+  if (Math.abs(ratio) < MIN_PRICE_CHANGE_RATIO || Math.abs(ratio) > tolerance * 5) return null;
+  return {
+    previousAmount: roundMoney(previous.amount),
+    currentAmount: roundMoney(latest.amount),
+    changePercent: Math.round(ratio * 1000) / 10,
+    changedOn: charges[index + 1].date
+  };
+};
+
+const classify = ({ type, key, category, cadence, amountStable }) => {
+  if (type === 'income') return 'schedule';
+  const looksLikeSubscription = SUBSCRIPTION_MERCHANTS.has(key.split(' ')[0]) || SUBSCRIPTION_CATEGORY.test(category || '');
+  if (looksLikeSubscription && amountStable) return 'subscription';
+  if (amountStable && ['monthly', 'quarterly', 'yearly'].includes(cadence.frequency)) return 'fixed-bill';
+  return 'schedule';
+};
+
+// transactions: [{ date, amount, type, description, merchant, category }]
+const detectRecurringPayments = (transactions, {
+  minOccurrences = DEFAULT_MIN_OCCURRENCES,
+  amountTolerance = DEFAULT_AMOUNT_TOLERANCE,
+  now = new Date()
+} = {}) => {
+  const groups = new Map();
+  transactions.forEach((transaction) => {
+    if (!['income', 'expense'].includes(transaction.type)) return;
+    const payee = payeeOf(transaction);
+    if (!payee.key) return;
+    const groupKey = `${transaction.type}:${payee.key}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, { payee, type: transaction.type, charges: [] });
+    groups.get(groupKey).charges.push({
+      date: new Date(transaction.date),
+      amount: Number(transaction.amount) || 0,
+      category: transaction.category
+    });
+  });
+
+  const detections = [];
+  groups.forEach((group, key) => {
+    const charges = group.charges.sort((a, b) => a.date - b.date);
+    if (charges.length < 2) return;
+
+    const gaps = charges.slice(1).map((charge, i) => (charge.date - charges[i].date) / DAY_MS);
+    const match = matchCadence(gaps);
+    if (!match) return;
+    // A yearly charge only shows up once or twice in a normal history window
+    if (charges.length < (match.cadence.frequency === 'yearly' ? 2 : minOccurrences)) return;
+
+    const typicalAmount = median(charges.map((charge) => charge.amount));
+    const withinTolerance = (charge, amount) => Math.abs(charge.amount - amount) <= amount * amountTolerance;
+    const priceChange = findPriceChange(charges, amountTolerance);
+    // A single price change (a subscription going up) still counts as a fixed amount
+    const amountStable = charges.every((charge) => withinTolerance(charge, typicalAmount)) || Boolean(priceChange &&
+      charges.every((charge) => withinTolerance(charge, charge.date < priceChange.changedOn
+        ? priceChange.previousAmount
+        : priceChange.currentAmount)));
+    const stableShare = amountStable
+      ? 1
+      : charges.filter((charge) => withinTolerance(charge, typicalAmount)).length / charges.length;
+    // Same payee and interval but wildly different amounts is not one pattern
+    if (stableShare < 0.6) return;
+
+    const last = charges[charges.length - 1];
+    const category = mostCommon(charges.map((charge) => charge.category).filter(Boolean));
+    const nextExpectedDate = new Date(last.date.getTime() + match.cadence.days * DAY_MS);
+    // Patterns that stopped more than two cycles ago are no longer active
+    const active = now - last.date <= match.cadence.max * 2 * DAY_MS;
+
+    detections.push({
+      key,
+      payee: group.payee.name,
+      payeeKey: group.payee.key,
+      type: group.type,
+      kind: classify({ type: group.type, key: group.payee.key, category, cadence: match.cadence, amountStable }),
+      frequency: match.cadence.frequency,
+      occurrences: charges.length,
+      typicalAmount: roundMoney(typicalAmount),
+      lastAmount: roundMoney(last.amount),
+      monthlyCost: roundMoney(last.amount * match.cadence.monthlyFactor),
+      lastDate: last.date,
+      nextExpectedDate,
+      dayOfMonth: last.date.getUTCDate(),
+      category,
+      active,
+      confidence: Math.round(match.regularity * stableShare * Math.min(1, charges.length / 6) * 100) / 100,
+      priceIncrease: priceChange && priceChange.changePercent > 0 ? priceChange : null
+    });
+  });
+
+  return detections.sort((a, b) => b.confidence - a.confidence || b.monthlyCost - a.monthlyCost);
+};
+
+// Matches detected patterns to the subscriptions saved in the salary planner
+// and reports the ones now charging more than the recorded monthly cost, or
+// whose charge went up recently.
+const findSubscriptionPriceIncreases = (subscriptions, detections) => {
+  const byPayee = new Map(detections.filter((entry) => entry.type === 'expense').map((entry) => [entry.payeeKey, entry]));
+  const increases = [];
+  (subscriptions || []).forEach((subscription) => {
+    if ((subscription.status || 'active') !== 'active') return;
+    const candidates = [subscription.provider, subscription.name].map(payeeKey).filter(Boolean);
+    const detection = candidates.map((candidate) => byPayee.get(candidate)).find(Boolean);
+    if (!detection) return;
+    const recorded = Number(subscription.monthlyCost) || 0;
+    const aboveRecorded = recorded > 0 && detection.monthlyCost > recorded * (1 + MIN_PRICE_CHANGE_RATIO);
+    if (aboveRecorded || detection.priceIncrease) {
+      increases.push({
+        subscriptionId: subscription._id,
+        name: subscription.name,
+        recordedMonthlyCost: roundMoney(recorded),
+        detectedMonthlyCost: detection.monthlyCost,
+        changePercent: recorded > 0 ? Math.round(((detection.monthlyCost - recorded) / recorded) * 1000) / 10 : null,
+        chargeIncrease: detection.priceIncrease,
+        lastChargedOn: detection.lastDate
+      });
+    }
+  });
+  return increases;
+};
+
+// Recurrence fields for a RecurringSchedule that follows a detected pattern
+const scheduleRecurrenceFor = (detection) => {
+  const last = new Date(detection.lastDate);
+  switch (detection.frequency) {
+    case 'weekly':
+    case 'biweekly':
+      return { frequency: 'weekly', interval: detection.frequency === 'weekly' ? 1 : 2, dayOfWeek: last.getUTCDay() };
+    case 'quarterly':
+      return { frequency: 'monthly', interval: 3, dayOfMonth: last.getUTCDate() };
+    case 'yearly':
+      return { frequency: 'yearly', interval: 1, dayOfMonth: last.getUTCDate(), monthOfYear: last.getUTCMonth() + 1 };
+    default:
+      return { frequency: 'monthly', interval: 1, dayOfMonth: last.getUTCDate() };
+  }
+};
+
+module.exports = {
+  CADENCES,
+  detectRecurringPayments,
+  findSubscriptionPriceIncreases,
+  scheduleRecurrenceFor,
+  payeeKey
+};
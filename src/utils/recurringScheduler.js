@@ -0,0 +1,142 @@
+const { listOccurrences, nextOccurrence, occurrenceKey } = require('./recurrence');
+
+const MAX_CATCH_UP_OCCURRENCES = 60;
+const MAX_SCHEDULES_PER_RUN = 200;
+
+// Values for one occurrence: the schedule template with any override applied
+const buildOccurrenceInput = (schedule, date, exception) => {
+  const input = {
+    amount: schedule.template.amount,
+    type: schedule.template.type,
+    category: schedule.template.category,
+    description: schedule.template.description,
+    date
+  };
+  if (schedule.template.accountId) input.accountId = schedule.template.accountId;
+  if (schedule.template.tags && schedule.template.tags.length > 0) input.tags = [...schedule.template.tags];
+  if (exception && exception.action === 'override') {
+    ['amount', 'category', 'description', 'date'].forEach((field) => {
+      if (exception[field] !== undefined && exception[field] !== null) input[field] = exception[field];
+    });
+  }
+  return input;
+};
+
+const findException = (schedule, key) => (schedule.exceptions || []).find((exception) => exception.occurrence === key);
+
+// Posts due occurrences of recurring schedules.
+//  - postOccurrence(schedule, input, key) creates the transaction and resolves
+//    to 'posted', 'duplicate' (already posted) or { rejected: message }
+//  - every occurrence is posted with a fingerprint derived from its key, so a
+//    run that is repeated (retry, second instance) never posts twice
+const createRecurringScheduler = ({
+  scheduleModel,
+  postOccurrence,
+  intervalMs = 60000,
+  maxCatchUp = MAX_CATCH_UP_OCCURRENCES,
+  now = () => new Date()
+}) => {
+  let timer = null;
+  let running = false;
+
+  // Posts every occurrence of one schedule up to `until` and moves nextRunAt on
+  const runSchedule = async (schedule, until = now()) => {
+    const outcome = { scheduleId: schedule._id, posted: 0, skipped: 0, duplicates: 0, rejected: 0, errors: [] };
+    const after = schedule.lastOccurrenceAt || new Date(new Date(schedule.startDate).getTime() - 1);
+    const due = listOccurrences(schedule, { after, until, count: maxCatchUp });
+
+    let lastHandled = schedule.lastOccurrenceAt || null;
+    let lastError = null;
+    for (const date of due) {
+      const key = occurrenceKey(date);
+      const exception = findException(schedule, key);
+      if (exception && exception.action === 'skip') {
+        outcome.skipped++;
+        lastHandled = date;
+        continue;
+      }
+      try {
+        const result = await postOccurrence(schedule, buildOccurrenceInput(schedule, date, exception), key);
+        if (result === 'duplicate') {
+          outcome.duplicates++;
+        } else if (result && result.rejected) {
+          // Rejected occurrences (e.g. inside a reconciled period) are not
+          // retried; the reason stays on the schedule
+          outcome.rejected++;
+          lastError = `${key}: ${result.rejected}`;
+          outcome.errors.push({ occurrence: key, error: result.rejected });
+        } else {
+          outcome.posted++;
+        }
+        lastHandled = date;
+      } catch (error) {
+        // Try this occurrence again on the next run
+        lastError = `${key}: ${error.message}`;
+        outcome.errors.push({ occurrence: key, error: error.message });
+        break;
+      }
+    }
+
+    const next = lastHandled ? nextOccurrence(schedule, lastHandled) : (due[0] || nextOccurrence(schedule));
+    const update = { lastRunAt: until, nextRunAt: next || null, lastError };
+    if (lastHandled) update.lastOccurrenceAt = lastHandled;
+    // Only advance if nobody else moved the schedule since it was read
+    await scheduleModel.updateOne(
+      { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+      { $set: update }
+    );
+    return { ...outcome, nextRunAt: next || null };
+  };
+
+  // Runs every active auto-posting schedule that is due, optionally for one user
+  const runDue = async ({ userId } = {}) => {
+    const currentTime = now();
+    const filter = { isActive: true, autoPost: true, nextRunAt: { $ne: null, $lte: currentTime } };
+    if (userId) filter.userId = userId;
+    const schedules = await scheduleModel.find(filter).limit(MAX_SCHEDULES_PER_RUN).lean();
+
+    const results = [];
+    for (const schedule of schedules) {
+      try {
+        results.push(await runSchedule(schedule, currentTime));
+      } catch (error) {
+        console.error(`Recurring schedule ${schedule._id} failed:`, error.message);
+        results.push({ scheduleId: schedule._id, errors: [{ error: error.message }] });
+      }
+    }
+    return results;
+  };
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const results = await runDue();
+      const posted = results.reduce((sum, result) => sum + (result.posted || 0), 0);
+      if (posted > 0) console.log(`Recurring scheduler posted ${posted} transactions`);
+    } catch (error) {
+      console.error('Recurring scheduler run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer || intervalMs <= 0) return;
+    timer = setInterval(tick, intervalMs);
+    if (timer.unref) timer.unref();
+    tick();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return { runSchedule, runDue, start, stop };
+};
+
+module.exports = {
+  buildOccurrenceInput,
+  createRecurringScheduler
+};
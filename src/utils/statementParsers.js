@@ -0,0 +1,146 @@
+// Parsers for bank statement formats other than CSV. Each parser returns
+// plain row objects keyed by STATEMENT_COLUMNS so the rows can go through the
+// same row mapper, validation and dedupe as a CSV upload.
+
+const STATEMENT_COLUMNS = {
+  date: 'Date',
+  amount: 'Amount',
+  description: 'Description',
+  category: 'Category',
+  externalId: 'FITID'
+};
+
+const decodeEntities = (value) => String(value || '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+const joinDescription = (primary, secondary) => {
+  const first = String(primary || '').trim();
+  const second = String(secondary || '').trim();
+  if (!first) return second;
+  if (!second || second.toLowerCase() === first.toLowerCase()) return first;
+  return `${first} - ${second}`;
+};
+
+// OFX amounts are signed with "." as decimal mark, but some banks emit ","
+const normalizeOfxAmount = (value) => {
+  const text = String(value || '').trim();
+  return /^[+-]?\d+,\d{1,2}$/.test(text) ? text.replace(',', '.') : text;
+};
+
+// Reads a single element value; works for OFX 1.x SGML (unclosed tags) and
+// OFX 2.x XML alike.
+const readOfxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1]) : '';
+};
+
+const isOfx = (text) => /OFXHEADER|<OFX>/i.test(text);
+
+const parseOfx = (text) => {
+  const rows = [];
+  const statementPattern = /<(STMTRS|CCSTMTRS)>([\s\S]*?)(<\/\1>|(?=<(?:STMTRS|CCSTMTRS)>)|$)/gi;
+  let statementMatch;
+
+  while ((statementMatch = statementPattern.exec(text)) !== null) {
+    const statement = statementMatch[2];
+    const accountId = readOfxTag(statement, 'ACCTID');
+    const transactionPattern = /<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi;
+    let transactionMatch;
+
+    while ((transactionMatch = transactionPattern.exec(statement)) !== null) {
+      const block = transactionMatch[1];
+      const posted = readOfxTag(block, 'DTPOSTED');
+      const dateMatch = posted.match(/^(\d{4})(\d{2})(\d{2})/);
+      const fitId = readOfxTag(block, 'FITID');
+
+      rows.push({
+        [STATEMENT_COLUMNS.date]: dateMatch ? `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}` : posted,
+        [STATEMENT_COLUMNS.amount]: normalizeOfxAmount(readOfxTag(block, 'TRNAMT')),
+        [STATEMENT_COLUMNS.description]: joinDescription(readOfxTag(block, 'NAME') || readOfxTag(block, 'PAYEE'), readOfxTag(block, 'MEMO')),
+        [STATEMENT_COLUMNS.category]: '',
+        [STATEMENT_COLUMNS.externalId]: fitId ? `${accountId || 'ofx'}:${fitId}` : ''
+      });
+    }
+  }
+
+  return rows;
+};
+
+const isQif = (text) => /^\s*!Type:/i.test(text);
+
+// QIF dates look like 03/04/2024, 3/4'24 or 03-04-24; normalize them to
+// DD/MM/YYYY-shaped strings and leave the day/month order to the mapping.
+const normalizeQifDate = (value) => {
+  const text = String(value || '').replace(/\s+/g, '').replace(/'/g, '/').replace(/-/g, '/');
+  const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (!match) return text;
+  let year = match[3];
+  if (year.length === 2) {
+    year = Number(year) < 70 ? `20${year}` : `19${year}`;
+  }
+  return `${match[1].padStart(2, '0')}/${match[2].padStart(2, '0')}/${year}`;
+};
+
+const parseQif = (text) => {
+  const rows = [];
+  let current = {};
+  let inTransactionSection = true;
+
+  const flush = () => {
+    if (Object.keys(current).length > 0 && inTransactionSection) {
+      rows.push({
+        [STATEMENT_COLUMNS.date]: normalizeQifDate(current.D),
+        [STATEMENT_COLUMNS.amount]: current.T || current.U || '',
+        [STATEMENT_COLUMNS.description]: joinDescription(current.P, current.M),
+        [STATEMENT_COLUMNS.category]: current.L || '',
+        [STATEMENT_COLUMNS.externalId]: ''
+      });
+    }
+    current = {};
+  };
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('!')) {
+      flush();
+      const header = line.toLowerCase();
+      // Category, class and account lists are not transactions
+      if (header.startsWith('!type:')) {
+        inTransactionSection = !/^!type:(cat|class|memorized|invst)/.test(header);
+      } else if (header.startsWith('!account')) {
+        inTransactionSection = false;
+      }
+      continue;
+    }
+
+    if (line === '^') {
+      flush();
+      continue;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+    // Split lines (S/E/$) are kept on the parent; first value wins otherwise
+    if (!['S', 'E', '$'].includes(code) && current[code] === undefined) {
+      current[code] = value;
+    }
+  }
+  flush();
+
+  return rows.filter((row) => row[STATEMENT_COLUMNS.date] || row[STATEMENT_COLUMNS.amount]);
+};
+
+module.exports = {
+  STATEMENT_COLUMNS,
+  isOfx,
+  isQif,
+  parseOfx,
+  parseQif
+};
@@ -0,0 +1,152 @@
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { STATEMENT_COLUMNS, isOfx, isQif, parseOfx, parseQif } = require('./statementParsers');
+
+const STATEMENT_FORMATS = ['csv', 'ofx', 'qif', 'xlsx'];
+
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+const detectStatementFormat = (file) => {
+  const extension = path.extname(file?.originalname || '').toLowerCase();
+  if (extension === '.ofx' || extension === '.qfx') return 'ofx';
+  if (extension === '.qif') return 'qif';
+  if (extension === '.xlsx') return 'xlsx';
+  if (extension === '.xls') return 'xls';
+
+  if (file.buffer.slice(0, 4).equals(ZIP_MAGIC)) return 'xlsx';
+  const head = file.buffer.slice(0, 1024).toString();
+  if (isOfx(head)) return 'ofx';
+  if (isQif(head)) return 'qif';
+  return 'csv';
+};
+
+const readCsvRows = (buffer) => new Promise((resolve, reject) => {
+  const rows = [];
+  let headers = [];
+  Readable.from(buffer.toString())
+    .pipe(csv())
+    .on('headers', (parsedHeaders) => {
+      headers = parsedHeaders;
+    })
+    .on('data', (data) => rows.push(data))
+    .on('end', () => resolve({ headers, rows }))
+    .on('error', reject);
+});
+
+// Converts an ExcelJS cell value to what a CSV cell would hold. Real dates and
+// numbers are kept as-is so the row mapper doesn't re-parse formatted text.
+const toPlainCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value === 'number') return value;
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+    if (value.result !== undefined) return toPlainCellValue(value.result);
+    if (value.text !== undefined) return toPlainCellValue(value.text);
+    if (value.error) return '';
+  }
+  return String(value).trim();
+};
+
+const pickWorksheet = (workbook, sheet) => {
+  if (sheet === undefined || sheet === null || sheet === '') {
+    return workbook.worksheets[0];
+  }
+  const byName = workbook.worksheets.find((worksheet) => worksheet.name === String(sheet));
+  if (byName) return byName;
+  const index = Number(sheet);
+  return Number.isInteger(index) && index >= 1 ? workbook.worksheets[index - 1] : undefined;
+};
+
+// Reads one worksheet of an .xlsx workbook. `sheet` is a sheet name or a
+// 1-based index; `headerRowOffset` skips title/summary rows above the header.
+const readXlsxRows = async (buffer, { sheet, headerRowOffset } = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (loadError) {
+    return { error: 'Could not read Excel workbook' };
+  }
+
+  const sheets = workbook.worksheets.map((worksheet) => worksheet.name);
+  const worksheet = pickWorksheet(workbook, sheet);
+  if (!worksheet) {
+    return { error: `Sheet "${sheet}" not found`, sheets };
+  }
+
+  const offset = Math.max(0, Math.trunc(Number(headerRowOffset) || 0));
+  const headerRowNumber = offset + 1;
+  const headers = [];
+  const seenHeaders = new Map();
+  worksheet.getRow(headerRowNumber).eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+    let header = String(toPlainCellValue(cell.value) || '').trim() || `Column ${columnNumber}`;
+    const seen = seenHeaders.get(header) || 0;
+    seenHeaders.set(header, seen + 1);
+    if (seen > 0) header = `${header}_${seen + 1}`;
+    headers[columnNumber - 1] = header;
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber <= headerRowNumber) return;
+    const data = {};
+    let hasValue = false;
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const value = toPlainCellValue(row.getCell(index + 1).value);
+      if (value !== '') hasValue = true;
+      data[header] = value;
+    });
+    if (hasValue) rows.push(data);
+  });
+
+  return { headers: headers.filter(Boolean), rows, sheets, sheet: worksheet.name };
+};
+
+// Built-in column mapping for formats whose layout is fixed by the spec.
+// QIF dates carry no order information, so `dateFormat` may override the
+// US month-first default.
+const buildStatementMapping = (format, { dateFormat } = {}) => ({
+  ...STATEMENT_COLUMNS,
+  amountMode: 'signed',
+  dateFormat: format === 'qif' ? (dateFormat || 'MM/DD/YYYY') : 'YYYY-MM-DD'
+});
+
+// Reads an uploaded statement into plain row objects.
+// Returns { format, headers, rows, mapping } where mapping is null for CSV and
+// Excel (the caller supplies one) and the built-in mapping for OFX/QFX and
+// QIF, or { error } when the upload cannot be read as requested.
+const readStatement = async (file, options = {}) => {
+  const format = detectStatementFormat(file);
+
+  if (format === 'xls') {
+    return { error: 'Legacy .xls workbooks are not supported; save the file as .xlsx or CSV' };
+  }
+
+  if (format === 'xlsx') {
+    const workbook = await readXlsxRows(file.buffer, options);
+    if (workbook.error) return workbook;
+    return { format, ...workbook, mapping: null };
+  }
+
+  if (format === 'csv') {
+    const { headers, rows } = await readCsvRows(file.buffer);
+    return { format, headers, rows, mapping: null };
+  }
+
+  const text = file.buffer.toString();
+  const rows = format === 'ofx' ? parseOfx(text) : parseQif(text);
+  return {
+    format,
+    headers: Object.values(STATEMENT_COLUMNS),
+    rows,
+    mapping: buildStatementMapping(format, options)
+  };
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  detectStatementFormat,
+  readStatement
+};
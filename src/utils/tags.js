@@ -0,0 +1,76 @@
+// Tags are stored on transactions by name. The Tag collection gives each name
+// a color and lets it be renamed or deleted everywhere at once; names used on
+// a transaction before they were created are registered with a default color.
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_TRANSACTION = 20;
+const TAG_COLORS = ['#2563eb', '#16a34a', '#dc2626', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#4b5563'];
+
+// Separators accepted in an imported tag column: "trip, goa" or "trip|goa"
+const TAG_COLUMN_SEPARATOR = /[,;|]/;
+
+const normalizeTagName = (value) => String(value ?? '').trim().replace(/\s+/g, ' ');
+
+// Trimmed, de-duplicated tag names from an array or a single value
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+  return Array.from(new Set((Array.isArray(tags) ? tags : [tags]).map(normalizeTagName).filter(Boolean)));
+};
+
+const validateTags = (tags) => {
+  if (tags.length > MAX_TAGS_PER_TRANSACTION) {
+    return `A transaction can have at most ${MAX_TAGS_PER_TRANSACTION} tags`;
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return `Tags can be at most ${MAX_TAG_LENGTH} characters`;
+  }
+  return null;
+};
+
+const parseTagColumn = (value) => normalizeTags(String(value ?? '').split(TAG_COLUMN_SEPARATOR));
+
+const isValidTagColor = (color) => /^#[0-9a-f]{6}$/i.test(String(color || ''));
+
+// The same name always gets the same palette color
+const defaultTagColor = (name) => {
+  let hash = 0;
+  for (const char of normalizeTagName(name).toLowerCase()) {
+    hash = ((hash * 31) + char.charCodeAt(0)) >>> 0;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+};
+
+// `tags` with `from` renamed to `to`, keeping each name once
+const renameInTags = (tags, from, to) => normalizeTags((tags || []).map((tag) => (tag === from ? to : tag)));
+
+// Creates Tag entries for names the user has not created yet. Like the audit
+// trail, this never fails the write that used the tags.
+const registerTags = async (tagModel, userId, names) => {
+  const tags = normalizeTags(names).filter((tag) => tag.length <= MAX_TAG_LENGTH);
+  if (!tagModel || tags.length === 0) return;
+  try {
+    await tagModel.bulkWrite(tags.map((name) => ({
+      updateOne: {
+        filter: { userId, name },
+        update: { $setOnInsert: { color: defaultTagColor(name) } },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    // Another request registered the same name first
+    if (error.code !== 11000) console.error('Failed to register tags:', error.message);
+  }
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_TRANSACTION,
+  TAG_COLORS,
+  normalizeTagName,
+  normalizeTags,
+  validateTags,
+  parseTagColumn,
+  isValidTagColor,
+  defaultTagColor,
+  renameInTags,
+  registerTags
+};
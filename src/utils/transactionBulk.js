@@ -0,0 +1,107 @@
+// Bulk edits over a selection of transactions. Every selected row is checked
+// before anything is written, so an operation either applies to the whole
+// selection or to none of it.
+const { getTransactionCategories } = require('./transactionSplits');
+const { getReconciliationLockError, isWithinLockedPeriod } = require('./reconciliation');
+const { normalizeTags, validateTags } = require('./tags');
+
+const BULK_ACTIONS = ['set-category', 'add-tags', 'remove-tags', 'delete', 'restore', 'change-type'];
+const MAX_BULK_TRANSACTIONS = 5000;
+
+// Returns { operation } or { error } for the request's operation payload
+const normalizeBulkOperation = (input) => {
+  const action = input?.action;
+  if (!BULK_ACTIONS.includes(action)) {
+    return { error: `operation.action must be one of ${BULK_ACTIONS.join(', ')}` };
+  }
+  switch (action) {
+    case 'set-category': {
+      const category = String(input.category || '').trim();
+      if (!category) return { error: 'operation.category is required' };
+      return { operation: { action, category } };
+    }
+    case 'add-tags':
+    case 'remove-tags': {
+      const tags = normalizeTags(input.tags);
+      if (tags.length === 0) return { error: 'operation.tags must list at least one tag' };
+      const tagError = validateTags(tags);
+      if (tagError) return { error: tagError };
+      return { operation: { action, tags } };
+    }
+    case 'change-type':
+      if (!['income', 'expense'].includes(input.type)) {
+        return { error: 'operation.type must be income or expense' };
+      }
+      return { operation: { action, type: input.type } };
+    default:
+      return { operation: { action } };
+  }
+};
+
+// Why `operation` cannot be applied to `transaction`, or null. `accounts` maps
+// account id -> account for the reconciliation lock.
+const getBulkConflict = (transaction, operation, accounts) => {
+  const account = transaction.accountId ? accounts.get(String(transaction.accountId)) : null;
+  const locked = transaction.clearedStatus === 'reconciled' || isWithinLockedPeriod(account, transaction.date);
+  switch (operation.action) {
+    case 'set-category':
+      if (transaction.type === 'transfer') return 'Transfers keep the transfer category';
+      if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+        return 'Split transactions are categorized per line';
+      }
+      return null;
+    case 'change-type':
+      if (transaction.type === 'transfer') return 'Use /api/transfers to unlink a transfer';
+      return getReconciliationLockError(transaction, { type: operation.type }, accounts);
+    case 'restore':
+      if (transaction.accountId && !account) return 'Its account no longer exists';
+      return locked ? 'Transaction is in a reconciled period' : null;
+    case 'delete':
+      return locked ? 'Transaction is in a reconciled period' : null;
+    default:
+      return null;
+  }
+};
+
+const buildBulkUpdate = (operation) => {
+  switch (operation.action) {
+    case 'set-category':
+      return { $set: { category: operation.category } };
+    case 'add-tags':
+      return { $addToSet: { tags: { $each: operation.tags } } };
+    case 'remove-tags':
+      return { $pull: { tags: { $in: operation.tags } } };
+    case 'delete':
+      return { $set: { isDeleted: true, deletedAt: new Date() } };
+    case 'restore':
+      return { $set: { isDeleted: false }, $unset: { deletedAt: 1 } };
+    case 'change-type':
+      return { $set: { type: operation.type } };
+    default:
+      return null;
+  }
+};
+
+// Budget categories whose spent amount can change, before and after the edit.
+// Tags do not affect budgets.
+const getBulkBudgetCategories = (transactions, operation) => {
+  if (['add-tags', 'remove-tags'].includes(operation.action)) return [];
+  const categories = new Set();
+  transactions.forEach((transaction) => {
+    const wasExpense = transaction.type === 'expense';
+    const isExpense = operation.action === 'change-type' ? operation.type === 'expense' : wasExpense;
+    if (!wasExpense && !isExpense) return;
+    getTransactionCategories(transaction).forEach((category) => categories.add(category));
+    if (operation.action === 'set-category') categories.add(operation.category);
+  });
+  return Array.from(categories);
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_TRANSACTIONS,
+  normalizeBulkOperation,
+  getBulkConflict,
+  buildBulkUpdate,
+  getBulkBudgetCategories
+};
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+// Fields the transaction list can be sorted by; _id breaks ties
+const TRANSACTION_SORT_FIELDS = ['date', 'amount', 'category', 'description'];
+const SEARCH_MODES = ['contains', 'text'];
+// Query params that narrow the selection; tagMatch and searchMode only modify them
+const TRANSACTION_FILTER_KEYS = ['type', 'category', 'tags', 'minAmount', 'maxAmount', 'startDate', 'endDate', 'accountId', 'search'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Repeated query params (`?category=A&category=B`) arrive as arrays; a single
+// one as a string. `splitCommas` also accepts `?type=income,expense`.
+const toList = (value, { splitCommas = false } = {}) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return Array.from(new Set(values
+    .flatMap((item) => (splitCommas ? String(item).split(',') : [String(item)]))
+    .map((item) => item.trim())
+    .filter(Boolean)));
+};
+
+const toAmount = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : NaN;
+};
+
+// Builds the Mongo filter for the GET /api/transactions query params:
+//  - type (one or more, comma separated), category (one or more, repeated)
+//  - tags (one or more, repeated; any of them, or all with tagMatch=all)
+//  - minAmount, maxAmount, startDate, endDate, accountId
+//  - search: any substring of the description, merchant or category;
+//    searchMode=text matches whole words through the text index instead
+// Also used to select rows for bulk edits and the trash, so they always agree
+// on what a filter matches. Returns { filter } or { error }.
+const buildTransactionFilter = (userId, query = {}, { deleted = false } = {}) => {
+  const { startDate, endDate, accountId } = query;
+  const filter = { isDeleted: deleted, userId };
+  const clauses = [];
+
+  const types = toList(query.type, { splitCommas: true });
+  if (types.some((type) => !TRANSACTION_TYPES.includes(type))) {
+    return { error: `type must be one of ${TRANSACTION_TYPES.join(', ')}` };
+  }
+  if (types.length === 1) filter.type = types[0];
+  if (types.length > 1) filter.type = { $in: types };
+
+  if (accountId === 'none') {
+    filter.accountId = null;
+  } else if (accountId) {
+    if (!mongoose.Types.ObjectId.isValid(accountId)) {
+      return { error: 'Invalid accountId' };
+    }
+    filter.accountId = accountId;
+  }
+
+  // Split transactions match on any of their lines
+  const categories = toList(query.category);
+  if (categories.length === 1) {
+    clauses.push({ $or: [{ category: categories[0] }, { 'splits.category': categories[0] }] });
+  } else if (categories.length > 1) {
+    clauses.push({ $or: [{ category: { $in: categories } }, { 'splits.category': { $in: categories } }] });
+  }
+
+  const tags = toList(query.tags);
+  if (tags.length > 0) {
+    filter.tags = query.tagMatch === 'all' ? { $all: tags } : { $in: tags };
+  }
+
+  const minAmount = toAmount(query.minAmount);
+  const maxAmount = toAmount(query.maxAmount);
+  if (Number.isNaN(minAmount) || Number.isNaN(maxAmount)) {
+    return { error: 'minAmount and maxAmount must be numbers' };
+  }
+  if (minAmount !== undefined && maxAmount !== undefined && minAmount > maxAmount) {
+    return { error: 'minAmount cannot be greater than maxAmount' };
+  }
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) filter.amount.$gte = minAmount;
+    if (maxAmount !== undefined) filter.amount.$lte = maxAmount;
+  }
+
+  // Add date range filtering
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) {
+      filter.date.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      filter.date.$lte = new Date(endDate);
+    }
+  }
+
+  const searchMode = query.searchMode || 'contains';
+  if (!SEARCH_MODES.includes(searchMode)) {
+    return { error: `searchMode must be one of ${SEARCH_MODES.join(', ')}` };
+  }
+  const search = typeof query.search === 'string' ? query.search.trim() : '';
+  if (search) {
+    if (searchMode === 'text') {
+      filter.$text = { $search: search };
+    } else {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      clauses.push({ $or: [{ description: pattern }, { merchant: pattern }, { category: pattern }] });
+    }
+  }
+
+  if (clauses.length > 0) filter.$and = clauses;
+  return { filter };
+};
+
+// Whether `query` narrows the selection at all. Callers that write to every
+// matched row use it to refuse a filter that would select everything.
+const hasTransactionFilter = (query) => {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) return false;
+  return TRANSACTION_FILTER_KEYS.some((key) => {
+    const value = query[key];
+    if (Array.isArray(value)) return value.some((item) => String(item).trim() !== '');
+    return value !== undefined && value !== null && String(value).trim() !== '';
+  });
+};
+
+const encodeCursor = (transaction, { sortField, order }) => Buffer.from(JSON.stringify({
+  s: sortField,
+  o: order,
+  v: transaction[sortField] instanceof Date ? transaction[sortField].toISOString() : transaction[sortField],
+  id: String(transaction._id)
+})).toString('base64url');
+
+// The last row of the previous page, or an error when the cursor is not one
+// this sort produced
+const decodeCursor = (cursor, { sortField, order }) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid cursor' };
+  }
+  if (!parsed || parsed.s !== sortField || parsed.o !== order || !mongoose.Types.ObjectId.isValid(parsed.id)) {
+    return { error: 'Invalid cursor for this sort' };
+  }
+  let value = parsed.v;
+  if (sortField === 'date') value = new Date(value);
+  if ((sortField === 'date' && Number.isNaN(value.getTime())) || (sortField === 'amount' && !Number.isFinite(value))) {
+    return { error: 'Invalid cursor' };
+  }
+  return { after: { value, id: new mongoose.Types.ObjectId(parsed.id) } };
+};
+
+// Parses sort, order, limit and paging. Pages are numbered (`page`, with a
+// total count) unless the caller opts into keyset pagination with `cursor` or
+// `paginate=cursor`. Returns
+// { options: { sortField, order, limit, paginate, page, after } } or { error }.
+const parseTransactionListOptions = (query = {}) => {
+  const sortField = query.sort || 'date';
+  if (!TRANSACTION_SORT_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of ${TRANSACTION_SORT_FIELDS.join(', ')}` };
+  }
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+  const paginate = query.cursor ? 'cursor' : (query.paginate || 'page');
+  if (!['page', 'cursor'].includes(paginate)) {
+    return { error: 'paginate must be page or cursor' };
+  }
+  const page = paginate === 'page' ? Math.max(1, parseInt(query.page, 10) || 1) : null;
+  const options = { sortField, order, limit, paginate, page, after: null };
+  if (query.cursor) {
+    const decoded = decodeCursor(query.cursor, options);
+    if (decoded.error) return { error: decoded.error };
+    options.after = decoded.after;
+  }
+  return { options };
+};
+
+const buildTransactionSort = ({ sortField, order }) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return { [sortField]: direction, _id: direction };
+};
+
+// Adds "comes after the cursor row" to `filter`
+const applyKeyset = (filter, { sortField, order, after }) => {
+  if (!after) return filter;
+  const op = order === 'asc' ? '$gt' : '$lt';
+  const keyset = {
+    $or: [
+      { [sortField]: { [op]: after.value } },
+      { [sortField]: after.value, _id: { [op]: after.id } }
+    ]
+  };
+  return { ...filter, $and: [...(filter.$and || []), keyset] };
+};
+
+module.exports = {
+  TRANSACTION_SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  escapeRegex,
+  buildTransactionFilter,
+  hasTransactionFilter,
+  parseTransactionListOptions,
+  buildTransactionSort,
+  applyKeyset,
+  encodeCursor
+};
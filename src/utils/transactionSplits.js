@@ -0,0 +1,89 @@
+// Split transactions: one transaction whose amount is divided across several
+// categories. Anything that reports spend per category should count the split
+// lines instead of the parent category.
+
+const MAX_SPLIT_LINES = 50;
+// Amounts are in currency units; anything under half a cent is rounding noise
+const SPLIT_TOLERANCE = 0.005;
+
+const normalizeSplits = (splits) => {
+  if (!Array.isArray(splits)) return [];
+  return splits.map((line) => ({
+    amount: Number(line?.amount),
+    category: String(line?.category || '').trim(),
+    note: String(line?.note || '').trim() || undefined
+  }));
+};
+
+// Returns an error message, or null when the lines are valid for the amount.
+// An empty list means "not split".
+const validateSplits = (splits, amount) => {
+  if (!Array.isArray(splits) || splits.length === 0) return null;
+  if (splits.length < 2) return 'A split transaction needs at least two lines';
+  if (splits.length > MAX_SPLIT_LINES) return `A transaction can have at most ${MAX_SPLIT_LINES} split lines`;
+
+  for (let index = 0; index < splits.length; index++) {
+    const line = splits[index];
+    if (!Number.isFinite(line.amount) || line.amount <= 0) {
+      return `Split line ${index + 1} needs a positive amount`;
+    }
+    if (!line.category) {
+      return `Split line ${index + 1} needs a category`;
+    }
+  }
+
+  const total = splits.reduce((sum, line) => sum + line.amount, 0);
+  if (Math.abs(total - Number(amount)) > SPLIT_TOLERANCE) {
+    return `Split lines add up to ${total.toFixed(2)} but the transaction amount is ${Number(amount).toFixed(2)}`;
+  }
+  return null;
+};
+
+// The parent category of a split transaction is shown in lists; default it to
+// the line carrying most of the amount.
+const getPrimarySplitCategory = (splits) => splits.reduce(
+  (largest, line) => (line.amount > largest.amount ? line : largest)
+).category;
+
+// Category/amount pairs a transaction contributes to spend reports
+const getCategoryAllocations = (transaction) => {
+  if (Array.isArray(transaction.splits) && transaction.splits.length > 0) {
+    return transaction.splits.map((line) => ({ category: line.category, amount: Number(line.amount) || 0 }));
+  }
+  return [{ category: transaction.category, amount: Number(transaction.amount) || 0 }];
+};
+
+// Every category a transaction touches, for budget recalculation
+const getTransactionCategories = (transaction) => Array.from(new Set(
+  getCategoryAllocations(transaction).map((line) => line.category).filter(Boolean)
+));
+
+// Aggregation stages that turn each transaction into one document per split
+// line (or one for an unsplit transaction) with `category` and `amount`
+// replaced by the line's values.
+const SPLIT_LINE_STAGES = [
+  {
+    $addFields: {
+      splitLine: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          '$splits',
+          [{ category: '$category', amount: '$amount' }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$splitLine' },
+  { $addFields: { category: '$splitLine.category', amount: '$splitLine.amount' } },
+  { $unset: 'splitLine' }
+];
+
+module.exports = {
+  MAX_SPLIT_LINES,
+  normalizeSplits,
+  validateSplits,
+  getPrimarySplitCategory,
+  getCategoryAllocations,
+  getTransactionCategories,
+  SPLIT_LINE_STAGES
+};
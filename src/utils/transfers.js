@@ -0,0 +1,96 @@
+// Transfers move money between the user's own accounts. Each side is stored
+// as a transaction of type 'transfer' (one 'out' leg, one 'in' leg) sharing a
+// transferGroupId, so neither side counts as income, expense or budget spend.
+
+const TRANSFER_CATEGORY = 'Transfer';
+const DEFAULT_TRANSFER_WINDOW_DAYS = 3;
+const AMOUNT_TOLERANCE = 0.005;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Legs remember which side they were on so unlinking can restore the type
+const directionForType = (type) => (type === 'expense' ? 'out' : 'in');
+const typeForDirection = (direction) => (direction === 'out' ? 'expense' : 'income');
+
+const dayGap = (a, b) => Math.abs(new Date(a).getTime() - new Date(b).getTime()) / DAY_MS;
+
+// Pairs each row with an opposite-type counterpart of the same amount dated
+// within `windowDays`. Items are { id, type, amount, date, source, accountId };
+// rows and counterparts from the same source (e.g. the same import) or the
+// same account never pair up.
+// Each item is used at most once, closest dates first.
+const findTransferPairs = (rows, counterparts, { windowDays = DEFAULT_TRANSFER_WINDOW_DAYS } = {}) => {
+  const options = [];
+  rows.forEach((row, rowIndex) => {
+    counterparts.forEach((counterpart, counterpartIndex) => {
+      if (row.id !== undefined && String(row.id) === String(counterpart.id)) return;
+      if (!['income', 'expense'].includes(row.type) || !['income', 'expense'].includes(counterpart.type)) return;
+      if (row.type === counterpart.type) return;
+      if (row.source && counterpart.source && row.source === counterpart.source) return;
+      if (row.accountId && counterpart.accountId && String(row.accountId) === String(counterpart.accountId)) return;
+      if (Math.abs(Number(row.amount) - Number(counterpart.amount)) > AMOUNT_TOLERANCE) return;
+      const gap = dayGap(row.date, counterpart.date);
+      if (gap > windowDays) return;
+      options.push({ rowIndex, counterpartIndex, gap });
+    });
+  });
+
+  options.sort((a, b) => a.gap - b.gap || a.rowIndex - b.rowIndex);
+  // Keyed by id where there is one, so a transaction that appears on both
+  // sides (pairing a list with itself) is only used once
+  const used = new Set();
+  const keyOf = (item, fallback) => (item.id !== undefined ? `id:${item.id}` : fallback);
+  const pairs = [];
+  for (const option of options) {
+    const row = rows[option.rowIndex];
+    const counterpart = counterparts[option.counterpartIndex];
+    const rowKey = keyOf(row, `row:${option.rowIndex}`);
+    const counterpartKey = keyOf(counterpart, `counterpart:${option.counterpartIndex}`);
+    if (used.has(rowKey) || used.has(counterpartKey)) continue;
+    used.add(rowKey);
+    used.add(counterpartKey);
+    pairs.push({ row, counterpart, dayGap: Math.round(option.gap * 10) / 10 });
+  }
+  return pairs;
+};
+
+// Fetches the user's untransferred income/expense transactions that could be
+// the other side of any of the given rows.
+const loadTransferCounterparts = async (Transaction, userId, rows, { windowDays = DEFAULT_TRANSFER_WINDOW_DAYS, exclude = {} } = {}) => {
+  if (rows.length === 0) return [];
+  const times = rows.map((row) => new Date(row.date).getTime()).filter(Number.isFinite);
+  if (times.length === 0) return [];
+  const amounts = Array.from(new Set(rows.map((row) => Number(row.amount)).filter(Number.isFinite)));
+
+  const transactions = await Transaction.find({
+    userId,
+    isDeleted: false,
+    type: { $in: ['income', 'expense'] },
+    amount: { $in: amounts },
+    date: {
+      $gte: new Date(Math.min(...times) - windowDays * DAY_MS),
+      $lte: new Date(Math.max(...times) + windowDays * DAY_MS)
+    },
+    ...exclude
+  })
+    .select('date amount type description category importSessionId accountId')
+    .lean();
+
+  return transactions.map((transaction) => ({
+    id: transaction._id,
+    type: transaction.type,
+    amount: transaction.amount,
+    date: transaction.date,
+    source: transaction.importSessionId || null,
+    accountId: transaction.accountId || null,
+    transaction
+  }));
+};
+
+module.exports = {
+  TRANSFER_CATEGORY,
+  DEFAULT_TRANSFER_WINDOW_DAYS,
+  directionForType,
+  typeForDirection,
+  findTransferPairs,
+  loadTransferCounterparts
+};
@@ -0,0 +1,105 @@
+// Soft-deleted transactions stay in the trash until they are restored, purged
+// by hand, or expire after the retention period.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_BATCH_SIZE = 500;
+
+// When a row went to the trash
+const getTrashedAt = (transaction) => transaction.deletedAt || null;
+
+// Trash rows that are due for purging at `cutoff`. Rows without a deletedAt
+// are never due; backfillDeletedAt gives them one first.
+const buildExpiredTrashFilter = (cutoff) => ({
+  isDeleted: true,
+  deletedAt: { $lte: cutoff }
+});
+
+// Rows soft-deleted before deletedAt was recorded start their retention
+// period now, so nobody loses trash they have not had a chance to see
+const backfillDeletedAt = async (transactionModel, now = new Date()) => {
+  const { modifiedCount = 0 } = await transactionModel.updateMany(
+    { isDeleted: true, deletedAt: null },
+    { $set: { deletedAt: now } }
+  );
+  return modifiedCount;
+};
+
+// Hard-deletes trashed rows matching `filter` in batches. Only rows that are
+// still in the trash are removed; onPurged(rows) sees each removed batch.
+const purgeTrashed = async ({ transactionModel, filter, onPurged, batchSize = PURGE_BATCH_SIZE }) => {
+  let purged = 0;
+  for (;;) {
+    const rows = await transactionModel.find({ ...filter, isDeleted: true }).limit(batchSize).lean();
+    if (rows.length === 0) break;
+    const { deletedCount = 0 } = await transactionModel.deleteMany({
+      _id: { $in: rows.map((row) => row._id) },
+      isDeleted: true
+    });
+    purged += deletedCount;
+    if (onPurged) await onPurged(rows);
+    // A short batch is the last one; an empty delete means someone else got there
+    if (rows.length < batchSize || deletedCount === 0) break;
+  }
+  return purged;
+};
+
+// Purges trash older than `retentionDays` every `intervalMs`. A retention of 0
+// keeps the trash forever.
+const createTrashPurger = ({
+  transactionModel,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  intervalMs = DAY_MS,
+  onPurged,
+  now = () => new Date()
+}) => {
+  let timer = null;
+  let running = false;
+
+  // The date a row trashed at `trashedAt` will be purged, or null
+  const getPurgeAt = (trashedAt) => (
+    retentionDays > 0 && trashedAt ? new Date(new Date(trashedAt).getTime() + retentionDays * DAY_MS) : null
+  );
+
+  const purgeExpired = async () => {
+    if (retentionDays <= 0) return { purged: 0, cutoff: null };
+    const cutoff = new Date(now().getTime() - retentionDays * DAY_MS);
+    const purged = await purgeTrashed({ transactionModel, filter: buildExpiredTrashFilter(cutoff), onPurged });
+    return { purged, cutoff };
+  };
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { purged } = await purgeExpired();
+      if (purged > 0) console.log(`Trash retention purged ${purged} transactions`);
+    } catch (error) {
+      console.error('Trash retention run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer || intervalMs <= 0 || retentionDays <= 0) return;
+    timer = setInterval(tick, intervalMs);
+    if (timer.unref) timer.unref();
+    tick();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return { retentionDays, getPurgeAt, purgeExpired, start, stop };
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  getTrashedAt,
+  buildExpiredTrashFilter,
+  backfillDeletedAt,
+  purgeTrashed,
+  createTrashPurger
+};
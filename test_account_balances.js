@@ -0,0 +1,60 @@
+const assert = require('assert');
+const {
+  signedAmount,
+  buildRunningBalance,
+  validateAccountFields,
+  resolveAccountId
+} = require('./src/utils/accountBalances');
+
+// Minimal stand-in for Account.findOne(...).select(...).lean()
+const fakeAccountModel = (accounts) => ({
+  findOne: (filter) => ({
+    select: () => ({
+      lean: async () => accounts.find((account) => (
+        String(account._id) === String(filter._id) && account.userId === filter.userId
+      )) || null
+    })
+  })
+});
+
+async function run() {
+  assert.strictEqual(signedAmount({ type: 'income', amount: 100 }), 100);
+  assert.strictEqual(signedAmount({ type: 'expense', amount: 40 }), -40);
+  assert.strictEqual(signedAmount({ type: 'transfer', transferDirection: 'in', amount: 25 }), 25);
+  assert.strictEqual(signedAmount({ type: 'transfer', transferDirection: 'out', amount: 25 }), -25);
+
+  const series = buildRunningBalance(1000, [
+    { period: '2024-02', inflow: 0, outflow: 300.1 },
+    { period: '2024-01', inflow: 500, outflow: 200 }
+  ]);
+  assert.deepStrictEqual(series.map((entry) => entry.period), ['2024-01', '2024-02'], 'periods should be in order');
+  assert.deepStrictEqual(series.map((entry) => entry.balance), [1300, 999.9]);
+  assert.strictEqual(series[1].net, -300.1);
+  assert.deepStrictEqual(buildRunningBalance(50, []), []);
+
+  // A card starts at zero and goes negative as it is spent on
+  assert.strictEqual(buildRunningBalance(0, [{ period: '2024-03', inflow: 0, outflow: 120 }])[0].balance, -120);
+
+  assert.strictEqual(validateAccountFields({ name: 'HDFC Savings', type: 'bank', currency: 'INR', openingBalance: 0 }), null);
+  assert.strictEqual(validateAccountFields({ name: '' }), 'Account name is required');
+  assert.ok(/type must be one of/.test(validateAccountFields({ type: 'brokerage' })));
+  assert.ok(/currency/.test(validateAccountFields({ currency: 'RUPEES' })));
+  assert.ok(/openingBalance/.test(validateAccountFields({ openingBalance: NaN })));
+
+  const Account = fakeAccountModel([
+    { _id: 'aaaaaaaaaaaaaaaaaaaaaaaa', userId: 'u1', isArchived: false },
+    { _id: 'bbbbbbbbbbbbbbbbbbbbbbbb', userId: 'u1', isArchived: true }
+  ]);
+  assert.deepStrictEqual(await resolveAccountId(Account, 'u1', ''), { accountId: undefined }, 'blank means no account');
+  assert.strictEqual((await resolveAccountId(Account, 'u1', 'aaaaaaaaaaaaaaaaaaaaaaaa')).accountId, 'aaaaaaaaaaaaaaaaaaaaaaaa');
+  assert.strictEqual((await resolveAccountId(Account, 'u2', 'aaaaaaaaaaaaaaaaaaaaaaaa')).error, 'Account not found', 'other users\' accounts are not visible');
+  assert.strictEqual((await resolveAccountId(Account, 'u1', 'bbbbbbbbbbbbbbbbbbbbbbbb')).error, 'Account is archived');
+  assert.strictEqual((await resolveAccountId(Account, 'u1', 'not-an-id')).error, 'Invalid accountId');
+
+  console.log('PASS: account balances run from the opening balance and account ids are checked per user.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
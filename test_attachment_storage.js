@@ -0,0 +1,95 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  detectAttachmentType,
+  validateAttachmentFile,
+  sanitizeFileName,
+  buildAttachmentKey,
+  createAttachmentStorage,
+  createMemoryStorage,
+  deleteAttachments
+} = require('./src/utils/attachmentStorage');
+
+const readAll = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+const pad = (bytes) => Buffer.concat([Buffer.from(bytes), Buffer.alloc(16)]);
+const PNG = pad([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG = pad([0xff, 0xd8, 0xff, 0xe0]);
+const PDF = pad(Buffer.from('%PDF-1.7\n'));
+
+async function run() {
+  // Types come from the content, not the declared MIME type
+  assert.strictEqual(detectAttachmentType(PNG), 'image/png');
+  assert.strictEqual(detectAttachmentType(JPEG), 'image/jpeg');
+  assert.strictEqual(detectAttachmentType(PDF), 'application/pdf');
+  assert.strictEqual(detectAttachmentType(pad(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))), 'image/webp');
+  assert.strictEqual(detectAttachmentType(pad(Buffer.from('\0\0\0\x18ftypheic'))), 'image/heic');
+  assert.strictEqual(detectAttachmentType(pad(Buffer.from('<html><script>'))), null);
+
+  const maxBytes = 1024;
+  assert.deepStrictEqual(validateAttachmentFile({ buffer: PDF, size: PDF.length, mimetype: 'application/pdf' }, { maxBytes }), { contentType: 'application/pdf' });
+  assert.ok(validateAttachmentFile(undefined, { maxBytes }).error);
+  assert.ok(validateAttachmentFile({ buffer: PDF, size: 2048 }, { maxBytes }).error);
+  assert.ok(validateAttachmentFile({ buffer: pad(Buffer.from('MZ executable')), size: 29, mimetype: 'image/png' }, { maxBytes }).error);
+  assert.ok(validateAttachmentFile({ buffer: PNG, size: PNG.length, mimetype: 'application/pdf' }, { maxBytes }).error,
+    'a declared type that disagrees with the content should be refused');
+  // Generic upload types are fine as long as the content is allowed
+  assert.strictEqual(validateAttachmentFile({ buffer: JPEG, size: JPEG.length, mimetype: 'application/octet-stream' }, { maxBytes }).contentType, 'image/jpeg');
+
+  assert.strictEqual(sanitizeFileName('../../etc/passwd', 'application/pdf'), 'passwd');
+  assert.strictEqual(sanitizeFileName('Uber receipt "Mar".pdf', 'application/pdf'), 'Uber receipt _Mar_.pdf');
+  assert.strictEqual(sanitizeFileName('', 'image/png'), 'attachment.png');
+
+  // Local disk keeps files under its root and refuses keys that leave it
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  try {
+    const local = createAttachmentStorage('local', { rootDir });
+    const key = buildAttachmentKey('user1', 'tx1', 'att1');
+    await local.save(key, PDF);
+    assert.ok(fs.existsSync(path.join(rootDir, 'user1', 'tx1', 'att1')));
+    assert.deepStrictEqual(await readAll(local.createReadStream(key)), PDF);
+    await local.remove(key);
+    await local.remove(key);
+    await assert.rejects(readAll(local.createReadStream(key)), { code: 'ENOENT' });
+    await assert.rejects(local.save('../outside', PDF), /Invalid attachment key/);
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  assert.throws(() => createAttachmentStorage('ftp'), /Unknown attachment storage/);
+
+  // Deleting attachments removes the files and then the records
+  const storage = createMemoryStorage();
+  await storage.save('user1/tx1/a', JPEG);
+  await storage.save('user1/tx2/b', PNG);
+  const records = [
+    { _id: 'a', transactionId: 'tx1', storageKey: 'user1/tx1/a' },
+    { _id: 'b', transactionId: 'tx2', storageKey: 'user1/tx2/b' }
+  ];
+  const attachmentModel = {
+    find: (filter) => ({
+      select: () => ({ lean: async () => records.filter((record) => filter.transactionId.$in.includes(record.transactionId)) })
+    }),
+    deleteMany: async ({ _id }) => {
+      for (let index = records.length - 1; index >= 0; index--) {
+        if (_id.$in.includes(records[index]._id)) records.splice(index, 1);
+      }
+    }
+  };
+  assert.strictEqual(await deleteAttachments({ attachmentModel, storage, filter: { transactionId: { $in: ['tx1'] } } }), 1);
+  assert.deepStrictEqual(Array.from(storage.files.keys()), ['user1/tx2/b']);
+  assert.deepStrictEqual(records.map((record) => record._id), ['b']);
+
+  console.log('PASS: attachment storage validates content types and cleans up files.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
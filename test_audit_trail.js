@@ -0,0 +1,154 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const {
+  pickSnapshot,
+  diffSnapshots,
+  buildChangeEntries,
+  buildTransactionRevertUpdate,
+  createAuditTrail
+} = require('./src/utils/auditTrail');
+
+// In-memory stand-in for the ChangeLog model
+const createFakeChangeLogModel = () => {
+  const docs = [];
+  return {
+    docs,
+    async aggregate([{ $match }]) {
+      const ids = $match.entityId.$in.map(String);
+      const latest = new Map();
+      docs.filter((doc) => doc.entityType === $match.entityType && ids.includes(String(doc.entityId)))
+        .forEach((doc) => latest.set(String(doc.entityId), Math.max(latest.get(String(doc.entityId)) || 0, doc.version)));
+      return Array.from(latest, ([id, version]) => ({ _id: id, version }));
+    },
+    async insertMany(entries) {
+      entries.forEach((entry) => {
+        if (docs.some((doc) => doc.entityType === entry.entityType && String(doc.entityId) === String(entry.entityId) && doc.version === entry.version)) {
+          throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        }
+        docs.push(entry);
+      });
+    }
+  };
+};
+
+async function run() {
+  const userId = new mongoose.Types.ObjectId();
+  const transactionId = new mongoose.Types.ObjectId();
+  const accountId = new mongoose.Types.ObjectId();
+  const original = {
+    _id: transactionId,
+    date: new Date('2024-03-05'),
+    amount: 450,
+    type: 'expense',
+    category: 'Food',
+    description: 'Dinner',
+    tags: [],
+    accountId,
+    isDeleted: false,
+    fingerprint: 'abc',
+    importSessionId: 'session-1'
+  };
+
+  // Only audited fields are kept; ids and dates become JSON values
+  const snapshot = pickSnapshot('transaction', original);
+  assert.deepStrictEqual(snapshot, {
+    date: '2024-03-05T00:00:00.000Z',
+    amount: 450,
+    type: 'expense',
+    category: 'Food',
+    description: 'Dinner',
+    accountId: String(accountId),
+    isDeleted: false
+  });
+
+  const edited = { ...original, amount: 500, category: 'Dining', tags: ['friends'] };
+  assert.deepStrictEqual(diffSnapshots(snapshot, pickSnapshot('transaction', edited)), [
+    { field: 'amount', from: 450, to: 500 },
+    { field: 'category', from: 'Food', to: 'Dining' },
+    { field: 'tags', from: null, to: ['friends'] }
+  ]);
+
+  // Actions are inferred from the before/after pair; no-op writes are dropped
+  const entries = buildChangeEntries({
+    userId,
+    entityType: 'transaction',
+    source: 'manual',
+    changes: [
+      { after: original },
+      { before: original, after: edited },
+      { before: edited, after: { ...edited, isDeleted: true } },
+      { before: { ...edited, isDeleted: true }, after: edited },
+      { before: edited, after: { ...edited, fingerprint: 'changed' } }
+    ]
+  });
+  assert.deepStrictEqual(entries.map((entry) => entry.action), ['create', 'update', 'delete', 'restore']);
+  assert.strictEqual(entries[0].changedBy, userId);
+  assert.ok(entries.every((entry) => entry.entityId === transactionId));
+  const [budgetDeleted] = buildChangeEntries({
+    userId,
+    entityType: 'budget',
+    source: 'manual',
+    changes: [{ before: { _id: 'b1', name: 'Food', amount: 5000, category: 'Food', period: 'Monthly', spent: 10 }, after: null }]
+  });
+  assert.strictEqual(budgetDeleted.action, 'delete');
+  assert.strictEqual(budgetDeleted.snapshot, null);
+
+  // Versions count up per entity, also across separate writes
+  const changeLogModel = createFakeChangeLogModel();
+  const auditTrail = createAuditTrail({ changeLogModel });
+  assert.strictEqual(await auditTrail.record({
+    userId,
+    entityType: 'transaction',
+    source: 'import',
+    changes: [{ after: original }, { before: original, after: edited }]
+  }), 2);
+  await auditTrail.record({ userId, entityType: 'transaction', source: 'bulk', changes: [{ before: edited, after: { ...edited, category: 'Travel' } }] });
+  assert.deepStrictEqual(changeLogModel.docs.map((doc) => [doc.version, doc.source]), [[1, 'import'], [2, 'import'], [3, 'bulk']]);
+
+  // A write recorded from the rows read before it; unchanged rows are skipped
+  const untouched = { ...original, _id: new mongoose.Types.ObjectId() };
+  const stored = [{ ...edited, category: 'Groceries' }, untouched];
+  const transactionModel = {
+    find: ({ _id }) => ({ lean: async () => stored.filter((row) => _id.$in.map(String).includes(String(row._id))) })
+  };
+  assert.strictEqual(await auditTrail.recordWrite({
+    userId,
+    entityType: 'transaction',
+    source: 'bulk',
+    model: transactionModel,
+    before: [{ ...edited, category: 'Travel' }, untouched]
+  }), 1);
+  assert.deepStrictEqual(changeLogModel.docs[3].changes, [{ field: 'category', from: 'Travel', to: 'Groceries' }]);
+  assert.strictEqual(changeLogModel.docs[3].version, 4);
+
+  // Recording never throws into the write it describes
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  const failing = createAuditTrail({ changeLogModel: { aggregate: async () => { throw new Error('down'); } } });
+  assert.strictEqual(await failing.record({ userId, entityType: 'transaction', source: 'manual', changes: [{ after: original }] }), 0);
+  assert.strictEqual(await failing.recordWrite({
+    userId,
+    entityType: 'transaction',
+    source: 'manual',
+    model: { find: () => ({ lean: async () => { throw new Error('down'); } }) },
+    before: [original]
+  }), 0);
+  console.error = originalConsoleError;
+
+  // Reverting restores the snapshot and clears fields it did not have
+  const revert = buildTransactionRevertUpdate({ ...snapshot, clearedStatus: 'cleared' });
+  assert.strictEqual(revert.$set.amount, 450);
+  assert.ok(revert.$set.date instanceof Date);
+  assert.deepStrictEqual(revert.$set.tags, []);
+  assert.strictEqual(revert.$set.clearedStatus, undefined);
+  assert.deepStrictEqual(revert.$unset, { deletedAt: 1, splits: 1, merchant: 1 });
+  assert.ok(buildTransactionRevertUpdate({ ...snapshot, isDeleted: true }).$set.deletedAt instanceof Date);
+  assert.strictEqual(buildTransactionRevertUpdate({ amount: 1 }).$set.isDeleted, false);
+
+  console.log('PASS: audit trail versions each change and builds reverts from snapshots.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
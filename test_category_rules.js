@@ -0,0 +1,123 @@
+const assert = require('assert');
+const {
+  findUnsafeRegex,
+  validateCategoryRule,
+  compileCategoryRules,
+  evaluateCategoryRules,
+  applyCategoryRules
+} = require('./src/utils/categoryRules');
+
+function run() {
+  assert.strictEqual(validateCategoryRule({ name: 'Empty', actions: { category: 'Food' } }), 'A rule needs at least one condition');
+  assert.strictEqual(validateCategoryRule({ name: 'No action', conditions: { type: 'expense' } }), 'A rule must set a category or add tags');
+  assert.ok(/Invalid descriptionRegex/.test(validateCategoryRule({
+    name: 'Bad regex',
+    conditions: { descriptionRegex: '([a-z' },
+    actions: { category: 'Food' }
+  })));
+  assert.strictEqual(validateCategoryRule({
+    name: 'Range',
+    conditions: { amountMin: 50, amountMax: 10 },
+    actions: { category: 'Food' }
+  }), 'amountMin cannot be greater than amountMax');
+  assert.strictEqual(validateCategoryRule({
+    name: 'Zero minimum',
+    conditions: { amountMin: 0 },
+    actions: { addTags: ['any'] }
+  }), null, 'a zero amount bound is still a condition');
+
+  // Patterns that can backtrack exponentially are refused, safe ones are not
+  ['(a+)+$', '(a|aa)*', '(?:\\w+\\s?)*$', '((ab)*c)+', '(x)\\1'].forEach((pattern) => {
+    assert.ok(findUnsafeRegex(pattern), `${pattern} should be refused`);
+  });
+  ['^uber\\s+(eats|trip)', '(a+)?', '[(+)]+', '\\(a+\\)+', 'amzn mktp\\s*\\w{2,}'].forEach((pattern) => {
+    assert.strictEqual(findUnsafeRegex(pattern), null, `${pattern} should be allowed`);
+  });
+  assert.ok(/cannot repeat a group/.test(validateCategoryRule({
+    name: 'Nested',
+    conditions: { descriptionRegex: '(a+)+b' },
+    actions: { category: 'Food' }
+  })));
+  assert.strictEqual(compileCategoryRules([
+    { name: 'Legacy', conditions: { descriptionRegex: '(a+)+b' }, actions: { category: 'Food' } }
+  ]).length, 0, 'stored rules with unsafe patterns should be skipped');
+
+  const rules = compileCategoryRules([
+    {
+      _id: 'generic',
+      name: 'Any card spend',
+      priority: 0,
+      createdAt: '2024-01-01',
+      conditions: { type: 'expense' },
+      actions: { addTags: ['card'] }
+    },
+    {
+      _id: 'food',
+      name: 'Food delivery',
+      priority: 10,
+      createdAt: '2024-01-02',
+      conditions: { descriptionRegex: '^(swiggy|zomato)\\b', type: 'expense' },
+      actions: { category: 'Food', addTags: ['delivery'] }
+    },
+    {
+      _id: 'rent',
+      name: 'Rent',
+      priority: 10,
+      createdAt: '2024-01-01',
+      conditions: { descriptionContains: 'rent', amountMin: 10000, amountMax: 50000 },
+      actions: { category: 'Housing' },
+      overrideCategory: true
+    },
+    {
+      _id: 'disabled',
+      name: 'Disabled',
+      priority: 100,
+      enabled: false,
+      conditions: { type: 'expense' },
+      actions: { category: 'Never' }
+    },
+    {
+      _id: 'tagged',
+      name: 'Reimbursable travel',
+      priority: 5,
+      conditions: { tags: ['WORK'], descriptionContains: 'uber' },
+      actions: { category: 'Travel' }
+    }
+  ]);
+
+  assert.deepStrictEqual(rules.map((compiled) => compiled.rule._id), ['rent', 'food', 'tagged', 'generic'], 'rules should run by priority, then age');
+
+  const food = { description: 'ZOMATO ORDER 1234', amount: 450, type: 'expense', category: 'Uncategorized' };
+  const foodMatch = applyCategoryRules(rules, food);
+  assert.strictEqual(foodMatch.rule._id, 'food');
+  assert.strictEqual(food.category, 'Food');
+  assert.deepStrictEqual(food.tags, ['delivery']);
+
+  const categorized = { description: 'Swiggy instamart', amount: 300, type: 'expense', category: 'Groceries', tags: ['Delivery'] };
+  const kept = evaluateCategoryRules(rules, categorized);
+  assert.strictEqual(kept.category, 'Groceries', 'rules should not replace an existing category unless they override');
+  assert.strictEqual(kept.changed, false, 'tags should be de-duplicated case-insensitively');
+
+  const rent = { description: 'Monthly RENT transfer', amount: 25000, type: 'expense', category: 'Bills' };
+  applyCategoryRules(rules, rent);
+  assert.strictEqual(rent.category, 'Housing', 'overriding rules replace the category');
+
+  const tooSmall = { description: 'rent share', amount: 500, type: 'expense', category: 'Uncategorized' };
+  assert.strictEqual(evaluateCategoryRules(rules, tooSmall).rule._id, 'generic', 'amounts outside the range should fall through to later rules');
+
+  const travel = { description: 'UBER TRIP', amount: 220, type: 'expense', category: 'Uncategorized', tags: ['work'] };
+  assert.strictEqual(evaluateCategoryRules(rules, travel).category, 'Travel', 'tag conditions should match case-insensitively');
+
+  const income = { description: 'Salary', amount: 50000, type: 'income', category: 'Uncategorized' };
+  assert.strictEqual(applyCategoryRules(rules, income), null, 'no rule should match');
+  assert.strictEqual(income.category, 'Uncategorized');
+
+  console.log('PASS: category rules match by description, amount, type and tags in priority order.');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { tokenizeDescription, trainCategoryModel, suggestCategory } = require('./src/utils/categorySuggester');
+
+function run() {
+  assert.deepStrictEqual(
+    tokenizeDescription('UPI/ZOMATO ORDER/412345678901/ref A1B2'),
+    ['zomato', 'order'],
+    'channel noise and reference numbers should be dropped'
+  );
+
+  const history = [
+    { description: 'ZOMATO ORDER 1123', category: 'Food', type: 'expense' },
+    { description: 'Swiggy order bangalore', category: 'Food', type: 'expense' },
+    { description: 'ZOMATO ONLINE', category: 'Food', type: 'expense' },
+    { description: 'UBER TRIP 8812', category: 'Transport', type: 'expense' },
+    { description: 'OLA CABS ride', category: 'Transport', type: 'expense' },
+    { description: 'Uber trip airport', category: 'Transport', type: 'expense' },
+    { description: 'ACME CORP SALARY', category: 'Salary', type: 'income' },
+    { description: 'Unknown shop', category: 'Uncategorized', type: 'expense' }
+  ];
+  const model = trainCategoryModel(history);
+  assert.strictEqual(model.totalDocs, 7, 'uncategorized history should not be learned from');
+
+  const food = suggestCategory(model, { description: 'POS ZOMATO ORDER 99812', type: 'expense' });
+  assert.strictEqual(food.category, 'Food');
+  assert.ok(food.confidence > 0.8, `expected a confident food suggestion, got ${food.confidence}`);
+
+  const ride = suggestCategory(model, { description: 'UBER *TRIP HELP.UBER.COM', type: 'expense' });
+  assert.strictEqual(ride.category, 'Transport');
+
+  const salary = suggestCategory(model, { description: 'ACME CORP SALARY MARCH', type: 'income' });
+  assert.strictEqual(salary.category, 'Salary');
+
+  const mixed = suggestCategory(model, { description: 'uber eats order', type: 'expense' });
+  assert.ok(mixed.confidence < food.confidence, 'overlapping words should lower the confidence');
+
+  assert.strictEqual(suggestCategory(model, { description: 'Totally new merchant', type: 'expense' }), null, 'unseen words should not produce a suggestion');
+  assert.strictEqual(suggestCategory(trainCategoryModel(history.slice(0, 3)), { description: 'zomato', type: 'expense' }), null, 'too little history should not produce a suggestion');
+
+  console.log('PASS: category suggestions are learned from the user\'s own categorized history.');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
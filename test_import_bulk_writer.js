@@ -0,0 +1,118 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { insertImportRecords, restoreImportRecords, toBatches } = require('./src/utils/importBulkWriter');
+
+const Transaction = mongoose.model('BulkWriterTransaction', new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  date: { type: Date, required: true },
+  amount: { type: Number, required: true },
+  type: { type: String, enum: ['income', 'expense'], required: true },
+  category: { type: String, required: true },
+  description: { type: String, required: true },
+  fingerprint: { type: String, required: true }
+}));
+
+const userId = new mongoose.Types.ObjectId();
+const makeRecord = (rowNumber, overrides = {}) => ({
+  userId,
+  rowNumber,
+  date: new Date('2024-03-01T00:00:00.000Z'),
+  amount: rowNumber * 10,
+  type: 'expense',
+  category: 'Food',
+  description: `Row ${rowNumber}`,
+  fingerprint: `fp-${rowNumber}`,
+  ...overrides
+});
+
+// Mimics an unordered write that fails some items: mongoose hands back plain
+// objects holding the driver error under `err` with the batch index.
+const writeFailure = (failures) => {
+  const error = new Error('bulk write failed');
+  error.writeErrors = failures.map(({ index, code, errmsg }) => ({ err: { index, code, errmsg }, index }));
+  return error;
+};
+
+async function run() {
+  assert.deepStrictEqual(toBatches([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+
+  const insertCalls = [];
+  Transaction.insertMany = async (docs, options) => {
+    insertCalls.push({ rows: docs.map((doc) => doc.description), options });
+    if (insertCalls.length === 1) {
+      throw writeFailure([
+        { index: 1, code: 11000, errmsg: 'E11000 duplicate key error' },
+        { index: 2, code: 121, errmsg: 'Document failed validation' }
+      ]);
+    }
+    return docs;
+  };
+
+  const records = [
+    makeRecord(1),
+    makeRecord(2),
+    makeRecord(3),
+    makeRecord(4, { description: '' }),
+    makeRecord(5),
+    makeRecord(6)
+  ];
+  const progress = [];
+  const outcome = await insertImportRecords(Transaction, records, {
+    batchSize: 3,
+    onBatch: (counts) => { progress.push(counts); }
+  });
+
+  assert.strictEqual(insertCalls.length, 2, 'valid rows should be written in batches');
+  assert.strictEqual(insertCalls[0].options.ordered, false, 'batches should be unordered');
+  assert.deepStrictEqual(insertCalls[0].rows, ['Row 1', 'Row 2', 'Row 3'], 'invalid rows should not be sent');
+  assert.deepStrictEqual(outcome.inserted.map((record) => record.rowNumber), [1, 5, 6]);
+  assert.deepStrictEqual(outcome.duplicates, [{ row: 2, reason: 'Duplicate transaction (already exists)' }]);
+  assert.deepStrictEqual(outcome.errors.map((error) => error.row), [4, 3], 'validation and write failures should keep their row numbers');
+  assert.ok(/description/.test(outcome.errors[0].error), 'validation errors should name the failing field');
+  assert.strictEqual(outcome.errors[1].error, 'Document failed validation');
+  assert.deepStrictEqual(progress[progress.length - 1], { inserted: 3, duplicates: 1, errors: 2 });
+
+  Transaction.insertMany = async () => { throw new Error('connection reset'); };
+  const failed = await insertImportRecords(Transaction, [makeRecord(7), makeRecord(8)], { batchSize: 10 });
+  assert.deepStrictEqual(failed.errors, [{ row: 7, error: 'connection reset' }, { row: 8, error: 'connection reset' }]);
+  assert.strictEqual(failed.inserted.length, 0);
+
+  let checks = 0;
+  Transaction.insertMany = async (docs) => docs;
+  const cancelled = await insertImportRecords(Transaction, [makeRecord(9), makeRecord(10), makeRecord(11)], {
+    batchSize: 1,
+    isCancelled: () => { checks += 1; return checks > 1; }
+  });
+  assert.strictEqual(cancelled.cancelled, true);
+  assert.deepStrictEqual(cancelled.inserted.map((record) => record.rowNumber), [9], 'no batch should start after cancellation');
+
+  const bulkCalls = [];
+  Transaction.bulkWrite = async (operations, options) => {
+    bulkCalls.push({ operations, options });
+    throw writeFailure([{ index: 0, code: 2, errmsg: 'update failed' }]);
+  };
+  const existingA = { _id: new mongoose.Types.ObjectId() };
+  const existingB = { _id: new mongoose.Types.ObjectId() };
+  const restoreOutcome = await restoreImportRecords(Transaction, [
+    { existing: existingA, record: makeRecord(12) },
+    { existing: existingB, record: makeRecord(13, { externalId: 'ACC:1' }) }
+  ], { importSessionId: 'import-1' });
+
+  assert.strictEqual(bulkCalls.length, 1);
+  assert.strictEqual(bulkCalls[0].options.ordered, false);
+  const restoreUpdate = bulkCalls[0].operations[1].updateOne;
+  assert.strictEqual(restoreUpdate.filter._id, existingB._id);
+  assert.strictEqual(restoreUpdate.update.$set.isDeleted, false);
+  assert.strictEqual(restoreUpdate.update.$set.externalId, 'ACC:1');
+  assert.strictEqual(restoreUpdate.update.$set.revivedByImportSessionId, 'import-1');
+  assert.deepStrictEqual(restoreUpdate.update.$unset, { deletedAt: 1, splits: 1 });
+  assert.deepStrictEqual(restoreOutcome.restored.map(({ record }) => record.rowNumber), [13]);
+  assert.deepStrictEqual(restoreOutcome.errors, [{ row: 12, error: 'update failed' }]);
+
+  console.log('PASS: bulk import writes report per-row duplicates, validation and write failures.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
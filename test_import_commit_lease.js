@@ -0,0 +1,137 @@
+const assert = require('assert');
+const { MongoImportCommitQueue } = require('./src/utils/importCommitQueue');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// In-memory stand-in for a collection with a unique userId index. Supports just
+// the filters and update operators the commit queue uses, and yields between
+// calls so two "instances" interleave like they would against a real server.
+const createFakeModel = () => {
+  const docs = new Map();
+  const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$lte !== undefined) return doc[field] <= condition.$lte;
+    return String(doc[field]) === String(condition);
+  });
+  const apply = (doc, update, inserting) => {
+    Object.assign(doc, update.$set || {});
+    if (inserting) Object.assign(doc, update.$setOnInsert || {});
+    for (const [field, amount] of Object.entries(update.$inc || {})) {
+      doc[field] = (doc[field] || 0) + amount;
+    }
+    return doc;
+  };
+  const upsert = (filter, update) => {
+    const key = String(filter.userId);
+    if (docs.has(key)) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    const doc = apply({ userId: filter.userId }, update, true);
+    docs.set(key, doc);
+    return doc;
+  };
+
+  return {
+    docs,
+    async findOneAndUpdate(filter, update, options = {}) {
+      await wait(1);
+      const doc = docs.get(String(filter.userId));
+      if (doc && matches(doc, filter)) return { ...apply(doc, update, false) };
+      return options.upsert ? { ...upsert(filter, update) } : null;
+    },
+    async updateOne(filter, update, options = {}) {
+      await wait(1);
+      const doc = docs.get(String(filter.userId));
+      if (doc && matches(doc, filter)) {
+        apply(doc, update, false);
+        return { matchedCount: 1 };
+      }
+      if (options.upsert) upsert(filter, update);
+      return { matchedCount: 0 };
+    },
+    async deleteOne(filter) {
+      await wait(1);
+      const doc = docs.get(String(filter.userId));
+      if (doc && matches(doc, filter)) docs.delete(String(filter.userId));
+    }
+  };
+};
+
+async function run() {
+  const leaseModel = createFakeModel();
+  const counterModel = createFakeModel();
+  const createInstance = (instanceId, options = {}) => new MongoImportCommitQueue({
+    leaseModel,
+    counterModel,
+    getInitialCommitOrder: async () => 41,
+    instanceId,
+    leaseMs: 200,
+    retryMs: 5,
+    ...options
+  });
+
+  // Two app instances committing for the same user never overlap.
+  const instanceA = createInstance('instance-a');
+  const instanceB = createInstance('instance-b');
+  let active = 0;
+  let maxActive = 0;
+  const executed = [];
+  const commit = (queue, id, delayMs) => queue.enqueue('user-a', async ({ commitOrder }) => {
+    active += 1;
+    maxActive = Math.max(maxActive, active);
+    await wait(delayMs);
+    executed.push({ id, commitOrder });
+    active -= 1;
+    return commitOrder;
+  });
+
+  const orders = await Promise.all([
+    commit(instanceA, 'A1', 30),
+    commit(instanceB, 'B1', 5),
+    commit(instanceA, 'A2', 1),
+    commit(instanceB, 'B2', 10)
+  ]);
+
+  assert.strictEqual(maxActive, 1, 'commits for one user must be serialized across instances');
+  assert.deepStrictEqual([...orders].sort((a, b) => a - b), [42, 43, 44, 45], 'counter should continue from the seeded commitOrder');
+  assert.deepStrictEqual(executed.map((entry) => entry.commitOrder), [42, 43, 44, 45], 'commitOrder should follow execution order');
+  const aOrders = executed.filter((entry) => entry.id.startsWith('A')).map((entry) => entry.id);
+  assert.deepStrictEqual(aOrders, ['A1', 'A2'], 'each instance keeps its own enqueue order');
+  assert.strictEqual(leaseModel.docs.size, 0, 'leases should be released after committing');
+
+  // A restarted instance keeps counting instead of starting over at 1.
+  const restarted = createInstance('instance-a-restarted', { getInitialCommitOrder: async () => 0 });
+  assert.strictEqual(await restarted.enqueue('user-a', async ({ commitOrder }) => commitOrder), 46);
+  assert.strictEqual(await restarted.enqueue('user-b', async ({ commitOrder }) => commitOrder), 1, 'counters are per user');
+
+  // A failing commit still releases its lease for the next one.
+  await assert.rejects(instanceA.enqueue('user-a', async () => { throw new Error('boom'); }), /boom/);
+  assert.strictEqual(await instanceB.enqueue('user-a', async ({ commitOrder }) => commitOrder), 48);
+
+  // A lease left behind by a crashed instance is taken over once it expires.
+  leaseModel.docs.set('user-c', { userId: 'user-c', owner: 'crashed', expiresAt: new Date(Date.now() + 80) });
+  const startedAt = Date.now();
+  await instanceB.enqueue('user-c', async () => {});
+  assert.ok(Date.now() - startedAt >= 70, 'an unexpired lease should block other instances');
+
+  // A long commit keeps its lease alive so the other instance keeps waiting.
+  let overlapped = false;
+  let longRunning = true;
+  await Promise.all([
+    instanceA.enqueue('user-d', async () => { await wait(500); longRunning = false; }),
+    wait(20).then(() => instanceB.enqueue('user-d', async () => { overlapped = longRunning; }))
+  ]);
+  assert.strictEqual(overlapped, false, 'heartbeats should extend the lease past leaseMs');
+
+  const impatient = createInstance('instance-c', { acquireTimeoutMs: 20 });
+  leaseModel.docs.set('user-e', { userId: 'user-e', owner: 'other', expiresAt: new Date(Date.now() + 60000) });
+  await assert.rejects(impatient.enqueue('user-e', async () => {}), /Timed out/);
+
+  console.log('PASS: Mongo-backed commit queue serializes users across instances and keeps commitOrder monotonic.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
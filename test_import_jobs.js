@@ -0,0 +1,157 @@
+const assert = require('assert');
+const {
+  buildInterruptedJobsFilter,
+  recoverInterruptedJobs,
+  createImportJobTracker
+} = require('./src/utils/importJobs');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// In-memory stand-in for the ImportJob model; understands the filters and
+// updates the tracker and startup recovery use
+const matches = (row, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some((option) => matches(row, option));
+  const value = row[field];
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if (condition.$in) return condition.$in.includes(value);
+    if (condition.$lt) return value != null && value < condition.$lt;
+  }
+  if (condition === null) return value == null;
+  return String(value) === String(condition);
+});
+
+const createFakeJobModel = (rows) => {
+  const writes = [];
+  const result = (value) => {
+    const query = {
+      select: () => query,
+      lean: async () => value,
+      then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return query;
+  };
+  return {
+    rows,
+    writes,
+    findOneAndUpdate(filter, { $set }) {
+      const row = rows.find((candidate) => matches(candidate, filter));
+      if (row) {
+        Object.assign(row, $set);
+        writes.push($set);
+      }
+      return result(row ? { ...row } : null);
+    },
+    async updateOne(filter, { $set }) {
+      const row = rows.find((candidate) => matches(candidate, filter));
+      if (row) {
+        Object.assign(row, $set);
+        writes.push($set);
+      }
+      return { modifiedCount: row ? 1 : 0 };
+    },
+    async updateMany(filter, { $set }) {
+      const matched = rows.filter((row) => matches(row, filter));
+      matched.forEach((row) => Object.assign(row, $set));
+      return { modifiedCount: matched.length };
+    }
+  };
+};
+
+const progress = (phase, processedRows) => ({
+  phase,
+  totalRows: 10,
+  processedRows,
+  insertedRows: processedRows,
+  duplicateRows: 0,
+  errorRows: 0
+});
+
+async function run() {
+  // Startup recovery fails this instance's jobs and stale ones, nothing else
+  const now = new Date('2024-06-01T12:00:00Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+  const jobs = [
+    { _id: 'mine', status: 'running', ownerId: 'host-a:1', heartbeatAt: minutesAgo(0) },
+    { _id: 'stale', status: 'running', ownerId: 'host-b:1', heartbeatAt: minutesAgo(10) },
+    { _id: 'legacy', status: 'queued', heartbeatAt: null, updatedAt: minutesAgo(10) },
+    { _id: 'live', status: 'running', ownerId: 'host-b:1', heartbeatAt: minutesAgo(1) },
+    { _id: 'done', status: 'completed', ownerId: 'host-a:1', heartbeatAt: minutesAgo(60) }
+  ];
+  const recovered = await recoverInterruptedJobs({
+    jobModel: createFakeJobModel(jobs),
+    instanceId: 'host-a:1',
+    staleMs: 5 * 60 * 1000,
+    now
+  });
+  assert.strictEqual(recovered, 3);
+  assert.deepStrictEqual(jobs.map((job) => job.status), ['failed', 'failed', 'failed', 'running', 'completed']);
+  assert.strictEqual(jobs[0].finishedAt, now);
+  assert.deepStrictEqual(buildInterruptedJobsFilter('host-a:1', now).$or[0], { ownerId: 'host-a:1' });
+
+  // A queued job is claimed once, by this instance
+  let clock = new Date('2024-06-01T12:00:00Z');
+  const advance = (ms) => { clock = new Date(clock.getTime() + ms); };
+  const job = { _id: 'job1', status: 'queued', importSessionId: 'session-1', cancelRequested: false };
+  const jobModel = createFakeJobModel([job]);
+  const tracker = createImportJobTracker({
+    jobModel,
+    jobId: 'job1',
+    instanceId: 'host-a:1',
+    progressIntervalMs: 1000,
+    heartbeatIntervalMs: 10,
+    now: () => clock
+  });
+  const claimed = await tracker.claim();
+  assert.strictEqual(claimed.importSessionId, 'session-1');
+  assert.deepStrictEqual([job.status, job.ownerId, job.phase], ['running', 'host-a:1', 'parsing']);
+  const second = createImportJobTracker({ jobModel, jobId: 'job1', instanceId: 'host-b:1' });
+  assert.strictEqual(await second.claim(), null, 'a running job cannot be claimed again');
+  assert.strictEqual(job.ownerId, 'host-a:1');
+
+  // The heartbeat keeps refreshing until the tracker stops
+  advance(5000);
+  await wait(30);
+  assert.strictEqual(job.heartbeatAt.getTime(), clock.getTime());
+  tracker.stop();
+  advance(5000);
+  await wait(30);
+  assert.notStrictEqual(job.heartbeatAt.getTime(), clock.getTime());
+
+  // Progress is written at most once per interval unless forced
+  await tracker.report(progress('queued-for-commit', 0), { force: true });
+  const writesAfterForce = jobModel.writes.length;
+  await tracker.report(progress('inserting', 4));
+  assert.strictEqual(jobModel.writes.length, writesAfterForce, 'progress inside the interval is buffered');
+  assert.strictEqual(job.phase, 'queued-for-commit');
+  advance(1000);
+  await tracker.report(progress('inserting', 6));
+  assert.deepStrictEqual([job.phase, job.progress.processedRows], ['inserting', 6]);
+  assert.strictEqual(job.heartbeatAt, clock);
+
+  // A cancel request is picked up on the next write
+  job.cancelRequested = true;
+  assert.strictEqual(await tracker.isCancelled(), false, 'the flag is read when progress is written');
+  advance(1000);
+  assert.strictEqual(await tracker.isCancelled(), true);
+
+  // How the job ended is recorded with the final progress
+  await tracker.complete({ cancelled: true });
+  assert.deepStrictEqual([job.status, job.phase], ['cancelled', 'rolled-back']);
+  assert.strictEqual(job.finishedAt, clock);
+
+  const failing = { _id: 'job2', status: 'running' };
+  await createImportJobTracker({ jobModel: createFakeJobModel([failing]), jobId: 'job2', instanceId: 'host-a:1' })
+    .fail(new Error('Statement could not be read'));
+  assert.deepStrictEqual([failing.status, failing.error], ['failed', 'Statement could not be read']);
+
+  const brokenModel = { updateOne: async () => { throw new Error('connection lost'); } };
+  await createImportJobTracker({ jobModel: brokenModel, jobId: 'job3', instanceId: 'host-a:1' })
+    .fail(new Error('boom'));
+
+  console.log('PASS: import jobs are claimed, kept alive, report progress, honour cancels and recover after restarts.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { scoreProfile, detectBestProfile, profileToColumnMapping } = require('./src/utils/importMappingProfiles');
+
+function run() {
+  const hdfcProfile = {
+    _id: 'hdfc',
+    name: 'HDFC Savings',
+    columns: { date: 'Date', amount: 'Amount', description: 'Narration' },
+    dateFormat: 'DD/MM/YYYY',
+    headers: ['\uFEFFDate', 'Narration', 'Chq./Ref.No.', 'Amount', 'Closing Balance']
+  };
+  const genericProfile = {
+    _id: 'generic',
+    name: 'Generic',
+    columns: { date: 'Date', amount: 'Amount' },
+    headers: ['Date', 'Amount', 'Notes']
+  };
+  const sbiProfile = {
+    _id: 'sbi',
+    name: 'SBI',
+    columns: { date: 'Txn Date', amount: 'Debit', description: 'Description' },
+    headers: ['Txn Date', 'Description', 'Debit', 'Credit']
+  };
+
+  const hdfcHeaders = ['\uFEFFDate', 'Narration', 'Chq./Ref.No.', 'Amount', ' closing balance '];
+
+  assert.strictEqual(scoreProfile(sbiProfile, hdfcHeaders), 0, 'profiles with missing columns should not match');
+  assert.ok(scoreProfile(hdfcProfile, hdfcHeaders) > scoreProfile(genericProfile, hdfcHeaders),
+    'exact header match should outscore a partial one');
+
+  const match = detectBestProfile([genericProfile, sbiProfile, hdfcProfile], hdfcHeaders);
+  assert.strictEqual(match.profile._id, 'hdfc', 'best profile should be detected from headers');
+  assert.strictEqual(match.score, 1);
+
+  assert.strictEqual(detectBestProfile([sbiProfile], ['Foo', 'Bar']), null, 'no profile should match unrelated headers');
+
+  assert.deepStrictEqual(profileToColumnMapping(hdfcProfile), {
+    date: 'Date',
+    amount: 'Amount',
+    description: 'Narration',
+    dateFormat: 'DD/MM/YYYY'
+  });
+
+  console.log('PASS: import mapping profiles are detected from uploaded headers.');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
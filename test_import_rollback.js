@@ -0,0 +1,136 @@
+const assert = require('assert');
+const { rollbackImportSession } = require('./src/utils/importRollback');
+
+// In-memory stand-in for the Transaction model; understands the filters and
+// updates a rollback uses
+const matches = (row, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some((option) => matches(row, option));
+  const value = row[field];
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if (condition.$in) return condition.$in.map(String).includes(String(value));
+    if (condition.$nin) return !condition.$nin.map(String).includes(String(value));
+    if ('$ne' in condition) return value !== condition.$ne;
+  }
+  return String(value) === String(condition);
+});
+
+const applyUpdate = (row, { $set = {}, $unset = {} }) => {
+  Object.assign(row, $set);
+  Object.keys($unset).forEach((field) => delete row[field]);
+};
+
+const createFakeTransactionModel = (rows) => ({
+  rows,
+  find: (filter) => ({ lean: async () => rows.filter((row) => matches(row, filter)).map((row) => ({ ...row })) }),
+  async updateMany(filter, update) {
+    const matched = rows.filter((row) => matches(row, filter));
+    matched.forEach((row) => applyUpdate(row, update));
+    return { modifiedCount: matched.length };
+  },
+  async bulkWrite(operations) {
+    let modifiedCount = 0;
+    operations.forEach(({ updateOne: { filter, update } }) => {
+      const row = rows.find((candidate) => matches(candidate, filter));
+      if (row) {
+        applyUpdate(row, update);
+        modifiedCount += 1;
+      }
+    });
+    return { modifiedCount };
+  }
+});
+
+async function run() {
+  const lockedAccount = { _id: 'acc-locked', reconciledThrough: new Date('2024-03-31') };
+  const rows = [
+    { _id: 'inserted', userId: 'u1', importSessionId: 's1', isDeleted: false, type: 'expense', category: 'Food', amount: 12, date: new Date('2024-04-02') },
+    { _id: 'revived', userId: 'u1', revivedByImportSessionId: 's1', isDeleted: false, type: 'expense', category: 'Travel', amount: 40, date: new Date('2024-04-03') },
+    { _id: 'reconciled', userId: 'u1', importSessionId: 's1', isDeleted: false, type: 'expense', category: 'Food', amount: 5, date: new Date('2024-04-04'), clearedStatus: 'reconciled' },
+    { _id: 'in-locked-period', userId: 'u1', importSessionId: 's1', isDeleted: false, type: 'income', category: 'Salary', amount: 900, date: new Date('2024-03-15'), accountId: 'acc-locked' },
+    { _id: 'other-session', userId: 'u1', importSessionId: 's2', isDeleted: false, type: 'expense', category: 'Food', amount: 7, date: new Date('2024-04-05') }
+  ];
+  const transactionModel = createFakeTransactionModel(rows);
+  const budgetUpdates = [];
+  const recorded = [];
+
+  const result = await rollbackImportSession({
+    transactionModel,
+    userId: 'u1',
+    importSessionId: 's1',
+    loadAccounts: async (ids) => new Map(ids.includes('acc-locked') ? [['acc-locked', lockedAccount]] : []),
+    auditTrail: { recordWrite: async (options) => recorded.push(options) },
+    updateBudgetSpentAmount: async (userId, category) => budgetUpdates.push(category)
+  });
+
+  // Inserted and revived rows go to the trash; reconciled and locked rows stay
+  const byId = new Map(rows.map((row) => [row._id, row]));
+  assert.deepStrictEqual(
+    { removedRows: result.removedRows, reDeletedRows: result.reDeletedRows, lockedRows: result.lockedRows },
+    { removedRows: 1, reDeletedRows: 1, lockedRows: 2 }
+  );
+  assert.strictEqual(byId.get('inserted').isDeleted, true);
+  assert.ok(byId.get('inserted').deletedAt instanceof Date);
+  assert.strictEqual(byId.get('revived').isDeleted, true);
+  assert.strictEqual(byId.get('revived').revivedByImportSessionId, undefined);
+  assert.strictEqual(byId.get('reconciled').isDeleted, false);
+  assert.strictEqual(byId.get('in-locked-period').isDeleted, false);
+  assert.strictEqual(byId.get('other-session').isDeleted, false);
+
+  // Only the rows that moved are recorded and recalculated
+  assert.strictEqual(recorded.length, 1);
+  assert.strictEqual(recorded[0].source, 'import');
+  assert.deepStrictEqual(recorded[0].before.map((row) => row._id), ['inserted', 'revived']);
+  assert.deepStrictEqual(result.categories, ['Food', 'Travel']);
+  assert.deepStrictEqual(budgetUpdates, ['Food', 'Travel']);
+
+  // A second rollback finds nothing left to undo
+  const again = await rollbackImportSession({
+    transactionModel,
+    userId: 'u1',
+    importSessionId: 's1',
+    loadAccounts: async () => new Map([['acc-locked', lockedAccount]])
+  });
+  assert.deepStrictEqual([again.removedRows, again.reDeletedRows, again.lockedRows], [0, 0, 2]);
+
+  // An imported leg linked as a transfer is unlinked with its counterpart, and
+  // the counterpart goes back to a plain expense
+  const transferRows = [
+    { _id: 'imported-leg', userId: 'u1', importSessionId: 's3', isDeleted: false, type: 'transfer', transferGroupId: 'g1', transferDirection: 'in', transferCounterpartId: 'manual-leg', category: 'Savings', amount: 100, date: new Date('2024-05-01') },
+    { _id: 'manual-leg', userId: 'u1', isDeleted: false, type: 'transfer', transferGroupId: 'g1', transferDirection: 'out', transferCounterpartId: 'imported-leg', category: 'Bills', amount: 100, date: new Date('2024-05-01') },
+    { _id: 'kept-leg', userId: 'u1', importSessionId: 's3', isDeleted: false, type: 'transfer', transferGroupId: 'g2', transferDirection: 'in', category: 'Savings', amount: 50, date: new Date('2024-05-02') },
+    { _id: 'reconciled-leg', userId: 'u1', isDeleted: false, type: 'transfer', transferGroupId: 'g2', transferDirection: 'out', category: 'Bills', amount: 50, date: new Date('2024-05-02'), clearedStatus: 'reconciled' }
+  ];
+  const transferBudgets = [];
+  const transferResult = await rollbackImportSession({
+    transactionModel: createFakeTransactionModel(transferRows),
+    userId: 'u1',
+    importSessionId: 's3',
+    loadAccounts: async () => new Map(),
+    updateBudgetSpentAmount: async (userId, category) => transferBudgets.push(category)
+  });
+  const legsById = new Map(transferRows.map((row) => [row._id, row]));
+  assert.deepStrictEqual(
+    [transferResult.removedRows, transferResult.lockedRows, transferResult.unlinkedRows],
+    [1, 1, 1]
+  );
+  assert.deepStrictEqual(
+    ['type', 'isDeleted', 'transferGroupId'].map((field) => legsById.get('imported-leg')[field]),
+    ['income', true, undefined]
+  );
+  assert.deepStrictEqual(
+    ['type', 'isDeleted', 'transferGroupId', 'transferCounterpartId'].map((field) => legsById.get('manual-leg')[field]),
+    ['expense', false, undefined, undefined]
+  );
+  assert.deepStrictEqual(transferBudgets, ['Bills']);
+  // A reconciled counterpart cannot change type, so that transfer stays whole
+  assert.strictEqual(legsById.get('kept-leg').isDeleted, false);
+  assert.strictEqual(legsById.get('kept-leg').type, 'transfer');
+  assert.strictEqual(legsById.get('reconciled-leg').type, 'transfer');
+
+  console.log('PASS: import rollback trashes inserted and revived rows and keeps reconciled ones and whole transfers.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { buildImportRowIssues, saveImportRowIssues } = require('./src/utils/importRowIssues');
+
+async function run() {
+  const rows = [
+    { Date: '2024-01-01', 'Chq./Ref.No.': 'A1', Amount: '100' },
+    { Date: 'not a date', 'Chq./Ref.No.': 'A2', Amount: '50' },
+    { Date: '2024-01-01', 'Chq./Ref.No.': 'A1', Amount: '100' }
+  ];
+
+  // Errors and duplicates are merged in row order with the original row data
+  const issues = buildImportRowIssues({
+    userId: 'u1',
+    importSessionId: 's1',
+    rows,
+    errors: [{ row: 2, error: 'Invalid date' }],
+    duplicates: [{ row: 3, reason: 'Duplicate row within the file' }, { row: 1, reason: 'Duplicate transaction (already exists)' }]
+  });
+  assert.deepStrictEqual(issues.map((issue) => [issue.row, issue.kind]), [[1, 'duplicate'], [2, 'error'], [3, 'duplicate']]);
+  assert.strictEqual(issues[1].reason, 'Invalid date');
+  assert.deepStrictEqual(issues[1].data, [
+    { column: 'Date', value: 'not a date' },
+    { column: 'Chq./Ref.No.', value: 'A2' },
+    { column: 'Amount', value: '50' }
+  ], 'column names with dots are kept as pairs');
+  assert.ok(issues.every((issue) => issue.userId === 'u1' && issue.importSessionId === 's1'));
+
+  // Rows outside the statement keep the issue without data
+  const [orphan] = buildImportRowIssues({ userId: 'u1', importSessionId: 's1', rows, errors: [{ row: 9, error: 'Missing row' }] });
+  assert.deepStrictEqual(orphan.data, []);
+
+  // Issues are inserted in batches
+  const batches = [];
+  const issueModel = {
+    insertMany: async (documents, options) => {
+      batches.push({ size: documents.length, ordered: options.ordered });
+    }
+  };
+  const saved = await saveImportRowIssues({
+    issueModel,
+    batchSize: 2,
+    userId: 'u1',
+    importSessionId: 's1',
+    rows,
+    errors: [{ row: 2, error: 'Invalid date' }],
+    duplicates: [{ row: 1, reason: 'dup' }, { row: 3, reason: 'dup' }]
+  });
+  assert.strictEqual(saved, 3);
+  assert.deepStrictEqual(batches, [{ size: 2, ordered: false }, { size: 1, ordered: false }]);
+  assert.strictEqual(await saveImportRowIssues({ issueModel, userId: 'u1', importSessionId: 's1', rows }), 0);
+  assert.strictEqual(batches.length, 2, 'an import without issues writes nothing');
+
+  console.log('PASS: import row issues are kept in row order with their original data.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const { mapImportRow, validateColumnMapping } = require('./src/utils/importRowMapper');
+
+function run() {
+  const context = { userId: 'user-a', rowNumber: 1 };
+
+  const debitCredit = { date: 'Date', debit: 'Withdrawal', credit: 'Deposit', description: 'Narration', amountMode: 'debitCredit' };
+  const debitRow = mapImportRow({ Date: '2024-03-04', Withdrawal: '500.00', Deposit: '', Narration: 'Rent' }, debitCredit, context);
+  assert.strictEqual(debitRow.transaction.type, 'expense');
+  assert.strictEqual(debitRow.transaction.amount, 500);
+  const creditRow = mapImportRow({ Date: '2024-03-04', Withdrawal: '', Deposit: '2,000', Narration: 'Salary' }, debitCredit, context);
+  assert.strictEqual(creditRow.transaction.type, 'income');
+  assert.strictEqual(creditRow.transaction.amount, 2000);
+  assert.ok(mapImportRow({ Date: '2024-03-04', Withdrawal: '1', Deposit: '1' }, debitCredit, context).error,
+    'rows with both debit and credit should be rejected');
+
+  const signed = { date: 'Date', amount: 'Amount', amountMode: 'signed' };
+  assert.strictEqual(mapImportRow({ Date: '2024-03-04', Amount: '-42.10' }, signed, context).transaction.type, 'expense');
+  assert.strictEqual(mapImportRow({ Date: '2024-03-04', Amount: '42.10' }, signed, context).transaction.type, 'income');
+  const inverted = mapImportRow({ Date: '2024-03-04', Amount: '42.10' }, { ...signed, invertSign: true }, context);
+  assert.strictEqual(inverted.transaction.type, 'expense', 'invertSign should treat positive amounts as outflows');
+  assert.strictEqual(inverted.transaction.amount, 42.1);
+
+  const single = { date: 'Date', amount: 'Amount', type: 'Type' };
+  assert.strictEqual(mapImportRow({ Date: '2024-03-04', Amount: '10', Type: 'CR' }, single, context).transaction.type, 'income');
+  assert.ok(mapImportRow({ Date: '2024-03-04', Amount: '10', Type: 'refund?' }, single, context).error,
+    'unrecognized types should be rejected instead of defaulting to expense');
+  const untyped = mapImportRow({ Date: '2024-03-04', Amount: '10' }, { date: 'Date', amount: 'Amount' }, context);
+  assert.strictEqual(untyped.transaction.type, 'expense');
+  assert.strictEqual(untyped.warnings.length, 1, 'defaulting the type should be reported');
+
+  assert.strictEqual(validateColumnMapping({ date: 'Date', amountMode: 'debitCredit', debit: 'Dr' }), 'Debit and credit columns are required');
+  assert.strictEqual(validateColumnMapping(signed), null);
+  assert.ok(validateColumnMapping({ ...signed, dateFormat: 'YYYY' }), 'formats without day and month should be rejected');
+  assert.ok(validateColumnMapping({ ...signed, numberLocale: 'xx' }), 'unknown number locales should be rejected');
+
+  const european = { date: 'Datum', amount: 'Betrag', amountMode: 'signed', dateFormat: 'DD.MM.YYYY', numberLocale: 'de-DE' };
+  const europeanRow = mapImportRow({ Datum: '03.04.2024', Betrag: '-1.234,56' }, european, context);
+  assert.strictEqual(europeanRow.transaction.amount, 1234.56);
+  assert.strictEqual(europeanRow.transaction.date.toISOString(), '2024-04-03T00:00:00.000Z');
+  assert.strictEqual(europeanRow.dateAmbiguous, true, 'day/month swappable dates should be flagged');
+
+  const tagged = mapImportRow({ Date: '2024-03-04', Amount: '-10', Tags: 'vacation-2026; food | food' }, { ...signed, tags: 'Tags' }, context);
+  assert.deepStrictEqual(tagged.transaction.tags, ['vacation-2026', 'food'], 'tag columns should be split and de-duplicated');
+  assert.deepStrictEqual(mapImportRow({ Date: '2024-03-04', Amount: '-10' }, signed, context).transaction.tags, []);
+
+  console.log('PASS: import row mapper handles single, debit/credit and signed amount modes.');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { parseDate, parseAmount, isValidDateFormat } = require('./src/utils/importValueParsers');
+
+const iso = (result) => (result.date ? result.date.toISOString().slice(0, 10) : null);
+
+function run() {
+  // Explicit formats
+  assert.strictEqual(iso(parseDate('03/04/2024', 'DD/MM/YYYY')), '2024-04-03');
+  assert.strictEqual(iso(parseDate('03/04/2024', 'MM/DD/YYYY')), '2024-03-04');
+  assert.strictEqual(iso(parseDate('2024-03-04', 'YYYY-MM-DD')), '2024-03-04');
+  assert.strictEqual(iso(parseDate('4-Mar-24', 'D-MMM-YY')), '2024-03-04');
+  assert.strictEqual(iso(parseDate('04 March 2024', 'DD MMMM YYYY')), '2024-03-04');
+  assert.strictEqual(iso(parseDate('25/12/2024 10:15', 'DD/MM/YYYY')), '2024-12-25', 'trailing time should be ignored');
+  assert.strictEqual(parseDate('31/02/2024', 'DD/MM/YYYY').date, null, 'impossible dates should be rejected');
+  assert.strictEqual(parseDate('13/25/2024', 'MM/DD/YYYY').date, null, 'values outside the format should be rejected');
+
+  assert.strictEqual(parseDate('03/04/2024', 'DD/MM/YYYY').ambiguous, true);
+  assert.strictEqual(parseDate('25/04/2024', 'DD/MM/YYYY').ambiguous, false);
+  assert.strictEqual(parseDate('04/04/2024', 'DD/MM/YYYY').ambiguous, false);
+
+  // Auto-detection without a format
+  assert.strictEqual(iso(parseDate('2024-03-04')), '2024-03-04');
+  assert.strictEqual(iso(parseDate('25/03/2024')), '2024-03-25');
+  const monthFirst = parseDate('03/25/2024');
+  assert.strictEqual(iso(monthFirst), '2024-03-25', 'month-first dates should be read when day-first is impossible');
+  assert.strictEqual(monthFirst.format, 'MM/DD/YYYY');
+  const ambiguous = parseDate('03/04/2024');
+  assert.strictEqual(iso(ambiguous), '2024-04-03');
+  assert.strictEqual(ambiguous.ambiguous, true);
+
+  assert.ok(isValidDateFormat('DD.MM.YY'));
+  assert.ok(!isValidDateFormat('MM/YYYY'));
+
+  // Amounts without locale stay lenient
+  assert.strictEqual(parseAmount('1,234.50'), 1234.5);
+  assert.strictEqual(parseAmount('(120.00)'), -120);
+  assert.strictEqual(parseAmount('120.00-'), -120);
+  assert.strictEqual(parseAmount('450.00 DR'), -450);
+  assert.strictEqual(parseAmount('450.00 Cr'), 450);
+  assert.ok(Number.isNaN(parseAmount('')), 'blank cells should not parse');
+
+  // Locale-aware amounts
+  assert.strictEqual(parseAmount('$1,234.56', 'en-US'), 1234.56);
+  assert.strictEqual(parseAmount('1.234,56 €', 'de-DE'), 1234.56);
+  assert.strictEqual(parseAmount('-1 234,56', 'fr-FR'), -1234.56);
+  assert.strictEqual(parseAmount('₹1,23,456.78', 'en-IN'), 123456.78);
+  assert.strictEqual(parseAmount('123,456.78', 'en-IN'), 123456.78);
+  assert.ok(Number.isNaN(parseAmount('1.234,56', 'en-US')), 'European amounts should not parse as en-US');
+  assert.ok(Number.isNaN(parseAmount('1,23,456.78', 'en-US')), 'lakh grouping should not parse as en-US');
+
+  console.log('PASS: import value parsers honour explicit date formats and number locales.');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
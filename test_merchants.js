@@ -0,0 +1,37 @@
+const assert = require('assert');
+const { normalizeMerchantKey, compileMerchantAliases, extractMerchant, isDetectedMerchant } = require('./src/utils/merchants');
+
+function run() {
+  assert.strictEqual(normalizeMerchantKey("  McDonald's #4411 "), 'mcdonalds 4411');
+
+  assert.strictEqual(extractMerchant('UPI/PAYTM/ZOMATO 1234'), 'Zomato', 'payment rails should be ignored');
+  assert.strictEqual(extractMerchant('ZOMATO ORDER #88'), 'Zomato');
+  assert.strictEqual(extractMerchant('UBER EATS 8812 HELP.UBER.COM'), 'Uber');
+  assert.strictEqual(extractMerchant('POS 4411 COCA COLA STORE'), 'Coca Cola Store', 'short aliases should only match whole words');
+  assert.strictEqual(extractMerchant('NEFT-CR-00012345'), null, 'descriptions with only noise have no merchant');
+  assert.strictEqual(extractMerchant(''), null);
+
+  const aliases = compileMerchantAliases([
+    { name: 'Corner Cafe', aliases: ['cc bakery', 'corner cafe'] },
+    { name: 'Food Delivery', aliases: ['zomato', 'swiggy'] }
+  ]);
+  assert.strictEqual(extractMerchant('POS CC BAKERY MG ROAD', aliases), 'Corner Cafe', 'user aliases should be used');
+  assert.strictEqual(extractMerchant('UPI/ZOMATO/991', aliases), 'Food Delivery', 'user aliases should beat built-in merchants');
+  assert.strictEqual(extractMerchant('NETFLIX.COM', aliases), 'Netflix', 'built-in merchants still apply alongside user aliases');
+
+  // A refresh only re-detects merchants that detection produced
+  assert.strictEqual(isDetectedMerchant({ description: 'ZOMATO ORDER #88' }), true, 'rows without a merchant can be detected');
+  assert.strictEqual(isDetectedMerchant({ description: 'ZOMATO ORDER #88', merchant: 'Dinner Out', merchantSource: 'manual' }), false);
+  assert.strictEqual(isDetectedMerchant({ description: 'ZOMATO ORDER #88', merchant: 'Food Delivery', merchantSource: 'detected' }), true);
+  assert.strictEqual(isDetectedMerchant({ description: 'ZOMATO ORDER #88', merchant: 'Zomato' }), true, 'older rows holding the detected name can be refreshed');
+  assert.strictEqual(isDetectedMerchant({ description: 'ZOMATO ORDER #88', merchant: 'Dinner Out' }), false, 'older rows with another name are kept');
+
+  console.log('PASS: merchants are normalized from descriptions using user and built-in aliases.');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
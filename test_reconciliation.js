@@ -0,0 +1,71 @@
+const assert = require('assert');
+const {
+  isWithinLockedPeriod,
+  loadAccountsById,
+  summarizeReconciliation,
+  getReconciliationLockError
+} = require('./src/utils/reconciliation');
+
+async function run() {
+  const transactions = [
+    { type: 'income', amount: 2000, clearedStatus: 'reconciled' },
+    { type: 'expense', amount: 450.25, clearedStatus: 'cleared' },
+    { type: 'transfer', transferDirection: 'out', amount: 500, clearedStatus: 'cleared' },
+    { type: 'expense', amount: 99, clearedStatus: 'uncleared' },
+    { type: 'expense', amount: 10 }
+  ];
+  const summary = summarizeReconciliation({ openingBalance: 1000, statementBalance: 2000, transactions });
+  assert.strictEqual(summary.clearedBalance, 2049.75, 'only cleared and reconciled rows count');
+  assert.strictEqual(summary.difference, -49.75);
+  assert.strictEqual(summary.balanced, false);
+  assert.strictEqual(summary.clearedCount, 3);
+  assert.strictEqual(summary.unclearedCount, 2, 'rows without a status are uncleared');
+  assert.strictEqual(summarizeReconciliation({ openingBalance: 1000, statementBalance: 2049.75, transactions }).balanced, true);
+
+  const account = { _id: 'acc1', reconciledThrough: new Date('2024-03-31') };
+  const other = { _id: 'acc2' };
+  const accounts = new Map([['acc1', account], ['acc2', other]]);
+  assert.strictEqual(isWithinLockedPeriod(account, '2024-03-31'), true, 'the statement date itself is locked');
+  assert.strictEqual(isWithinLockedPeriod(account, '2024-04-01'), false);
+  assert.strictEqual(isWithinLockedPeriod(other, '2020-01-01'), false);
+
+  const locked = { amount: 120, type: 'expense', date: new Date('2024-03-10'), accountId: 'acc1', clearedStatus: 'cleared' };
+  assert.strictEqual(
+    getReconciliationLockError(locked, { amount: 120, type: 'expense', date: new Date('2024-03-10') }, accounts),
+    null,
+    'edits that leave the balance alone are allowed'
+  );
+  assert.ok(/amount/.test(getReconciliationLockError(locked, { amount: 125 }, accounts)));
+  assert.ok(/accountId/.test(getReconciliationLockError(locked, { accountId: 'acc2' }, accounts)), 'moving out of a locked period is blocked');
+
+  const open = { amount: 80, type: 'expense', date: new Date('2024-04-05'), accountId: 'acc1', clearedStatus: 'reconciled' };
+  assert.ok(getReconciliationLockError(open, { type: 'income' }, accounts), 'reconciled rows are locked even after the period');
+
+  const unassigned = { amount: 60, type: 'expense', date: new Date('2024-03-15') };
+  assert.strictEqual(
+    getReconciliationLockError(unassigned, { accountId: 'acc1' }, accounts),
+    'Transaction would fall inside a reconciled period'
+  );
+  assert.strictEqual(getReconciliationLockError(unassigned, { accountId: 'acc2', amount: 70 }, accounts), null);
+
+  // Accounts are loaded once per id, and not at all when there are none
+  const queries = [];
+  const accountModel = {
+    find: (filter) => {
+      queries.push(filter);
+      return { select: () => ({ lean: async () => filter._id.$in.map((id) => ({ _id: id, reconciledThrough: new Date('2024-01-31') })) }) };
+    }
+  };
+  const loaded = await loadAccountsById(accountModel, 'user1', ['acc1', null, 'acc1', 'acc2']);
+  assert.deepStrictEqual(Array.from(loaded.keys()), ['acc1', 'acc2']);
+  assert.deepStrictEqual(queries, [{ userId: 'user1', _id: { $in: ['acc1', 'acc2'] } }]);
+  assert.strictEqual((await loadAccountsById(accountModel, 'user1', [undefined])).size, 0);
+  assert.strictEqual(queries.length, 1);
+
+  console.log('PASS: reconciliation compares cleared balances and locks reconciled periods.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
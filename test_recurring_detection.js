@@ -0,0 +1,94 @@
+const assert = require('assert');
+const {
+  detectRecurringPayments,
+  findSubscriptionPriceIncreases,
+  scheduleRecurrenceFor
+} = require('./src/utils/recurringDetector');
+
+const monthly = (description, amounts, { start = '2024-01-05', category, type = 'expense', jitter = [] } = {}) => (
+  amounts.map((amount, index) => {
+    const date = new Date(start);
+    date.setUTCMonth(date.getUTCMonth() + index);
+    date.setUTCDate(date.getUTCDate() + (jitter[index] || 0));
+    return { date, amount, type, description, category };
+  })
+);
+
+try {
+  const now = new Date('2024-08-10');
+  const history = [
+    // Streaming subscription that went up from 199 to 249
+    ...monthly('NETFLIX.COM 8833', [199, 199, 199, 199, 249, 249, 249], { category: 'Entertainment' }),
+    // Rent paid a day or two either side of the 1st
+    ...monthly('RENT TRANSFER FLAT 4B', [25000, 25000, 25000, 25000, 25000, 25000, 25000], { start: '2024-02-01', jitter: [0, 1, -1, 0, 2, 0, 0] }),
+    // Salary credit
+    ...monthly('ACME CORP SALARY', [90000, 90000, 92000, 90000, 90000], { start: '2024-04-30', type: 'income' }),
+    // Weekly grocery run with varying totals
+    ...[0, 1, 2, 3, 4, 5].map((week) => ({
+      date: new Date(Date.UTC(2024, 6, 1 + week * 7)),
+      amount: [1200, 800, 2500, 400, 1900, 3100][week],
+      type: 'expense',
+      description: 'LOCAL MART'
+    })),
+    // One-off purchases are not recurring
+    { date: new Date('2024-03-14'), amount: 5000, type: 'expense', description: 'CROMA ELECTRONICS' },
+    { date: new Date('2024-06-02'), amount: 120, type: 'expense', description: 'CROMA ELECTRONICS' }
+  ];
+
+  const detections = detectRecurringPayments(history, { now });
+  const byPayee = Object.fromEntries(detections.map((entry) => [entry.payee, entry]));
+
+  const netflix = byPayee.Netflix;
+  assert.ok(netflix, 'Netflix should be detected');
+  assert.strictEqual(netflix.kind, 'subscription');
+  assert.strictEqual(netflix.frequency, 'monthly');
+  assert.strictEqual(netflix.lastAmount, 249);
+  assert.deepStrictEqual(
+    { previousAmount: netflix.priceIncrease.previousAmount, currentAmount: netflix.priceIncrease.currentAmount },
+    { previousAmount: 199, currentAmount: 249 }
+  );
+  assert.strictEqual(netflix.priceIncrease.changePercent, 25.1);
+  assert.strictEqual(netflix.active, true);
+
+  const rent = detections.find((entry) => entry.payeeKey.startsWith('rent'));
+  assert.ok(rent, 'Rent should be detected despite a late payment');
+  assert.strictEqual(rent.kind, 'fixed-bill');
+  assert.strictEqual(rent.priceIncrease, null);
+
+  const salary = detections.find((entry) => entry.type === 'income');
+  assert.ok(salary, 'Salary should be detected');
+  assert.strictEqual(salary.kind, 'schedule');
+
+  const groceries = detections.find((entry) => entry.payeeKey === 'local mart');
+  assert.strictEqual(groceries, undefined, 'Varying weekly totals are not one recurring payment');
+  assert.ok(!detections.some((entry) => entry.payeeKey.startsWith('croma')));
+
+  // Yearly renewals need only two charges
+  const [yearly] = detectRecurringPayments([
+    { date: new Date('2023-03-10'), amount: 1499, type: 'expense', description: 'Amazon Prime membership' },
+    { date: new Date('2024-03-11'), amount: 1499, type: 'expense', description: 'Amazon Prime membership' }
+  ], { now });
+  assert.strictEqual(yearly.frequency, 'yearly');
+  assert.strictEqual(yearly.monthlyCost, 124.92);
+  assert.deepStrictEqual(scheduleRecurrenceFor(yearly), { frequency: 'yearly', interval: 1, dayOfMonth: 11, monthOfYear: 3 });
+
+  // Patterns that stopped long ago are reported as inactive
+  const [stopped] = detectRecurringPayments(monthly('GYM MEMBERSHIP', [1500, 1500, 1500]), { now });
+  assert.strictEqual(stopped.active, false);
+
+  // Planner subscriptions recorded at the old price are flagged
+  const increases = findSubscriptionPriceIncreases([
+    { _id: 's1', name: 'Netflix Premium', provider: 'Netflix', monthlyCost: 199, status: 'active' },
+    { _id: 's2', name: 'Rent', provider: 'Landlord', monthlyCost: 25000, status: 'active' },
+    { _id: 's3', name: 'Spotify', provider: 'Spotify', monthlyCost: 119, status: 'cancelled' }
+  ], detections);
+  assert.strictEqual(increases.length, 1);
+  assert.strictEqual(increases[0].subscriptionId, 's1');
+  assert.strictEqual(increases[0].recordedMonthlyCost, 199);
+  assert.strictEqual(increases[0].detectedMonthlyCost, 249);
+
+  console.log('PASS: recurring payments are detected and subscription price increases are flagged.');
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const { parseCron, validateRecurrence, listOccurrences, occurrenceKey } = require('./src/utils/recurrence');
+const { createRecurringScheduler } = require('./src/utils/recurringScheduler');
+
+const keys = (dates) => dates.map(occurrenceKey);
+
+// In-memory stand-in for the RecurringSchedule model
+const createFakeScheduleModel = (docs) => ({
+  docs,
+  find(filter) {
+    const matches = docs.filter((doc) => (
+      doc.isActive && doc.autoPost && doc.nextRunAt && doc.nextRunAt <= filter.nextRunAt.$lte &&
+      (!filter.userId || doc.userId === filter.userId)
+    ));
+    return { limit: () => ({ lean: async () => matches.map((doc) => ({ ...doc })) }) };
+  },
+  async updateOne(filter, update) {
+    const doc = docs.find((entry) => entry._id === filter._id && entry.nextRunAt === filter.nextRunAt);
+    if (doc) Object.assign(doc, update.$set);
+    return { modifiedCount: doc ? 1 : 0 };
+  }
+});
+
+async function run() {
+  // Monthly on the 31st clamps to shorter months
+  assert.deepStrictEqual(
+    keys(listOccurrences({ frequency: 'monthly', startDate: '2024-01-31' }, { count: 3 })),
+    ['2024-01-31', '2024-02-29', '2024-03-31']
+  );
+  assert.deepStrictEqual(
+    keys(listOccurrences({ frequency: 'weekly', startDate: '2024-01-10', dayOfWeek: 1, interval: 2 }, { count: 3 })),
+    ['2024-01-15', '2024-01-29', '2024-02-12']
+  );
+  assert.deepStrictEqual(
+    keys(listOccurrences({ frequency: 'yearly', startDate: '2024-02-29' }, { count: 2 })),
+    ['2024-02-29', '2025-02-28']
+  );
+  assert.deepStrictEqual(
+    keys(listOccurrences({ frequency: 'monthly', startDate: '2024-01-15', endDate: '2024-03-20' }, { count: 12 })),
+    ['2024-01-15', '2024-02-15', '2024-03-15'],
+    'occurrences stop at endDate'
+  );
+  assert.deepStrictEqual(
+    keys(listOccurrences({ frequency: 'monthly', startDate: '2014-01-15' }, { after: '2024-06-15', count: 2 })),
+    ['2024-07-15', '2024-08-15'],
+    'listing after a date skips earlier occurrences'
+  );
+  assert.deepStrictEqual(
+    keys(listOccurrences({ frequency: 'cron', cron: '30 9 1,15 * *', startDate: '2024-01-01' }, { count: 3 })),
+    ['2024-01-01T09:30', '2024-01-15T09:30', '2024-02-01T09:30']
+  );
+  assert.deepStrictEqual(
+    keys(listOccurrences({ frequency: 'cron', cron: '0 0 * * 1-5', startDate: '2024-01-05' }, { count: 3 })),
+    ['2024-01-05', '2024-01-08', '2024-01-09'],
+    'weekday cron should skip the weekend'
+  );
+  assert.ok(parseCron('*/15 * * * 0,7').dayOfWeek.has(0));
+  assert.throws(() => parseCron('61 * * * *'), /minute/);
+  assert.ok(/5 fields/.test(validateRecurrence({ frequency: 'cron', cron: '* * *', startDate: '2024-01-01' })));
+  assert.strictEqual(validateRecurrence({ frequency: 'monthly', dayOfMonth: 31, startDate: '2024-01-01' }), null);
+  assert.ok(/frequency/.test(validateRecurrence({ frequency: 'hourly', startDate: '2024-01-01' })));
+
+  // Scheduler: catches up on due occurrences, applies skip/override, and a
+  // repeated run posts nothing twice
+  const schedule = {
+    _id: 's1',
+    userId: 'u1',
+    name: 'Rent',
+    template: { amount: 15000, type: 'expense', category: 'Rent', description: 'Flat rent' },
+    frequency: 'monthly',
+    dayOfMonth: 5,
+    startDate: new Date('2024-01-01'),
+    isActive: true,
+    autoPost: true,
+    nextRunAt: new Date('2024-01-05'),
+    exceptions: [
+      { occurrence: '2024-02-05', action: 'skip' },
+      { occurrence: '2024-03-05', action: 'override', amount: 16000 }
+    ]
+  };
+  const model = createFakeScheduleModel([schedule]);
+  const posted = new Map();
+  const scheduler = createRecurringScheduler({
+    scheduleModel: model,
+    now: () => new Date('2024-04-10'),
+    postOccurrence: async (doc, input, key) => {
+      const fingerprint = `recurring-${doc._id}-${key}`;
+      if (posted.has(fingerprint)) return 'duplicate';
+      posted.set(fingerprint, input);
+      return 'posted';
+    }
+  });
+
+  const [first] = await scheduler.runDue();
+  assert.strictEqual(first.posted, 3);
+  assert.strictEqual(first.skipped, 1);
+  assert.strictEqual(posted.get('recurring-s1-2024-03-05').amount, 16000, 'overrides should change that occurrence only');
+  assert.strictEqual(posted.get('recurring-s1-2024-04-05').amount, 15000);
+  assert.strictEqual(occurrenceKey(schedule.nextRunAt), '2024-05-05');
+  assert.strictEqual(occurrenceKey(schedule.lastOccurrenceAt), '2024-04-05');
+  assert.deepStrictEqual(await scheduler.runDue(), [], 'nothing is due until the next occurrence');
+
+  // A run from a stale copy of the schedule only finds duplicates
+  const replay = await scheduler.runSchedule({ ...schedule, lastOccurrenceAt: undefined, nextRunAt: new Date('2024-01-05') });
+  assert.strictEqual(replay.posted, 0);
+  assert.strictEqual(replay.duplicates, 3);
+  assert.strictEqual(posted.size, 3);
+
+  // A failed post is retried next time instead of being skipped
+  let failOnce = true;
+  const retryModel = createFakeScheduleModel([{ ...schedule, _id: 's2', exceptions: [], lastOccurrenceAt: undefined, nextRunAt: new Date('2024-01-05') }]);
+  const retrying = createRecurringScheduler({
+    scheduleModel: retryModel,
+    now: () => new Date('2024-02-10'),
+    postOccurrence: async (doc, input, key) => {
+      if (key === '2024-02-05' && failOnce) {
+        failOnce = false;
+        throw new Error('connection reset');
+      }
+      return 'posted';
+    }
+  });
+  const [failed] = await retrying.runDue();
+  assert.strictEqual(failed.posted, 1);
+  assert.strictEqual(occurrenceKey(retryModel.docs[0].nextRunAt), '2024-02-05');
+  assert.ok(/connection reset/.test(retryModel.docs[0].lastError));
+  const [retried] = await retrying.runDue();
+  assert.strictEqual(retried.posted, 1);
+  assert.strictEqual(retryModel.docs[0].lastError, null);
+
+  console.log('PASS: recurring schedules compute occurrences and post each one exactly once.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+const { parseOfx, parseQif } = require('./src/utils/statementParsers');
+const ExcelJS = require('exceljs');
+const { detectStatementFormat, readStatement } = require('./src/utils/statementReader');
+const { mapImportRow } = require('./src/utils/importRowMapper');
+
+const OFX_SGML = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>INR
+<BANKACCTFROM><BANKID>HDFC<ACCTID>501001<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20240301
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240304120000[+5:30:IST]
+<TRNAMT>-450.00
+<FITID>TX1001
+<NAME>ZOMATO ORDER
+<MEMO>UPI/PAYTM
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240305
+<TRNAMT>52000,50
+<FITID>TX1002
+<NAME>SALARY ACME &amp; CO
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const OFX_XML = `<?xml version="1.0"?><?OFX OFXHEADER="200" VERSION="220"?>
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240310</DTPOSTED><TRNAMT>-99.00</TRNAMT><FITID>C1</FITID><NAME>SPOTIFY</NAME></STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240310</DTPOSTED><TRNAMT>-99.00</TRNAMT><FITID>C2</FITID><NAME>SPOTIFY</NAME></STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+
+const QIF = `!Type:Cat
+NGroceries
+^
+!Type:Bank
+D03/04'24
+T-1,250.00
+PBIG BAZAAR
+LGroceries
+^
+D3/15/2024
+U500.00
+PREFUND
+MOrder 88
+^`;
+
+async function run() {
+  const sgmlRows = parseOfx(OFX_SGML);
+  assert.strictEqual(sgmlRows.length, 2);
+  assert.deepStrictEqual(sgmlRows[0], {
+    Date: '2024-03-04',
+    Amount: '-450.00',
+    Description: 'ZOMATO ORDER - UPI/PAYTM',
+    Category: '',
+    FITID: '501001:TX1001'
+  });
+  assert.strictEqual(sgmlRows[1].Amount, '52000.50', 'comma decimal amounts should be normalized');
+  assert.strictEqual(sgmlRows[1].Description, 'SALARY ACME & CO');
+
+  const xmlRows = parseOfx(OFX_XML);
+  assert.strictEqual(xmlRows.length, 2);
+  assert.deepStrictEqual(xmlRows.map((row) => row.FITID), ['4111:C1', '4111:C2'],
+    'identical purchases should keep distinct FITIDs');
+
+  const qifRows = parseQif(QIF);
+  assert.strictEqual(qifRows.length, 2, 'category lists should not be read as transactions');
+  assert.deepStrictEqual(qifRows[0], {
+    Date: '03/04/2024',
+    Amount: '-1,250.00',
+    Description: 'BIG BAZAAR',
+    Category: 'Groceries',
+    FITID: ''
+  });
+  assert.strictEqual(qifRows[1].Description, 'REFUND - Order 88');
+
+  const mapping = { date: 'Date', amount: 'Amount', description: 'Description', category: 'Category', externalId: 'FITID', amountMode: 'signed', dateFormat: 'YYYY-MM-DD' };
+  const mapped = mapImportRow(sgmlRows[0], mapping, { userId: 'user-a', rowNumber: 1 });
+  assert.strictEqual(mapped.transaction.type, 'expense');
+  assert.strictEqual(mapped.transaction.amount, 450);
+  assert.strictEqual(mapped.transaction.externalId, '501001:TX1001');
+
+  assert.strictEqual(detectStatementFormat({ originalname: 'march.qfx', buffer: Buffer.from('') }), 'ofx');
+  assert.strictEqual(detectStatementFormat({ originalname: 'export.txt', buffer: Buffer.from(QIF) }), 'qif');
+  assert.strictEqual(detectStatementFormat({ originalname: 'export.csv', buffer: Buffer.from('Date,Amount') }), 'csv');
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Summary').addRow(['Nothing here']);
+  const sheet = workbook.addWorksheet('Transactions');
+  sheet.addRow(['HDFC Bank statement']);
+  sheet.addRow([]);
+  sheet.addRow(['Txn Date', 'Narration', 'Amount', 'Amount']);
+  sheet.addRow([new Date(Date.UTC(2024, 2, 4)), { richText: [{ text: 'ZOMATO ' }, { text: 'ORDER' }] }, -450, 1]);
+  sheet.addRow([]);
+  sheet.addRow(['05/03/2024', 'SALARY', { formula: '50000+2000', result: 52000 }, 2]);
+  const xlsxFile = { originalname: 'statement.xlsx', buffer: Buffer.from(await workbook.xlsx.writeBuffer()) };
+
+  const statement = await readStatement(xlsxFile, { sheet: 'Transactions', headerRowOffset: 2 });
+  assert.strictEqual(statement.format, 'xlsx');
+  assert.deepStrictEqual(statement.sheets, ['Summary', 'Transactions']);
+  assert.deepStrictEqual(statement.headers, ['Txn Date', 'Narration', 'Amount', 'Amount_2'], 'duplicate headers should be made unique');
+  assert.strictEqual(statement.rows.length, 2, 'blank rows should be skipped');
+  assert.strictEqual(statement.rows[0].Narration, 'ZOMATO ORDER');
+  assert.strictEqual(statement.rows[1].Amount, 52000, 'formula cells should use their cached result');
+
+  const xlsxMapping = { date: 'Txn Date', amount: 'Amount', description: 'Narration', amountMode: 'signed', dateFormat: 'DD/MM/YYYY' };
+  const dateCell = mapImportRow(statement.rows[0], xlsxMapping, { userId: 'user-a', rowNumber: 1 });
+  assert.strictEqual(dateCell.transaction.date.toISOString(), '2024-03-04T00:00:00.000Z', 'date cells should bypass text parsing');
+  const textDate = mapImportRow(statement.rows[1], xlsxMapping, { userId: 'user-a', rowNumber: 2 });
+  assert.strictEqual(textDate.transaction.date.toISOString(), '2024-03-05T00:00:00.000Z');
+  assert.strictEqual(textDate.transaction.type, 'income');
+
+  const bySheetIndex = await readStatement(xlsxFile, { sheet: 1 });
+  assert.deepStrictEqual(bySheetIndex.headers, ['Nothing here']);
+  const missingSheet = await readStatement(xlsxFile, { sheet: 'Nope' });
+  assert.ok(missingSheet.error, 'unknown sheets should be reported');
+
+  console.log('PASS: OFX/QFX, QIF and Excel statements parse into importable rows.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
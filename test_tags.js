@@ -0,0 +1,52 @@
+const assert = require('assert');
+const {
+  MAX_TAGS_PER_TRANSACTION,
+  TAG_COLORS,
+  normalizeTags,
+  validateTags,
+  parseTagColumn,
+  isValidTagColor,
+  defaultTagColor,
+  renameInTags,
+  registerTags
+} = require('./src/utils/tags');
+
+async function run() {
+  assert.deepStrictEqual(normalizeTags(['  vacation  2026 ', 'food', 'food', '', null]), ['vacation 2026', 'food']);
+  assert.deepStrictEqual(normalizeTags('trip'), ['trip']);
+  assert.deepStrictEqual(normalizeTags(undefined), []);
+  assert.deepStrictEqual(parseTagColumn('trip, goa;beach|trip'), ['trip', 'goa', 'beach']);
+
+  assert.strictEqual(validateTags(['a', 'b']), null);
+  assert.ok(validateTags(Array.from({ length: MAX_TAGS_PER_TRANSACTION + 1 }, (_, index) => `t${index}`)));
+  assert.ok(validateTags(['x'.repeat(51)]));
+
+  // Colors are hex and the default is stable per name
+  assert.ok(isValidTagColor('#2563EB'));
+  assert.ok(!isValidTagColor('blue'));
+  assert.strictEqual(defaultTagColor('Vacation-2026'), defaultTagColor(' vacation-2026 '));
+  assert.ok(TAG_COLORS.includes(defaultTagColor('anything')));
+
+  assert.deepStrictEqual(renameInTags(['goa', 'trip', 'beach'], 'goa', 'trip'), ['trip', 'beach']);
+
+  // Unknown names are upserted without touching existing colors
+  const writes = [];
+  await registerTags({ bulkWrite: async (operations) => writes.push(...operations) }, 'user1', ['trip', ' trip ', '']);
+  assert.strictEqual(writes.length, 1);
+  assert.deepStrictEqual(writes[0].updateOne.filter, { userId: 'user1', name: 'trip' });
+  assert.deepStrictEqual(Object.keys(writes[0].updateOne.update), ['$setOnInsert']);
+  assert.strictEqual(writes[0].updateOne.upsert, true);
+
+  // Registration failures never reach the caller
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  await registerTags({ bulkWrite: async () => { throw new Error('down'); } }, 'user1', ['trip']);
+  console.error = originalConsoleError;
+
+  console.log('PASS: tags are normalized, colored and registered without failing writes.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const {
+  normalizeBulkOperation,
+  getBulkConflict,
+  buildBulkUpdate,
+  getBulkBudgetCategories
+} = require('./src/utils/transactionBulk');
+const { buildTransactionFilter } = require('./src/utils/transactionFilters');
+
+try {
+  // Operations are validated before any row is loaded
+  assert.ok(normalizeBulkOperation({ action: 'rename' }).error);
+  assert.ok(normalizeBulkOperation({ action: 'set-category', category: '  ' }).error);
+  assert.ok(normalizeBulkOperation({ action: 'add-tags', tags: [] }).error);
+  assert.ok(normalizeBulkOperation({ action: 'change-type', type: 'transfer' }).error);
+  assert.deepStrictEqual(
+    normalizeBulkOperation({ action: 'add-tags', tags: [' trip ', 'trip', 'goa'] }).operation,
+    { action: 'add-tags', tags: ['trip', 'goa'] }
+  );
+
+  assert.deepStrictEqual(buildBulkUpdate({ action: 'set-category', category: 'Food' }), { $set: { category: 'Food' } });
+  assert.deepStrictEqual(buildBulkUpdate({ action: 'add-tags', tags: ['a'] }), { $addToSet: { tags: { $each: ['a'] } } });
+  assert.deepStrictEqual(buildBulkUpdate({ action: 'remove-tags', tags: ['a'] }), { $pull: { tags: { $in: ['a'] } } });
+  assert.deepStrictEqual(buildBulkUpdate({ action: 'restore' }), { $set: { isDeleted: false }, $unset: { deletedAt: 1 } });
+  assert.ok(buildBulkUpdate({ action: 'delete' }).$set.deletedAt instanceof Date);
+
+  // Rows that cannot take the operation are reported as conflicts
+  const accounts = new Map([['acc1', { _id: 'acc1', reconciledThrough: new Date('2024-03-31') }]]);
+  const locked = { _id: 't1', type: 'expense', amount: 100, category: 'Food', date: new Date('2024-03-10'), accountId: 'acc1' };
+  const open = { _id: 't2', type: 'expense', amount: 50, category: 'Fuel', date: new Date('2024-04-10'), accountId: 'acc1' };
+  const split = { ...open, _id: 't3', splits: [{ amount: 20, category: 'Food' }, { amount: 30, category: 'Fuel' }] };
+  const transfer = { ...open, _id: 't4', type: 'transfer', transferGroupId: 'g1' };
+
+  assert.ok(getBulkConflict(locked, { action: 'delete' }, accounts));
+  assert.ok(getBulkConflict(locked, { action: 'change-type', type: 'income' }, accounts));
+  assert.strictEqual(getBulkConflict(locked, { action: 'set-category', category: 'Groceries' }, accounts), null);
+  assert.strictEqual(getBulkConflict(locked, { action: 'add-tags', tags: ['x'] }, accounts), null);
+  assert.strictEqual(getBulkConflict(open, { action: 'delete' }, accounts), null);
+  assert.ok(getBulkConflict({ ...open, accountId: 'gone' }, { action: 'restore' }, accounts));
+  assert.ok(getBulkConflict(split, { action: 'set-category', category: 'Groceries' }, accounts));
+  assert.ok(getBulkConflict(transfer, { action: 'change-type', type: 'income' }, accounts));
+  assert.strictEqual(getBulkConflict({ ...open, type: 'income' }, { action: 'change-type', type: 'income' }, accounts), null);
+
+  // Budgets are recalculated once per category the edit can move
+  assert.deepStrictEqual(
+    getBulkBudgetCategories([locked, open, split], { action: 'set-category', category: 'Groceries' }).sort(),
+    ['Food', 'Fuel', 'Groceries']
+  );
+  assert.deepStrictEqual(
+    getBulkBudgetCategories([{ ...open, type: 'income', category: 'Salary' }], { action: 'change-type', type: 'expense' }),
+    ['Salary']
+  );
+  assert.deepStrictEqual(getBulkBudgetCategories([{ ...open, type: 'income' }], { action: 'delete' }), []);
+  assert.deepStrictEqual(getBulkBudgetCategories([open], { action: 'add-tags', tags: ['x'] }), []);
+
+  // Filter selection uses the transaction list query params
+  const { filter } = buildTransactionFilter('user1', { type: 'expense', category: 'Food', accountId: 'none' }, { deleted: true });
+  assert.strictEqual(filter.isDeleted, true);
+  assert.strictEqual(filter.type, 'expense');
+  assert.strictEqual(filter.accountId, null);
+  assert.deepStrictEqual(filter.$and, [{ $or: [{ category: 'Food' }, { 'splits.category': 'Food' }] }]);
+  assert.strictEqual(buildTransactionFilter('user1', { accountId: 'nope' }).error, 'Invalid accountId');
+
+  console.log('PASS: bulk transaction operations validate every row and recompute each budget once.');
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
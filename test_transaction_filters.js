@@ -0,0 +1,96 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const {
+  buildTransactionFilter,
+  hasTransactionFilter,
+  parseTransactionListOptions,
+  buildTransactionSort,
+  applyKeyset,
+  encodeCursor
+} = require('./src/utils/transactionFilters');
+
+try {
+  // Several types, categories and tags can be selected at once
+  const { filter } = buildTransactionFilter('user1', {
+    type: 'income,expense',
+    category: ['Food', 'Fuel'],
+    tags: ['trip', 'goa'],
+    tagMatch: 'all',
+    minAmount: '100',
+    maxAmount: '2500.50'
+  });
+  assert.deepStrictEqual(filter.type, { $in: ['income', 'expense'] });
+  assert.deepStrictEqual(filter.$and, [{
+    $or: [{ category: { $in: ['Food', 'Fuel'] } }, { 'splits.category': { $in: ['Food', 'Fuel'] } }]
+  }]);
+  assert.deepStrictEqual(filter.tags, { $all: ['trip', 'goa'] });
+  assert.deepStrictEqual(filter.amount, { $gte: 100, $lte: 2500.5 });
+  assert.deepStrictEqual(buildTransactionFilter('user1', { tags: 'trip' }).filter.tags, { $in: ['trip'] });
+
+  assert.ok(buildTransactionFilter('user1', { type: 'refund' }).error);
+  assert.ok(buildTransactionFilter('user1', { minAmount: 'lots' }).error);
+  assert.ok(buildTransactionFilter('user1', { minAmount: 500, maxAmount: 100 }).error);
+
+  // Search matches escaped substrings unless the text index is asked for
+  const contains = buildTransactionFilter('user1', { search: 'swiggy (' }).filter;
+  assert.strictEqual(contains.$text, undefined);
+  const [{ $or: [{ description: pattern }] }] = contains.$and;
+  assert.ok(pattern.test('SWIGGY (BLR)'));
+  assert.ok(!pattern.test('swiggy order'));
+  const [{ $or: [{ description: partial }] }] = buildTransactionFilter('user1', { search: 'coff' }).filter.$and;
+  assert.ok(partial.test('Coffee Day'), 'partial words should still match');
+  assert.deepStrictEqual(
+    buildTransactionFilter('user1', { search: 'amazon prime', searchMode: 'text' }).filter.$text,
+    { $search: 'amazon prime' }
+  );
+  assert.ok(buildTransactionFilter('user1', { search: 'amazon', searchMode: 'fuzzy' }).error);
+
+  // Bulk edits refuse filters that would select everything
+  assert.strictEqual(hasTransactionFilter({}), false);
+  assert.strictEqual(hasTransactionFilter([]), false);
+  assert.strictEqual(hasTransactionFilter([{ type: 'expense' }]), false);
+  assert.strictEqual(hasTransactionFilter({ tagMatch: 'all', searchMode: 'text', sort: 'amount' }), false);
+  assert.strictEqual(hasTransactionFilter({ type: '', category: [], search: '  ' }), false);
+  assert.strictEqual(hasTransactionFilter({ category: ['Food'] }), true);
+  assert.strictEqual(hasTransactionFilter({ minAmount: 0 }), true);
+
+  // Sort and page size are validated; limit is capped
+  assert.ok(parseTransactionListOptions({ sort: 'fingerprint' }).error);
+  assert.ok(parseTransactionListOptions({ order: 'sideways' }).error);
+  const { options } = parseTransactionListOptions({ limit: '100000' });
+  assert.deepStrictEqual({ ...options }, { sortField: 'date', order: 'desc', limit: 500, paginate: 'page', page: 1, after: null });
+
+  // Numbered pages by default; cursor pages on request
+  assert.strictEqual(parseTransactionListOptions({ page: '3' }).options.page, 3);
+  assert.deepStrictEqual(
+    [parseTransactionListOptions({ paginate: 'cursor' }).options.paginate, parseTransactionListOptions({ paginate: 'cursor' }).options.page],
+    ['cursor', null]
+  );
+  assert.ok(parseTransactionListOptions({ paginate: 'infinite' }).error);
+  assert.deepStrictEqual(buildTransactionSort({ sortField: 'amount', order: 'asc' }), { amount: 1, _id: 1 });
+
+  // The cursor carries the last row's sort value and id
+  const last = { _id: new mongoose.Types.ObjectId(), date: new Date('2024-03-05'), amount: 450 };
+  const cursor = encodeCursor(last, { sortField: 'date', order: 'desc' });
+  const page2 = parseTransactionListOptions({ cursor }).options;
+  assert.strictEqual(page2.paginate, 'cursor');
+  assert.deepStrictEqual(page2.after.value, last.date);
+  assert.strictEqual(String(page2.after.id), String(last._id));
+  assert.ok(parseTransactionListOptions({ cursor, sort: 'amount' }).error);
+  assert.ok(parseTransactionListOptions({ cursor: 'not-a-cursor' }).error);
+
+  const keyed = applyKeyset({ userId: 'user1', $and: [{ a: 1 }] }, page2);
+  assert.deepStrictEqual(keyed.$and[0], { a: 1 });
+  assert.deepStrictEqual(keyed.$and[1], {
+    $or: [
+      { date: { $lt: last.date } },
+      { date: last.date, _id: { $lt: page2.after.id } }
+    ]
+  });
+  assert.strictEqual(applyKeyset({ userId: 'user1' }, options).$and, undefined);
+
+  console.log('PASS: transaction list filters, sorts and cursors are built and validated.');
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
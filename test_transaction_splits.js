@@ -0,0 +1,42 @@
+const assert = require('assert');
+const {
+  normalizeSplits,
+  validateSplits,
+  getPrimarySplitCategory,
+  getCategoryAllocations,
+  getTransactionCategories
+} = require('./src/utils/transactionSplits');
+
+function run() {
+  const splits = normalizeSplits([
+    { amount: '1200.50', category: ' Groceries ', note: 'veg + staples' },
+    { amount: 300, category: 'Household' },
+    { amount: 99.5, category: 'Personal Care', note: '' }
+  ]);
+  assert.deepStrictEqual(splits[0], { amount: 1200.5, category: 'Groceries', note: 'veg + staples' });
+  assert.strictEqual(splits[2].note, undefined, 'blank notes should be dropped');
+
+  assert.strictEqual(validateSplits(splits, 1600), null);
+  assert.strictEqual(validateSplits([], 1600), null, 'no lines means the transaction is not split');
+  assert.ok(/add up to 1600.00/.test(validateSplits(splits, 1650)), 'lines must sum to the parent amount');
+  assert.strictEqual(validateSplits([{ amount: 0.1, category: 'A' }, { amount: 0.2, category: 'B' }], 0.3), null, 'floating point noise should be tolerated');
+  assert.strictEqual(validateSplits([splits[0]], 1200.5), 'A split transaction needs at least two lines');
+  assert.strictEqual(validateSplits([{ amount: 100, category: '' }, { amount: 50, category: 'B' }], 150), 'Split line 1 needs a category');
+  assert.strictEqual(validateSplits([{ amount: -10, category: 'A' }, { amount: 60, category: 'B' }], 50), 'Split line 1 needs a positive amount');
+
+  assert.strictEqual(getPrimarySplitCategory(splits), 'Groceries');
+
+  const splitTransaction = { amount: 1600, category: 'Groceries', splits };
+  assert.deepStrictEqual(getCategoryAllocations(splitTransaction).map((line) => line.amount), [1200.5, 300, 99.5]);
+  assert.deepStrictEqual(getTransactionCategories(splitTransaction), ['Groceries', 'Household', 'Personal Care']);
+  assert.deepStrictEqual(getCategoryAllocations({ amount: 40, category: 'Food' }), [{ category: 'Food', amount: 40 }]);
+
+  console.log('PASS: split transactions validate their lines and attribute spend per line.');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
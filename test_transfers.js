@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { directionForType, typeForDirection, findTransferPairs } = require('./src/utils/transfers');
+
+function run() {
+  assert.strictEqual(directionForType('expense'), 'out');
+  assert.strictEqual(directionForType('income'), 'in');
+  assert.strictEqual(typeForDirection(directionForType('expense')), 'expense', 'unlinking should restore the original type');
+  assert.strictEqual(typeForDirection(directionForType('income')), 'income');
+
+  // Checking account statement being imported
+  const rows = [
+    { type: 'expense', amount: 5000, date: '2024-03-01', source: 'file', label: 'to savings' },
+    { type: 'expense', amount: 250, date: '2024-03-02', source: 'file', label: 'groceries' },
+    { type: 'income', amount: 1200, date: '2024-03-05', source: 'file', label: 'card refund' }
+  ];
+  // Transactions already on file from other accounts
+  const counterparts = [
+    { id: 'a', type: 'income', amount: 5000, date: '2024-03-04', source: 'savings-import' },
+    { id: 'b', type: 'income', amount: 5000, date: '2024-03-02', source: 'savings-import' },
+    { id: 'c', type: 'income', amount: 250, date: '2024-03-20', source: null },
+    { id: 'd', type: 'expense', amount: 1200, date: '2024-03-05', source: 'card-import' },
+    { id: 'e', type: 'income', amount: 1200, date: '2024-03-05', source: null }
+  ];
+
+  const pairs = findTransferPairs(rows, counterparts);
+  assert.strictEqual(pairs.length, 2);
+  assert.strictEqual(pairs[0].row.label, 'card refund');
+  assert.strictEqual(pairs[0].counterpart.id, 'd', 'only opposite types should pair');
+  assert.strictEqual(pairs[1].row.label, 'to savings');
+  assert.strictEqual(pairs[1].counterpart.id, 'b', 'the closest date should win');
+  assert.strictEqual(pairs[1].dayGap, 1);
+  assert.ok(!pairs.some((pair) => pair.row.label === 'groceries'), 'pairs outside the window should be ignored');
+  assert.strictEqual(findTransferPairs(rows, counterparts, { windowDays: 30 }).length, 3, 'the window should be configurable');
+
+  // Two rows of the same amount must not share one counterpart
+  const twice = findTransferPairs(
+    [
+      { type: 'expense', amount: 100, date: '2024-01-01', source: 'file' },
+      { type: 'expense', amount: 100, date: '2024-01-02', source: 'file' }
+    ],
+    [{ id: 'x', type: 'income', amount: 100, date: '2024-01-02', source: null }]
+  );
+  assert.strictEqual(twice.length, 1);
+  assert.strictEqual(twice[0].row.date, '2024-01-02');
+
+  // Pairing a list with itself uses each transaction once and skips rows
+  // from the same import
+  const existing = [
+    { id: 1, type: 'expense', amount: 75, date: '2024-02-01', source: 'import-1' },
+    { id: 2, type: 'income', amount: 75, date: '2024-02-01', source: 'import-1' },
+    { id: 3, type: 'income', amount: 75, date: '2024-02-02', source: 'import-2' }
+  ];
+  const selfPairs = findTransferPairs(existing, existing);
+  assert.strictEqual(selfPairs.length, 1);
+  assert.deepStrictEqual([selfPairs[0].row.id, selfPairs[0].counterpart.id].sort(), [1, 3]);
+
+  // Opposite-sign rows in the same account are a refund, not a transfer
+  const sameAccount = findTransferPairs(
+    [{ type: 'expense', amount: 60, date: '2024-04-01', source: 'file', accountId: 'card' }],
+    [
+      { id: 'r', type: 'income', amount: 60, date: '2024-04-01', source: null, accountId: 'card' },
+      { id: 's', type: 'income', amount: 60, date: '2024-04-03', source: null, accountId: 'savings' }
+    ]
+  );
+  assert.strictEqual(sameAccount.length, 1);
+  assert.strictEqual(sameAccount[0].counterpart.id, 's');
+
+  console.log('PASS: transfer pairs match opposite-sign transactions across sources.');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const {
+  getTrashedAt,
+  buildExpiredTrashFilter,
+  backfillDeletedAt,
+  purgeTrashed,
+  createTrashPurger
+} = require('./src/utils/trashRetention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory stand-in for the Transaction model; understands the filters the
+// purger builds
+const matches = (row, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some((option) => matches(row, option));
+  const value = row[field];
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if (condition.$lte) return value != null && value <= condition.$lte;
+    if (condition.$in) return condition.$in.map(String).includes(String(value));
+  }
+  if (condition === null) return value == null;
+  return String(value) === String(condition);
+});
+
+const createFakeTransactionModel = (rows) => ({
+  rows,
+  find(filter) {
+    let limit = Infinity;
+    const query = {
+      limit(value) { limit = value; return query; },
+      lean: async () => rows.filter((row) => matches(row, filter)).slice(0, limit)
+    };
+    return query;
+  },
+  async deleteMany(filter) {
+    const before = rows.length;
+    for (let index = rows.length - 1; index >= 0; index--) {
+      if (matches(rows[index], filter)) rows.splice(index, 1);
+    }
+    return { deletedCount: before - rows.length };
+  },
+  async updateMany(filter, { $set }) {
+    const matched = rows.filter((row) => matches(row, filter));
+    matched.forEach((row) => Object.assign(row, $set));
+    return { modifiedCount: matched.length };
+  }
+});
+
+async function run() {
+  const now = new Date('2024-06-30T00:00:00Z');
+  const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+  const rows = [
+    { _id: 'old', userId: 'u1', isDeleted: true, deletedAt: daysAgo(40), updatedAt: daysAgo(40) },
+    { _id: 'recent', userId: 'u1', isDeleted: true, deletedAt: daysAgo(5), updatedAt: daysAgo(5) },
+    { _id: 'legacy', userId: 'u2', isDeleted: true, updatedAt: daysAgo(90) },
+    { _id: 'active', userId: 'u1', isDeleted: false, updatedAt: daysAgo(400) },
+    { _id: 'restored', userId: 'u2', isDeleted: false, deletedAt: daysAgo(60), updatedAt: daysAgo(1) }
+  ];
+
+  assert.strictEqual(getTrashedAt(rows[0]), rows[0].deletedAt);
+  assert.strictEqual(getTrashedAt(rows[2]), null);
+  assert.strictEqual(buildExpiredTrashFilter(now).isDeleted, true);
+
+  const transactionModel = createFakeTransactionModel(rows);
+  const purgedBatches = [];
+  const purger = createTrashPurger({
+    transactionModel,
+    retentionDays: 30,
+    onPurged: (batch) => purgedBatches.push(batch.map((row) => row._id)),
+    now: () => now
+  });
+
+  // Only trash past the retention period goes; live rows are never touched,
+  // and rows without a deletion time are never due
+  const { purged, cutoff } = await purger.purgeExpired();
+  assert.strictEqual(purged, 1);
+  assert.deepStrictEqual(cutoff, daysAgo(30));
+  assert.deepStrictEqual(purgedBatches, [['old']]);
+  assert.deepStrictEqual(rows.map((row) => row._id), ['recent', 'legacy', 'active', 'restored']);
+
+  // Legacy trash starts its retention period at the backfill, however old it is
+  assert.strictEqual(await backfillDeletedAt(transactionModel, now), 1);
+  assert.deepStrictEqual(rows[1].deletedAt, now);
+  assert.strictEqual((await purger.purgeExpired()).purged, 0);
+  assert.strictEqual(rows.length, 4);
+  assert.deepStrictEqual(purger.getPurgeAt(daysAgo(5)), new Date(now.getTime() + 25 * DAY_MS));
+
+  // Purging in batches keeps going until the trash is empty
+  const many = Array.from({ length: 7 }, (_, index) => ({ _id: `t${index}`, userId: 'u1', isDeleted: true }));
+  const batchModel = createFakeTransactionModel([...many, { _id: 'kept', userId: 'u1', isDeleted: false }]);
+  assert.strictEqual(await purgeTrashed({ transactionModel: batchModel, filter: { userId: 'u1' }, batchSize: 3 }), 7);
+  assert.deepStrictEqual(batchModel.rows.map((row) => row._id), ['kept']);
+
+  // A retention of 0 keeps the trash
+  const keepForever = createTrashPurger({ transactionModel, retentionDays: 0, now: () => now });
+  assert.strictEqual((await keepForever.purgeExpired()).purged, 0);
+  assert.strictEqual(keepForever.getPurgeAt(now), null);
+  assert.strictEqual(rows.length, 4);
+
+  console.log('PASS: trash retention purges only expired deleted transactions, in batches.');
+}
+
+run().catch((error) => {
+  console.error('FAIL:', error.message);
+  process.exit(1);
+});